@@ -0,0 +1,7 @@
+create table blocks (
+    block_number bigint primary key,
+    miner text not null,
+    block_timestamp timestamptz not null
+);
+
+create index blocks_block_timestamp_idx on blocks (block_timestamp);
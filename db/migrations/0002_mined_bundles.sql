@@ -0,0 +1,26 @@
+-- Bundles mined before the merge
+create table mined_bundles (
+    block_number bigint not null,
+    bundle_index int not null,
+    miner text not null,
+    bundle_type text not null,
+    primary key (block_number, bundle_index)
+);
+
+create table mined_bundle_txs (
+    block_number bigint not null,
+    bundle_index int not null,
+    tx_index int not null,
+    tx_hash text not null,
+    bundle_type text not null,
+    from_address text not null,
+    to_address text,
+    gas_used bigint not null,
+    gas_price numeric not null,
+    eth_sent_to_coinbase numeric not null,
+    coinbase_diff numeric not null,
+    primary key (block_number, bundle_index, tx_index)
+);
+
+create index mined_bundle_txs_tx_hash_idx on mined_bundle_txs (tx_hash);
+create index mined_bundle_txs_from_address_idx on mined_bundle_txs (from_address);
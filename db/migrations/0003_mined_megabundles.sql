@@ -0,0 +1,30 @@
+-- Megabundles mined before the merge. Their transactions may also have been recorded in mined_bundle_txs.
+create table mined_megabundles (
+    megabundle_id bigint primary key,
+    block_number bigint not null
+);
+
+create index mined_megabundles_block_number_idx on mined_megabundles (block_number);
+
+create table mined_megabundle_bundles (
+    megabundle_id bigint not null references mined_megabundles (megabundle_id),
+    bundle_index int not null,
+    primary key (megabundle_id, bundle_index)
+);
+
+create table mined_megabundle_bundle_txs (
+    megabundle_id bigint not null references mined_megabundles (megabundle_id),
+    bundle_index int not null,
+    tx_index int not null,
+    tx_hash text not null,
+    from_address text not null,
+    to_address text,
+    gas_used bigint not null,
+    gas_price numeric not null,
+    eth_sent_to_coinbase numeric not null,
+    coinbase_diff numeric not null,
+    primary key (megabundle_id, bundle_index, tx_index)
+);
+
+create index mined_megabundle_bundle_txs_tx_hash_idx on mined_megabundle_bundle_txs (tx_hash);
+create index mined_megabundle_bundle_txs_from_address_idx on mined_megabundle_bundle_txs (from_address);
@@ -0,0 +1,33 @@
+-- Bundles included in blocks built by the flashbots builder, after the merge. block_id identifies the built block.
+create table included_built_block_bundles (
+    block_id bigint not null,
+    block_number bigint not null,
+    bundle_index int not null,
+    fee_recipient text not null,
+    sbundle_hash bytea,
+    bundle_type text not null,
+    primary key (block_id, bundle_index)
+);
+
+create index included_built_block_bundles_block_number_idx on included_built_block_bundles (block_number, bundle_index);
+create index included_built_block_bundles_sbundle_hash_idx on included_built_block_bundles (sbundle_hash);
+
+create table included_built_block_bundle_txs (
+    block_id bigint not null,
+    block_number bigint not null,
+    bundle_index int not null,
+    tx_index int not null,
+    tx_hash text not null,
+    bundle_type text not null,
+    from_address text not null,
+    to_address text,
+    gas_used bigint not null,
+    gas_price numeric not null,
+    eth_sent_to_fee_recipient numeric not null,
+    fee_recipient_eth_diff numeric not null,
+    primary key (block_id, bundle_index, tx_index)
+);
+
+create index included_built_block_bundle_txs_block_number_idx on included_built_block_bundle_txs (block_number, bundle_index, tx_index);
+create index included_built_block_bundle_txs_tx_hash_idx on included_built_block_bundle_txs (tx_hash);
+create index included_built_block_bundle_txs_from_address_idx on included_built_block_bundle_txs (from_address);
@@ -0,0 +1,8 @@
+-- Keys of clients with their own rate limit tier, written by scripts/api_keys.js. Only the sha256 of a key is stored.
+create table api_keys (
+    key_hash text primary key,
+    name text not null unique,
+    tier text not null,
+    created_at timestamptz not null default now(),
+    revoked_at timestamptz
+);
@@ -0,0 +1,9 @@
+-- Names, categories and tags of known addresses, imported by scripts/labels.js and managed through /v1/labels. Addresses
+-- are stored lowercase, as the pipeline tables do not agree on their case.
+create table address_labels (
+    address text primary key,
+    name text not null,
+    category text not null,
+    tags text[] not null default '{}',
+    updated_at timestamptz not null default now()
+);
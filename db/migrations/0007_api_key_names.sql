@@ -0,0 +1,4 @@
+-- Names only need to be unique among keys that are not revoked, so that a revoked key can be replaced by one of the same
+-- name.
+alter table api_keys drop constraint api_keys_name_key;
+create unique index api_keys_name_not_revoked on api_keys (name) where revoked_at is null;
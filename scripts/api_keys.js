@@ -0,0 +1,45 @@
+import postgres from 'postgres'
+import { fileURLToPath } from 'url'
+import { createApiKey, listApiKeys, revokeApiKey } from '../server/apikeys.js'
+import { loadConfig } from '../server/config.js'
+
+const USAGE = `usage:
+  yarn api-keys create <name> <tier>
+  yarn api-keys revoke <name>
+  yarn api-keys list`
+
+async function main([command, ...args]) {
+  const config = loadConfig()
+  const sql = postgres(config.postgresDsn)
+  try {
+    if (command === 'create' && args.length === 2) {
+      const [name, tier] = args
+      const tiers = Object.keys(config.tiers).filter((name) => name !== 'anonymous')
+      if (!tiers.includes(tier)) {
+        throw new Error(`unknown tier ${tier}, expected one of: ${tiers.join(', ')}`)
+      }
+      console.log(await createApiKey(sql, name, tier))
+    } else if (command === 'revoke' && args.length === 1) {
+      if (!(await revokeApiKey(sql, args[0]))) {
+        throw new Error(`no api key named ${args[0]}`)
+      }
+      console.log(`revoked ${args[0]}`)
+    } else if (command === 'list' && args.length === 0) {
+      for (const { name, tier, created_at: createdAt } of await listApiKeys(sql)) {
+        console.log(`${name}\t${tier}\t${createdAt.toISOString()}`)
+      }
+    } else {
+      console.error(USAGE)
+      process.exitCode = 1
+    }
+  } finally {
+    await sql.end()
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error('error in main', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,161 @@
+import _ from 'lodash'
+import crypto from 'crypto'
+import fs from 'fs'
+import fspromises from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import util from 'util'
+import zlib from 'zlib'
+import { once } from 'events'
+import { finished } from 'stream'
+import { getBlocks } from '../../server/history.js'
+import { BLOCK_FORMATS } from '../../server/formats.js'
+import { toV1Block } from '../../server/v1.js'
+
+const streamFinished = util.promisify(finished)
+
+const PAGE_SIZE = 10000
+
+export const MANIFEST = 'manifest.json'
+
+// Writes text to a gzipped file, waiting for the file to drain so a partition is never buffered in memory
+async function openGzipFile(filePath) {
+  const gzip = zlib.createGzip()
+  const file = fs.createWriteStream(filePath)
+  gzip.pipe(file)
+  return {
+    async write(text) {
+      if (text && !gzip.write(text)) {
+        await once(gzip, 'drain')
+      }
+    },
+    async close() {
+      gzip.end()
+      await streamFinished(file)
+    }
+  }
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256')
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk)
+  }
+  return hash.digest('hex')
+}
+
+function partitionName(partition, format) {
+  return `blocks_${partition.from_block}-${partition.to_block}.${BLOCK_FORMATS[format].extension}.gz`
+}
+
+// A partition can be kept from an earlier run once it is complete and has every format
+function isFinished(partition, formats) {
+  return partition && partition.complete && _.every(formats, (format) => _.some(partition.files, { format }))
+}
+
+async function dumpPartition(sql, target, tmpDir, { fromBlock, toBlock, complete, mergeBlockNumber, formats }) {
+  const partition = { from_block: fromBlock, to_block: toBlock, complete, block_count: 0, transaction_count: 0 }
+  const files = await Promise.all(
+    _.map(formats, async (format) => {
+      const name = partitionName(partition, format)
+      const filePath = path.join(tmpDir, name)
+      const file = await openGzipFile(filePath)
+      await file.write(BLOCK_FORMATS[format].start())
+      return { format, name, filePath, file }
+    })
+  )
+
+  // blocks are written in descending order, the same order the api returns them in
+  let highest = toBlock
+  while (highest >= fromBlock) {
+    const blocks = await getBlocks(sql, mergeBlockNumber, { limit: PAGE_SIZE, range: { lowest: fromBlock, highest } })
+    for (const block of blocks) {
+      for (const { format, file } of files) {
+        await file.write(BLOCK_FORMATS[format].row(toV1Block(block, mergeBlockNumber), partition.block_count))
+      }
+      partition.block_count += 1
+      partition.transaction_count += block.transactions.length
+    }
+    if (blocks.length < PAGE_SIZE) {
+      break
+    }
+    highest = Number(_.last(blocks).block_number) - 1
+  }
+
+  partition.files = []
+  for (const { format, name, filePath, file } of files) {
+    await file.write(BLOCK_FORMATS[format].end())
+    await file.close()
+    const { size } = await fspromises.stat(filePath)
+    partition.files.push({ format, path: name, size, sha256: await sha256File(filePath) })
+    await target.put(name, filePath)
+    await fspromises.unlink(filePath)
+  }
+  partition.generated_at = new Date().toISOString()
+  return partition
+}
+
+async function putManifest(target, tmpDir, manifest) {
+  const filePath = path.join(tmpDir, MANIFEST)
+  await fspromises.writeFile(filePath, JSON.stringify(manifest, null, 2))
+  await target.put(MANIFEST, filePath)
+}
+
+/**
+ * Dumps all blocks, from before and after the merge, to target (see targets.js) as gzipped partition files of
+ * partitionSize blocks in each of formats, with a manifest listing them as server/dumps.js reads it. Finished partitions
+ * in the manifest already in target are kept, and the manifest is updated after each partition, so a rerun only dumps
+ * new blocks and an interrupted dump resumes from the last finished partition. Resolves to the manifest, or to
+ * undefined when there are no blocks.
+ */
+export async function dumpBlocks(sql, target, { mergeBlockNumber, partitionSize, formats, log = () => {} }) {
+  const tmpDir = await fspromises.mkdtemp(path.join(os.tmpdir(), 'mev-blocks-dump-'))
+  try {
+    const previous = JSON.parse((await target.get(MANIFEST)) || '{}')
+    const previousPartitions = previous.partition_size === partitionSize ? _.keyBy(previous.partitions, 'from_block') : {}
+
+    const [{ first_block_number: firstBlockNumber }] = await sql`
+      select least(
+          (select min(block_number) from mined_bundles),
+          (select min(block_number) from mined_megabundles),
+          (select min(block_number) from included_built_block_bundles)
+      ) as first_block_number`
+    const [latestBlock] = await sql`select max(block_number) as block_number from blocks`
+    if (firstBlockNumber === null || latestBlock.block_number === null) {
+      log('no blocks to dump')
+      return undefined
+    }
+    const latestBlockNumber = Number(latestBlock.block_number)
+
+    const manifest = {
+      partition_size: partitionSize,
+      formats,
+      latest_block_number: latestBlockNumber,
+      partitions: []
+    }
+    const firstPartition = Math.floor(Number(firstBlockNumber) / partitionSize) * partitionSize
+    for (let fromBlock = firstPartition; fromBlock <= latestBlockNumber; fromBlock += partitionSize) {
+      const toBlock = fromBlock + partitionSize - 1
+      let partition = previousPartitions[fromBlock]
+      if (isFinished(partition, formats)) {
+        log(`keeping partition ${fromBlock}-${toBlock}`)
+      } else {
+        log(`dumping partition ${fromBlock}-${toBlock} to ${target.describe()}`)
+        const complete = toBlock < latestBlockNumber
+        partition = await dumpPartition(sql, target, tmpDir, { fromBlock, toBlock, complete, mergeBlockNumber, formats })
+        log(`written ${partition.block_count} blocks`)
+      }
+      manifest.partitions.push(partition)
+
+      const laterPartitions = _.filter(previousPartitions, (previousPartition) => previousPartition.from_block > fromBlock)
+      await putManifest(target, tmpDir, {
+        ...manifest,
+        generated_at: new Date().toISOString(),
+        partitions: [...manifest.partitions, ...laterPartitions]
+      })
+    }
+    return { ...manifest, generated_at: new Date().toISOString() }
+  } finally {
+    await fspromises.rm(tmpDir, { recursive: true, force: true })
+  }
+}
@@ -0,0 +1,70 @@
+import fs from 'fs/promises'
+import path from 'path'
+import util from 'util'
+import { execFile as execFileCallback } from 'child_process'
+
+const execFile = util.promisify(execFileCallback)
+
+/**
+ * Stores dump files in a local directory
+ */
+export function localTarget(directory) {
+  return {
+    describe: () => directory,
+
+    async get(name) {
+      try {
+        return await fs.readFile(path.join(directory, name), 'utf8')
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return undefined
+        }
+        throw error
+      }
+    },
+
+    async put(name, filePath) {
+      await fs.mkdir(directory, { recursive: true })
+      await fs.copyFile(filePath, path.join(directory, name))
+    }
+  }
+}
+
+/**
+ * Stores dump files under an s3:// url with the aws cli, files are uploaded publicly readable
+ */
+export function s3Target(url) {
+  const prefix = url.replace(/\/+$/, '')
+  return {
+    describe: () => prefix,
+
+    async get(name) {
+      try {
+        const { stdout } = await execFile('aws', ['s3', 'cp', `${prefix}/${name}`, '-'], { maxBuffer: 64 * 1024 * 1024 })
+        return stdout
+      } catch (error) {
+        if (/\(404\)|Not Found|NoSuchKey/.test(error.stderr)) {
+          return undefined
+        }
+        throw error
+      }
+    },
+
+    async put(name, filePath) {
+      await execFile('aws', ['s3', 'cp', '--acl', 'public-read', filePath, `${prefix}/${name}`])
+    }
+  }
+}
+
+/**
+ * Returns the storage target for a url, either s3://bucket/prefix or a local directory (optionally as a file:// url)
+ */
+export function createTarget(url) {
+  if (url.startsWith('s3://')) {
+    return s3Target(url)
+  }
+  if (url.startsWith('file://')) {
+    return localTarget(new URL(url).pathname)
+  }
+  return localTarget(url)
+}
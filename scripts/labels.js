@@ -0,0 +1,37 @@
+import postgres from 'postgres'
+import { fileURLToPath } from 'url'
+import { loadConfig } from '../server/config.js'
+import { importLabels, listLabels, readLabelFile } from '../server/labels.js'
+
+const USAGE = `usage:
+  yarn labels import <file.json|file.csv> [--replace]
+  yarn labels list [category]`
+
+async function main([command, ...args]) {
+  const config = loadConfig()
+  const sql = postgres(config.postgresDsn)
+  try {
+    if (command === 'import' && (args.length === 1 || (args.length === 2 && args[1] === '--replace'))) {
+      // the whole file is checked before anything is written
+      const labels = await readLabelFile(args[0])
+      const { imported, deleted } = await importLabels(sql, labels, { replace: args[1] === '--replace' })
+      console.log(`imported ${imported} labels${deleted ? `, deleted ${deleted}` : ''}`)
+    } else if (command === 'list' && args.length <= 1) {
+      for (const { address, name, category, tags } of await listLabels(sql, { category: args[0], limit: null })) {
+        console.log(`${address}\t${category}\t${name}\t${tags.join(';')}`)
+      }
+    } else {
+      console.error(USAGE)
+      process.exitCode = 1
+    }
+  } finally {
+    await sql.end()
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error('error in main', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,45 @@
+import postgres from 'postgres'
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// The tables are written by the flashbots data pipeline, the migrations define the columns the API reads so that it can run
+// against a local database, e.g. in tests
+const MIGRATIONS_DIR = fileURLToPath(new URL('../db/migrations', import.meta.url))
+
+/**
+ * Applies the migrations in db/migrations that have not been applied yet, in order of their file names, each in its own
+ * transaction. Applied migrations are recorded in schema_migrations. Returns the names of the applied migrations.
+ */
+export async function migrate(sql) {
+  await sql`create table if not exists schema_migrations (name text primary key, applied_at timestamptz not null default now())`
+  const applied = new Set((await sql`select name from schema_migrations`).map((row) => row.name))
+
+  const pending = (await fs.readdir(MIGRATIONS_DIR)).filter((name) => name.endsWith('.sql') && !applied.has(name)).sort()
+  for (const name of pending) {
+    const migration = await fs.readFile(path.join(MIGRATIONS_DIR, name), 'utf8')
+    await sql.begin(async (sql) => {
+      await sql.unsafe(migration)
+      await sql`insert into schema_migrations (name) values (${name})`
+    })
+  }
+  return pending
+}
+
+async function main() {
+  // notices such as "schema_migrations already exists, skipping" are noise
+  const sql = postgres(process.env.POSTGRES_DSN, { onnotice: () => {} })
+  try {
+    const applied = await migrate(sql)
+    console.log(applied.length ? `applied ${applied.join(', ')}` : 'no pending migrations')
+  } finally {
+    await sql.end()
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error('error in main', err)
+    process.exit(1)
+  })
+}
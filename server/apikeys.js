@@ -0,0 +1,285 @@
+import Sentry from '@sentry/node'
+import crypto from 'crypto'
+import http from 'http'
+import _ from 'lodash'
+import { createMemoryStore } from './cache.js'
+import { logError } from './log.js'
+import { sendError } from './v2.js'
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+// daily counters are kept for the usage report
+export const USAGE_DAYS = 30
+// revoked keys keep working for up to this long on every replica
+const KEY_CACHE_TTL = MINUTE
+
+/**
+ * Returns the sha256 of key, under which it is stored
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Creates a key named name in tier. Returns the key, which cannot be read back later.
+ */
+export async function createApiKey(sql, name, tier) {
+  const key = crypto.randomBytes(24).toString('base64url')
+  await sql`insert into api_keys (key_hash, name, tier) values (${hashApiKey(key)}, ${name}, ${tier})`
+  return key
+}
+
+/**
+ * Revokes the key named name, returning whether there was such a key
+ */
+export async function revokeApiKey(sql, name) {
+  const revoked = await sql`update api_keys set revoked_at = now() where name = ${name} and revoked_at is null returning name`
+  return revoked.length > 0
+}
+
+/**
+ * Returns the keys that have not been revoked, without the keys themselves
+ */
+export function listApiKeys(sql) {
+  return sql`select name, tier, created_at from api_keys where revoked_at is null order by name`
+}
+
+async function getApiKey(sql, key) {
+  const [apiKey] = await sql`select key_hash, name, tier from api_keys where key_hash = ${hashApiKey(key)} and revoked_at is null`
+  return apiKey || null
+}
+
+// Counters are per fixed minute and utc day, keyed by who made the request: the hash of an api key, as names can be
+// reused once a key is revoked, or the ip
+const minuteCounter = (identity, now) => `usage:${identity}:minute:${Math.floor(now / MINUTE)}`
+const dayCounter = (identity, date) => `usage:${identity}:day:${date.toISOString().slice(0, 10)}`
+
+/**
+ * Returns the usage of apiKey, with the requests of the current minute and of each of the last USAGE_DAYS days, most
+ * recent first
+ */
+export async function getUsage(store, apiKey) {
+  const now = Date.now()
+  const identity = `key:${apiKey.key_hash}`
+  const count = async (counter) => Number((await store.get(counter)) || 0)
+  const days = await Promise.all(
+    _.range(USAGE_DAYS).map(async (daysAgo) => {
+      const date = new Date(now - daysAgo * DAY)
+      return { date: date.toISOString().slice(0, 10), requests: await count(dayCounter(identity, date)) }
+    })
+  )
+  return { minute: await count(minuteCounter(identity, now)), today: days[0].requests, days }
+}
+
+const STATUS_CODES = { invalid_param: 400, unauthorized: 401, forbidden: 403, rate_limited: 429, unavailable: 503 }
+const rateLimited = (message) => ({ code: 'rate_limited', message })
+
+/**
+ * Sends an error of a middleware in the style of the api version the request is for, code is one of the ERROR_CODES of
+ * v2.js. Paths are matched without case, like express routes.
+ */
+export function sendAccessError(req, res, { code, message, param }) {
+  if (/^\/v2\//i.test(req.originalUrl)) {
+    sendError(res, code, message, param)
+    return
+  }
+  if (code === 'rate_limited') {
+    res.status(429)
+    res.send(message)
+    return
+  }
+  res.status(STATUS_CODES[code])
+  res.json(_.omitBy({ error: message, param }, _.isUndefined))
+}
+
+// A websocket upgrade is rejected with a plain http response before the handshake
+function rejectUpgrade(socket, { code, message, param }, headers) {
+  const status = STATUS_CODES[code]
+  const body = JSON.stringify(_.omitBy({ error: message, param }, _.isUndefined))
+  const lines = _.map(
+    { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    (value, name) => `${name}: ${value}`
+  )
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n${lines.join('\r\n')}\r\n\r\n${body}`)
+}
+
+/**
+ * Middleware for the routes of exports and historical dumps, rejecting requests whose tier, as set by the access control
+ * middleware, does not have export set
+ */
+export function requireExport(req, res, next) {
+  if (!req.tier.export) {
+    sendAccessError(req, res, {
+      code: 'forbidden',
+      message: `exports are not available to ${req.apiKey ? 'this api key' : 'anonymous access'}`
+    })
+    return
+  }
+  next()
+}
+
+/**
+ * Middleware for the routes changing labels, which take an api key of a tier with admin set
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.apiKey) {
+    sendAccessError(req, res, { code: 'unauthorized', message: 'an api key is required, in the X-API-Key header or the api_key param' })
+    return
+  }
+  if (!req.tier.admin) {
+    sendAccessError(req, res, {
+      code: 'forbidden',
+      message: `changing labels requires an api key of an admin tier, not ${req.apiKey.tier}`
+    })
+    return
+  }
+  next()
+}
+
+/**
+ * Returns a middleware identifying requests by their api key, from the X-API-Key header or the api_key query param, or
+ * else by ip, and enforcing the limits of their tier: requests per minute and per day and the largest limit param.
+ * Access to the export endpoints is checked by requireExport on their routes. Requests are counted in store, so that
+ * replicas sharing it agree.
+ *
+ * The api key and tier of a request are set as req.apiKey and req.tier, req.apiKey is null without a key.
+ *
+ * Websocket upgrades do not pass through express, middleware.upgrade(req, socket, url) checks them the same way, resolving
+ * to whether the upgrade can go ahead. Otherwise the socket has been answered with the error.
+ */
+export function createAccessControl(sql, store, { tiers, anonymousTier }) {
+  const keys = createMemoryStore({ maxEntries: 10000 })
+
+  // Counts a request of identity, returning the rate limit headers to send and the error if it is over a limit
+  async function count(identity, tier, countDays) {
+    const now = Date.now()
+    const minute = await store.increment(minuteCounter(identity, now), MINUTE)
+    const day = countDays || tier.per_day !== null ? await store.increment(dayCounter(identity, new Date(now)), (USAGE_DAYS + 1) * DAY) : 0
+    const minuteReset = Math.ceil((MINUTE - (now % MINUTE)) / 1000)
+    const headers = {
+      'X-RateLimit-Limit': tier.per_minute,
+      'X-RateLimit-Remaining': Math.max(0, tier.per_minute - minute),
+      'X-RateLimit-Reset': Math.ceil(now / 1000) + minuteReset
+    }
+    if (minute > tier.per_minute) {
+      return { headers: { ...headers, 'Retry-After': minuteReset }, error: rateLimited('Too many requests, please try again later.') }
+    }
+    if (tier.per_day !== null && day > tier.per_day) {
+      const dayReset = Math.ceil((DAY - (now % DAY)) / 1000)
+      return { headers: { ...headers, 'Retry-After': dayReset }, error: rateLimited('Too many requests today, please try again tomorrow.') }
+    }
+    return { headers }
+  }
+
+  // the counters are only a safeguard, requests are let through while the store is unavailable
+  async function countOrLetThrough(identity, tier, countDays) {
+    try {
+      return await count(identity, tier, countDays)
+    } catch (error) {
+      logError('error counting requests', error)
+      Sentry.captureException(error)
+      return { headers: {} }
+    }
+  }
+
+  // Invalid keys are counted as requests of their ip, keys that are not cached are not looked up for an ip over the
+  // anonymous limit per minute, so that guessing keys is limited like anonymous access rather than costing a query each
+  async function lookup(key, ip) {
+    const cached = await keys.get(key)
+    if (cached !== undefined) {
+      return { apiKey: JSON.parse(cached) }
+    }
+    const now = Date.now()
+    let requests = 0
+    try {
+      requests = Number((await store.get(minuteCounter(`ip:${ip}`, now))) || 0)
+    } catch (error) {
+      logError('error counting requests', error)
+      Sentry.captureException(error)
+    }
+    if (requests >= anonymousTier.per_minute) {
+      const headers = { 'Retry-After': Math.ceil((MINUTE - (now % MINUTE)) / 1000) }
+      return { headers, error: rateLimited('Too many requests, please try again later.') }
+    }
+    const apiKey = await getApiKey(sql, key)
+    await keys.set(key, JSON.stringify(apiKey), KEY_CACHE_TTL)
+    return { apiKey }
+  }
+
+  /**
+   * Checks a request made with key, undefined without one, from ip, and counts it. Returns { apiKey, tier, headers } with
+   * the rate limit headers to send, and the error { code, message, param } to reject the request with, if any.
+   */
+  async function check({ key, ip, limit }) {
+    const found = key ? await lookup(key, ip) : { apiKey: null }
+    if (found.error) {
+      return found
+    }
+    const { apiKey } = found
+    if (key && !apiKey) {
+      const counted = await countOrLetThrough(`ip:${ip}`, anonymousTier, false)
+      return { headers: counted.headers, error: counted.error || { code: 'unauthorized', message: 'invalid api key' } }
+    }
+    const tier = apiKey ? tiers[apiKey.tier] : anonymousTier
+    if (!tier) {
+      return { headers: {}, error: { code: 'forbidden', message: `the tier of this api key is not available: ${apiKey.tier}` } }
+    }
+
+    // days are counted for the usage report of keys, and for tiers with a daily limit
+    const counted = await countOrLetThrough(apiKey ? `key:${apiKey.key_hash}` : `ip:${ip}`, tier, Boolean(apiKey))
+    if (counted.error) {
+      return { apiKey, tier, ...counted }
+    }
+
+    const who = apiKey ? 'this api key' : 'anonymous access'
+    if (Number(limit) > tier.max_limit) {
+      const message = `invalid limit param provided, expected at most ${tier.max_limit} for ${who} but got: ${limit}`
+      return { apiKey, tier, headers: counted.headers, error: { code: 'invalid_param', message, param: 'limit' } }
+    }
+    return { apiKey, tier, headers: counted.headers }
+  }
+
+  async function middleware(req, res, next) {
+    let result
+    try {
+      result = await check({ key: req.get('X-API-Key') || req.query.api_key, ip: req.ip, limit: req.query.limit })
+    } catch (error) {
+      logError('unhandled error looking up api key', error)
+      Sentry.captureException(error)
+      res.status(500)
+      res.end('Internal Server Error')
+      return
+    }
+    res.set(result.headers)
+    if (result.error) {
+      sendAccessError(req, res, result.error)
+      return
+    }
+    req.apiKey = result.apiKey
+    req.tier = result.tier
+    next()
+  }
+
+  middleware.upgrade = async (req, socket, url) => {
+    // the client's ip as express reads it with trust proxy
+    const forwardedFor = req.headers['x-forwarded-for']
+    const ip = forwardedFor ? forwardedFor.split(',')[0].trim() : req.socket.remoteAddress
+    let result
+    try {
+      const key = req.headers['x-api-key'] || url.searchParams.get('api_key')
+      result = await check({ key, ip, limit: url.searchParams.get('limit') })
+    } catch (error) {
+      logError('unhandled error looking up api key', error)
+      Sentry.captureException(error)
+      socket.end('HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n')
+      return false
+    }
+    if (result.error) {
+      rejectUpgrade(socket, result.error, result.headers)
+      return false
+    }
+    return true
+  }
+
+  return middleware
+}
@@ -0,0 +1,2095 @@
+import express from 'express'
+import http from 'http'
+import Sentry from '@sentry/node'
+import cors from 'cors'
+import _ from 'lodash'
+import { WebSocketServer } from 'ws'
+import { GraphQLError } from 'graphql'
+import { createHandler } from 'graphql-http/lib/use/express'
+import { createAccessControl, getUsage, requireAdmin, requireExport } from './apikeys.js'
+import { createCache, createMemoryStore } from './cache.js'
+import { blockComposition } from './composition.js'
+import { DEFAULT_CONFIG } from './config.js'
+import { cursorRange, nextBundleCursor, nextCursor, nextFeeRecipientCursor, rowCursor } from './cursor.js'
+import { dumpManifest, selectPartitions, streamFiles } from './dumps.js'
+import { formatWriter, limitExports } from './export.js'
+import { BLOCK_FORMATS, TRANSACTION_FORMATS } from './formats.js'
+import { createContext, limitQueries, schema } from './graphql.js'
+import { createReadinessCheck } from './health.js'
+import {
+  exportBlocks,
+  exportTransactions,
+  getBlocks,
+  getBlocksByNumber,
+  getBundle,
+  getBundleByTransaction,
+  getBundles,
+  getBundleTransactions,
+  getLatestBlockNumber,
+  getTransactions
+} from './history.js'
+import { attachLabels, deleteLabel, getLabel, listLabels, putLabel } from './labels.js'
+import { logError, requestLogger } from './log.js'
+import { createMetrics, instrumentSql, requestMetrics } from './metrics.js'
+import {
+  MAX_LIMIT,
+  parseAddress,
+  parseBlockCursor,
+  parseBlockFilters,
+  parseBlockNumber,
+  parseBlockNumberParam,
+  parseBundleCursor,
+  parseBundleFilters,
+  parseBundleId,
+  parseBundleType,
+  parseComparedAddresses,
+  parseEnrich,
+  parseFeeRecipientCursor,
+  parseFormat,
+  parseHash,
+  parseInterval,
+  parseLabel,
+  parseLabelFilters,
+  parseLimit,
+  parseParams,
+  parseStreamParams,
+  parseTransactionCursor,
+  parseTransactionFilters
+} from './params.js'
+import { createApi } from './openapi.js'
+import { intersectRanges, parseBlockRange } from './range.js'
+import { PARAMS, ref } from './schemas.js'
+import { getFeeRecipientProfiles, getSearcherProfile, getStats } from './stats.js'
+import { createBlockFeed } from './stream.js'
+import { toV1Block, toV1BlockComposition, toV1Bundle, toV1Transaction } from './v1.js'
+import { createV2Router } from './v2.js'
+
+const STREAM_KEEPALIVE_INTERVAL = 15 * 1000
+// request counters kept in process, without a shared store
+const COUNTER_ENTRIES = 100000
+// /v1/all_blocks?xz is answered until then, see the README
+const XZ_SUNSET = 'Thu, 01 Apr 2027 00:00:00 GMT'
+
+function sendInvalidParam(res, error, param) {
+  res.status(400)
+  res.json({ error, param })
+}
+
+// Once a stream has started its status can no longer change, so the response is cut off to signal the error
+function handleExportError(path, error, res) {
+  if (res.destroyed) {
+    // the client went away
+    return
+  }
+  logError(`unhandled error in ${path}`, error)
+  Sentry.captureException(error)
+  if (res.headersSent) {
+    res.destroy()
+    return
+  }
+  res.status(500)
+  res.end('Internal Server Error')
+}
+
+// Sends rows as csv or ndjson, the fields of the json response that are not rows are sent as headers
+function sendFormatted(res, format, rows, latestBlockNumber, nextCursor) {
+  res.set('X-Latest-Block-Number', latestBlockNumber)
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor)
+  }
+  res.type(format.contentType)
+  res.send(format.start() + rows.map((row, index) => format.row(row, index)).join('') + format.end())
+}
+
+/**
+ * Creates the express app serving the api from the database of sql. config takes the options returned by loadConfig in
+ * config.js, missing options take their defaults. Query results are cached in store, by default in process, see cache.js.
+ *
+ * The websocket variant of /v1/stream is served by app.upgrade(req, socket, head), to be called on the upgrade event of
+ * the http server, and app.closeStreams() ends all open streams so that the server can shut down, see serve.
+ */
+export function createApp({ sql, config = {}, store }) {
+  const {
+    mergeBlockNumber,
+    bundleTxLimit,
+    dumpBaseUrl,
+    dumpManifestTtl,
+    maxExports,
+    streamPollInterval,
+    rateLimitPerMinute,
+    tiers,
+    corsOrigins,
+    accessLog,
+    validateResponses,
+    cacheSize,
+    cacheTtl,
+    finalizedCacheTtl,
+    finalityDepth,
+    freshnessWindow
+  } = { ...DEFAULT_CONFIG, ...config }
+
+  const app = express()
+  app.set('trust proxy', true)
+
+  const metrics = createMetrics(sql)
+  sql = instrumentSql(sql, metrics)
+  app.use(requestLogger({ accessLog }))
+  app.use(requestMetrics(metrics))
+  // scraped by prometheus, rather than part of the api, so it is neither rate limited nor documented in the openapi spec
+  app.get('/metrics', async (req, res) => {
+    try {
+      res.type(metrics.register.contentType)
+      res.send(await metrics.register.metrics())
+    } catch (error) {
+      logError('unhandled error in /metrics', error)
+      Sentry.captureException(error)
+      res.status(500)
+      res.end('Internal Server Error')
+    }
+  })
+  // liveness and readiness probes for the orchestrator, like /metrics they are neither rate limited nor documented
+  app.get('/healthz', (req, res) => {
+    res.set('Cache-Control', 'no-store')
+    res.json({ status: 'ok' })
+  })
+  const checkReadiness = createReadinessCheck(sql, { freshnessWindow })
+  app.get('/readyz', async (req, res) => {
+    try {
+      const { ready, checks } = await checkReadiness()
+      res.set('Cache-Control', 'no-store')
+      res.status(ready ? 200 : 503)
+      res.json({ status: ready ? 'ready' : 'not_ready', checks })
+    } catch (error) {
+      logError('unhandled error in /readyz', error)
+      Sentry.captureException(error)
+      res.status(500)
+      res.end('Internal Server Error')
+    }
+  })
+  // without a shared store, query results and request counters are kept in process, apart so that results do not evict
+  // counters
+  const cache = createCache(sql, store || createMemoryStore({ maxEntries: cacheSize }), {
+    ttl: cacheTtl,
+    finalizedTtl: finalizedCacheTtl,
+    finalityDepth,
+    metrics
+  })
+  const counters = store || createMemoryStore({ maxEntries: COUNTER_ENTRIES })
+  const accessControl = createAccessControl(sql, counters, {
+    tiers,
+    anonymousTier: tiers.anonymous || { per_minute: rateLimitPerMinute, per_day: null, max_limit: MAX_LIMIT, export: true, admin: false }
+  })
+  app.use(accessControl)
+  app.use(cors({ origin: corsOrigins }))
+
+  const getDumpManifest = dumpManifest(dumpBaseUrl.replace(/\/+$/, ''), dumpManifestTtl * 1000)
+  // exports read from a cursor in a transaction of their own, the limit leaves the rest of the pool to other routes
+  const exportLimit = limitExports(maxExports)
+  const blockFeed = createBlockFeed(sql, mergeBlockNumber, {
+    interval: streamPollInterval * 1000,
+    onError: (error) => {
+      logError('error polling for new blocks', error)
+      Sentry.captureException(error)
+    }
+  })
+  const api = createApi({
+    info: { title: 'Flashbots Blocks API', version: '1.0.0', description: 'An API for displaying flashbots blocks and transactions' },
+    servers: [{ url: 'https://blocks.flashbots.net' }],
+    validateResponses
+  })
+  const v1 = api.routes(app, { plainTextErrors: true, onInvalidParam: sendInvalidParam })
+  // functions ending each open stream, for closeStreams
+  const streams = new Set()
+
+  /**
+   * @api {get} /v1/transactions Get transactions
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns the 100 most recent flashbots transactions. Use the `before`, `after`, `from_block`, `to_block`, `since` and `until` query params to filter to a range of blocks.
+   * To page through history, pass the `next_cursor` of the previous response as `cursor`. Unlike `before`, a cursor resumes in the middle of a block, so no transactions are skipped.
+   *
+   * @apiParam (Query string) {Number}   [before=latest]  Filter transactions to before this block number (exclusive, does not include this block number)
+   * @apiParam (Query string) {Number}   [after]  Filter transactions to after this block number (exclusive, does not include this block number)
+   * @apiParam (Query string) {Number}   [from_block]  Filter transactions to this block number and later (inclusive)
+   * @apiParam (Query string) {Number}   [to_block]  Filter transactions to this block number and earlier (inclusive)
+   * @apiParam (Query string) {String}   [since]  Filter transactions to blocks mined at or after this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {String}   [until]  Filter transactions to blocks mined before this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {String}   [cursor]  Return transactions following this cursor, taken from `next_cursor` of a previous list of transactions
+   * @apiParam (Query string) {String}   [from]  Filter to transactions sent by this address
+   * @apiParam (Query string) {String}   [to]  Filter to transactions sent to this address
+   * @apiParam (Query string) {String="flashbots","mempool"}   [bundle_type]  Filter to transactions of this bundle type
+   * @apiParam (Query string) {String}   [min_eth_sent_to_fee_recipient]  Filter to transactions that directly transferred at least this much ETH (in wei) to the fee recipient
+   * @apiParam (Query string) {Number}   [min_gas_used]  Filter to transactions that used at least this much gas
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of transactions that are returned
+   * @apiParam (Query string) {String="labels"}   [enrich]  With `labels`, `eao_address` and `to_address` are followed by `eao_address_label` and `to_address_label`, see /v1/labels. Left out of csv
+   * @apiParam (Query string) {String="json","ndjson","csv"}   [format=json]  Response format. ndjson and csv return one transaction per line, with `latest_block_number` and `next_cursor` in the `X-Latest-Block-Number` and `X-Next-Cursor` headers
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {String}   next_cursor   Cursor for the next page of transactions, null when there are no more transactions
+   * @apiSuccess {Object[]} transactions       List of transactions.
+   * @apiSuccess {String}   transactions.transaction_hash transaction hash
+   * @apiSuccess {Number}   transactions.tx_index index of tx inside of bundle
+   * @apiSuccess {String}   transactions.bundle_type The bundle type, either "flashbots" or "mempool"
+   * @apiSuccess {Number}   transactions.bundle_index index of bundle inside of the block
+   * @apiSuccess {Number}   transactions.block_number   block number
+   * @apiSuccess {String}   transactions.eao_address address of the externally owned account that created this transaction, spelled eoa_address everywhere else
+   * @apiSuccess {String}   transactions.to_address to address
+   * @apiSuccess {Number}   transactions.gas_used gas used in this transaction
+   * @apiSuccess {String}   transactions.gas_price gas price of this transaction
+   * @apiSuccess {String}   transactions.coinbase_transfer alias of eth_sent_to_fee_recipient
+   * @apiSuccess {String}   transactions.eth_sent_to_fee_recipient ETH (in wei) directly transferred to the fee recipient, not counting gas
+   * @apiSuccess {String}   transactions.total_miner_reward alias of fee_recipient_eth_diff
+   * @apiSuccess {String}   transactions.fee_recipient_eth_diff ETH (in wei) transferred to the fee recipient, including gas and direct transfers
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "transactions": [
+      {
+        "transaction_hash": "0x52258130e92d9a527e1751aa011a340641c7b0ff61c7df1c35b6eddc8a0cfadd",
+        "tx_index": 0,
+        "bundle_type": "flashbots",
+        "bundle_index": 0,
+        "block_number": 11999806,
+        "eao_address": "0x421125ca608A35458B2C99DA39CD55B70bA202a4",
+        "to_address": "0xa57Bd00134B2850B2a1c55860c9e9ea100fDd6CF",
+        "gas_used": 79188,
+        "gas_price": "0",
+        "coinbase_transfer": "10340046243502720",
+        "eth_sent_to_fee_recipient": "10340046243502720",
+        "total_miner_reward": "10340046243502720",
+        "fee_recipient_eth_diff": "10340046243502720"
+      },
+      {
+        "transaction_hash": "0x965aa095d75f03ba91851ce3b8f1b51fee09ae0de837e42652412b6ace18691f",
+        "tx_index": 0,
+        "bundle_type": "flashbots",
+        "bundle_index": 0,
+        "block_number": 11999435,
+        "eao_address": "0x1F00ACFEdC298253487D91758bcfe9D7a6Ba2c83",
+        "to_address": "0xb10E56Edb7698C960f1562c7edcC15612900c4A5",
+        "gas_used": 103577,
+        "gas_price": "0",
+        "coinbase_transfer": "0",
+        "eth_sent_to_fee_recipient": "0",
+        "total_miner_reward": "0",
+        "fee_recipient_eth_diff": "0"
+      }
+    ],
+    "latest_block_number": 11999809,
+    "next_cursor": "WzExOTk5NDM1LDAsMF0"
+  }
+   */
+  v1.get(
+    '/v1/transactions',
+    {
+      summary: 'Get transactions',
+      params: [
+        ...PARAMS.blockRange,
+        PARAMS.transactionCursor,
+        PARAMS.from,
+        PARAMS.to,
+        PARAMS.bundleType,
+        PARAMS.minEthSentToFeeRecipient,
+        PARAMS.minGasUsed,
+        PARAMS.limit,
+        PARAMS.enrich,
+        PARAMS.format(TRANSACTION_FORMATS, 'json')
+      ],
+      response: ref('V1TransactionsResponse'),
+      contentTypes: ['application/x-ndjson', 'text/csv']
+    },
+    async (req, res) => {
+      try {
+        const params = parseParams(req.query, parseLimit, parseTransactionCursor, parseTransactionFilters, parseEnrich, (query) =>
+          parseFormat(query, TRANSACTION_FORMATS, 'json')
+        )
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+        const { limit, cursor, format, enrich, ...filters } = params
+
+        const blockRange = await parseBlockRange(sql, req.query)
+        if (blockRange.error) {
+          sendInvalidParam(res, blockRange.error, blockRange.param)
+          return
+        }
+
+        const range = intersectRanges(blockRange, cursorRange(cursor))
+        const latestBlock = await cache.latestBlock()
+        const query = { ...filters, limit, range, cursor }
+        const rows = await cache.query('transactions', query, latestBlock, () => getTransactions(sql, mergeBlockNumber, query))
+        let transactions = rows.map(toV1Transaction)
+        if (enrich === 'labels') {
+          transactions = await attachLabels(sql, transactions)
+        }
+        const latestBlockNumber = latestBlock && latestBlock.block_number
+        cache.setHeaders(res, latestBlock, query.range)
+
+        if (format !== 'json') {
+          sendFormatted(res, TRANSACTION_FORMATS[format], transactions, latestBlockNumber, nextCursor(rows, limit))
+          return
+        }
+        res.json({
+          transactions,
+          latest_block_number: latestBlockNumber,
+          next_cursor: nextCursor(rows, limit)
+        })
+      } catch (error) {
+        logError('unhandled error in /transactions', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/blocks Get blocks
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns the 100 most recent flashbots blocks. This also contains a list of transactions that were part of the flashbots bundle. Use query parameters to filter this down to blocks you're interested in.
+   * Blocks from before and after the merge are returned in the same shape, a page that reaches the merge continues with pre-merge blocks.
+   *
+   * @apiParam (Query string) {Number}   [block_number]  Returns just a single block equal to the given block_number
+   * @apiParam (Query string) {String}   [fee_recipient]  Filter to a single miner address
+   * @apiParam (Query string) {String}   [from]   Filter to get blocks including transactions sent by from
+   * @apiParam (Query string) {Number}   [before=latest]  Filter blocks to before this block number (exclusive, does not include this block number)
+   * @apiParam (Query string) {Number}   [after]  Filter blocks to after this block number (exclusive, does not include this block number)
+   * @apiParam (Query string) {Number}   [from_block]  Filter blocks to this block number and later (inclusive)
+   * @apiParam (Query string) {Number}   [to_block]  Filter blocks to this block number and earlier (inclusive)
+   * @apiParam (Query string) {String}   [since]  Filter blocks to blocks mined at or after this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {String}   [until]  Filter blocks to blocks mined before this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {String}   [cursor]  Return blocks following this cursor, taken from `next_cursor` of a previous list of blocks
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of blocks that are returned
+   * @apiParam (Query string) {String="labels"}   [enrich]  With `labels`, `fee_recipient` and the `eoa_address` and `to_address` of transactions are followed by `fee_recipient_label`, `eoa_address_label` and `to_address_label`, see /v1/labels. Left out of csv
+   * @apiParam (Query string) {String="json","ndjson","csv"}   [format=json]  Response format. ndjson returns one block per line and csv one transaction per line, with `latest_block_number` and `next_cursor` in the `X-Latest-Block-Number` and `X-Next-Cursor` headers
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {String}   next_cursor   Cursor for the next page of blocks, null when there are no more blocks
+   * @apiSuccess {Object[]} blocks       List of blocks.
+   * @apiSuccess {Number}   blocks.block_number   Block number
+   * @apiSuccess {String}   blocks.fee_recipient   The Fee Recipient's address
+   * @apiSuccess {String}   blocks.fee_recipient_eth_diff   The total ETH (in wei) reward paid to the fee recipient. This includes gas fees and direct eth transfers
+   * @apiSuccess {String}   blocks.eth_sent_to_fee_recipient   The total ETH (in wei) transferred directly to the fee recipient, not counting gas
+   * @apiSuccess {Number}   blocks.gas_used   Total gas used by the bundle
+   * @apiSuccess {String}   blocks.gas_price   The adjusted gas price of the bundle. This is not a transactions's gas price, but what mev-geth uses to sort bundles. Found by doing: fee_recipient_eth_diff/gas_used. Like fee_recipient_eth_diff, base_fee is subtracted from the gas fees.
+   * @apiSuccess {Number}   blocks.paris   1 if the block was mined after the merge (paris upgrade), 0 if it was mined before
+   * @apiSuccess {String}   blocks.miner   alias of fee_recipient
+   * @apiSuccess {String}   blocks.miner_reward   alias of fee_recipient_eth_diff
+   * @apiSuccess {String}   blocks.coinbase_transfers   alias of eth_sent_to_fee_recipient
+   * @apiSuccess {String}   blocks.effective_priority_fee   alias of gas_price
+   * @apiSuccess {Object[]} blocks.transactions List of transactions
+   * @apiSuccess {String}   blocks.transactions.transaction_hash transaction hash
+   * @apiSuccess {Number}   blocks.transactions.tx_index index of tx inside of bundle
+   * @apiSuccess {String}   blocks.transactions.bundle_type The bundle type, either "flashbots" or "mempool". Mempool indicates some non-relayed transactions were included between flashbots-relayed bundles.
+   * @apiSuccess {Number}   blocks.transactions.bundle_index index of bundle inside of the block
+   * @apiSuccess {Number}   blocks.transactions.block_number   block number
+   * @apiSuccess {String}   blocks.transactions.eoa_address address of the externally owned account that created this transaction
+   * @apiSuccess {String}   blocks.transactions.to_address to address
+   * @apiSuccess {Number}   blocks.transactions.gas_used gas used in this transaction
+   * @apiSuccess {String}   blocks.transactions.gas_price gas price of this transaction
+   * @apiSuccess {String}   blocks.transactions.eth_sent_to_fee_recipient ETH (in wei) directly transferred to the fee recipient, not counting gas
+   * @apiSuccess {String}   blocks.transactions.coinbase_transfer alias of eth_sent_to_fee_recipient
+   * @apiSuccess {String}   blocks.transactions.total_miner_reward alias of fee_recipient_eth_diff
+   * @apiSuccess {String}   blocks.transactions.fee_recipient_eth_diff ETH (in wei) transferred to the fee recipient, including gas and direct transfers. The burned base_fee (EIP-1559) is not credited to the fee recipient, so the base_fee is not present in this value.
+   * @apiSuccess {Boolean}  blocks.transactions.is_megabundle Whether this transaction was part of a megabundle, only possible before the merge
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "blocks": [
+      {
+        "block_number": 12006597,
+        "miner_reward": "89103402731082940",
+        "fee_recipient_eth_diff": "89103402731082940",
+        "miner": "0xd224ca0c819e8e97ba0136b3b95ceff503b79f53",
+        "fee_recipient": "0xd224ca0c819e8e97ba0136b3b95ceff503b79f53",
+        "coinbase_transfers": "51418761731082940",
+        "eth_sent_to_fee_recipient": "51418761731082940",
+        "gas_used": 374858,
+        "gas_price": "237699082668",
+        "effective_priority_fee": "237699082668",
+        "paris": 0,
+        "transactions": [
+          {
+            "transaction_hash": "0x3c302a865edd01047e5454a28feb4bb91b5e4d880b53ba2b91aec359ebe031a5",
+            "bundle_type": "flashbots",
+            "tx_index": 0,
+            "bundle_index": 0,
+            "block_number": 12006597,
+            "eoa_address": "0xf888ac7A3f709d3DA4fabBB04412c479b94FEC94",
+            "to_address": "0x111111125434b319222CdBf8C261674aDB56F3ae",
+            "gas_used": 292129,
+            "gas_price": "129000000000",
+            "eth_sent_to_fee_recipient": "0",
+            "fee_recipient_eth_diff": "37684641000000000",
+            "is_megabundle": false
+          },
+          {
+            "transaction_hash": "0xb0686a581fde130f5e0621c6aedb2f7b4c33fbc95f89cda0e01833843a4f6b29",
+            "bundle_type": "flashbots",
+            "tx_index": 1,
+            "bundle_index": 0,
+            "block_number": 12006597,
+            "eoa_address": "0xD1c1E70325E89bf7d6440Fe9D10802186B21672d",
+            "to_address": "0xa57Bd00134B2850B2a1c55860c9e9ea100fDd6CF",
+            "gas_used": 82729,
+            "gas_price": "0",
+            "eth_sent_to_fee_recipient": "51418761731082940",
+            "fee_recipient_eth_diff": "51418761731082940",
+            "is_megabundle": false
+          }
+        ]
+      }
+    ],
+    "latest_block_number": 12006599,
+    "next_cursor": "WzEyMDA2NTk3XQ"
+  }
+   */
+  v1.get(
+    '/v1/blocks',
+    {
+      summary: 'Get blocks',
+      params: [
+        PARAMS.blockNumber,
+        PARAMS.feeRecipient,
+        PARAMS.miner,
+        PARAMS.from,
+        ...PARAMS.blockRange,
+        PARAMS.blockCursor,
+        PARAMS.limit,
+        PARAMS.enrich,
+        PARAMS.format(BLOCK_FORMATS, 'json')
+      ],
+      response: ref('V1BlocksResponse'),
+      contentTypes: ['application/x-ndjson', 'text/csv']
+    },
+    async (req, res) => {
+      try {
+        const params = parseParams(req.query, parseLimit, parseBlockCursor, parseBlockNumber, parseBlockFilters, parseEnrich, (query) =>
+          parseFormat(query, BLOCK_FORMATS, 'json')
+        )
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+        const { limit, cursor, blockNumberRange, format, enrich, ...filters } = params
+
+        const blockRange = await parseBlockRange(sql, req.query)
+        if (blockRange.error) {
+          sendInvalidParam(res, blockRange.error, blockRange.param)
+          return
+        }
+
+        const range = intersectRanges(blockRange, blockNumberRange || {}, cursorRange(cursor))
+        const latestBlock = await cache.latestBlock()
+        const query = { ...filters, limit, range }
+        const rows = await cache.query('blocks', query, latestBlock, () => getBlocks(sql, mergeBlockNumber, query))
+        let blocks = rows.map((block) => toV1Block(block, mergeBlockNumber))
+        if (enrich === 'labels') {
+          blocks = await attachLabels(sql, blocks)
+        }
+        const latestBlockNumber = latestBlock && latestBlock.block_number
+        cache.setHeaders(res, latestBlock, query.range)
+
+        if (format !== 'json') {
+          sendFormatted(res, BLOCK_FORMATS[format], blocks, latestBlockNumber, nextCursor(rows, limit))
+          return
+        }
+        res.json({
+          blocks,
+          latest_block_number: latestBlockNumber,
+          next_cursor: nextCursor(rows, limit)
+        })
+      } catch (error) {
+        logError('unhandled error in /blocks', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/blocks/:number/bundles Get the bundles of a block
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns the bundles of a flashbots block in block order, with the share of the block's value each of them paid and where the mempool bundles sit between the flashbots bundles. The value of a block is the fee_recipient_eth_diff of all of its bundle transactions, as transactions outside of bundles are not recorded. Returns 404 if the block has no bundles.
+   * @apiParam (Path parameter) {Number}   number  Block number
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object}   block       The block, see /v1/blocks for the fields it shares
+   * @apiSuccess {Number}   block.bundle_count   Number of bundles in the block, mempool ones included
+   * @apiSuccess {Number}   block.flashbots_bundle_count   Number of flashbots bundles
+   * @apiSuccess {Number}   block.mempool_bundle_count   Number of mempool bundles
+   * @apiSuccess {Number}   block.transaction_count   Number of bundle transactions
+   * @apiSuccess {String}   block.flashbots_fee_recipient_eth_diff   ETH (in wei) paid to the fee recipient by flashbots bundles, including gas and direct transfers
+   * @apiSuccess {Number}   block.flashbots_share_of_block_value   Fraction of fee_recipient_eth_diff paid by flashbots bundles, null if the block paid nothing
+   * @apiSuccess {Object[]} block.mempool_gaps   Runs of consecutive mempool bundles
+   * @apiSuccess {Number}   block.mempool_gaps.first_bundle_index   Index of the first bundle of the run
+   * @apiSuccess {Number}   block.mempool_gaps.last_bundle_index   Index of the last bundle of the run
+   * @apiSuccess {String}   block.mempool_gaps.position   "leading", "between" or "trailing" the flashbots bundles of the block
+   * @apiSuccess {Number}   block.mempool_gaps.bundle_count   Number of bundles in the run
+   * @apiSuccess {Number}   block.mempool_gaps.transaction_count   Number of transactions in the run
+   * @apiSuccess {Number}   block.mempool_gaps.gas_used   Gas used by the run
+   * @apiSuccess {String}   block.mempool_gaps.fee_recipient_eth_diff   ETH (in wei) paid to the fee recipient by the run
+   * @apiSuccess {Object[]} bundles       List of bundles in block order
+   * @apiSuccess {Number}   bundles.block_number   block number
+   * @apiSuccess {Number}   bundles.bundle_index index of bundle inside of the block
+   * @apiSuccess {String}   bundles.bundle_type The bundle type, either "flashbots" or "mempool"
+   * @apiSuccess {String}   bundles.eth_sent_to_fee_recipient   The total ETH (in wei) transferred directly to the fee recipient by the bundle, not counting gas
+   * @apiSuccess {String}   bundles.fee_recipient_eth_diff   The total ETH (in wei) paid to the fee recipient by the bundle, including gas and direct transfers
+   * @apiSuccess {Number}   bundles.gas_used   Total gas used by the bundle
+   * @apiSuccess {String}   bundles.gas_price   The effective gas price of the bundle: fee_recipient_eth_diff/gas_used, like the block's gas_price
+   * @apiSuccess {Boolean}  bundles.is_megabundle Whether transactions of the bundle were part of a megabundle, only possible before the merge
+   * @apiSuccess {Number}   bundles.transaction_count   Number of transactions in the bundle
+   * @apiSuccess {Number}   bundles.share_of_block_value   Fraction of the block's fee_recipient_eth_diff paid by the bundle, null if the block paid nothing
+   * @apiSuccess {Object[]} bundles.transactions   The transactions of the bundle, see /v1/blocks for fields
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "block": {
+      "block_number": 15537394,
+      "fee_recipient": "0xeBec795c9c8bBD61FFc14A6662944748F299cAcf",
+      "eth_sent_to_fee_recipient": "0",
+      "fee_recipient_eth_diff": "2370000000000000",
+      "gas_used": 210000,
+      "gas_price": "11285714285",
+      "paris": 1,
+      "bundle_count": 2,
+      "flashbots_bundle_count": 1,
+      "mempool_bundle_count": 1,
+      "transaction_count": 2,
+      "flashbots_fee_recipient_eth_diff": "2100000000000000",
+      "flashbots_share_of_block_value": 0.886076,
+      "mempool_gaps": [
+        {
+          "first_bundle_index": 1,
+          "last_bundle_index": 1,
+          "position": "trailing",
+          "bundle_count": 1,
+          "transaction_count": 1,
+          "gas_used": 21000,
+          "fee_recipient_eth_diff": "270000000000000"
+        }
+      ]
+    },
+    "bundles": [
+      {
+        "block_number": 15537394,
+        "bundle_index": 0,
+        "bundle_type": "flashbots",
+        "eth_sent_to_fee_recipient": "0",
+        "fee_recipient_eth_diff": "2100000000000000",
+        "gas_used": 189000,
+        "gas_price": "11111111111",
+        "is_megabundle": false,
+        "transaction_count": 1,
+        "share_of_block_value": 0.886076,
+        "transactions": [...]
+      },
+      {
+        "block_number": 15537394,
+        "bundle_index": 1,
+        "bundle_type": "mempool",
+        "eth_sent_to_fee_recipient": "0",
+        "fee_recipient_eth_diff": "270000000000000",
+        "gas_used": 21000,
+        "gas_price": "12857142857",
+        "is_megabundle": false,
+        "transaction_count": 1,
+        "share_of_block_value": 0.113924,
+        "transactions": [...]
+      }
+    ],
+    "latest_block_number": 15537400
+  }
+   */
+  v1.get(
+    '/v1/blocks/:number/bundles',
+    {
+      summary: 'Get the bundles of a block',
+      params: [PARAMS.number],
+      response: ref('V1BlockBundlesResponse'),
+      errors: { 404: 'The block has no bundles' }
+    },
+    async (req, res) => {
+      try {
+        const { blockNumber, error, param } = parseBlockNumberParam(req.params.number)
+        if (error) {
+          sendInvalidParam(res, error, param)
+          return
+        }
+
+        const latestBlock = await cache.latestBlock()
+        const query = { range: { lowest: blockNumber, highest: blockNumber } }
+        const [block] = await cache.query('block', query, latestBlock, () => getBlocksByNumber(sql, mergeBlockNumber, [blockNumber]))
+        if (!block) {
+          res.status(404)
+          res.json({ error: `no bundles in block: ${blockNumber}` })
+          return
+        }
+        cache.setHeaders(res, latestBlock, query.range)
+
+        res.json({
+          ...toV1BlockComposition(blockComposition(block), mergeBlockNumber),
+          latest_block_number: latestBlock && latestBlock.block_number
+        })
+      } catch (error) {
+        logError('unhandled error in /blocks/:number/bundles', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/export/transactions Export transactions
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Streams every flashbots transaction in the block range, in the order of /v1/transactions and with the same fields. Unlike /v1/transactions there is no limit, rows are read from a postgres cursor as the client consumes them.
+   * Takes the block range and filter params of /v1/transactions.
+   * @apiParam (Query string) {String="json","ndjson","csv"}   [format=ndjson]  Response format, json is a single array of transactions
+   */
+  v1.get(
+    '/v1/export/transactions',
+    {
+      summary: 'Export transactions',
+      errors: { 403: 'Exports are not available to the tier of the request', 503: 'Too many exports are running' },
+      params: [
+        ...PARAMS.blockRange,
+        PARAMS.from,
+        PARAMS.to,
+        PARAMS.bundleType,
+        PARAMS.minEthSentToFeeRecipient,
+        PARAMS.minGasUsed,
+        PARAMS.format(TRANSACTION_FORMATS, 'ndjson')
+      ],
+      contentTypes: ['application/x-ndjson', 'application/json', 'text/csv']
+    },
+    requireExport,
+    exportLimit,
+    async (req, res) => {
+      try {
+        const range = await parseBlockRange(sql, req.query)
+        if (range.error) {
+          sendInvalidParam(res, range.error, range.param)
+          return
+        }
+
+        const params = parseParams(req.query, parseTransactionFilters, (query) => parseFormat(query, TRANSACTION_FORMATS, 'ndjson'))
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+        const { format, ...filters } = params
+
+        res.type(TRANSACTION_FORMATS[format].contentType)
+        const writer = formatWriter(res, TRANSACTION_FORMATS[format])
+        await writer.start()
+        await exportTransactions(sql, mergeBlockNumber, { ...filters, range }, (rows) => writer.write(rows.map(toV1Transaction)))
+        await writer.end()
+      } catch (error) {
+        handleExportError('/export/transactions', error, res)
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/export/blocks Export blocks
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Streams every flashbots block in the block range in descending order, with the fields of /v1/blocks. Unlike /v1/blocks there is no limit, blocks are read a page at a time as the client consumes them.
+   * Takes the block range and filter params of /v1/blocks.
+   * @apiParam (Query string) {String="json","ndjson","csv"}   [format=ndjson]  Response format, json is a single array of blocks and csv has one row per transaction
+   */
+  v1.get(
+    '/v1/export/blocks',
+    {
+      summary: 'Export blocks',
+      errors: { 403: 'Exports are not available to the tier of the request', 503: 'Too many exports are running' },
+      params: [...PARAMS.blockRange, PARAMS.feeRecipient, PARAMS.miner, PARAMS.from, PARAMS.format(BLOCK_FORMATS, 'ndjson')],
+      contentTypes: ['application/x-ndjson', 'application/json', 'text/csv']
+    },
+    requireExport,
+    exportLimit,
+    async (req, res) => {
+      try {
+        const range = await parseBlockRange(sql, req.query)
+        if (range.error) {
+          sendInvalidParam(res, range.error, range.param)
+          return
+        }
+
+        const params = parseParams(req.query, parseBlockFilters, (query) => parseFormat(query, BLOCK_FORMATS, 'ndjson'))
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+        const { format, ...filters } = params
+
+        res.type(BLOCK_FORMATS[format].contentType)
+        const writer = formatWriter(res, BLOCK_FORMATS[format])
+        await writer.start()
+        await exportBlocks(sql, mergeBlockNumber, { ...filters, range }, (blocks) =>
+          writer.write(blocks.map((block) => toV1Block(block, mergeBlockNumber)))
+        )
+        await writer.end()
+      } catch (error) {
+        handleExportError('/export/blocks', error, res)
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/stream Stream new blocks
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Pushes each new flashbots block as it is processed, in the shape /v1/blocks returns, as server-sent events. Each block is a `block` event with the block number as its id, and the connection is kept alive with a comment every 15 seconds.
+   * The same endpoint accepts websocket connections, which receive each block as a json message. Invalid params are sent as an `error` message before the connection is closed.
+   *
+   * To resume after a reconnect, pass the last block number that was received as `last_block_number`. EventSource clients do this automatically through the `Last-Event-ID` header. Blocks after it are sent first, up to 1000 blocks, page through /v1/blocks to catch up from further back.
+   * @apiParam (Query string) {String}   [fee_recipient]  Filter to a single miner address
+   * @apiParam (Query string) {String}   [from]   Filter to blocks including transactions sent by from
+   * @apiParam (Query string) {Number}   [last_block_number]  Start with the blocks after this block number
+   */
+  v1.get(
+    '/v1/stream',
+    {
+      summary: 'Stream new blocks',
+      description: 'Server-sent events of new blocks in the shape of V1Block, also accepts websocket connections',
+      params: [PARAMS.feeRecipient, PARAMS.miner, PARAMS.from, PARAMS.lastBlockNumber],
+      contentTypes: ['text/event-stream']
+    },
+    async (req, res) => {
+      try {
+        const params = parseStreamParams(req.query, req.get('Last-Event-ID'))
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+
+        // the headers are sent with the first block, or flushed once subscribed, so a resume that is too far behind is still a 400
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+        const unsubscribe = await blockFeed.subscribe(params, (block) => {
+          res.write(`id: ${block.block_number}\nevent: block\ndata: ${JSON.stringify(toV1Block(block, mergeBlockNumber))}\n\n`)
+        })
+        if (unsubscribe.error) {
+          sendInvalidParam(res, unsubscribe.error, unsubscribe.param)
+          return
+        }
+        if (res.destroyed) {
+          unsubscribe()
+          return
+        }
+        res.flushHeaders()
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), STREAM_KEEPALIVE_INTERVAL)
+        const stop = () => {
+          streams.delete(close)
+          clearInterval(keepalive)
+          unsubscribe()
+        }
+        const close = () => {
+          stop()
+          res.end()
+        }
+        streams.add(close)
+        req.on('close', stop)
+      } catch (error) {
+        handleExportError('/stream', error, res)
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/all_blocks Historical dumps of all blocks
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns the manifest of the historical dumps of all flashbots blocks, see /v1/blocks for the fields of a block. History is dumped in gzipped partitions of consecutive block ranges, each in every format listed in the manifest.
+   *
+   * When `format` is provided, the matching partitions are returned instead of the manifest. A single partition is a redirect to an s3 bucket, so keep that in mind, e.g. add `-L` to curl. Several `ndjson` partitions are streamed as one gzip file, for the other formats select a single partition.
+   * @apiParam (Query string) {Number}   [from_block]  Only include partitions with blocks from this block number, inclusive
+   * @apiParam (Query string) {Number}   [to_block]  Only include partitions with blocks up to this block number, inclusive
+   * @apiParam (Query string) {String}   [format]  Return the matching partitions in this format instead of the manifest, one of the manifest's formats
+   * @apiParam (Query string) {Boolean}   [xz]  Deprecated, will be removed after 2027-04-01. The xz dump is no longer generated, the ndjson partitions are returned as one gzip file instead, with `Deprecation` and `Sunset` headers
+   *
+   * @apiSuccess {Number}   partition_size   Number of blocks in each partition
+   * @apiSuccess {String[]}   formats   Formats every partition is dumped in
+   * @apiSuccess {Number}   latest_block_number   The latest block number when the dump was generated
+   * @apiSuccess {String}   generated_at   When the manifest was generated
+   * @apiSuccess {Object[]}   partitions   List of partitions, by ascending block number
+   * @apiSuccess {Number}   partitions.from_block   First block number of the partition
+   * @apiSuccess {Number}   partitions.to_block   Last block number of the partition
+   * @apiSuccess {Boolean}   partitions.complete   Whether the partition has all of its blocks and will no longer change, only the latest partition is incomplete
+   * @apiSuccess {Number}   partitions.block_count   Number of blocks in the partition
+   * @apiSuccess {Number}   partitions.transaction_count   Number of transactions in the partition
+   * @apiSuccess {String}   partitions.generated_at   When the partition was generated
+   * @apiSuccess {Object[]}   partitions.files   The files of the partition, one per format
+   * @apiSuccess {String}   partitions.files.format   Format of the file
+   * @apiSuccess {String}   partitions.files.url   Where to download the file
+   * @apiSuccess {Number}   partitions.files.size   Size of the gzipped file in bytes
+   * @apiSuccess {String}   partitions.files.sha256   sha256 checksum of the gzipped file
+   */
+  v1.get(
+    '/v1/all_blocks',
+    {
+      summary: 'Historical dumps of all blocks',
+      description: 'With format, redirects to the matching partition, or streams several ndjson partitions as one gzip file',
+      params: [PARAMS.fromBlock, PARAMS.toBlock, PARAMS.dumpFormat, PARAMS.xz],
+      response: ref('Manifest'),
+      contentTypes: ['application/gzip'],
+      errors: {
+        403: 'Exports are not available to the tier of the request',
+        404: 'No partitions in the format'
+      }
+    },
+    requireExport,
+    async (req, res) => {
+      try {
+        // clients of the retired xz dump get every block as ndjson until xz is removed
+        if (req.query.xz) {
+          res.set({ Deprecation: 'true', Sunset: XZ_SUNSET, Link: '</v1/all_blocks>; rel="successor-version"' })
+        }
+
+        const range = await parseBlockRange(sql, req.query)
+        if (range.error) {
+          sendInvalidParam(res, range.error, range.param)
+          return
+        }
+
+        const manifest = selectPartitions(await getDumpManifest(), range)
+        const format = req.query.xz ? 'ndjson' : req.query.format
+        if (format && !_.includes(manifest.formats, format)) {
+          sendInvalidParam(
+            res,
+            `invalid format param provided, expected one of ${_.join(manifest.formats, ', ')} but got: ${format}`,
+            'format'
+          )
+          return
+        }
+        if (!format) {
+          res.json(manifest)
+          return
+        }
+
+        const files = _.map(manifest.partitions, (partition) => _.find(partition.files, { format }))
+        if (files.length === 0 || _.some(files, (file) => !file)) {
+          res.status(404)
+          res.json({ error: `no ${format} partitions found for the requested blocks` })
+          return
+        }
+        if (files.length === 1) {
+          res.redirect(files[0].url)
+          return
+        }
+        if (format !== 'ndjson') {
+          sendInvalidParam(res, `${files.length} partitions match the requested blocks, only ndjson can be streamed as one file`, 'format')
+          return
+        }
+
+        const { from_block: fromBlock } = _.first(manifest.partitions)
+        const { to_block: toBlock } = _.last(manifest.partitions)
+        res.type('application/gzip')
+        res.attachment(`blocks_${fromBlock}-${toBlock}.ndjson.gz`)
+        await streamFiles(_.map(files, 'url'), res)
+      } catch (error) {
+        handleExportError('/all_blocks', error, res)
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/transaction/:hash Get transaction by hash
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns a flashbots transaction by hash, together with the bundle it was included in. Returns 404 if the transaction was not included in a flashbots block.
+   * @apiParam (Path parameter) {String}   hash  Transaction hash
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object}   transaction       The transaction, see bundle.transactions for fields
+   * @apiSuccess {Object}   bundle       The bundle that included the transaction
+   * @apiSuccess {Number}   bundle.block_number   block number
+   * @apiSuccess {Number}   bundle.bundle_index index of bundle inside of the block
+   * @apiSuccess {String}   bundle.bundle_type The bundle type, either "flashbots" or "mempool"
+   * @apiSuccess {String}   bundle.fee_recipient   The block's Fee Recipient address
+   * @apiSuccess {String}   bundle.eth_sent_to_fee_recipient   The total ETH (in wei) transferred directly to the fee recipient by the bundle, not counting gas
+   * @apiSuccess {String}   bundle.fee_recipient_eth_diff   The total ETH (in wei) paid to the fee recipient by the bundle, including gas and direct transfers
+   * @apiSuccess {Number}   bundle.gas_used   Total gas used by the bundle
+   * @apiSuccess {String}   bundle.gas_price   The effective gas price of the bundle: fee_recipient_eth_diff/gas_used
+   * @apiSuccess {Boolean}  bundle.is_megabundle Whether the bundle was part of a megabundle, only possible before the merge
+   * @apiSuccess {Number}   bundle.paris   1 if the block was mined after the merge (paris upgrade), 0 if it was mined before
+   * @apiSuccess {Object[]} bundle.transactions List of all transactions in the bundle
+   * @apiSuccess {String}   bundle.transactions.transaction_hash transaction hash
+   * @apiSuccess {Number}   bundle.transactions.tx_index index of tx inside of bundle
+   * @apiSuccess {String}   bundle.transactions.bundle_type The bundle type, either "flashbots" or "mempool"
+   * @apiSuccess {Number}   bundle.transactions.bundle_index index of bundle inside of the block
+   * @apiSuccess {Number}   bundle.transactions.block_number   block number
+   * @apiSuccess {String}   bundle.transactions.eoa_address address of the externally owned account that created this transaction
+   * @apiSuccess {String}   bundle.transactions.to_address to address
+   * @apiSuccess {Number}   bundle.transactions.gas_used gas used in this transaction
+   * @apiSuccess {String}   bundle.transactions.gas_price gas price of this transaction
+   * @apiSuccess {String}   bundle.transactions.eth_sent_to_fee_recipient ETH (in wei) directly transferred to the fee recipient, not counting gas
+   * @apiSuccess {String}   bundle.transactions.fee_recipient_eth_diff ETH (in wei) transferred to the fee recipient, including gas and direct transfers
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "transaction": {
+      "transaction_hash": "0xb0686a581fde130f5e0621c6aedb2f7b4c33fbc95f89cda0e01833843a4f6b29",
+      "tx_index": 1,
+      "bundle_type": "flashbots",
+      "bundle_index": 0,
+      "block_number": 12006597,
+      "eoa_address": "0xD1c1E70325E89bf7d6440Fe9D10802186B21672d",
+      "to_address": "0xa57Bd00134B2850B2a1c55860c9e9ea100fDd6CF",
+      "gas_used": 82729,
+      "gas_price": "0",
+      "eth_sent_to_fee_recipient": "51418761731082940",
+      "fee_recipient_eth_diff": "51418761731082940"
+    },
+    "bundle": {
+      "block_number": 12006597,
+      "bundle_index": 0,
+      "bundle_type": "flashbots",
+      "fee_recipient": "0xD224cA0c819e8E97ba0136B3b95ceFF503B79f53",
+      "eth_sent_to_fee_recipient": "51418761731082940",
+      "fee_recipient_eth_diff": "89103402731082940",
+      "gas_used": 374858,
+      "gas_price": "237699082668",
+      "is_megabundle": false,
+      "paris": 0,
+      "transactions": [
+        {
+          "transaction_hash": "0x3c302a865edd01047e5454a28feb4bb91b5e4d880b53ba2b91aec359ebe031a5",
+          "tx_index": 0,
+          "bundle_type": "flashbots",
+          "bundle_index": 0,
+          "block_number": 12006597,
+          "eoa_address": "0xf888ac7A3f709d3DA4fabBB04412c479b94FEC94",
+          "to_address": "0x111111125434b319222CdBf8C261674aDB56F3ae",
+          "gas_used": 292129,
+          "gas_price": "129000000000",
+          "eth_sent_to_fee_recipient": "0",
+          "fee_recipient_eth_diff": "37684641000000000"
+        },
+        {
+          "transaction_hash": "0xb0686a581fde130f5e0621c6aedb2f7b4c33fbc95f89cda0e01833843a4f6b29",
+          "tx_index": 1,
+          "bundle_type": "flashbots",
+          "bundle_index": 0,
+          "block_number": 12006597,
+          "eoa_address": "0xD1c1E70325E89bf7d6440Fe9D10802186B21672d",
+          "to_address": "0xa57Bd00134B2850B2a1c55860c9e9ea100fDd6CF",
+          "gas_used": 82729,
+          "gas_price": "0",
+          "eth_sent_to_fee_recipient": "51418761731082940",
+          "fee_recipient_eth_diff": "51418761731082940"
+        }
+      ]
+    },
+    "latest_block_number": 12006599
+  }
+   */
+  v1.get(
+    '/v1/transaction/:hash',
+    {
+      summary: 'Get transaction by hash',
+      params: [PARAMS.hash('Transaction hash')],
+      response: ref('V1TransactionResponse'),
+      errors: { 404: 'The transaction was not included in a flashbots bundle' }
+    },
+    async (req, res) => {
+      try {
+        const { hash, error, param } = parseHash(req.params.hash)
+        if (error) {
+          sendInvalidParam(res, error, param)
+          return
+        }
+
+        const bundle = await getBundleByTransaction(sql, hash)
+        if (!bundle) {
+          res.status(404)
+          res.json({ error: `transaction not found: ${hash}` })
+          return
+        }
+        const v1Bundle = toV1Bundle(bundle, mergeBlockNumber)
+        const transaction = _.find(v1Bundle.transactions, { transaction_hash: hash })
+
+        res.json({ transaction, bundle: v1Bundle, latest_block_number: await getLatestBlockNumber(sql) })
+      } catch (error) {
+        logError('unhandled error in /transaction/:hash', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/bundles Get bundles
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns the 100 most recent bundles, from both sides of the merge, summarized by the totals of their transactions. Use query parameters to search for the bundles of a block, of a sender or containing a transaction, and `bundle_id` to fetch a bundle's transactions from /v1/bundle/:id.
+   *
+   * @apiParam (Query string) {Number}   [block_number]  Only bundles in this block
+   * @apiParam (Query string) {String}   [from]  Only bundles with a transaction sent by this address
+   * @apiParam (Query string) {String}   [transaction_hash]  Only the bundle containing this transaction
+   * @apiParam (Query string) {Number}   [before=latest]  Only bundles before this block number (exclusive)
+   * @apiParam (Query string) {Number}   [after]  Only bundles after this block number (exclusive)
+   * @apiParam (Query string) {Number}   [from_block]  Only bundles from this block number (inclusive)
+   * @apiParam (Query string) {Number}   [to_block]  Only bundles up to this block number (inclusive)
+   * @apiParam (Query string) {String}   [since]  Only bundles mined at or after this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {String}   [until]  Only bundles mined before this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {String}   [cursor]  Return bundles following this cursor, taken from next_cursor of a previous response
+   * @apiParam (Query string) {Number{1-10000}}  [limit=100]  Number of bundles that are returned
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {String}   next_cursor   Pass as cursor to fetch the next page, null when there are no more bundles
+   * @apiSuccess {Object[]} bundles       List of bundles, most recent block first and in block order within a block
+   * @apiSuccess {String}   bundles.bundle_id   Id of the bundle for /v1/bundle/:id, its bundle_index in the block (or in a megabundle) of block_number
+   * @apiSuccess {Number}   bundles.block_number   block number
+   * @apiSuccess {Number}   bundles.bundle_index index of bundle inside of the block, or inside of its megabundle
+   * @apiSuccess {Number}   bundles.megabundle_id id of the megabundle the bundle was part of, null if it was not
+   * @apiSuccess {String}   bundles.bundle_hash hash of the bundle, null before the merge
+   * @apiSuccess {String}   bundles.bundle_type The bundle type, either "flashbots" or "mempool"
+   * @apiSuccess {String}   bundles.fee_recipient   The block's Fee Recipient address
+   * @apiSuccess {Number}   bundles.transaction_count   Number of transactions in the bundle
+   * @apiSuccess {String}   bundles.eth_sent_to_fee_recipient   The total ETH (in wei) transferred directly to the fee recipient by the bundle, not counting gas
+   * @apiSuccess {String}   bundles.fee_recipient_eth_diff   The total ETH (in wei) paid to the fee recipient by the bundle, including gas and direct transfers
+   * @apiSuccess {Number}   bundles.gas_used   Total gas used by the bundle
+   * @apiSuccess {String}   bundles.gas_price   The effective gas price of the bundle: fee_recipient_eth_diff/gas_used
+   * @apiSuccess {Boolean}  bundles.is_megabundle Whether the bundle was part of a megabundle, only possible before the merge
+   * @apiSuccess {Number}   bundles.paris   1 if the block was mined after the merge (paris upgrade), 0 if it was mined before
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "bundles": [
+      {
+        "bundle_id": "12006597-0",
+        "block_number": 12006597,
+        "bundle_index": 0,
+        "megabundle_id": null,
+        "bundle_hash": null,
+        "bundle_type": "flashbots",
+        "fee_recipient": "0xD224cA0c819e8E97ba0136B3b95ceFF503B79f53",
+        "transaction_count": 2,
+        "eth_sent_to_fee_recipient": "51418761731082940",
+        "fee_recipient_eth_diff": "89103402731082940",
+        "gas_used": 374858,
+        "gas_price": "237699082668",
+        "is_megabundle": false,
+        "paris": 0
+      }
+    ],
+    "latest_block_number": 12006599,
+    "next_cursor": "WzEyMDA2NTk3LDAsMF0"
+  }
+   */
+  v1.get(
+    '/v1/bundles',
+    {
+      summary: 'Get bundles',
+      params: [
+        PARAMS.blockNumber,
+        { ...PARAMS.from, description: 'Only bundles with a transaction sent by this address' },
+        PARAMS.transactionHash,
+        ...PARAMS.blockRange,
+        PARAMS.cursor,
+        PARAMS.limit
+      ],
+      response: ref('V1BundlesResponse')
+    },
+    async (req, res) => {
+      try {
+        const params = parseParams(req.query, parseLimit, parseBundleCursor, parseBlockNumber, parseBundleFilters)
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+        const { limit, cursor, blockNumberRange, ...filters } = params
+
+        const blockRange = await parseBlockRange(sql, req.query)
+        if (blockRange.error) {
+          sendInvalidParam(res, blockRange.error, blockRange.param)
+          return
+        }
+
+        const range = intersectRanges(blockRange, blockNumberRange || {}, cursorRange(cursor))
+        const latestBlock = await cache.latestBlock()
+        const query = { ...filters, limit, range, cursor }
+        const rows = await cache.query('bundles', query, latestBlock, () => getBundles(sql, mergeBlockNumber, query))
+        cache.setHeaders(res, latestBlock, query.range)
+
+        res.json({
+          bundles: rows.map((bundle) => toV1Bundle(bundle, mergeBlockNumber)),
+          latest_block_number: latestBlock && latestBlock.block_number,
+          next_cursor: nextBundleCursor(rows, limit)
+        })
+      } catch (error) {
+        logError('unhandled error in /bundles', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/bundle/:id Get bundle
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns a bundle with its transactions, by its hash or by its bundle_id from /v1/bundles. Only bundles included after the merge have a hash. Bundles with more than `limit` transactions are truncated, page through the rest with next_cursor. Returns 404 if there is no such bundle.
+   * @apiParam (Path parameter) {String}   id  Bundle hash or bundle id, e.g. 15537394-0, or 12006597-m1-0 for the first bundle of megabundle 1
+   * @apiParam (Query string) {String}   [cursor]  Return transactions following this cursor, taken from next_cursor of a previous response
+   * @apiParam (Query string) {Number{1-10000}}  [limit=75]  Number of transactions that are returned, BUNDLE_TX_LIMIT by default
+   * @apiParam (Query string) {String="labels"}   [enrich]  With `labels`, the bundle's `fee_recipient` and the `eao_address` and `to_address` of transactions are followed by `fee_recipient_label`, `eao_address_label` and `to_address_label`, see /v1/labels
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object}   bundle       The bundle, see /v1/bundles for fields
+   * @apiSuccess {Boolean}  truncated   Whether the bundle has more transactions than were returned
+   * @apiSuccess {String}   next_cursor   Pass as cursor to fetch the next transactions, null when there are no more
+   * @apiSuccess {Object[]} transactions       List of transactions.
+   * @apiSuccess {String}   transactions.transaction_hash transaction hash
+   * @apiSuccess {Number}   transactions.tx_index index of tx inside of bundle
+   * @apiSuccess {String}   transactions.bundle_type The bundle type, either "flashbots" or "mempool"
+   * @apiSuccess {Number}   transactions.bundle_index index of bundle inside of the block
+   * @apiSuccess {Number}   transactions.block_number   block number
+   * @apiSuccess {String}   transactions.eao_address address of the externally owned account that created this transaction
+   * @apiSuccess {String}   transactions.to_address to address
+   * @apiSuccess {Number}   transactions.gas_used gas used in this transaction
+   * @apiSuccess {String}   transactions.gas_price gas price of this transaction
+   * @apiSuccess {String}   transactions.eth_sent_to_fee_recipient ETH (in wei) directly transferred to the fee recipient, not counting gas
+   * @apiSuccess {String}   transactions.fee_recipient_eth_diff ETH (in wei) transferred to the fee recipient, including gas and direct transfers
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   {
+    "bundle": {
+      "bundle_id": "15537394-3",
+      "block_number": 15537394,
+      "bundle_index": 3,
+      "megabundle_id": null,
+      "bundle_hash": "0x5e9dbdcb2c7a8bd4ad1d63d1d7c3ac2ea3b8c4ff4c3e16dc2d20fa6cb4ac08b3",
+      "bundle_type": "flashbots",
+      "fee_recipient": "0x8D460B72eaF3d63830E16C22d1Fc6908D0834Abe",
+      "transaction_count": 1,
+      "eth_sent_to_fee_recipient": "0",
+      "fee_recipient_eth_diff": "21000000000000",
+      "gas_used": 21000,
+      "gas_price": "1000000000",
+      "is_megabundle": false,
+      "paris": 1
+    },
+    "transactions": [
+      {
+          "transaction_hash": "0xd9cdf1483a85aa206625c66fea49059b96ffae1c086f76664cfa3f91a495d73a",
+          "tx_index": 0,
+          "bundle_type": "flashbots",
+          "bundle_index": 3,
+          "block_number": 15537394,
+          "eao_address": "0x8D460B72eaF3d63830E16C22d1Fc6908D0834Abe",
+          "to_address": "0x8D460B72eaF3d63830E16C22d1Fc6908D0834Abe",
+          "gas_used": 21000,
+          "gas_price": "1000000000",
+          "coinbase_transfer": "0",
+          "eth_sent_to_fee_recipient": "0",
+          "total_miner_reward": "21000000000000",
+          "fee_recipient_eth_diff": "21000000000000"
+      }
+    ],
+    "truncated": false,
+    "next_cursor": null,
+    "latest_block_number": 15537400
+  }
+   */
+  v1.get(
+    '/v1/bundle/:id',
+    {
+      summary: 'Get bundle',
+      params: [
+        PARAMS.bundleId,
+        PARAMS.transactionCursor,
+        { ...PARAMS.limit, schema: { ...PARAMS.limit.schema, default: bundleTxLimit } },
+        PARAMS.enrich
+      ],
+      response: ref('V1BundleResponse'),
+      errors: { 404: 'There is no such bundle' }
+    },
+    async (req, res) => {
+      try {
+        const { bundleId, error, param } = parseBundleId(req.params.id)
+        if (error) {
+          sendInvalidParam(res, error, param)
+          return
+        }
+        const params = parseParams(req.query, (query) => parseLimit(query, bundleTxLimit), parseTransactionCursor, parseEnrich)
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+        const { limit, cursor, enrich } = params
+
+        const bundle = await getBundle(sql, mergeBlockNumber, bundleId)
+        if (!bundle) {
+          res.status(404)
+          res.json({ error: `bundle not found: ${req.params.id}` })
+          return
+        }
+
+        // one more than the limit tells whether the bundle was truncated
+        const rows = await getBundleTransactions(sql, mergeBlockNumber, bundle, { limit: limit + 1, cursor })
+        const transactions = _.take(rows, limit)
+        const truncated = rows.length > limit
+        if (truncated) {
+          metrics.bundleTxLimitReached.inc()
+        }
+
+        let body = { bundle: toV1Bundle(bundle, mergeBlockNumber), transactions: transactions.map(toV1Transaction) }
+        if (enrich === 'labels') {
+          body = await attachLabels(sql, body)
+        }
+        res.json({
+          ...body,
+          truncated,
+          next_cursor: truncated ? rowCursor(_.last(transactions)) : null,
+          latest_block_number: await getLatestBlockNumber(sql)
+        })
+      } catch (error) {
+        logError('unhandled error in /bundle/:id', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  // paged lists are fee recipients ordered by block_count, see getStats
+  function statsHandler(key, { groupBy, orderBy, paged = false }) {
+    return async (req, res) => {
+      try {
+        const params = parseParams(req.query, parseLimit, parseBundleType, parseInterval, (query) =>
+          paged ? parseFeeRecipientCursor(query) : {}
+        )
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+
+        const range = await parseBlockRange(sql, req.query)
+        if (range.error) {
+          sendInvalidParam(res, range.error, range.param)
+          return
+        }
+
+        const latestBlock = await cache.latestBlock()
+        const query = { ...params, groupBy, orderBy, range }
+        const stats = await cache.query('stats', query, latestBlock, () => getStats(sql, mergeBlockNumber, query))
+        cache.setHeaders(res, latestBlock, query.range)
+        const page = paged ? { next_cursor: nextFeeRecipientCursor(stats, params.limit) } : {}
+        res.json({ [key]: stats, ...page, latest_block_number: latestBlock && latestBlock.block_number })
+      } catch (error) {
+        logError(`unhandled error in /stats/${key}`, error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  }
+
+  const statsParams = [PARAMS.bundleType, ...PARAMS.blockRange, PARAMS.limit]
+
+  /**
+   * @apiDefine StatsParams
+   * @apiParam (Query string) {String="flashbots","mempool"}   [bundle_type]  Only count transactions of this bundle type
+   * @apiParam (Query string) {Number}   [before]  Only count blocks before this block number (exclusive)
+   * @apiParam (Query string) {Number}   [after]  Only count blocks after this block number (exclusive)
+   * @apiParam (Query string) {Number}   [from_block]  Only count blocks from this block number (inclusive)
+   * @apiParam (Query string) {Number}   [to_block]  Only count blocks up to this block number (inclusive)
+   * @apiParam (Query string) {String}   [since]  Only count blocks mined at or after this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {String}   [until]  Only count blocks mined before this time, as unix seconds or an ISO 8601 date
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of rows that are returned
+   */
+
+  /**
+   * @apiDefine StatsTotals
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Number}   block_count   Number of flashbots blocks
+   * @apiSuccess {Number}   bundle_count   Number of bundles
+   * @apiSuccess {Number}   transaction_count   Number of bundle transactions
+   * @apiSuccess {Number}   gas_used   Total gas used by bundle transactions
+   * @apiSuccess {String}   eth_sent_to_fee_recipient   Total ETH (in wei) transferred directly to fee recipients, not counting gas
+   * @apiSuccess {String}   fee_recipient_eth_diff   Total ETH (in wei) paid to fee recipients, including gas and direct transfers
+   */
+
+  /**
+   * @api {get} /v1/stats/timeseries Get totals over time
+   * @apiVersion 1.0.0
+   * @apiGroup Stats
+   * @apiDescription Returns flashbots totals per hour, day or week, most recent first. Covers blocks from before and after the merge.
+   *
+   * @apiParam (Query string) {String="hour","day","week"}   [interval=day]  Length of each period
+   * @apiUse StatsParams
+   * @apiUse StatsTotals
+   * @apiSuccess {Object[]} timeseries   Totals per period, the fields above are repeated for each period
+   * @apiSuccess {String}   timeseries.period   Start of the period
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "timeseries": [
+      {
+        "period": "2022-09-15T00:00:00.000Z",
+        "block_count": 1730,
+        "bundle_count": 12894,
+        "transaction_count": 31200,
+        "gas_used": 2147382910,
+        "eth_sent_to_fee_recipient": "98112874500000000000",
+        "fee_recipient_eth_diff": "131009882736491000000"
+      }
+    ],
+    "latest_block_number": 15540000
+  }
+   */
+  v1.get(
+    '/v1/stats/timeseries',
+    { summary: 'Get totals over time', params: [PARAMS.interval, ...statsParams], response: ref('V1TimeseriesResponse') },
+    statsHandler('timeseries', { groupBy: 'period', orderBy: 'period' })
+  )
+
+  /**
+   * @api {get} /v1/stats/fee_recipients Get fee recipient leaderboard
+   * @apiVersion 1.0.0
+   * @apiGroup Stats
+   * @apiDescription Returns flashbots totals per fee recipient (miner before the merge), ordered by the ETH they received.
+   *
+   * @apiUse StatsParams
+   * @apiUse StatsTotals
+   * @apiSuccess {Object[]} fee_recipients   Totals per fee recipient, the fields above are repeated for each fee recipient
+   * @apiSuccess {String}   fee_recipients.fee_recipient   The fee recipient's address
+   */
+  v1.get(
+    '/v1/stats/fee_recipients',
+    { summary: 'Get fee recipient leaderboard', params: statsParams, response: ref('V1FeeRecipientStatsResponse') },
+    statsHandler('fee_recipients', { groupBy: 'fee_recipient', orderBy: 'fee_recipient_eth_diff' })
+  )
+
+  /**
+   * @api {get} /v1/stats/searchers Get searcher leaderboard
+   * @apiVersion 1.0.0
+   * @apiGroup Stats
+   * @apiDescription Returns flashbots totals per transaction sender, ordered by the ETH they paid to fee recipients.
+   *
+   * @apiUse StatsParams
+   * @apiUse StatsTotals
+   * @apiSuccess {Object[]} searchers   Totals per sender, the fields above are repeated for each sender
+   * @apiSuccess {String}   searchers.eoa_address   Address of the externally owned account that sent the transactions
+   */
+  v1.get(
+    '/v1/stats/searchers',
+    { summary: 'Get searcher leaderboard', params: statsParams, response: ref('V1SearcherStatsResponse') },
+    statsHandler('searchers', { groupBy: 'eoa_address', orderBy: 'fee_recipient_eth_diff' })
+  )
+
+  /**
+   * @api {get} /v1/searchers/:address Get searcher profile
+   * @apiVersion 1.0.0
+   * @apiGroup Stats
+   * @apiDescription Returns the history of the bundle transactions sent by an address, from before and after the merge: its totals, their activity over time and the contracts it sent them to. Returns 404 if the address never sent a bundle transaction within the block range.
+   * @apiParam (Path parameter) {String}   address  Address of the externally owned account
+   *
+   * @apiParam (Query string) {String="hour","day","week"}   [interval=day]  Length of each period of the timeseries
+   * @apiUse StatsParams
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object}   searcher   Totals of the searcher
+   * @apiSuccess {String}   searcher.eoa_address   Address of the searcher
+   * @apiSuccess {Number}   searcher.first_block_number   First block with a bundle transaction sent by the searcher
+   * @apiSuccess {Number}   searcher.last_block_number   Last block with a bundle transaction sent by the searcher
+   * @apiSuccess {String}   searcher.first_seen_at   Timestamp of first_block_number
+   * @apiSuccess {String}   searcher.last_seen_at   Timestamp of last_block_number
+   * @apiSuccess {Number}   searcher.block_count   Number of flashbots blocks
+   * @apiSuccess {Number}   searcher.bundle_count   Number of bundles
+   * @apiSuccess {Number}   searcher.transaction_count   Number of bundle transactions
+   * @apiSuccess {Number}   searcher.gas_used   Total gas used by bundle transactions
+   * @apiSuccess {String}   searcher.eth_sent_to_fee_recipient   Total ETH (in wei) transferred directly to fee recipients, not counting gas
+   * @apiSuccess {String}   searcher.fee_recipient_eth_diff   Total ETH (in wei) paid to fee recipients, including gas and direct transfers
+   * @apiSuccess {Object[]} timeseries   Totals per period, most recent first, with the fields of searcher from block_count on
+   * @apiSuccess {String}   timeseries.period   Start of the period
+   * @apiSuccess {Object[]} contracts   Totals per to address, most transactions first
+   * @apiSuccess {String}   contracts.to_address   The address the transactions were sent to, null for contract creations
+   * @apiSuccess {Number}   contracts.first_block_number   First block with a transaction to the address
+   * @apiSuccess {Number}   contracts.last_block_number   Last block with a transaction to the address
+   * @apiSuccess {Number}   contracts.transaction_count   Number of transactions to the address
+   * @apiSuccess {Number}   contracts.gas_used   Gas used by transactions to the address
+   * @apiSuccess {String}   contracts.eth_sent_to_fee_recipient   ETH (in wei) transferred directly to fee recipients by transactions to the address
+   * @apiSuccess {String}   contracts.fee_recipient_eth_diff   ETH (in wei) paid to fee recipients by transactions to the address
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "searcher": {
+      "eoa_address": "0xD1c1E70325E89bf7d6440Fe9D10802186B21672d",
+      "first_block_number": 12006597,
+      "last_block_number": 15539210,
+      "first_seen_at": "2021-03-09T12:04:12.000Z",
+      "last_seen_at": "2022-09-15T09:21:47.000Z",
+      "block_count": 1822,
+      "bundle_count": 1903,
+      "transaction_count": 2411,
+      "gas_used": 301948221,
+      "eth_sent_to_fee_recipient": "412938447214000000000",
+      "fee_recipient_eth_diff": "451029384712000000000"
+    },
+    "timeseries": [
+      {
+        "period": "2022-09-15T00:00:00.000Z",
+        "block_count": 12,
+        "bundle_count": 12,
+        "transaction_count": 14,
+        "gas_used": 1739012,
+        "eth_sent_to_fee_recipient": "2184000000000000000",
+        "fee_recipient_eth_diff": "2310937000000000000"
+      }
+    ],
+    "contracts": [
+      {
+        "to_address": "0xa57Bd00134B2850B2a1c55860c9e9ea100fDd6CF",
+        "first_block_number": 12006597,
+        "last_block_number": 15539210,
+        "transaction_count": 2398,
+        "gas_used": 300122871,
+        "eth_sent_to_fee_recipient": "412938447214000000000",
+        "fee_recipient_eth_diff": "450977112712000000000"
+      }
+    ],
+    "latest_block_number": 15540000
+  }
+   */
+  v1.get(
+    '/v1/searchers/:address',
+    {
+      summary: 'Get searcher profile',
+      params: [PARAMS.address('Address of the searcher'), PARAMS.interval, ...statsParams],
+      response: ref('V1SearcherResponse'),
+      errors: { 404: 'The address did not send bundle transactions' }
+    },
+    async (req, res) => {
+      try {
+        const { address, error, param } = parseAddress(req.params.address)
+        if (error) {
+          sendInvalidParam(res, error, param)
+          return
+        }
+        const params = parseParams(req.query, parseLimit, parseBundleType, parseInterval)
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+
+        const range = await parseBlockRange(sql, req.query)
+        if (range.error) {
+          sendInvalidParam(res, range.error, range.param)
+          return
+        }
+
+        const latestBlock = await cache.latestBlock()
+        const query = { ...params, address, range }
+        const profile = await cache.query('searcher', query, latestBlock, () => getSearcherProfile(sql, mergeBlockNumber, query))
+        if (profile.searcher.transaction_count === 0) {
+          res.status(404)
+          res.json({ error: `no bundle transactions from searcher: ${address}` })
+          return
+        }
+        cache.setHeaders(res, latestBlock, query.range)
+        res.json({ ...profile, latest_block_number: latestBlock && latestBlock.block_number })
+      } catch (error) {
+        logError('unhandled error in /searchers/:address', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/fee_recipients Get fee recipients
+   * @apiVersion 1.0.0
+   * @apiGroup Stats
+   * @apiDescription Returns every fee recipient paid by flashbots blocks, the builders after the merge and the miners before it, ordered by their number of flashbots blocks and then by address. Pages of `limit` fee recipients are followed with `next_cursor`.
+   *
+   * @apiUse StatsParams
+   * @apiParam (Query string) {String}   [cursor]  Return fee recipients following this cursor, taken from `next_cursor` of a previous response
+   * @apiUse StatsTotals
+   * @apiSuccess {Object[]} fee_recipients   Totals per fee recipient, the fields above are repeated for each fee recipient
+   * @apiSuccess {String}   fee_recipients.fee_recipient   The fee recipient's address
+   * @apiSuccess {String}   next_cursor   Pass as `cursor` to fetch the next page, null when there are no more fee recipients
+   */
+  v1.get(
+    '/v1/fee_recipients',
+    { summary: 'Get fee recipients', params: [...statsParams, PARAMS.cursor], response: ref('V1FeeRecipientsResponse') },
+    statsHandler('fee_recipients', { groupBy: 'fee_recipient', orderBy: 'block_count', paged: true })
+  )
+
+  function feeRecipientHandler(path, parseAddresses, send) {
+    return async (req, res) => {
+      try {
+        const params = parseParams(req.query, () => parseAddresses(req), parseLimit, parseBundleType, parseInterval)
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+
+        const range = await parseBlockRange(sql, req.query)
+        if (range.error) {
+          sendInvalidParam(res, range.error, range.param)
+          return
+        }
+
+        const latestBlock = await cache.latestBlock()
+        const query = { ...params, range }
+        const profiles = await cache.query('fee_recipients', query, latestBlock, () =>
+          getFeeRecipientProfiles(sql, mergeBlockNumber, query)
+        )
+        cache.setHeaders(res, latestBlock, query.range)
+        send(res, profiles, latestBlock && latestBlock.block_number)
+      } catch (error) {
+        logError(`unhandled error in ${path}`, error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  }
+
+  /**
+   * @apiDefine FeeRecipientProfile
+   * @apiParam (Query string) {String="hour","day","week"}   [interval=day]  Length of each period of the timeseries
+   * @apiUse StatsParams
+   * @apiSuccess {Object}   fee_recipient   Totals of the fee recipient
+   * @apiSuccess {String}   fee_recipient.fee_recipient   The fee recipient's address
+   * @apiSuccess {Number}   fee_recipient.first_block_number   First flashbots block that paid the fee recipient
+   * @apiSuccess {Number}   fee_recipient.last_block_number   Last flashbots block that paid the fee recipient
+   * @apiSuccess {Number}   fee_recipient.block_count   Number of flashbots blocks
+   * @apiSuccess {Number}   fee_recipient.bundle_count   Number of bundles
+   * @apiSuccess {Number}   fee_recipient.transaction_count   Number of bundle transactions
+   * @apiSuccess {Number}   fee_recipient.gas_used   Total gas used by bundle transactions
+   * @apiSuccess {String}   fee_recipient.eth_sent_to_fee_recipient   Total ETH (in wei) transferred directly to the fee recipient, not counting gas
+   * @apiSuccess {String}   fee_recipient.fee_recipient_eth_diff   Total ETH (in wei) paid to the fee recipient, including gas and direct transfers
+   * @apiSuccess {Number}   fee_recipient.average_bundles_per_block   bundle_count / block_count, null without blocks
+   * @apiSuccess {Object[]} timeseries   Totals per period, most recent first, with the fields of fee_recipient from block_count on
+   * @apiSuccess {String}   timeseries.period   Start of the period
+   * @apiSuccess {Number}   timeseries.flashbots_block_count   Number of flashbots blocks in the period, paying any fee recipient
+   * @apiSuccess {Number}   timeseries.block_share   Fraction of the flashbots blocks of the period that paid the fee recipient
+   * @apiSuccess {Object[]} searchers   Totals per sender of the bundle transactions that paid the fee recipient the most, with the fields of fee_recipient from block_count on
+   * @apiSuccess {String}   searchers.eoa_address   Address of the externally owned account that sent the transactions
+   */
+
+  /**
+   * @api {get} /v1/fee_recipients/compare Compare fee recipients
+   * @apiVersion 1.0.0
+   * @apiGroup Stats
+   * @apiDescription Returns the profiles of several fee recipients side by side, see /v1/fee_recipients/:address. Fee recipients without flashbots blocks have zero totals.
+   * @apiParam (Query string) {String}   addresses  Comma separated list of 2 to 10 addresses
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object[]} fee_recipients   Profiles in the order of addresses, with the fields of /v1/fee_recipients/:address
+   */
+  v1.get(
+    '/v1/fee_recipients/compare',
+    {
+      summary: 'Compare fee recipients',
+      params: [{ ...PARAMS.addresses, required: true }, PARAMS.interval, ...statsParams],
+      response: ref('V1FeeRecipientComparisonResponse')
+    },
+    feeRecipientHandler(
+      '/fee_recipients/compare',
+      (req) => parseComparedAddresses(req.query),
+      (res, profiles, latestBlockNumber) => res.json({ fee_recipients: profiles, latest_block_number: latestBlockNumber })
+    )
+  )
+
+  /**
+   * @api {get} /v1/fee_recipients/:address Get fee recipient profile
+   * @apiVersion 1.0.0
+   * @apiGroup Stats
+   * @apiDescription Returns the flashbots blocks that paid a fee recipient, from before and after the merge: its totals, its share of all flashbots blocks over time and the searchers that paid it the most. Before the merge the fee recipient is the miner. Returns 404 if no flashbots block within the block range paid the address.
+   * @apiParam (Path parameter) {String}   address  Address of the fee recipient
+   *
+   * @apiUse FeeRecipientProfile
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "fee_recipient": {
+      "fee_recipient": "0xDAFEA492D9c6733ae3d56b7Ed1ADB60692c98Bc5",
+      "first_block_number": 15537394,
+      "last_block_number": 15539990,
+      "block_count": 412,
+      "bundle_count": 2810,
+      "transaction_count": 5121,
+      "gas_used": 3021938123,
+      "eth_sent_to_fee_recipient": "40912389120000000000",
+      "fee_recipient_eth_diff": "61239810239000000000",
+      "average_bundles_per_block": 6.820388
+    },
+    "timeseries": [
+      {
+        "period": "2022-09-15T00:00:00.000Z",
+        "flashbots_block_count": 1730,
+        "block_count": 412,
+        "block_share": 0.238150,
+        "bundle_count": 2810,
+        "transaction_count": 5121,
+        "gas_used": 3021938123,
+        "eth_sent_to_fee_recipient": "40912389120000000000",
+        "fee_recipient_eth_diff": "61239810239000000000"
+      }
+    ],
+    "searchers": [
+      {
+        "eoa_address": "0xD1c1E70325E89bf7d6440Fe9D10802186B21672d",
+        "block_count": 210,
+        "bundle_count": 233,
+        "transaction_count": 301,
+        "gas_used": 40129382,
+        "eth_sent_to_fee_recipient": "12039128000000000000",
+        "fee_recipient_eth_diff": "13102938100000000000"
+      }
+    ],
+    "latest_block_number": 15540000
+  }
+   */
+  v1.get(
+    '/v1/fee_recipients/:address',
+    {
+      summary: 'Get fee recipient profile',
+      params: [PARAMS.address('Address of the fee recipient'), PARAMS.interval, ...statsParams],
+      response: ref('V1FeeRecipientResponse'),
+      errors: { 404: 'No flashbots block paid the address' }
+    },
+    feeRecipientHandler(
+      '/fee_recipients/:address',
+      (req) => {
+        const { address, error, param } = parseAddress(req.params.address)
+        return error ? { error, param } : { addresses: [address] }
+      },
+      (res, [profile], latestBlockNumber) => {
+        if (profile.fee_recipient.block_count === 0) {
+          res.status(404)
+          res.json({ error: `no flashbots blocks paid fee recipient: ${profile.fee_recipient.fee_recipient}` })
+          return
+        }
+        res.json({ ...profile, latest_block_number: latestBlockNumber })
+      }
+    )
+  )
+
+  /**
+   * @api {get} /v1/labels Get address labels
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns labels of known addresses, such as builders, searchers, DEX routers and relayers, in order of address. Labels are attached inline to /v1/blocks, /v1/transactions and /v1/bundle/:id with `enrich=labels`.
+   *
+   * @apiParam (Query string) {String="builder","searcher","dex_router","relayer","miner","contract","other"}   [category]  Only labels of this category
+   * @apiParam (Query string) {String}   [tag]  Only labels with this tag
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of labels that are returned
+   *
+   * @apiSuccess {Object[]} labels       List of labels
+   * @apiSuccess {String}   labels.address   Checksummed address
+   * @apiSuccess {String}   labels.name   Name of the address
+   * @apiSuccess {String}   labels.category   One of builder, searcher, dex_router, relayer, miner, contract or other
+   * @apiSuccess {String[]} labels.tags   Lowercase tags
+   * @apiSuccess {String}   labels.updated_at   When the label was last changed
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "labels": [
+      {
+        "address": "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+        "name": "Uniswap V2: Router 2",
+        "category": "dex_router",
+        "tags": ["uniswap"],
+        "updated_at": "2022-09-15T00:00:00.000Z"
+      }
+    ]
+  }
+   */
+  v1.get(
+    '/v1/labels',
+    {
+      summary: 'Get address labels',
+      params: [PARAMS.category, PARAMS.tag, PARAMS.limit],
+      response: ref('V1LabelsResponse')
+    },
+    async (req, res) => {
+      try {
+        const params = parseParams(req.query, parseLimit, parseLabelFilters)
+        if (params.error) {
+          sendInvalidParam(res, params.error, params.param)
+          return
+        }
+        res.json({ labels: await listLabels(sql, params) })
+      } catch (error) {
+        logError('unhandled error in /labels', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/labels/:address Get the label of an address
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns the label of an address, see /v1/labels. Returns 404 if the address has no label.
+   * @apiParam (Path parameter) {String}   address  Address
+   *
+   * @apiSuccess {Object}   label   The label, with the fields of /v1/labels
+   */
+  v1.get(
+    '/v1/labels/:address',
+    {
+      summary: 'Get the label of an address',
+      params: [PARAMS.address('Address')],
+      response: ref('V1LabelResponse'),
+      errors: { 404: 'The address has no label' }
+    },
+    async (req, res) => {
+      try {
+        const { address, error, param } = parseAddress(req.params.address)
+        if (error) {
+          sendInvalidParam(res, error, param)
+          return
+        }
+        const label = await getLabel(sql, address)
+        if (!label) {
+          res.status(404)
+          res.json({ error: `no label for address: ${address}` })
+          return
+        }
+        res.json({ label })
+      } catch (error) {
+        logError('unhandled error in /labels/:address', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {put} /v1/labels/:address Set the label of an address
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Creates or replaces the label of an address. Requires an api key of a tier with `admin` set.
+   * @apiParam (Path parameter) {String}   address  Address
+   * @apiParam (Request body) {String{1-100}}   name   Name of the address
+   * @apiParam (Request body) {String="builder","searcher","dex_router","relayer","miner","contract","other"}   category   What the address is
+   * @apiParam (Request body) {String[]}   [tags]   Up to 20 tags of lowercase letters, digits, _, . and -
+   *
+   * @apiSuccess {Object}   label   The label, with the fields of /v1/labels
+   * @apiExample {curl} Example usage:
+   * curl -X PUT -H 'X-API-Key: <key>' -H 'Content-Type: application/json' -d '{"name": "Uniswap V2: Router 2", "category": "dex_router", "tags": ["uniswap"]}' https://blocks.flashbots.net/v1/labels/0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D
+   */
+  v1.put(
+    '/v1/labels/:address',
+    {
+      summary: 'Set the label of an address',
+      description: 'Requires an api key of an admin tier',
+      params: [PARAMS.address('Address')],
+      body: ref('LabelBody'),
+      response: ref('V1LabelResponse'),
+      errors: { 403: 'The api key is not of an admin tier' }
+    },
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const { address, error, param } = parseAddress(req.params.address)
+        if (error) {
+          sendInvalidParam(res, error, param)
+          return
+        }
+        const label = parseLabel(req.body)
+        if (label.error) {
+          sendInvalidParam(res, label.error, label.param)
+          return
+        }
+        res.json({ label: await putLabel(sql, address, label) })
+      } catch (error) {
+        logError('unhandled error in PUT /labels/:address', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {delete} /v1/labels/:address Delete the label of an address
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Deletes the label of an address, returning it. Requires an api key of a tier with `admin` set. Returns 404 if the address has no label.
+   * @apiParam (Path parameter) {String}   address  Address
+   *
+   * @apiSuccess {Object}   label   The deleted label, with the fields of /v1/labels
+   */
+  v1.delete(
+    '/v1/labels/:address',
+    {
+      summary: 'Delete the label of an address',
+      description: 'Requires an api key of an admin tier',
+      params: [PARAMS.address('Address')],
+      response: ref('V1LabelResponse'),
+      errors: { 403: 'The api key is not of an admin tier', 404: 'The address has no label' }
+    },
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const { address, error, param } = parseAddress(req.params.address)
+        if (error) {
+          sendInvalidParam(res, error, param)
+          return
+        }
+        const label = await deleteLabel(sql, address)
+        if (!label) {
+          res.status(404)
+          res.json({ error: `no label for address: ${address}` })
+          return
+        }
+        res.json({ label })
+      } catch (error) {
+        logError('unhandled error in DELETE /labels/:address', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {get} /v1/usage Usage of an api key
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription Returns the limits of the api key the request is made with, and how many requests it made this minute and on each of the last 30 days (UTC). The key is passed in the `X-API-Key` header or the `api_key` query param, the same as for every other endpoint.
+   *
+   * @apiSuccess {String}   name   Name of the api key
+   * @apiSuccess {String}   tier   Tier of the api key
+   * @apiSuccess {Object}   limits   Limits of the tier
+   * @apiSuccess {Number}   limits.per_minute   Requests allowed per minute
+   * @apiSuccess {Number}   limits.per_day   Requests allowed per day (UTC), null if unlimited
+   * @apiSuccess {Number}   limits.max_limit   Largest `limit` param allowed
+   * @apiSuccess {Boolean}  limits.export   Whether the export endpoints and historical dumps are available
+   * @apiSuccess {Object}   usage   Requests made with the api key, including rejected ones
+   * @apiSuccess {Number}   usage.minute   Requests made this minute
+   * @apiSuccess {Number}   usage.today   Requests made today
+   * @apiSuccess {Object[]} usage.days   Requests made per day, most recent first
+   * @apiSuccess {String}   usage.days.date   The day, as YYYY-MM-DD
+   * @apiSuccess {Number}   usage.days.requests   Requests made on that day
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+  {
+    "name": "explorer",
+    "tier": "partner",
+    "limits": { "per_minute": 3000, "per_day": null, "max_limit": 10000, "export": true },
+    "usage": {
+      "minute": 12,
+      "today": 4100,
+      "days": [{ "date": "2022-09-15", "requests": 4100 }, { "date": "2022-09-14", "requests": 51200 }]
+    }
+  }
+   */
+  v1.get(
+    '/v1/usage',
+    {
+      summary: 'Get api key usage',
+      response: ref('V1UsageResponse'),
+      errors: { 401: 'The request was made without an api key, or with an invalid one' }
+    },
+    async (req, res) => {
+      try {
+        if (!req.apiKey) {
+          res.status(401)
+          res.json({ error: 'an api key is required, in the X-API-Key header or the api_key param' })
+          return
+        }
+        const { name, tier } = req.apiKey
+        res.json({ name, tier, limits: req.tier, usage: await getUsage(counters, req.apiKey) })
+      } catch (error) {
+        logError('unhandled error in /usage', error)
+        Sentry.captureException(error)
+        res.status(500)
+        res.end('Internal Server Error')
+      }
+    }
+  )
+
+  /**
+   * @api {post} /graphql GraphQL
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription GraphQL endpoint over flashbots blocks, bundles, transactions and fee recipients, from both before and after the merge. Accepts GET and POST requests following the GraphQL over HTTP spec, the schema can be introspected.
+   * Lists are connections paged with `first` and `after`, and take the filters of the matching REST endpoints.
+   * Queries nest fields at most 12 levels deep, and read at most 10000 rows: the `first` of each connection, multiplied by the `first` of the connections it is nested in.
+   * @apiExample {curl} Example usage:
+   * curl -X POST -H 'Content-Type: application/json' -d '{"query": "{ blocks(first: 2) { edges { node { number bundles { transactions { hash from } } } } } }"}' https://blocks.flashbots.net/graphql
+   */
+  app.all(
+    '/graphql',
+    createHandler({
+      schema,
+      context: (req) => createContext(sql, mergeBlockNumber, { apiKey: req.raw.apiKey, tier: req.raw.tier }),
+      validationRules: (req, args, specifiedRules) => [...specifiedRules, limitQueries(args.variableValues)],
+      formatError: (error) => {
+        // errors that are not GraphQLErrors are unexpected, their details are not sent to the client
+        if (error instanceof GraphQLError && error.originalError && !(error.originalError instanceof GraphQLError)) {
+          logError('unhandled error in /graphql', error.originalError)
+          Sentry.captureException(error.originalError)
+          return new GraphQLError('Internal Server Error', { nodes: error.nodes, path: error.path })
+        }
+        return error
+      }
+    })
+  )
+
+  /**
+   * @api {get} /openapi.json OpenAPI document
+   * @apiVersion 1.0.0
+   * @apiGroup Flashbots
+   * @apiDescription The OpenAPI 3 document of the /v1 and /v2 endpoints, generated from the same schemas requests are validated against.
+   */
+  app.get('/openapi.json', (req, res) => {
+    res.json(api.document())
+  })
+
+  app.use('/v2', createV2Router(sql, mergeBlockNumber, api, cache, { bundleTxLimit, counters, exportLimit, metrics }))
+
+  app.use(express.static('apidoc'))
+
+  // Browsers send the Origin of websockets without enforcing cors on them, so the origins cors allows are checked here.
+  // Pages served by the api itself are of the same origin.
+  const allowedOrigin = (req) => {
+    const origin = req.headers.origin
+    return !origin || corsOrigins.includes(origin) || origin.replace(/^https?:\/\//, '') === req.headers.host
+  }
+
+  // The websocket variant of /v1/stream, on the same path. Upgrades do not pass through the express middleware, so api
+  // keys, rate limits and cors are checked before the handshake.
+  const webSocketServer = new WebSocketServer({ noServer: true })
+  app.upgrade = async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (url.pathname !== '/v1/stream') {
+      socket.destroy()
+      return
+    }
+    if (!allowedOrigin(req)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n')
+      return
+    }
+    if (!(await accessControl.upgrade(req, socket, url))) {
+      return
+    }
+    webSocketServer.handleUpgrade(req, socket, head, async (ws) => {
+      try {
+        const params = parseStreamParams(Object.fromEntries(url.searchParams))
+        if (params.error) {
+          ws.send(JSON.stringify({ error: params.error }))
+          ws.close(1008)
+          return
+        }
+        const unsubscribe = await blockFeed.subscribe(params, (block) => ws.send(JSON.stringify(toV1Block(block, mergeBlockNumber))))
+        if (unsubscribe.error) {
+          ws.send(JSON.stringify({ error: unsubscribe.error }))
+          ws.close(1008)
+          return
+        }
+        if (ws.readyState !== ws.OPEN) {
+          unsubscribe()
+          return
+        }
+        const close = () => ws.close(1001, 'Server shutting down')
+        streams.add(close)
+        ws.on('close', () => {
+          streams.delete(close)
+          unsubscribe()
+        })
+      } catch (error) {
+        logError('unhandled error in /stream websocket', error)
+        Sentry.captureException(error)
+        ws.close(1011, 'Internal Server Error')
+      }
+    })
+  }
+
+  app.closeStreams = () => {
+    for (const close of streams) {
+      close()
+    }
+  }
+
+  return app
+}
+
+/**
+ * Serves app, including its websockets, on port, 0 picks a free port. Resolves once it is listening to the http server
+ * and a drain function for shutting it down.
+ *
+ * drain(timeout) stops accepting connections, ends the open streams, closes idle connections and those whose requests
+ * finish, then resolves once every connection is closed. Connections still open after timeout milliseconds are destroyed.
+ */
+export async function serve(app, { port }) {
+  const server = http.createServer()
+
+  // the responses in progress on each connection, idle connections are closed right away when draining
+  const connections = new Map()
+  let draining = false
+  server.on('connection', (socket) => {
+    connections.set(socket, new Set())
+    socket.on('close', () => connections.delete(socket))
+  })
+  server.on('request', (req, res) => {
+    const responses = connections.get(req.socket)
+    responses.add(res)
+    if (draining) {
+      res.setHeader('Connection', 'close')
+    }
+    res.on('finish', () => {
+      responses.delete(res)
+      if (draining && responses.size === 0) {
+        req.socket.end()
+      }
+    })
+  })
+  server.on('request', app)
+  server.on('upgrade', app.upgrade)
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, resolve)
+  })
+
+  const drain = (timeout) =>
+    new Promise((resolve) => {
+      draining = true
+      const timer = setTimeout(() => {
+        for (const socket of connections.keys()) {
+          socket.destroy()
+        }
+      }, timeout)
+      server.close(() => {
+        clearTimeout(timer)
+        resolve()
+      })
+      app.closeStreams()
+      for (const [socket, responses] of connections) {
+        if (responses.size === 0) {
+          socket.end()
+        }
+        // clients should not send further requests on connections that are about to close
+        for (const res of responses) {
+          if (!res.headersSent) {
+            res.setHeader('Connection', 'close')
+          }
+        }
+      }
+    })
+
+  return { server, drain }
+}
@@ -0,0 +1,159 @@
+import Sentry from '@sentry/node'
+import _ from 'lodash'
+import { getLatestBlock } from './history.js'
+import { logError } from './log.js'
+
+const LATEST_BLOCK_KEY = 'latest_block'
+
+/**
+ * An in-process store keeping up to maxEntries values, evicting the least recently used first. Like the redis store, values
+ * are strings and expire after ttl milliseconds, and counters expire ttl milliseconds after they were first incremented.
+ */
+export function createMemoryStore({ maxEntries }) {
+  const entries = new Map()
+
+  // Returns the entry of key unless it expired, as the most recently used
+  function lookup(key) {
+    const entry = entries.get(key)
+    if (!entry) {
+      return undefined
+    }
+    entries.delete(key)
+    if (entry.expiresAt <= Date.now()) {
+      return undefined
+    }
+    entries.set(key, entry)
+    return entry
+  }
+
+  function insert(key, entry) {
+    entries.delete(key)
+    entries.set(key, entry)
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value)
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = lookup(key)
+      return entry && entry.value
+    },
+
+    async set(key, value, ttl) {
+      insert(key, { value, expiresAt: Date.now() + ttl })
+    },
+
+    async increment(key, ttl) {
+      const entry = lookup(key) || { value: '0', expiresAt: Date.now() + ttl }
+      const count = Number(entry.value) + 1
+      insert(key, { ...entry, value: String(count) })
+      return count
+    }
+  }
+}
+
+/**
+ * A store shared between processes through a redis-compatible client, such as ioredis. Only get, set with PX, incr and
+ * pexpire are used, so tests can pass an in-memory stand-in.
+ */
+export function createRedisStore(redis, { prefix = 'mev-blocks:' } = {}) {
+  return {
+    async get(key) {
+      const value = await redis.get(prefix + key)
+      return value === null ? undefined : value
+    },
+
+    async set(key, value, ttl) {
+      await redis.set(prefix + key, value, 'PX', ttl)
+    },
+
+    async increment(key, ttl) {
+      const count = await redis.incr(prefix + key)
+      if (count === 1) {
+        await redis.pexpire(prefix + key, ttl)
+      }
+      return count
+    }
+  }
+}
+
+// Cache keys are independent of the order of params, e.g. of the query string they were parsed from
+function normalize(value) {
+  if (_.isPlainObject(value)) {
+    return _.fromPairs(_.sortBy(_.toPairs(_.omitBy(value, _.isUndefined)), 0).map(([key, nested]) => [key, normalize(nested)]))
+  }
+  return Array.isArray(value) ? value.map(normalize) : value
+}
+
+/**
+ * Caches query results in store, as json. The latest block and results of ranges that reach within finalityDepth blocks of
+ * it are kept for ttl seconds, results of older ranges can no longer change and are kept for finalizedTtl seconds. Hits and
+ * misses are counted in metrics when given, see metrics.js.
+ */
+export function createCache(sql, store, { ttl, finalizedTtl, finalityDepth, metrics }) {
+  const count = (name, result) => metrics && metrics.cacheRequests.inc({ cache: name, result })
+
+  // the store is only an optimization, requests are answered from the database while it is unavailable
+  async function cached(name, key, seconds, fetch) {
+    if (seconds > 0) {
+      try {
+        const value = await store.get(key)
+        count(name, value === undefined ? 'miss' : 'hit')
+        if (value !== undefined) {
+          return JSON.parse(value)
+        }
+      } catch (error) {
+        logError(`error reading ${key} from the cache`, error)
+        Sentry.captureException(error)
+      }
+    }
+
+    const result = await fetch()
+    if (seconds > 0) {
+      try {
+        await store.set(key, JSON.stringify(result), seconds * 1000)
+      } catch (error) {
+        logError(`error writing ${key} to the cache`, error)
+        Sentry.captureException(error)
+      }
+    }
+    return result
+  }
+
+  const isFinalized = (range, latestBlock) =>
+    latestBlock !== null && range.highest !== null && range.highest <= latestBlock.block_number - finalityDepth
+
+  return {
+    /**
+     * Returns the latest block as { block_number, block_timestamp }, or null if there are no blocks yet
+     */
+    latestBlock() {
+      return cached(LATEST_BLOCK_KEY, LATEST_BLOCK_KEY, ttl, () => getLatestBlock(sql))
+    },
+
+    /**
+     * Returns the result of fetch for params, which include the block range of the query, as of latestBlock
+     */
+    query(name, params, latestBlock, fetch) {
+      const key = `${name}:${JSON.stringify(normalize(params))}`
+      if (isFinalized(params.range, latestBlock)) {
+        return cached(name, key, finalizedTtl, fetch)
+      }
+      // results that can still change are only reused until the next block, so they agree with latest_block_number
+      return cached(name, `${key}@${latestBlock && latestBlock.block_number}`, ttl, fetch)
+    },
+
+    /**
+     * Sets the headers of a response for the block range range that is current as of latestBlock. Conditional requests
+     * get a 304 from express when the response is sent.
+     */
+    setHeaders(res, latestBlock, range) {
+      if (latestBlock) {
+        res.set('Last-Modified', new Date(latestBlock.block_timestamp).toUTCString())
+      }
+      // responses for finalized ranges can only change in their latest_block_number, so they are cached as long as the results
+      res.set('Cache-Control', `public, max-age=${isFinalized(range, latestBlock) ? finalizedTtl : ttl}`)
+    }
+  }
+}
@@ -0,0 +1,101 @@
+import _ from 'lodash'
+
+function sumWei(rows, name) {
+  return _.reduce(rows, (sum, row) => sum + BigInt(row[name]), 0n).toString()
+}
+
+/**
+ * Rebuilds the bundles of a block from its transactions the way the bundle queries aggregate them, in block order
+ */
+export function bundlesOfBlock(block) {
+  return _.map(_.groupBy(block.transactions, 'bundle_index'), (transactions) => {
+    const gasUsed = _.sumBy(transactions, 'gas_used')
+    const feeRecipientEthDiff = sumWei(transactions, 'fee_recipient_eth_diff')
+    return {
+      block_number: block.block_number,
+      bundle_index: transactions[0].bundle_index,
+      bundle_type: transactions[0].bundle_type,
+      eth_sent_to_fee_recipient: sumWei(transactions, 'eth_sent_to_fee_recipient'),
+      fee_recipient_eth_diff: feeRecipientEthDiff,
+      gas_used: gasUsed,
+      gas_price: gasUsed > 0 ? (BigInt(feeRecipientEthDiff) / BigInt(gasUsed)).toString() : '0',
+      is_megabundle: _.some(transactions, 'is_megabundle'),
+      transactions
+    }
+  })
+}
+
+// The fraction of a block's value that value is, null for blocks that paid their fee recipient nothing
+function shareOf(value, total) {
+  return BigInt(total) === 0n ? null : _.round(Number(value) / Number(total), 6)
+}
+
+// Runs of consecutive mempool bundles, placed before, between or after the flashbots bundles of the block
+function mempoolGaps(bundles) {
+  const flashbotsIndexes = _.map(_.reject(bundles, { bundle_type: 'mempool' }), 'bundle_index')
+  const runs = []
+  let previous
+  for (const bundle of bundles) {
+    if (bundle.bundle_type === 'mempool') {
+      if (!previous || previous.bundle_type !== 'mempool') {
+        runs.push([])
+      }
+      _.last(runs).push(bundle)
+    }
+    previous = bundle
+  }
+
+  return runs.map((run) => {
+    const firstBundleIndex = _.first(run).bundle_index
+    const lastBundleIndex = _.last(run).bundle_index
+    let position = 'between'
+    if (flashbotsIndexes.length === 0 || lastBundleIndex < _.min(flashbotsIndexes)) {
+      position = 'leading'
+    } else if (firstBundleIndex > _.max(flashbotsIndexes)) {
+      position = 'trailing'
+    }
+    return {
+      first_bundle_index: firstBundleIndex,
+      last_bundle_index: lastBundleIndex,
+      position,
+      bundle_count: run.length,
+      transaction_count: _.sumBy(run, (bundle) => bundle.transactions.length),
+      gas_used: _.sumBy(run, 'gas_used'),
+      fee_recipient_eth_diff: sumWei(run, 'fee_recipient_eth_diff')
+    }
+  })
+}
+
+/**
+ * Breaks a block, as returned by getBlocks, down into its bundles. The value of a block is the fee_recipient_eth_diff of
+ * all of its bundle transactions, mempool ones included, as transactions outside of bundles are not recorded.
+ */
+export function blockComposition(block) {
+  const bundles = bundlesOfBlock(block)
+  const flashbotsBundles = _.reject(bundles, { bundle_type: 'mempool' })
+  const flashbotsEthDiff = sumWei(flashbotsBundles, 'fee_recipient_eth_diff')
+
+  return {
+    block: {
+      block_number: block.block_number,
+      fee_recipient: block.fee_recipient,
+      eth_sent_to_fee_recipient: block.eth_sent_to_fee_recipient,
+      fee_recipient_eth_diff: block.fee_recipient_eth_diff,
+      gas_used: block.gas_used,
+      gas_price: block.gas_price,
+      bundle_count: bundles.length,
+      flashbots_bundle_count: flashbotsBundles.length,
+      mempool_bundle_count: bundles.length - flashbotsBundles.length,
+      transaction_count: block.transactions.length,
+      flashbots_fee_recipient_eth_diff: flashbotsEthDiff,
+      flashbots_share_of_block_value: shareOf(flashbotsEthDiff, block.fee_recipient_eth_diff),
+      mempool_gaps: mempoolGaps(bundles)
+    },
+    bundles: bundles.map(({ transactions, ...bundle }) => ({
+      ...bundle,
+      transaction_count: transactions.length,
+      share_of_block_value: shareOf(bundle.fee_recipient_eth_diff, block.fee_recipient_eth_diff),
+      transactions
+    }))
+  }
+}
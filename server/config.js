@@ -0,0 +1,157 @@
+import Ajv from 'ajv'
+import fs from 'fs'
+import _ from 'lodash'
+import { MAX_LIMIT } from './params.js'
+
+// Limits missing from a tier take these defaults, a per_day of null is unlimited. The tier named anonymous applies to
+// requests without an api key, by default it only limits requests per minute, to RATE_LIMIT_PER_MINUTE.
+const TIER_SCHEMA = {
+  type: 'object',
+  properties: {
+    per_minute: { type: 'integer', minimum: 1, default: 60 },
+    per_day: { type: ['integer', 'null'], minimum: 1, default: null },
+    max_limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: MAX_LIMIT },
+    export: { type: 'boolean', default: true },
+    admin: { type: 'boolean', default: false }
+  },
+  additionalProperties: false
+}
+
+// Each option is read from its environment variable, or from the json file named by CONFIG_FILE under the lowercased
+// name of the variable, e.g. { "merge_block_number": 15537394 }. The environment takes precedence over the file.
+const OPTIONS = {
+  postgresDsn: { env: 'POSTGRES_DSN', schema: { type: 'string', minLength: 1 }, expected: 'a postgres connection string' },
+  port: { env: 'PORT', schema: { type: 'integer', minimum: 0, maximum: 65535, default: 31080 }, expected: 'a port number' },
+  mergeBlockNumber: {
+    env: 'MERGE_BLOCK_NUMBER',
+    schema: { type: 'integer', minimum: 1, default: 1 },
+    expected: 'the first block number after the merge'
+  },
+  bundleTxLimit: { env: 'BUNDLE_TX_LIMIT', schema: { type: 'integer', minimum: 1, default: 75 }, expected: 'a positive number' },
+  dumpBaseUrl: {
+    env: 'DUMP_BASE_URL',
+    schema: { type: 'string', pattern: '^https?://', default: 'https://blocks-api.s3.us-east-2.amazonaws.com' },
+    expected: 'an http(s) url'
+  },
+  dumpManifestTtl: { env: 'DUMP_MANIFEST_TTL', schema: { type: 'integer', minimum: 0, default: 60 }, expected: 'a number of seconds' },
+  maxExports: { env: 'MAX_EXPORTS', schema: { type: 'integer', minimum: 1, default: 3 }, expected: 'a positive number' },
+  streamPollInterval: { env: 'STREAM_POLL_INTERVAL', schema: { type: 'integer', minimum: 1, default: 2 }, expected: 'a number of seconds' },
+  rateLimitPerMinute: {
+    env: 'RATE_LIMIT_PER_MINUTE',
+    schema: { type: 'integer', minimum: 1, default: 60 },
+    expected: 'a number of requests'
+  },
+  tiers: {
+    env: 'TIERS',
+    schema: {
+      type: 'object',
+      additionalProperties: TIER_SCHEMA,
+      default: {
+        standard: { per_minute: 300, per_day: 100000, max_limit: MAX_LIMIT, export: true, admin: false },
+        partner: { per_minute: 3000, per_day: null, max_limit: MAX_LIMIT, export: true, admin: false }
+      }
+    },
+    expected: 'a json object of tiers by name'
+  },
+  corsOrigins: {
+    env: 'CORS_ORIGINS',
+    schema: {
+      type: 'array',
+      items: { type: 'string' },
+      default: ['http://localhost:3000', 'https://flashbots-explorer.marto.lol', 'https://test--flashbots-explorer.netlify.app']
+    },
+    expected: 'a comma separated list of origins'
+  },
+  redisUrl: { env: 'REDIS_URL', schema: { type: 'string', pattern: '^rediss?://' }, expected: 'a redis url' },
+  cacheSize: { env: 'CACHE_SIZE', schema: { type: 'integer', minimum: 1, default: 1000 }, expected: 'a number of entries' },
+  cacheTtl: { env: 'CACHE_TTL', schema: { type: 'integer', minimum: 0, default: 2 }, expected: 'a number of seconds' },
+  finalizedCacheTtl: {
+    env: 'FINALIZED_CACHE_TTL',
+    schema: { type: 'integer', minimum: 0, default: 24 * 60 * 60 },
+    expected: 'a number of seconds'
+  },
+  finalityDepth: { env: 'FINALITY_DEPTH', schema: { type: 'integer', minimum: 0, default: 64 }, expected: 'a number of blocks' },
+  freshnessWindow: { env: 'FRESHNESS_WINDOW', schema: { type: 'integer', minimum: 1, default: 600 }, expected: 'a number of seconds' },
+  accessLog: { env: 'ACCESS_LOG', schema: { type: 'boolean', default: true }, expected: 'true or false' },
+  validateResponses: { env: 'VALIDATE_RESPONSES', schema: { type: 'boolean', default: false }, expected: 'true or false' },
+  sentryDsn: { env: 'SENTRY_DSN', schema: { type: 'string' }, expected: 'a sentry dsn' },
+  shutdownTimeout: { env: 'SHUTDOWN_TIMEOUT', schema: { type: 'integer', minimum: 0, default: 10 }, expected: 'a number of seconds' }
+}
+
+const ajv = new Ajv({ coerceTypes: true, useDefaults: true, allErrors: true })
+const validateConfig = ajv.compile({
+  type: 'object',
+  properties: _.mapValues(OPTIONS, 'schema'),
+  required: ['postgresDsn']
+})
+
+/**
+ * The config of an app without any options set, see createApp
+ */
+export const DEFAULT_CONFIG = _.omitBy(
+  _.mapValues(OPTIONS, (option) => option.schema.default),
+  _.isUndefined
+)
+
+function readFile(path) {
+  let file
+  try {
+    file = JSON.parse(fs.readFileSync(path, 'utf8'))
+  } catch (error) {
+    throw new Error(`could not read config file ${path}: ${error.message}`)
+  }
+  const unknown = _.difference(
+    _.keys(file),
+    _.map(OPTIONS, (option) => option.env.toLowerCase())
+  )
+  if (unknown.length > 0) {
+    throw new Error(`unknown options in config file ${path}: ${unknown.join(', ')}`)
+  }
+  return file
+}
+
+// Lists are comma separated in the environment, objects are json
+function readEnv(env, { env: name, schema }) {
+  const value = env[name]
+  if (value === undefined || value === '') {
+    return undefined
+  }
+  if (schema.type === 'object') {
+    try {
+      return JSON.parse(value)
+    } catch (error) {
+      // reported as invalid
+      return value
+    }
+  }
+  return schema.type === 'array' ? _.compact(_.map(value.split(','), _.trim)) : value
+}
+
+const formatValue = (value) => (_.isString(value) ? value : JSON.stringify(value))
+
+/**
+ * Reads the config from env and the json file named by CONFIG_FILE, filling in defaults. Throws an error describing every
+ * invalid or missing option.
+ */
+export function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE ? readFile(env.CONFIG_FILE) : {}
+  const config = _.omitBy(
+    _.mapValues(OPTIONS, (option) => {
+      const value = readEnv(env, option)
+      return value === undefined ? file[option.env.toLowerCase()] : value
+    }),
+    _.isUndefined
+  )
+
+  // validating coerces values and fills in defaults in place, errors show the values as they were given
+  const given = _.cloneDeep(config)
+  if (!validateConfig(config)) {
+    const problems = _.map(validateConfig.errors, (error) => {
+      const key = error.instancePath.split('/')[1] || error.params.missingProperty
+      const { env: name, expected } = OPTIONS[key]
+      return error.keyword === 'required' ? `missing ${name}` : `invalid ${name}, expected ${expected} but got: ${formatValue(given[key])}`
+    })
+    throw new Error(`invalid config: ${_.uniq(problems).join('; ')}`)
+  }
+  return config
+}
@@ -0,0 +1,140 @@
+import _ from 'lodash'
+
+// Cursors are opaque to clients, internally they are the position of the last returned row: [block_number, bundle_index, tx_index].
+// A cursor with only a block number means "everything before this block", which is what block-level endpoints use.
+
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function encodeCursor({ blockNumber, bundleIndex, txIndex }) {
+  // bigint columns are returned as strings
+  const position = _.map(bundleIndex === undefined ? [blockNumber] : [blockNumber, bundleIndex, txIndex], Number)
+  return toBase64Url(Buffer.from(JSON.stringify(position)))
+}
+
+// block numbers and indexes are bound to queries as postgres ints
+export const MAX_POSITION = 2147483647
+const isPosition = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_POSITION
+
+// Returns the array of integers encoded in cursor if it has one of lengths, or undefined
+function decodePosition(cursor, lengths) {
+  let position
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64').toString())
+  } catch (error) {
+    return undefined
+  }
+  if (!Array.isArray(position) || !lengths.includes(position.length) || !_.every(position, isPosition)) {
+    return undefined
+  }
+  return position
+}
+
+/**
+ * Returns the decoded cursor position, or undefined if the cursor is malformed.
+ */
+export function decodeCursor(cursor) {
+  const position = decodePosition(cursor, [1, 3])
+  if (!position) {
+    return undefined
+  }
+  const [blockNumber, bundleIndex, txIndex] = position
+  return { blockNumber, bundleIndex, txIndex }
+}
+
+/**
+ * Returns the inclusive block range of the rows following the cursor
+ */
+export function cursorRange(cursor) {
+  if (cursor.blockNumber === undefined) {
+    return { lowest: null, highest: null }
+  }
+  return { lowest: null, highest: cursor.bundleIndex === undefined ? cursor.blockNumber - 1 : cursor.blockNumber }
+}
+
+/**
+ * Returns the cursor positioned at row. Rows with a tx_index produce a tx-level cursor, so a page never drops the remainder
+ * of a partially returned block.
+ */
+export function rowCursor(row) {
+  if (row.tx_index === undefined) {
+    return encodeCursor({ blockNumber: row.block_number })
+  }
+  return encodeCursor({ blockNumber: row.block_number, bundleIndex: row.bundle_index, txIndex: row.tx_index })
+}
+
+/**
+ * Returns the cursor for the page following rows, or null if rows was not a full page.
+ */
+export function nextCursor(rows, limit) {
+  if (rows.length === 0 || rows.length < limit) {
+    return null
+  }
+  return rowCursor(_.last(rows))
+}
+
+// Bundle cursors are the position of the last returned bundle: [block_number, megabundle_id, bundle_index], with a
+// megabundle_id of 0 for bundles that were not part of a megabundle, which come first in their block.
+
+export function encodeBundleCursor({ blockNumber, megabundleId, bundleIndex }) {
+  return toBase64Url(Buffer.from(JSON.stringify(_.map([blockNumber, megabundleId || 0, bundleIndex], Number))))
+}
+
+/**
+ * Returns the decoded bundle cursor position, or undefined if the cursor is malformed.
+ */
+export function decodeBundleCursor(cursor) {
+  const position = decodePosition(cursor, [3])
+  if (!position) {
+    return undefined
+  }
+  const [blockNumber, megabundleId, bundleIndex] = position
+  return { blockNumber, megabundleId, bundleIndex }
+}
+
+/**
+ * Returns the cursor for the page of bundles following rows, or null if rows was not a full page.
+ */
+export function nextBundleCursor(rows, limit) {
+  if (rows.length === 0 || rows.length < limit) {
+    return null
+  }
+  const last = _.last(rows)
+  return encodeBundleCursor({ blockNumber: last.block_number, megabundleId: last.megabundle_id, bundleIndex: last.bundle_index })
+}
+
+// Fee recipient cursors are the position of the last returned fee recipient: [block_count, fee_recipient], as fee
+// recipients are listed by their number of blocks, and by address among those with as many.
+
+export function encodeFeeRecipientCursor({ blockCount, feeRecipient }) {
+  return toBase64Url(Buffer.from(JSON.stringify([Number(blockCount), feeRecipient])))
+}
+
+/**
+ * Returns the decoded fee recipient cursor position, or undefined if the cursor is malformed.
+ */
+export function decodeFeeRecipientCursor(cursor) {
+  let position
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64').toString())
+  } catch (error) {
+    return undefined
+  }
+  if (!Array.isArray(position) || position.length !== 2 || !Number.isSafeInteger(position[0]) || !/^0x[0-9a-fA-F]{40}$/.test(position[1])) {
+    return undefined
+  }
+  const [blockCount, feeRecipient] = position
+  return { blockCount, feeRecipient }
+}
+
+/**
+ * Returns the cursor for the page of fee recipients following rows, or null if rows was not a full page.
+ */
+export function nextFeeRecipientCursor(rows, limit) {
+  if (rows.length === 0 || rows.length < limit) {
+    return null
+  }
+  const last = _.last(rows)
+  return encodeFeeRecipientCursor({ blockCount: last.block_count, feeRecipient: last.fee_recipient })
+}
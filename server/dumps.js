@@ -0,0 +1,104 @@
+import http from 'http'
+import https from 'https'
+import _ from 'lodash'
+
+const MANIFEST = 'manifest.json'
+
+function get(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http
+    client
+      .get(url, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume()
+          reject(new Error(`unexpected status ${response.statusCode} fetching ${url}`))
+          return
+        }
+        resolve(response)
+      })
+      .on('error', reject)
+  })
+}
+
+async function getText(url) {
+  const response = await get(url)
+  let text = ''
+  response.setEncoding('utf8')
+  for await (const chunk of response) {
+    text += chunk
+  }
+  return text
+}
+
+/**
+ * Loads the manifest written by scripts/dump_to_s3.js from baseUrl, adding the url of each file.
+ * The manifest is cached for ttl milliseconds.
+ */
+export function dumpManifest(baseUrl, ttl) {
+  let cached
+  let cachedAt = 0
+  return async function getManifest() {
+    if (!cached || Date.now() - cachedAt > ttl) {
+      const manifest = JSON.parse(await getText(`${baseUrl}/${MANIFEST}`))
+      _.forEach(manifest.partitions, (partition) => {
+        _.forEach(partition.files, (file) => {
+          file.url = `${baseUrl}/${file.path}`
+        })
+      })
+      cached = manifest
+      cachedAt = Date.now()
+    }
+    return cached
+  }
+}
+
+/**
+ * Returns the manifest with only the partitions that overlap the inclusive block range
+ */
+export function selectPartitions(manifest, { lowest, highest }) {
+  return {
+    ...manifest,
+    partitions: _.filter(
+      manifest.partitions,
+      (partition) => (lowest === null || partition.to_block >= lowest) && (highest === null || partition.from_block <= highest)
+    )
+  }
+}
+
+/**
+ * Streams the files one after another into res. Gzip files can be concatenated, the result decompresses to the
+ * concatenation of their contents. Resolves without ending res if the client goes away.
+ */
+export async function streamFiles(urls, res) {
+  let upstream = null
+  let closed = false
+  // res is unpiped when the client goes away, after which the upstream response would never be read to its end
+  const close = () => {
+    closed = true
+    if (upstream) {
+      upstream.destroy()
+    }
+  }
+  res.on('close', close)
+  try {
+    for (const url of urls) {
+      upstream = await get(url)
+      if (closed) {
+        upstream.destroy()
+        return
+      }
+      await new Promise((resolve, reject) => {
+        upstream.on('end', resolve)
+        upstream.on('error', reject)
+        upstream.on('close', () => (closed ? resolve() : reject(new Error(`connection closed fetching ${url}`))))
+        upstream.pipe(res, { end: false })
+      })
+      if (closed) {
+        return
+      }
+    }
+    res.end()
+  } finally {
+    res.off('close', close)
+  }
+}
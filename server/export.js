@@ -0,0 +1,93 @@
+import { sendAccessError } from './apikeys.js'
+
+const CURSOR_NAME = 'export_cursor'
+const CURSOR_BATCH_SIZE = 1000
+
+// A sql tag that declares a cursor for the query instead of running it, so a query function can be read in batches
+function declareCursor(sql) {
+  return (strings, ...values) => {
+    const declare = [`declare ${CURSOR_NAME} no scroll cursor for ${strings[0]}`, ...strings.slice(1)]
+    declare.raw = declare
+    return sql(declare, ...values)
+  }
+}
+
+/**
+ * Runs query, a function that makes a single query with the sql tag it is given, in a postgres cursor and calls write
+ * with each batch of rows. The next batch is only fetched once write resolves, so memory stays flat however many rows
+ * the query returns.
+ */
+export async function streamQuery(sql, query, write) {
+  await sql.begin(async (sql) => {
+    await query(declareCursor(sql))
+    for (;;) {
+      const rows = await sql.unsafe(`fetch forward ${CURSOR_BATCH_SIZE} from ${CURSOR_NAME}`)
+      if (rows.length > 0) {
+        await write(rows)
+      }
+      if (rows.length < CURSOR_BATCH_SIZE) {
+        return
+      }
+    }
+  })
+}
+
+/**
+ * Returns a middleware letting at most maxExports requests through at once, as each export holds a database connection
+ * for as long as its client takes to read it. Requests over the limit are answered with a 503.
+ */
+export function limitExports(maxExports) {
+  let running = 0
+  return (req, res, next) => {
+    if (running >= maxExports) {
+      sendAccessError(req, res, { code: 'unavailable', message: 'too many exports are running, please try again later' })
+      return
+    }
+    running++
+    let done = false
+    const finish = () => {
+      if (!done) {
+        done = true
+        running--
+      }
+    }
+    res.on('finish', finish)
+    res.on('close', finish)
+    next()
+  }
+}
+
+/**
+ * Writes items to res in one of the serializers from formats.js, waiting for res to drain before accepting more.
+ * Writing throws once the client has gone away, which stops the export.
+ */
+export function formatWriter(res, format) {
+  let index = 0
+  async function write(text) {
+    if (res.destroyed) {
+      throw new Error('response closed before the export finished')
+    }
+    if (text && !res.write(text)) {
+      // the listener of whichever event did not happen is removed, or every full buffer would leave one behind
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done)
+          res.off('close', done)
+          resolve()
+        }
+        res.on('drain', done)
+        res.on('close', done)
+      })
+    }
+  }
+  return {
+    start: () => write(format.start()),
+    async write(items) {
+      await write(items.map((item) => format.row(item, index++)).join(''))
+    },
+    async end() {
+      await write(format.end())
+      res.end()
+    }
+  }
+}
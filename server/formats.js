@@ -0,0 +1,110 @@
+import _ from 'lodash'
+
+// Block CSV has one row per transaction, with the fields of its block repeated on every row
+const CSV_BLOCK_COLUMNS = ['block_number', 'fee_recipient', 'paris']
+const CSV_BLOCK_TRANSACTION_COLUMNS = [
+  'bundle_index',
+  'bundle_type',
+  'tx_index',
+  'transaction_hash',
+  'eoa_address',
+  'to_address',
+  'gas_used',
+  'gas_price',
+  'eth_sent_to_fee_recipient',
+  'fee_recipient_eth_diff',
+  'is_megabundle'
+]
+const CSV_TRANSACTION_COLUMNS = [
+  'block_number',
+  'bundle_index',
+  'bundle_type',
+  'tx_index',
+  'transaction_hash',
+  'eao_address',
+  'to_address',
+  'gas_used',
+  'gas_price',
+  'eth_sent_to_fee_recipient',
+  'fee_recipient_eth_diff'
+]
+
+function csvValue(value) {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function csvRow(values) {
+  return values.map(csvValue).join(',') + '\n'
+}
+
+const json = {
+  extension: 'json',
+  contentType: 'application/json',
+  start: () => '[',
+  row: (item, index) => (index === 0 ? '' : ',') + JSON.stringify(item),
+  end: () => ']'
+}
+
+const ndjson = {
+  extension: 'ndjson',
+  contentType: 'application/x-ndjson',
+  start: () => '',
+  row: (item) => JSON.stringify(item) + '\n',
+  end: () => ''
+}
+
+function blockFormats(blockColumns) {
+  return {
+    json,
+    ndjson,
+    csv: {
+      extension: 'csv',
+      contentType: 'text/csv',
+      start: () => csvRow([...blockColumns, ...CSV_BLOCK_TRANSACTION_COLUMNS]),
+      row: (block) => {
+        const blockValues = _.map(blockColumns, (column) => block[column])
+        return _.map(block.transactions, (tx) =>
+          csvRow([...blockValues, ..._.map(CSV_BLOCK_TRANSACTION_COLUMNS, (column) => tx[column])])
+        ).join('')
+      },
+      end: () => ''
+    }
+  }
+}
+
+function transactionFormats(columns) {
+  return {
+    json,
+    ndjson,
+    csv: {
+      extension: 'csv',
+      contentType: 'text/csv',
+      start: () => csvRow(columns),
+      row: (tx) => csvRow(_.map(columns, (column) => tx[column])),
+      end: () => ''
+    }
+  }
+}
+
+/**
+ * Serializers for /v1 blocks in each format. start and end wrap the output, row returns the text for one block.
+ */
+export const BLOCK_FORMATS = blockFormats(CSV_BLOCK_COLUMNS)
+
+/**
+ * Serializers for /v1 transactions in each format, see BLOCK_FORMATS
+ */
+export const TRANSACTION_FORMATS = transactionFormats(CSV_TRANSACTION_COLUMNS)
+
+/**
+ * Serializers for /v2 blocks and transactions, whose csv columns are their fields without the /v1 aliases
+ */
+export const V2_BLOCK_FORMATS = blockFormats(_.without(CSV_BLOCK_COLUMNS, 'paris'))
+export const V2_TRANSACTION_FORMATS = transactionFormats([
+  ..._.map(CSV_TRANSACTION_COLUMNS, (column) => (column === 'eao_address' ? 'eoa_address' : column)),
+  'is_megabundle'
+])
@@ -0,0 +1,404 @@
+import DataLoader from 'dataloader'
+import {
+  GraphQLBoolean,
+  GraphQLError,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString,
+  getNamedType,
+  isObjectType,
+  Kind
+} from 'graphql'
+import _ from 'lodash'
+import { bundlesOfBlock } from './composition.js'
+import { cursorRange, rowCursor } from './cursor.js'
+import { getBlocks, getBlocksByNumber, getBundleByTransaction, getFeeRecipientBlockNumbers, getTransactions } from './history.js'
+import {
+  MAX_LIMIT,
+  validateAddress,
+  validateBlockCursor,
+  validateBlockNumber,
+  validateBundleType,
+  validateHash,
+  validateLimit,
+  validateTransactionCursor
+} from './params.js'
+import { intersectRanges } from './range.js'
+
+// Queries are limited in how deeply they nest fields, and in the number of rows their connections read: the first of
+// each connection multiplied by the first of the connections it is nested in
+const MAX_QUERY_DEPTH = 12
+const MAX_QUERY_ROWS = MAX_LIMIT
+
+const nonNull = (type) => new GraphQLNonNull(type)
+const listOf = (type) => nonNull(new GraphQLList(nonNull(type)))
+
+// A field read from a column of the row returned by the REST queries
+function column(type, name, description) {
+  return { type: nonNull(type), description, resolve: (row) => row[name] }
+}
+
+// Validates an argument with one of the validators of params.js, which the REST params go through as well
+function validateArgument(name, value, validate) {
+  const { value: parsed, expected } = validate(value)
+  if (expected) {
+    throw new GraphQLError(`invalid ${name} argument provided, expected ${expected} but got: ${value}`)
+  }
+  return parsed
+}
+
+// first is capped at the max_limit of the tier of the request, like the limit param of the REST endpoints
+function checkFirst(context, first) {
+  validateArgument('first', String(first), validateLimit)
+  if (context.tier && first > context.tier.max_limit) {
+    const who = context.apiKey ? 'this api key' : 'anonymous access'
+    throw new GraphQLError(`invalid first argument provided, expected at most ${context.tier.max_limit} for ${who} but got: ${first}`)
+  }
+}
+
+function parseAfter(after, validateCursor) {
+  return after ? validateArgument('after', after, validateCursor) : {}
+}
+
+function checksumAddress(name, address) {
+  return address ? validateArgument(name, address, validateAddress) : undefined
+}
+
+function parseBlockNumber(name, blockNumber) {
+  return blockNumber === undefined || blockNumber === null ? undefined : validateArgument(name, String(blockNumber), validateBlockNumber)
+}
+
+// before is exclusive, the ranges of the queries are inclusive
+function beforeRange(before) {
+  const blockNumber = parseBlockNumber('before', before)
+  return blockNumber === undefined ? {} : { highest: blockNumber - 1 }
+}
+
+// One extra row is fetched to tell whether there is a next page
+function toConnection(rows, first) {
+  const nodes = _.take(rows, first)
+  return {
+    edges: _.map(nodes, (node) => ({ cursor: rowCursor(node), node })),
+    pageInfo: { hasNextPage: rows.length > first, endCursor: nodes.length > 0 ? rowCursor(_.last(nodes)) : null }
+  }
+}
+
+function connectionType(name, nodeType) {
+  const edge = new GraphQLObjectType({
+    name: `${name}Edge`,
+    fields: { cursor: { type: nonNull(GraphQLString) }, node: { type: nonNull(nodeType) } }
+  })
+  return new GraphQLObjectType({
+    name: `${name}Connection`,
+    fields: { edges: { type: listOf(edge) }, pageInfo: { type: nonNull(PageInfo) } }
+  })
+}
+
+const PageInfo = new GraphQLObjectType({
+  name: 'PageInfo',
+  fields: {
+    hasNextPage: { type: nonNull(GraphQLBoolean) },
+    endCursor: { type: GraphQLString, description: 'Pass as `after` to fetch the next page' }
+  }
+})
+
+const pageArgs = {
+  first: {
+    type: GraphQLInt,
+    defaultValue: 100,
+    description: `Number of items returned, at most ${MAX_LIMIT} or the max_limit of the tier of the api key`
+  },
+  after: { type: GraphQLString, description: 'Return items following this cursor, taken from `pageInfo.endCursor`' },
+  before: { type: GraphQLInt, description: 'Only items before this block number (exclusive)' }
+}
+
+const blockArgs = {
+  ...pageArgs,
+  blockNumber: { type: GraphQLInt, description: 'Only this block' },
+  from: { type: GraphQLString, description: 'Only blocks including transactions sent by this address' }
+}
+
+// The params of getBlocks for the arguments of a connection of blocks
+function parseBlockArgs(context, { first, after, before, blockNumber, feeRecipient, from }) {
+  checkFirst(context, first)
+  const block = parseBlockNumber('blockNumber', blockNumber)
+  const range = intersectRanges(
+    beforeRange(before),
+    block === undefined ? {} : { lowest: block, highest: block },
+    cursorRange(parseAfter(after, validateBlockCursor))
+  )
+  return { limit: first + 1, range, feeRecipient: checksumAddress('feeRecipient', feeRecipient), from: checksumAddress('from', from) }
+}
+
+async function resolveBlocks(context, args) {
+  const blocks = await getBlocks(context.sql, context.mergeBlockNumber, parseBlockArgs(context, args))
+  return toConnection(blocks, args.first)
+}
+
+const FeeRecipient = new GraphQLObjectType({
+  name: 'FeeRecipient',
+  description: 'An address blocks paid their fees to, the miner before the merge',
+  fields: () => ({
+    address: { type: nonNull(GraphQLString), resolve: (feeRecipient) => feeRecipient.address },
+    blocks: {
+      type: nonNull(BlockConnection),
+      description: 'Flashbots blocks paid to this fee recipient, newest first',
+      args: blockArgs,
+      // fee recipients nested in a list of blocks or transactions load their blocks together
+      resolve: async (feeRecipient, args, context) => {
+        const params = parseBlockArgs(context, { ...args, feeRecipient: feeRecipient.address })
+        const blockNumbers = await context.feeRecipientBlockNumbers.load(params)
+        return toConnection(_.compact(await context.blocks.loadMany(blockNumbers)), args.first)
+      }
+    }
+  })
+})
+
+const Transaction = new GraphQLObjectType({
+  name: 'Transaction',
+  fields: () => ({
+    hash: column(GraphQLString, 'transaction_hash'),
+    index: column(GraphQLInt, 'tx_index', 'Index of the transaction inside of its bundle'),
+    bundleIndex: column(GraphQLInt, 'bundle_index'),
+    bundleType: column(GraphQLString, 'bundle_type', 'Either "flashbots" or "mempool"'),
+    blockNumber: column(GraphQLInt, 'block_number'),
+    from: column(GraphQLString, 'eoa_address'),
+    to: column(GraphQLString, 'to_address'),
+    gasUsed: column(GraphQLInt, 'gas_used'),
+    gasPrice: column(GraphQLString, 'gas_price'),
+    ethSentToFeeRecipient: column(GraphQLString, 'eth_sent_to_fee_recipient', 'ETH (in wei) directly transferred to the fee recipient'),
+    feeRecipientEthDiff: column(GraphQLString, 'fee_recipient_eth_diff', 'ETH (in wei) paid to the fee recipient, including gas'),
+    isMegabundle: { type: nonNull(GraphQLBoolean), resolve: (tx) => Boolean(tx.is_megabundle) },
+    block: { type: nonNull(Block), resolve: (tx, args, context) => context.blocks.load(tx.block_number) },
+    bundle: {
+      type: nonNull(Bundle),
+      resolve: async (tx, args, context) => {
+        const block = await context.blocks.load(tx.block_number)
+        return _.find(bundlesOfBlock(block), { bundle_index: tx.bundle_index })
+      }
+    }
+  })
+})
+
+const Bundle = new GraphQLObjectType({
+  name: 'Bundle',
+  fields: () => ({
+    index: column(GraphQLInt, 'bundle_index', 'Index of the bundle inside of its block'),
+    type: column(GraphQLString, 'bundle_type', 'Either "flashbots" or "mempool"'),
+    isMegabundle: column(GraphQLBoolean, 'is_megabundle', 'Whether the bundle was part of a megabundle, only possible before the merge'),
+    blockNumber: column(GraphQLInt, 'block_number'),
+    gasUsed: column(GraphQLInt, 'gas_used'),
+    gasPrice: column(GraphQLString, 'gas_price', 'feeRecipientEthDiff / gasUsed'),
+    ethSentToFeeRecipient: column(GraphQLString, 'eth_sent_to_fee_recipient'),
+    feeRecipientEthDiff: column(GraphQLString, 'fee_recipient_eth_diff'),
+    transactions: column(new GraphQLList(nonNull(Transaction)), 'transactions'),
+    block: { type: nonNull(Block), resolve: (bundle, args, context) => context.blocks.load(bundle.block_number) }
+  })
+})
+
+const Block = new GraphQLObjectType({
+  name: 'Block',
+  fields: () => ({
+    number: column(GraphQLInt, 'block_number'),
+    feeRecipient: { type: nonNull(FeeRecipient), resolve: (block) => ({ address: block.fee_recipient }) },
+    paris: {
+      type: nonNull(GraphQLBoolean),
+      description: 'Whether the block is after the merge',
+      resolve: (block, args, context) => block.block_number >= context.mergeBlockNumber
+    },
+    gasUsed: column(GraphQLInt, 'gas_used', 'Gas used by the flashbots transactions'),
+    gasPrice: column(GraphQLString, 'gas_price', 'feeRecipientEthDiff / gasUsed'),
+    ethSentToFeeRecipient: column(GraphQLString, 'eth_sent_to_fee_recipient'),
+    feeRecipientEthDiff: column(GraphQLString, 'fee_recipient_eth_diff'),
+    bundles: { type: listOf(Bundle), resolve: bundlesOfBlock },
+    transactions: column(new GraphQLList(nonNull(Transaction)), 'transactions')
+  })
+})
+
+const BlockConnection = connectionType('Block', Block)
+const TransactionConnection = connectionType('Transaction', Transaction)
+
+const Query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    blocks: {
+      type: nonNull(BlockConnection),
+      description: 'Flashbots blocks, newest first',
+      args: { ...blockArgs, feeRecipient: { type: GraphQLString, description: 'Only blocks paid to this fee recipient' } },
+      resolve: (root, args, context) => resolveBlocks(context, args)
+    },
+    block: {
+      type: Block,
+      description: 'A flashbots block, null if the block has no flashbots bundles',
+      args: { number: { type: nonNull(GraphQLInt) } },
+      resolve: (root, { number }, context) => context.blocks.load(number)
+    },
+    transactions: {
+      type: nonNull(TransactionConnection),
+      description: 'Flashbots transactions, newest block first',
+      args: {
+        ...pageArgs,
+        from: { type: GraphQLString, description: 'Only transactions sent by this address' },
+        to: { type: GraphQLString, description: 'Only transactions sent to this address' },
+        bundleType: { type: GraphQLString, description: 'Only transactions of this bundle type, "flashbots" or "mempool"' }
+      },
+      resolve: async (root, { first, after, before, from, to, bundleType }, context) => {
+        checkFirst(context, first)
+        const cursor = parseAfter(after, validateTransactionCursor)
+        const range = intersectRanges(beforeRange(before), cursorRange(cursor))
+        const transactions = await getTransactions(context.sql, context.mergeBlockNumber, {
+          limit: first + 1,
+          range,
+          cursor,
+          from: checksumAddress('from', from),
+          to: checksumAddress('to', to),
+          bundleType: bundleType ? validateArgument('bundleType', bundleType, validateBundleType) : undefined
+        })
+        return toConnection(transactions, first)
+      }
+    },
+    transaction: {
+      type: Transaction,
+      description: 'A flashbots transaction, null if the transaction was not included in a flashbots bundle',
+      args: { hash: { type: nonNull(GraphQLString) } },
+      resolve: async (root, { hash }, context) => {
+        const transactionHash = validateArgument('hash', hash, validateHash)
+        const bundle = await getBundleByTransaction(context.sql, transactionHash)
+        return (bundle && _.find(bundle.transactions, { transaction_hash: transactionHash })) || null
+      }
+    },
+    feeRecipient: {
+      type: nonNull(FeeRecipient),
+      args: { address: { type: nonNull(GraphQLString) } },
+      resolve: (root, { address }) => ({ address: checksumAddress('address', address) })
+    }
+  }
+})
+
+export const schema = new GraphQLSchema({ query: Query })
+
+// The value of the first argument of field, taken from variables when it is one. Values that are not numbers are left
+// for the execution to reject.
+function firstArgument(field, fieldDef, variables) {
+  const node = _.find(field.arguments, (argument) => argument.name.value === 'first')
+  let value = fieldDef.args.find((arg) => arg.name === 'first').defaultValue
+  if (node && node.value.kind === Kind.VARIABLE) {
+    value = _.get(variables, [node.value.name.value], value)
+  } else if (node && node.value.kind === Kind.INT) {
+    value = Number(node.value.value)
+  }
+  return _.isInteger(value) && value > 0 ? value : 0
+}
+
+// Walks selectionSet of type, returning the depth of its fields and the rows read by its connections, each read once per
+// item of the connections it is nested in
+function measureSelections(type, selectionSet, { fragments, variables, spread }) {
+  let depth = 0
+  let rows = 0
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      const fieldDef = type.getFields()[selection.name.value]
+      if (!fieldDef) {
+        // introspection and unknown fields, the latter are reported by the other rules
+        continue
+      }
+      const connection = _.some(fieldDef.args, { name: 'first' })
+      const items = connection ? firstArgument(selection, fieldDef, variables) : 1
+      const fieldType = getNamedType(fieldDef.type)
+      const nested =
+        selection.selectionSet && isObjectType(fieldType)
+          ? measureSelections(fieldType, selection.selectionSet, { fragments, variables, spread })
+          : { depth: 0, rows: 0 }
+      depth = Math.max(depth, nested.depth + 1)
+      rows += (connection ? items : 0) + items * nested.rows
+    } else {
+      const fragment = selection.kind === Kind.INLINE_FRAGMENT ? selection : fragments[selection.name.value]
+      // fragment cycles are reported by the other rules
+      if (!fragment || spread.has(fragment)) {
+        continue
+      }
+      const nested = measureSelections(type, fragment.selectionSet, { fragments, variables, spread: new Set([...spread, fragment]) })
+      depth = Math.max(depth, nested.depth)
+      rows += nested.rows
+    }
+  }
+  return { depth, rows }
+}
+
+/**
+ * Returns a validation rule rejecting operations nesting fields deeper than MAX_QUERY_DEPTH, or reading more than
+ * MAX_QUERY_ROWS rows with the first arguments of their connections, with variables as the values of variables
+ */
+export function limitQueries(variables) {
+  return (context) => ({
+    OperationDefinition(operation) {
+      const fragments = _.keyBy(
+        _.filter(context.getDocument().definitions, { kind: Kind.FRAGMENT_DEFINITION }),
+        (fragment) => fragment.name.value
+      )
+      const type = context.getSchema().getRootType(operation.operation)
+      if (!type) {
+        return
+      }
+      const defaults = _.fromPairs(
+        _.filter(operation.variableDefinitions, (definition) => definition.defaultValue && definition.defaultValue.kind === Kind.INT).map(
+          (definition) => [definition.variable.name.value, Number(definition.defaultValue.value)]
+        )
+      )
+      const { depth, rows } = measureSelections(type, operation.selectionSet, {
+        fragments,
+        variables: { ...defaults, ...variables },
+        spread: new Set()
+      })
+      if (depth > MAX_QUERY_DEPTH) {
+        context.reportError(new GraphQLError(`query too deep, expected at most ${MAX_QUERY_DEPTH} levels of fields but got: ${depth}`))
+      }
+      if (rows > MAX_QUERY_ROWS) {
+        context.reportError(
+          new GraphQLError(
+            `query too large, expected at most ${MAX_QUERY_ROWS} rows over all connections and their first arguments but got: ${rows}`
+          )
+        )
+      }
+    }
+  })
+}
+
+/**
+ * Returns the context for one graphql request, made with apiKey and tier as set by the access control. Blocks are loaded
+ * through a dataloader, so blocks referenced by a page of transactions or bundles are fetched in a single query. The
+ * blocks of fee recipients are loaded the same way, in a query per set of arguments.
+ */
+export function createContext(sql, mergeBlockNumber, { apiKey = null, tier } = {}) {
+  return {
+    sql,
+    mergeBlockNumber,
+    apiKey,
+    tier,
+    blocks: new DataLoader(async (blockNumbers) => {
+      const blocks = _.keyBy(await getBlocksByNumber(sql, mergeBlockNumber, blockNumbers), 'block_number')
+      return _.map(blockNumbers, (blockNumber) => blocks[blockNumber] || null)
+    }),
+    // keyed by the params of getBlocks, the block numbers of each fee recipient
+    feeRecipientBlockNumbers: new DataLoader(
+      async (keys) => {
+        const argsKey = ({ feeRecipient, ...args }) => JSON.stringify(args)
+        const groups = _.groupBy(keys, argsKey)
+        const blockNumbers = _.fromPairs(
+          await Promise.all(
+            _.map(groups, async (group, key) => {
+              const { limit, range, from } = group[0]
+              const feeRecipients = _.uniq(_.map(group, 'feeRecipient'))
+              return [key, await getFeeRecipientBlockNumbers(sql, mergeBlockNumber, { feeRecipients, limit, range, from })]
+            })
+          )
+        )
+        return _.map(keys, (key) => blockNumbers[argsKey(key)][key.feeRecipient])
+      },
+      { cacheKeyFn: JSON.stringify }
+    )
+  }
+}
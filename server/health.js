@@ -0,0 +1,58 @@
+// postgres is considered down if it does not answer within this long
+const QUERY_TIMEOUT = 5 * 1000
+const TABLES = ['blocks', 'included_built_block_bundles']
+
+function withTimeout(promise, timeout) {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer within ${timeout / 1000}s`)), timeout)
+    })
+  ]).finally(() => clearTimeout(timer))
+}
+
+async function getMaxBlockNumbers(sql) {
+  const [row] = await sql`
+    select
+        (select max(block_number) from blocks) as blocks,
+        (select max(block_number) from included_built_block_bundles) as included_built_block_bundles`
+  return row
+}
+
+/**
+ * Returns a function checking whether the api is ready to serve: postgres answers and the max block_number of each of
+ * TABLES advanced within the last freshnessWindow seconds. Advances are seen by comparing with the previous check, so a
+ * process counts from its first check, and the data is only found stale once it has not advanced for a whole window.
+ *
+ * The check resolves to { ready, checks }, with checks describing postgres and each table.
+ */
+export function createReadinessCheck(sql, { freshnessWindow }) {
+  const seen = {}
+
+  return async () => {
+    const now = Date.now()
+    let maxBlockNumbers
+    try {
+      maxBlockNumbers = await withTimeout(getMaxBlockNumbers(sql), QUERY_TIMEOUT)
+    } catch (error) {
+      return { ready: false, checks: { postgres: { ok: false, error: error.message } } }
+    }
+
+    const checks = { postgres: { ok: true } }
+    for (const table of TABLES) {
+      const maxBlockNumber = maxBlockNumbers[table] === null ? null : Number(maxBlockNumbers[table])
+      if (!seen[table] || seen[table].maxBlockNumber !== maxBlockNumber) {
+        seen[table] = { maxBlockNumber, advancedAt: now }
+      }
+      const secondsSinceAdvanced = Math.floor((now - seen[table].advancedAt) / 1000)
+      checks[table] = {
+        ok: secondsSinceAdvanced < freshnessWindow,
+        max_block_number: maxBlockNumber,
+        last_advanced_at: new Date(seen[table].advancedAt).toISOString(),
+        seconds_since_advanced: secondsSinceAdvanced
+      }
+    }
+    return { ready: TABLES.every((table) => checks[table].ok), checks }
+  }
+}
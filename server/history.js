@@ -0,0 +1,194 @@
+import _ from 'lodash'
+import { streamQuery } from './export.js'
+import {
+  getPremergeBlocks,
+  getPremergeBundleByTransaction,
+  getPremergeFeeRecipientBlockNumbers,
+  getPremergeBundles,
+  getPremergeBundleTransactions,
+  getPremergeTransactions
+} from './premerge.js'
+import {
+  getPostmergeBlocks,
+  getPostmergeBundleByTransaction,
+  getPostmergeFeeRecipientBlockNumbers,
+  getPostmergeBundles,
+  getPostmergeBundleTransactions,
+  getPostmergeTransactions
+} from './postmerge.js'
+import { intersectRanges, splitRange } from './range.js'
+
+const EXPORT_PAGE_SIZE = 1000
+
+// Splits a block range between the post-merge and pre-merge tables, a side that is undefined does not need to be queried
+function splitAtMerge(range, mergeBlockNumber) {
+  const { above, below } = splitRange(range, mergeBlockNumber)
+  return { postmerge: above, premerge: mergeBlockNumber > 1 ? below : undefined }
+}
+
+// Reads the post-merge side first, then fills the rest of the limit from the pre-merge side
+async function getAcrossMerge(sql, mergeBlockNumber, { limit, range, ...params }, getPostmerge, getPremerge) {
+  const { postmerge, premerge } = splitAtMerge(range, mergeBlockNumber)
+
+  let rows = []
+  if (postmerge) {
+    rows = await getPostmerge(sql, { ...params, limit, range: postmerge })
+  }
+  if (premerge && rows.length < limit) {
+    rows = rows.concat(await getPremerge(sql, { ...params, limit: limit - rows.length, range: premerge }))
+  }
+  return rows
+}
+
+/**
+ * Returns the latest block number that has been processed, or null if there are no blocks yet
+ */
+export async function getLatestBlockNumber(sql) {
+  const [{ block_number: blockNumber }] = await sql`select max(block_number) as block_number from blocks`
+  return blockNumber === null ? null : Number(blockNumber)
+}
+
+/**
+ * Returns the number and timestamp of the latest block that has been processed, or null if there are no blocks yet
+ */
+export async function getLatestBlock(sql) {
+  const [block] = await sql`select block_number, block_timestamp from blocks order by block_number desc limit 1`
+  return block ? { block_number: Number(block.block_number), block_timestamp: block.block_timestamp } : null
+}
+
+/**
+ * Returns blocks within the inclusive block range in descending order, from both the post-merge and pre-merge tables.
+ * Each block has a `paris` flag telling which side of the merge it came from.
+ */
+export function getBlocks(sql, mergeBlockNumber, params) {
+  return getAcrossMerge(sql, mergeBlockNumber, params, getPostmergeBlocks, getPremergeBlocks)
+}
+
+/**
+ * Returns the blocks with the given block numbers in descending order, block numbers without flashbots bundles are left out
+ */
+export function getBlocksByNumber(sql, mergeBlockNumber, blockNumbers) {
+  const range = { lowest: _.min(blockNumbers), highest: _.max(blockNumbers) }
+  return getBlocks(sql, mergeBlockNumber, { limit: blockNumbers.length, range, blockNumbers })
+}
+
+/**
+ * Returns the numbers of the blocks paid to each of feeRecipients within the inclusive block range, newest first and up
+ * to limit each, keyed by fee recipient. The blocks of several fee recipients are read together, a side of the merge at a
+ * time, with the pre-merge side only read for the fee recipients that the post-merge side did not fill.
+ */
+export async function getFeeRecipientBlockNumbers(sql, mergeBlockNumber, { feeRecipients, limit, range, from }) {
+  const { postmerge, premerge } = splitAtMerge(range, mergeBlockNumber)
+  const blockNumbers = _.fromPairs(_.map(feeRecipients, (feeRecipient) => [feeRecipient, []]))
+  // each side returns up to limit blocks per fee recipient, the pre-merge side only fills what is left
+  const add = (rows) => {
+    for (const { fee_recipient: feeRecipient, block_number: blockNumber } of rows) {
+      if (blockNumbers[feeRecipient].length < limit) {
+        blockNumbers[feeRecipient].push(Number(blockNumber))
+      }
+    }
+  }
+
+  if (postmerge) {
+    add(await getPostmergeFeeRecipientBlockNumbers(sql, { feeRecipients, limit, range: postmerge, from }))
+  }
+  const unfilled = _.filter(feeRecipients, (feeRecipient) => blockNumbers[feeRecipient].length < limit)
+  if (premerge && unfilled.length > 0) {
+    add(await getPremergeFeeRecipientBlockNumbers(sql, { feeRecipients: unfilled, limit, range: premerge, from }))
+  }
+  return blockNumbers
+}
+
+/**
+ * Returns transactions within the inclusive block range following the cursor, from both the post-merge and pre-merge tables
+ */
+export function getTransactions(sql, mergeBlockNumber, params) {
+  return getAcrossMerge(sql, mergeBlockNumber, params, getPostmergeTransactions, getPremergeTransactions)
+}
+
+/**
+ * Returns the bundle that included the transaction hash, from either side of the merge, or undefined if it was not included in a bundle
+ */
+export async function getBundleByTransaction(sql, transactionHash) {
+  return (await getPostmergeBundleByTransaction(sql, transactionHash)) || getPremergeBundleByTransaction(sql, transactionHash)
+}
+
+/**
+ * Returns the id of bundle, its position in its block, see validateBundleId in params.js
+ */
+export function bundleId({ block_number: blockNumber, megabundle_id: megabundleId, bundle_index: bundleIndex }) {
+  return megabundleId ? `${blockNumber}-m${megabundleId}-${bundleIndex}` : `${blockNumber}-${bundleIndex}`
+}
+
+const withBundleId = (bundle) => ({ bundle_id: bundleId(bundle), ...bundle })
+
+/**
+ * Returns bundles within the inclusive block range following the cursor, from both the post-merge and pre-merge tables.
+ * Bundles are summarized by the totals of their transactions, without the transactions themselves.
+ */
+export async function getBundles(sql, mergeBlockNumber, params) {
+  const bundles = await getAcrossMerge(sql, mergeBlockNumber, params, getPostmergeBundles, getPremergeBundles)
+  return bundles.map(withBundleId)
+}
+
+/**
+ * Returns the bundle identified by bundleId as parsed by validateBundleId, or undefined if there is none
+ */
+export async function getBundle(sql, mergeBlockNumber, { bundleHash, blockNumber, megabundleId, bundleIndex }) {
+  const params = { limit: 1, cursor: {} }
+  let bundles
+  if (bundleHash) {
+    bundles = await getPostmergeBundles(sql, { ...params, range: { lowest: null, highest: null }, bundleHash })
+  } else if (blockNumber >= mergeBlockNumber) {
+    // there were no megabundles after the merge
+    bundles = megabundleId
+      ? []
+      : await getPostmergeBundles(sql, { ...params, range: { lowest: blockNumber, highest: blockNumber }, bundleIndex })
+  } else {
+    bundles = await getPremergeBundles(sql, { ...params, range: { lowest: blockNumber, highest: blockNumber }, megabundleId, bundleIndex })
+  }
+  return bundles.length > 0 ? withBundleId(bundles[0]) : undefined
+}
+
+/**
+ * Returns the transactions of bundle, as returned by getBundle, following the cursor up to limit
+ */
+export function getBundleTransactions(sql, mergeBlockNumber, bundle, { limit, cursor }) {
+  const params = { blockNumber: bundle.block_number, bundleIndex: bundle.bundle_index, limit, cursor }
+  if (bundle.block_number >= mergeBlockNumber) {
+    return getPostmergeBundleTransactions(sql, params)
+  }
+  return getPremergeBundleTransactions(sql, { ...params, megabundleId: bundle.megabundle_id || 0 })
+}
+
+/**
+ * Calls write with every transaction within the inclusive block range, in the order of getTransactions, a batch at a time.
+ * Each side of the merge is read from a postgres cursor, so the range is not limited by memory.
+ */
+export async function exportTransactions(sql, mergeBlockNumber, { range, ...params }, write) {
+  const { postmerge, premerge } = splitAtMerge(range, mergeBlockNumber)
+  if (postmerge) {
+    await streamQuery(sql, (sql) => getPostmergeTransactions(sql, { ...params, limit: null, range: postmerge, cursor: {} }), write)
+  }
+  if (premerge) {
+    await streamQuery(sql, (sql) => getPremergeTransactions(sql, { ...params, limit: null, range: premerge, cursor: {} }), write)
+  }
+}
+
+/**
+ * Calls write with every block within the inclusive block range in descending order, a page at a time.
+ * Pre-merge blocks are merged with their megabundles in js, so blocks are paged by block number rather than read from a cursor.
+ */
+export async function exportBlocks(sql, mergeBlockNumber, { range, ...params }, write) {
+  let pageRange = range
+  for (;;) {
+    const blocks = await getBlocks(sql, mergeBlockNumber, { ...params, limit: EXPORT_PAGE_SIZE, range: pageRange })
+    if (blocks.length > 0) {
+      await write(blocks)
+    }
+    if (blocks.length < EXPORT_PAGE_SIZE) {
+      return
+    }
+    pageRange = intersectRanges(range, { lowest: null, highest: Number(_.last(blocks).block_number) - 1 })
+  }
+}
@@ -0,0 +1,213 @@
+import fs from 'fs/promises'
+import path from 'path'
+import _ from 'lodash'
+import utils from 'web3-utils'
+import { parseLabel, validateAddress } from './params.js'
+
+// Fields of /v1 responses holding an address, enriching a response adds <field>_label next to each of them
+export const LABELLED_FIELDS = ['fee_recipient', 'eoa_address', 'eao_address', 'to_address']
+const CSV_COLUMNS = ['address', 'name', 'category', 'tags']
+
+function toLabel({ address, name, category, tags, updated_at: updatedAt }) {
+  return { address: utils.toChecksumAddress(address), name, category, tags, updated_at: updatedAt }
+}
+
+/**
+ * Returns labels in order of address, optionally only those of a category or with a tag
+ */
+export async function listLabels(sql, { category, tag, limit }) {
+  const labels = await sql`
+      select address, name, category, tags, updated_at
+      from address_labels
+      where
+          (${category || null}::text is null or category = ${category}) and
+          (${tag || null}::text is null or ${tag || null}::text = any(tags))
+      order by address
+      limit ${limit}`
+  return labels.map(toLabel)
+}
+
+/**
+ * Returns the label of address, or undefined if it has none
+ */
+export async function getLabel(sql, address) {
+  const [label] = await sql`select address, name, category, tags, updated_at from address_labels where address = ${address.toLowerCase()}`
+  return label && toLabel(label)
+}
+
+function upsertLabel(sql, { address, name, category, tags }) {
+  return sql`
+      insert into address_labels (address, name, category, tags)
+      values (${address.toLowerCase()}, ${name}, ${category}, ${sql.array(tags)}::text[])
+      on conflict (address) do update set
+          name = excluded.name,
+          category = excluded.category,
+          tags = excluded.tags,
+          updated_at = now()
+      returning address, name, category, tags, updated_at`
+}
+
+/**
+ * Creates or replaces the label of address, as parsed by parseLabel, returning it
+ */
+export async function putLabel(sql, address, label) {
+  const [row] = await upsertLabel(sql, { ...label, address })
+  return toLabel(row)
+}
+
+/**
+ * Deletes the label of address, returning it, or undefined if it had none
+ */
+export async function deleteLabel(sql, address) {
+  const [label] =
+    await sql`delete from address_labels where address = ${address.toLowerCase()} returning address, name, category, tags, updated_at`
+  return label && toLabel(label)
+}
+
+/**
+ * Creates or replaces labels in one transaction. With replace, labels of addresses that are not in labels are deleted, so
+ * that the table matches the file they were read from. Returns the number of labels imported and deleted.
+ */
+export function importLabels(sql, labels, { replace = false } = {}) {
+  return sql.begin(async (sql) => {
+    for (const label of labels) {
+      await upsertLabel(sql, label)
+    }
+    let deleted = []
+    if (replace) {
+      const addresses = _.map(labels, (label) => label.address.toLowerCase())
+      deleted = await sql`delete from address_labels where not (address = any(${sql.array(addresses)}::text[])) returning address`
+    }
+    return { imported: labels.length, deleted: deleted.length }
+  })
+}
+
+// Values may be quoted the way csvRow in formats.js writes them, but cannot span lines
+function parseCsvLine(line) {
+  const values = []
+  let value = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      value += '"'
+      i++
+    } else if (char === '"') {
+      quoted = !quoted
+    } else if (char === ',' && !quoted) {
+      values.push(value)
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  values.push(value)
+  return values
+}
+
+// csv has a header row naming the columns address, name, category and optionally tags, separated by semicolons
+function parseCsvLabels(file, text) {
+  const [header, ...lines] = text.split(/\r?\n/)
+  const columns = parseCsvLine(header).map((column) => column.trim())
+  const missing = _.difference(_.without(CSV_COLUMNS, 'tags'), columns)
+  if (missing.length > 0) {
+    throw new Error(`${file}: missing columns: ${missing.join(', ')}, expected a header row of ${CSV_COLUMNS.join(',')}`)
+  }
+  return _.compact(
+    lines.map((line, index) => {
+      if (!line.trim()) {
+        return undefined
+      }
+      const entry = _.zipObject(
+        columns,
+        parseCsvLine(line).map((value) => value.trim())
+      )
+      const tags = entry.tags ? _.compact(entry.tags.split(';').map((tag) => tag.trim())) : []
+      return { where: `line ${index + 2}`, entry: { ...entry, tags } }
+    })
+  )
+}
+
+/**
+ * Reads labels from a json file, an array of objects with an address, a name, a category and optionally tags, or from a
+ * csv file with those columns, tags separated by semicolons. Throws an error naming the first invalid entry.
+ */
+export async function readLabelFile(file) {
+  const text = await fs.readFile(file, 'utf8')
+  let entries
+  if (path.extname(file).toLowerCase() === '.csv') {
+    entries = parseCsvLabels(file, text)
+  } else {
+    const json = JSON.parse(text)
+    if (!_.isArray(json)) {
+      throw new Error(`${file}: expected a json array of labels`)
+    }
+    entries = json.map((entry, index) => ({ where: `entry ${index}`, entry }))
+  }
+
+  const labels = entries.map(({ where, entry }) => {
+    const address = validateAddress(entry && entry.address)
+    if (address.expected) {
+      throw new Error(`${file} ${where}: invalid address, expected ${address.expected} but got: ${entry && entry.address}`)
+    }
+    const label = parseLabel(entry)
+    if (label.error) {
+      throw new Error(`${file} ${where}: ${label.error}`)
+    }
+    return { address: address.value, ...label }
+  })
+  const duplicates = _.keys(
+    _.pickBy(
+      _.countBy(labels, (label) => label.address.toLowerCase()),
+      (count) => count > 1
+    )
+  )
+  if (duplicates.length > 0) {
+    throw new Error(`${file}: addresses labelled more than once: ${duplicates.map(utils.toChecksumAddress).join(', ')}`)
+  }
+  return labels
+}
+
+function collectAddresses(value, addresses) {
+  if (_.isArray(value)) {
+    value.forEach((item) => collectAddresses(item, addresses))
+  } else if (_.isPlainObject(value)) {
+    _.forEach(value, (field, name) => {
+      if (LABELLED_FIELDS.includes(name) && _.isString(field)) {
+        addresses.add(field.toLowerCase())
+      } else {
+        collectAddresses(field, addresses)
+      }
+    })
+  }
+}
+
+function addLabels(value, labels) {
+  if (_.isArray(value)) {
+    return value.map((item) => addLabels(item, labels))
+  }
+  if (!_.isPlainObject(value)) {
+    return value
+  }
+  const labelled = {}
+  _.forEach(value, (field, name) => {
+    labelled[name] = addLabels(field, labels)
+    if (LABELLED_FIELDS.includes(name)) {
+      labelled[`${name}_label`] = (_.isString(field) && labels[field.toLowerCase()]) || null
+    }
+  })
+  return labelled
+}
+
+/**
+ * Returns a copy of value, a /v1 response or part of one, with a <field>_label after each of its LABELLED_FIELDS at any
+ * depth: the name, category and tags of the address, or null if it has no label
+ */
+export async function attachLabels(sql, value) {
+  const addresses = new Set()
+  collectAddresses(value, addresses)
+  const rows = addresses.size
+    ? await sql`select address, name, category, tags from address_labels where address = any(${sql.array([...addresses])}::text[])`
+    : []
+  return addLabels(value, _.fromPairs(rows.map(({ address, ...label }) => [address, label])))
+}
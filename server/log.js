@@ -0,0 +1,87 @@
+import Sentry from '@sentry/node'
+import { AsyncLocalStorage } from 'async_hooks'
+import crypto from 'crypto'
+
+// Logs are json lines, e.g. {"time":"...","level":"error","message":"unhandled error in /blocks","request_id":"...","error":{...}}.
+// Lines logged while handling a request carry its id, which is also sent back in the X-Request-Id header and tagged on
+// Sentry events.
+
+const requests = new AsyncLocalStorage()
+// ids passed in by a proxy are kept if they look like one
+const REQUEST_ID = /^[\w.:-]{1,128}$/
+
+Sentry.addGlobalEventProcessor((event) => {
+  const context = requests.getStore()
+  if (context) {
+    event.tags = { ...event.tags, request_id: context.requestId }
+  }
+  return event
+})
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error
+  }
+  return { name: error.name, message: error.message, stack: error.stack }
+}
+
+function log(level, message, fields) {
+  const context = requests.getStore()
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...(context && { request_id: context.requestId }),
+    ...fields
+  })
+  if (level === 'error') {
+    console.error(line)
+  } else {
+    console.log(line)
+  }
+}
+
+export function logInfo(message, fields) {
+  log('info', message, fields)
+}
+
+export function logWarn(message, fields) {
+  log('warn', message, fields)
+}
+
+export function logError(message, error, fields) {
+  log('error', message, { ...(error !== undefined && { error: serializeError(error) }), ...fields })
+}
+
+// The url without api keys passed as a query param
+const redactUrl = (url) => url.replace(/([?&]api_key=)[^&]*/g, '$1[redacted]')
+
+/**
+ * Returns a middleware giving each request an id, from the X-Request-Id header or else a new one, and logging each
+ * response when accessLog is set
+ */
+export function requestLogger({ accessLog }) {
+  return (req, res, next) => {
+    const header = req.get('X-Request-Id')
+    const requestId = header && REQUEST_ID.test(header) ? header : crypto.randomUUID()
+    res.set('X-Request-Id', requestId)
+
+    if (accessLog) {
+      const start = process.hrtime.bigint()
+      res.on('finish', () => {
+        log('info', 'request', {
+          request_id: requestId,
+          method: req.method,
+          url: redactUrl(req.originalUrl),
+          status: res.statusCode,
+          duration_ms: Number(process.hrtime.bigint() - start) / 1e6,
+          content_length: Number(res.get('Content-Length')) || undefined,
+          ip: req.ip,
+          api_key: req.apiKey ? req.apiKey.name : undefined,
+          user_agent: req.get('User-Agent')
+        })
+      })
+    }
+    requests.run({ requestId }, next)
+  }
+}
@@ -0,0 +1,163 @@
+import path from 'path'
+import client from 'prom-client'
+import { getLatestBlock } from './history.js'
+import { logError } from './log.js'
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+const SQL_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+/**
+ * Creates the prometheus metrics of an app serving the database of sql. The latest block and the indexer lag are read
+ * from the database when the metrics are collected.
+ */
+export function createMetrics(sql) {
+  // each app has its own registry, so that apps in the same process, e.g. in tests, do not count each other's requests
+  const register = new client.Registry()
+  client.collectDefaultMetrics({ register })
+
+  // the latest block and the indexer lag are collected at the same time, from one query
+  let reading = null
+  const readLatestBlock = () => {
+    if (!reading) {
+      reading = getLatestBlock(sql)
+        .catch((error) => {
+          // the metrics are still served, without an update of the latest block
+          logError('error reading the latest block for metrics', error)
+          return null
+        })
+        .finally(() => {
+          reading = null
+        })
+    }
+    return reading
+  }
+
+  const metrics = {
+    register,
+    httpRequestDuration: new client.Histogram({
+      name: 'mev_blocks_http_request_duration_seconds',
+      help: 'Time taken to respond to requests, by route',
+      labelNames: ['method', 'route'],
+      buckets: HTTP_BUCKETS,
+      registers: [register]
+    }),
+    httpResponses: new client.Counter({
+      name: 'mev_blocks_http_responses_total',
+      help: 'Responses sent, by route and status',
+      labelNames: ['method', 'route', 'status'],
+      registers: [register]
+    }),
+    sqlQueryDuration: new client.Histogram({
+      name: 'mev_blocks_sql_query_duration_seconds',
+      help: 'Time taken by sql queries, including waiting for a connection, by the function that made them',
+      labelNames: ['query'],
+      buckets: SQL_BUCKETS,
+      registers: [register]
+    }),
+    sqlQueriesInFlight: new client.Gauge({
+      name: 'mev_blocks_sql_queries_in_flight',
+      help: 'Sql queries sent or waiting for a connection, queries beyond mev_blocks_sql_pool_max_connections wait',
+      registers: [register]
+    }),
+    sqlPoolMaxConnections: new client.Gauge({
+      name: 'mev_blocks_sql_pool_max_connections',
+      help: 'Size of the sql connection pool',
+      registers: [register]
+    }),
+    cacheRequests: new client.Counter({
+      name: 'mev_blocks_cache_requests_total',
+      help: 'Lookups of query results in the cache, by query and whether they were found',
+      labelNames: ['cache', 'result'],
+      registers: [register]
+    }),
+    bundleTxLimitReached: new client.Counter({
+      name: 'mev_blocks_bundle_tx_limit_reached_total',
+      help: 'Bundle responses that were truncated at their limit, more transactions follow next_cursor',
+      registers: [register]
+    }),
+    latestBlockNumber: new client.Gauge({
+      name: 'mev_blocks_latest_block_number',
+      help: 'Number of the latest indexed block',
+      registers: [register],
+      async collect() {
+        const block = await readLatestBlock()
+        if (block) {
+          this.set(block.block_number)
+        }
+      }
+    }),
+    indexerLag: new client.Gauge({
+      name: 'mev_blocks_indexer_lag_seconds',
+      help: 'Time since the timestamp of the latest indexed block',
+      registers: [register],
+      async collect() {
+        const block = await readLatestBlock()
+        if (block) {
+          this.set((Date.now() - new Date(block.block_timestamp).getTime()) / 1000)
+        }
+      }
+    })
+  }
+  metrics.sqlPoolMaxConnections.set(sql.options.max)
+
+  return metrics
+}
+
+/**
+ * Returns a middleware timing and counting responses by their route, e.g. /v1/blocks, requests that match no route are
+ * counted as unmatched
+ */
+export function requestMetrics(metrics) {
+  return (req, res, next) => {
+    const end = metrics.httpRequestDuration.startTimer()
+    res.on('finish', () => {
+      const labels = { method: req.method, route: req.route ? req.baseUrl + req.route.path : 'unmatched' }
+      end(labels)
+      metrics.httpResponses.inc({ ...labels, status: res.statusCode })
+    })
+    next()
+  }
+}
+
+// Queries are labeled by the function they were made in, e.g. getPostmergeBlocks, or else by the file and line. Each
+// query has its own strings array, so the stack is only read the first time a query is made.
+const queryNames = new WeakMap()
+
+function queryName(strings) {
+  let name = queryNames.get(strings)
+  if (name === undefined) {
+    // the frames are Error, queryName, the instrumented sql and its caller
+    const frame = new Error().stack.split('\n')[3] || ''
+    const match = frame.match(/at (?:async )?(?:([^\s(]+) \()?(.*):(\d+):\d+\)?$/)
+    name = match ? (match[1] && match[1] !== 'Object.<anonymous>' ? match[1] : `${path.basename(match[2])}:${match[3]}`) : 'unknown'
+    queryNames.set(strings, name)
+  }
+  return name
+}
+
+/**
+ * Returns sql, with the queries made through it, including those in transactions, timed in metrics
+ */
+export function instrumentSql(sql, metrics) {
+  const instrumented = (strings, ...args) => {
+    // other calls, e.g. sql(identifier), are fragments of queries
+    if (!Array.isArray(strings) || !Array.isArray(strings.raw)) {
+      return sql(strings, ...args)
+    }
+    const end = metrics.sqlQueryDuration.startTimer({ query: queryName(strings) })
+    metrics.sqlQueriesInFlight.inc()
+    const query = sql(strings, ...args)
+    const done = () => {
+      end()
+      metrics.sqlQueriesInFlight.dec()
+    }
+    query.then(done, done)
+    return query
+  }
+  return Object.assign(instrumented, sql, {
+    begin: (...args) => {
+      const fn = args.pop()
+      return sql.begin(...args, (scoped) => fn(instrumentSql(scoped, metrics)))
+    }
+  })
+}
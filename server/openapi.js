@@ -0,0 +1,159 @@
+import Ajv from 'ajv'
+import Sentry from '@sentry/node'
+import express from 'express'
+import _ from 'lodash'
+import { logError } from './log.js'
+import { SCHEMAS } from './schemas.js'
+
+// Query params arrive as strings, they are coerced to the schema's type while validating. The query itself is left as is,
+// handlers still parse the params they use. Formats such as date-time are only documentation.
+const ajv = new Ajv({ coerceTypes: true, validateFormats: false })
+_.forEach(SCHEMAS, (schema, name) => ajv.addSchema(schema, `#/components/schemas/${name}`))
+
+const SECURITY_SCHEMES = {
+  ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+}
+
+const openApiParam = (param) => _.omit(param, 'expected')
+
+// The schema of the query or path params of a route, as an object keyed by param name
+function paramsSchema(params) {
+  return {
+    type: 'object',
+    properties: _.fromPairs(_.map(params, (param) => [param.name, param.schema])),
+    required: _.map(_.filter(params, 'required'), 'name')
+  }
+}
+
+// Returns a middleware validating the query and path params of a route against their schemas
+function paramsValidator(params, onInvalidParam) {
+  const byLocation = _.mapValues(_.groupBy(params, 'in'), (group) => ({
+    params: _.keyBy(group, 'name'),
+    validate: ajv.compile(paramsSchema(group))
+  }))
+
+  return (req, res, next) => {
+    for (const [location, { params, validate }] of _.toPairs(byLocation)) {
+      const values = location === 'path' ? req.params : req.query
+      // validating coerces values in place, so a copy is validated
+      if (!validate({ ...values })) {
+        const [error] = validate.errors
+        const name = error.instancePath.split('/')[1] || error.params.missingProperty
+        const param = params[name]
+        onInvalidParam(res, `invalid ${name} param provided, expected ${param.expected} but got: ${values[name]}`, name)
+        return
+      }
+    }
+    next()
+  }
+}
+
+// Returns a middleware parsing json request bodies, a body that is not json is sent as an invalid param
+function jsonBody(onInvalidParam) {
+  const parse = express.json()
+  return (req, res, next) =>
+    parse(req, res, (error) =>
+      error ? onInvalidParam(res, `invalid body provided, expected json but got: ${error.message}`, 'body') : next()
+    )
+}
+
+// Validates the json bodies of 2xx responses, mismatches are reported but the response is still sent
+function responseValidator(path, schema) {
+  const validate = ajv.compile(schema)
+  return (req, res, next) => {
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      // the body is validated as it is serialized, e.g. with dates as strings
+      if (res.statusCode < 300 && !validate(JSON.parse(JSON.stringify(body)))) {
+        const error = new Error(`response of ${path} does not match its schema: ${ajv.errorsText(validate.errors)}`)
+        logError(error.message)
+        Sentry.captureException(error)
+      }
+      return json(body)
+    }
+    next()
+  }
+}
+
+/**
+ * Collects route definitions, which the OpenAPI document is generated from and which requests (and optionally responses)
+ * are validated against. A route definition is:
+ *
+ *  - summary, description: documentation of the route
+ *  - params: entries of PARAMS in schemas.js
+ *  - body: the schema of the json request body, for put routes. The body is parsed, the handler validates it.
+ *  - response: the schema of the json response
+ *  - contentTypes: other content types the route responds with, e.g. for a format param
+ *  - errors: other error statuses the route responds with, by status
+ */
+export function createApi({ info, servers, validateResponses = false }) {
+  const paths = {}
+
+  /**
+   * Returns an object whose get, put and delete(path, definition, ...handlers) register a route on router, which is
+   * mounted at prefix. Invalid params are sent with onInvalidParam(res, message, param). Errors are documented as
+   * errorSchema, except for rate limit and internal errors, which are plain text with plainTextErrors.
+   */
+  function routes(router, { prefix = '', errorSchema = 'Error', plainTextErrors = false, onInvalidParam }) {
+    const errorResponse = (description) => ({
+      description,
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${errorSchema}` } } }
+    })
+    const otherErrorResponse = (description) =>
+      plainTextErrors ? { description, content: { 'text/plain': {} } } : errorResponse(description)
+
+    function route(method, path, definition, handlers) {
+      const { summary, description, params = [], body, response, contentTypes = [], errors = {} } = definition
+      const fullPath = `${prefix}${path}`
+
+      const content = _.fromPairs(_.map(contentTypes, (contentType) => [contentType, {}]))
+      if (response) {
+        content['application/json'] = { schema: response }
+      }
+      _.set(paths, [fullPath.replace(/:(\w+)/g, '{$1}'), method], {
+        summary,
+        description,
+        parameters: _.map(params, openApiParam),
+        requestBody: body && { required: true, content: { 'application/json': { schema: body } } },
+        responses: {
+          200: { description: 'OK', content },
+          400: errorResponse('An invalid param'),
+          401: errorResponse('An invalid api key'),
+          ..._.mapValues(errors, errorResponse),
+          429: otherErrorResponse('Too many requests'),
+          500: otherErrorResponse('Internal Server Error')
+        }
+      })
+
+      const middleware = [paramsValidator(params, onInvalidParam)]
+      if (body) {
+        middleware.push(jsonBody(onInvalidParam))
+      }
+      if (validateResponses && response) {
+        middleware.push(responseValidator(fullPath, response))
+      }
+      router[method](path, ...middleware, ...handlers)
+    }
+
+    return {
+      get: (path, definition, ...handlers) => route('get', path, definition, handlers),
+      put: (path, definition, ...handlers) => route('put', path, definition, handlers),
+      delete: (path, definition, ...handlers) => route('delete', path, definition, handlers)
+    }
+  }
+
+  function document() {
+    return {
+      openapi: '3.1.0',
+      info,
+      servers,
+      paths,
+      components: { schemas: SCHEMAS, securitySchemes: SECURITY_SCHEMES },
+      // api keys are optional, requests without one get the anonymous tier
+      security: [{}, ..._.map(SECURITY_SCHEMES, (scheme, name) => ({ [name]: [] }))]
+    }
+  }
+
+  return { routes, document }
+}
@@ -0,0 +1,403 @@
+import _ from 'lodash'
+import utils from 'web3-utils'
+import { decodeBundleCursor, decodeCursor, decodeFeeRecipientCursor, MAX_POSITION } from './cursor.js'
+import { STATS_INTERVALS } from './stats.js'
+
+// Validators check a single raw value, returning { value } with the parsed value or { expected } describing a valid value.
+// Parsers build on them to read query params, returning the parsed params to spread into a query or { error, param }
+// naming the invalid param. Every route, including graphql arguments and websocket params, goes through them.
+
+export const BUNDLE_TYPES = ['flashbots', 'mempool']
+export const MAX_LIMIT = 10000
+export const MAX_BLOCK_NUMBER = MAX_POSITION
+export const MAX_COMPARED_ADDRESSES = 10
+export const LABEL_CATEGORIES = ['builder', 'searcher', 'dex_router', 'relayer', 'miner', 'contract', 'other']
+export const ENRICHMENTS = ['labels']
+export const MAX_LABEL_NAME_LENGTH = 100
+export const MAX_LABEL_TAGS = 20
+
+// Numbers must be plain decimals: parseInt would read '0x10' as 0 and '12abc' as 12. Repeated params are arrays, which
+// are never valid.
+function validateInteger(value, { min = 0, max = Number.MAX_SAFE_INTEGER, expected }) {
+  const number = _.isString(value) && /^\d+$/.test(value) ? Number(value) : NaN
+  if (!(number >= min && number <= max)) {
+    return { expected }
+  }
+  return { value: number }
+}
+
+export function validateBlockNumber(value) {
+  return validateInteger(value, { max: MAX_BLOCK_NUMBER, expected: 'a block number' })
+}
+
+// wei amounts can exceed a js number, so they are passed to postgres as a numeric string
+function validateWei(value) {
+  if (!_.isString(value) || !/^\d+$/.test(value)) {
+    return { expected: 'an amount in wei' }
+  }
+  return { value }
+}
+
+export function validateLimit(value) {
+  return validateInteger(value, { min: 1, max: MAX_LIMIT, expected: `a number between 1 and ${MAX_LIMIT}` })
+}
+
+// Addresses are returned checksummed. Mixed-case addresses must have a valid checksum, which catches typos.
+export function validateAddress(value) {
+  if (!_.isString(value) || !utils.isAddress(value)) {
+    return { expected: 'an address' }
+  }
+  return { value: utils.toChecksumAddress(value) }
+}
+
+export function validateBundleType(value) {
+  if (!BUNDLE_TYPES.includes(value)) {
+    return { expected: `one of ${BUNDLE_TYPES.join(', ')}` }
+  }
+  return { value }
+}
+
+// Transaction and bundle hashes are returned as 0x prefixed lowercase hex, the 0x is optional
+export function validateHash(value) {
+  const hex = _.isString(value) ? value.replace(/^0x/i, '').toLowerCase() : ''
+  if (!/^[0-9a-f]{64}$/.test(hex)) {
+    return { expected: 'a 32 byte hex hash' }
+  }
+  return { value: `0x${hex}` }
+}
+
+// Lists of blocks page with block cursors and lists of transactions with transaction cursors. A cursor of the other kind
+// would skip or repeat rows, so it is rejected like a malformed one.
+export function validateBlockCursor(value) {
+  const cursor = _.isString(value) ? decodeCursor(value) : undefined
+  if (!cursor || cursor.bundleIndex !== undefined) {
+    return { expected: 'a cursor from next_cursor of a list of blocks' }
+  }
+  return { value: cursor }
+}
+
+export function validateTransactionCursor(value) {
+  const cursor = _.isString(value) ? decodeCursor(value) : undefined
+  if (!cursor || cursor.bundleIndex === undefined) {
+    return { expected: 'a cursor from next_cursor of a list of transactions' }
+  }
+  return { value: cursor }
+}
+
+export function validateBundleCursor(value) {
+  const cursor = _.isString(value) ? decodeBundleCursor(value) : undefined
+  if (!cursor) {
+    return { expected: 'a cursor from next_cursor' }
+  }
+  return { value: cursor }
+}
+
+export function validateFeeRecipientCursor(value) {
+  const cursor = _.isString(value) ? decodeFeeRecipientCursor(value) : undefined
+  if (!cursor) {
+    return { expected: 'a cursor from next_cursor' }
+  }
+  return { value: cursor }
+}
+
+// Bundles are identified by their hash, which only post-merge bundles can have, or by their position: bundle_index in
+// block_number, e.g. 15537394-0, or bundle_index in the megabundle megabundle_id of block_number, e.g. 12006597-m1-0
+export function validateBundleId(value) {
+  const hash = validateHash(value)
+  if (!hash.expected) {
+    return { value: { bundleHash: hash.value } }
+  }
+  const match = _.isString(value) ? value.match(/^(\d+)-(?:m(\d+)-)?(\d+)$/) : null
+  const position = match && _.map(match.slice(1), (part) => (part === undefined ? 0 : Number(part)))
+  if (!position || !_.every(position, (part) => part <= MAX_POSITION)) {
+    return { expected: 'a 32 byte hex bundle hash or a bundle id' }
+  }
+  const [blockNumber, megabundleId, bundleIndex] = position
+  return { value: { blockNumber, megabundleId, bundleIndex } }
+}
+
+function validateLabelName(value) {
+  const name = _.isString(value) ? value.trim() : ''
+  if (!name || name.length > MAX_LABEL_NAME_LENGTH) {
+    return { expected: `a name of 1 to ${MAX_LABEL_NAME_LENGTH} characters` }
+  }
+  return { value: name }
+}
+
+// Tags are lowercase words such as mev-boost or sandwich
+function validateLabelTag(value) {
+  const tag = _.isString(value) ? value.trim().toLowerCase() : ''
+  if (!/^[a-z0-9][a-z0-9_.-]{0,49}$/.test(tag)) {
+    return { expected: 'a tag of lowercase letters, digits, _, . and -' }
+  }
+  return { value: tag }
+}
+
+// duplicate tags are dropped
+function validateLabelTags(value) {
+  const tags = _.isArray(value) ? _.map(value, validateLabelTag) : []
+  if (!_.isArray(value) || tags.length > MAX_LABEL_TAGS || _.some(tags, 'expected')) {
+    return { expected: `a list of up to ${MAX_LABEL_TAGS} tags of lowercase letters, digits, _, . and -` }
+  }
+  return { value: _.uniq(_.map(tags, 'value')) }
+}
+
+export function invalidParam(param, expected, value) {
+  return { error: `invalid ${param} param provided, expected ${expected} but got: ${value}`, param }
+}
+
+// Validates query[param] if it is present, returning { value } (undefined when it is absent) or { error, param }
+function parseOptional(query, param, validate) {
+  const raw = query[param]
+  if (raw === undefined || raw === '') {
+    return {}
+  }
+  const { value, expected } = validate(raw)
+  return expected ? invalidParam(param, expected, raw) : { value }
+}
+
+function parseOneOf(query, param, values, defaultValue) {
+  const value = query[param] || defaultValue
+  if (value !== undefined && !values.includes(value)) {
+    return invalidParam(param, `one of ${values.join(', ')}`, value)
+  }
+  return { value }
+}
+
+export function parseLimit(query, defaultLimit = 100) {
+  const { value: limit = defaultLimit, error, param } = parseOptional(query, 'limit', validateLimit)
+  return error ? { error, param } : { limit }
+}
+
+export function parseBlockCursor(query) {
+  const { value: cursor = {}, error, param } = parseOptional(query, 'cursor', validateBlockCursor)
+  return error ? { error, param } : { cursor }
+}
+
+export function parseTransactionCursor(query) {
+  const { value: cursor = {}, error, param } = parseOptional(query, 'cursor', validateTransactionCursor)
+  return error ? { error, param } : { cursor }
+}
+
+export function parseBundleCursor(query) {
+  const { value: cursor = {}, error, param } = parseOptional(query, 'cursor', validateBundleCursor)
+  return error ? { error, param } : { cursor }
+}
+
+export function parseFeeRecipientCursor(query) {
+  const { value: cursor = {}, error, param } = parseOptional(query, 'cursor', validateFeeRecipientCursor)
+  return error ? { error, param } : { cursor }
+}
+
+export function parseBundleType(query) {
+  const { value: bundleType, error, param } = parseOneOf(query, 'bundle_type', BUNDLE_TYPES)
+  return error ? { error, param } : { bundleType }
+}
+
+export function parseInterval(query) {
+  const { value: interval, error, param } = parseOneOf(query, 'interval', STATS_INTERVALS, 'day')
+  return error ? { error, param } : { interval }
+}
+
+// A single block, as a range
+export function parseBlockNumber(query) {
+  const { value: blockNumber, error, param } = parseOptional(query, 'block_number', validateBlockNumber)
+  if (error) {
+    return { error, param }
+  }
+  return blockNumber === undefined ? {} : { blockNumberRange: { lowest: blockNumber, highest: blockNumber } }
+}
+
+// A transaction or bundle hash path param
+export function parseHash(value) {
+  const { value: hash, expected } = validateHash(value)
+  return expected ? invalidParam('hash', expected, value) : { hash }
+}
+
+// An address path param
+export function parseAddress(value) {
+  const { value: address, expected } = validateAddress(value)
+  return expected ? invalidParam('address', expected, value) : { address }
+}
+
+// A block number path param
+export function parseBlockNumberParam(value) {
+  const { value: blockNumber, expected } = validateBlockNumber(value)
+  return expected ? invalidParam('number', expected, value) : { blockNumber }
+}
+
+// A bundle hash or id path param
+export function parseBundleId(value) {
+  const { value: bundleId, expected } = validateBundleId(value)
+  return expected ? invalidParam('id', expected, value) : { bundleId }
+}
+
+export function parseEnrich(query) {
+  const { value: enrich, error, param } = parseOneOf(query, 'enrich', ENRICHMENTS)
+  return error ? { error, param } : { enrich }
+}
+
+export function parseFormat(query, formats, defaultFormat) {
+  const { value: format, error, param } = parseOneOf(query, 'format', _.keys(formats), defaultFormat)
+  return error ? { error, param } : { format }
+}
+
+/**
+ * Parses the from, to, bundle_type, min_eth_sent_to_fee_recipient and min_gas_used transaction filters
+ */
+export function parseTransactionFilters(query) {
+  const from = parseOptional(query, 'from', validateAddress)
+  if (from.error) {
+    return from
+  }
+  const to = parseOptional(query, 'to', validateAddress)
+  if (to.error) {
+    return to
+  }
+
+  const bundleType = parseBundleType(query)
+  if (bundleType.error) {
+    return bundleType
+  }
+
+  const minEthSentToFeeRecipient = parseOptional(query, 'min_eth_sent_to_fee_recipient', validateWei)
+  if (minEthSentToFeeRecipient.error) {
+    return minEthSentToFeeRecipient
+  }
+
+  const minGasUsed = parseOptional(query, 'min_gas_used', (value) => validateInteger(value, { expected: 'a number' }))
+  if (minGasUsed.error) {
+    return minGasUsed
+  }
+
+  return {
+    from: from.value,
+    to: to.value,
+    bundleType: bundleType.bundleType,
+    minEthSentToFeeRecipient: minEthSentToFeeRecipient.value,
+    minGasUsed: minGasUsed.value
+  }
+}
+
+/**
+ * Parses the from and transaction_hash bundle filters
+ */
+export function parseBundleFilters(query) {
+  const from = parseOptional(query, 'from', validateAddress)
+  if (from.error) {
+    return from
+  }
+  const transactionHash = parseOptional(query, 'transaction_hash', validateHash)
+  if (transactionHash.error) {
+    return transactionHash
+  }
+  return { from: from.value, transactionHash: transactionHash.value }
+}
+
+/**
+ * Parses addresses, a comma separated list of 2 to MAX_COMPARED_ADDRESSES addresses to compare
+ */
+export function parseComparedAddresses(query) {
+  const expected = `a comma separated list of 2 to ${MAX_COMPARED_ADDRESSES} addresses`
+  const raw = query.addresses
+  const parsed = _.isString(raw) ? _.map(raw.split(','), (value) => validateAddress(value.trim()).value) : []
+  const addresses = _.uniq(parsed)
+  if (!_.every(parsed) || addresses.length < 2 || addresses.length > MAX_COMPARED_ADDRESSES) {
+    return invalidParam('addresses', expected, raw)
+  }
+  return { addresses }
+}
+
+/**
+ * Parses the category and tag label filters
+ */
+export function parseLabelFilters(query) {
+  const { value: category, error, param } = parseOneOf(query, 'category', LABEL_CATEGORIES)
+  if (error) {
+    return { error, param }
+  }
+  const tag = parseOptional(query, 'tag', validateLabelTag)
+  if (tag.error) {
+    return tag
+  }
+  return { category, tag: tag.value }
+}
+
+/**
+ * Parses a label, the json body of PUT /v1/labels/:address or an entry of a label file: a name, a category and
+ * optionally tags. Its fields are reported as params when they are invalid.
+ */
+export function parseLabel(body) {
+  if (!_.isPlainObject(body)) {
+    return invalidParam('body', 'a json object with a name, a category and optionally tags', JSON.stringify(body))
+  }
+  const name = validateLabelName(body.name)
+  if (name.expected) {
+    return invalidParam('name', name.expected, body.name)
+  }
+  const category = parseOneOf(body, 'category', LABEL_CATEGORIES)
+  if (category.error) {
+    return category
+  }
+  if (category.value === undefined) {
+    return invalidParam('category', `one of ${LABEL_CATEGORIES.join(', ')}`, body.category)
+  }
+  const tags = body.tags === undefined ? { value: [] } : validateLabelTags(body.tags)
+  if (tags.expected) {
+    return invalidParam('tags', tags.expected, JSON.stringify(body.tags))
+  }
+  return { name: name.value, category: category.value, tags: tags.value }
+}
+
+/**
+ * Parses the fee_recipient (or its older name miner) and from block filters
+ */
+export function parseBlockFilters(query) {
+  const feeRecipient = parseOptional(query, query.fee_recipient ? 'fee_recipient' : 'miner', validateAddress)
+  if (feeRecipient.error) {
+    return feeRecipient
+  }
+  const from = parseOptional(query, 'from', validateAddress)
+  if (from.error) {
+    return from
+  }
+  return { feeRecipient: feeRecipient.value, from: from.value }
+}
+
+/**
+ * Parses the block filters and last_block_number of /stream. lastEventId is the Last-Event-ID header an EventSource
+ * sends when it reconnects.
+ */
+export function parseStreamParams(query, lastEventId) {
+  const params = parseBlockFilters(query)
+  if (params.error) {
+    return params
+  }
+  const lastBlockNumber = parseOptional(
+    { last_block_number: query.last_block_number || lastEventId },
+    'last_block_number',
+    validateBlockNumber
+  )
+  if (lastBlockNumber.error) {
+    return lastBlockNumber
+  }
+  if (lastBlockNumber.value !== undefined) {
+    params.lastBlockNumber = lastBlockNumber.value
+  }
+  return params
+}
+
+/**
+ * Runs each parser over query, returning their merged params or the first error
+ */
+export function parseParams(query, ...parsers) {
+  const params = {}
+  for (const parser of parsers) {
+    const parsed = parser(query)
+    if (parsed.error) {
+      return parsed
+    }
+    Object.assign(params, parsed)
+  }
+  return params
+}
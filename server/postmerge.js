@@ -0,0 +1,255 @@
+/**
+ * Returns the transactions of post-merge bundles within the inclusive block range, following the cursor
+ */
+export async function getPostmergeTransactions(sql, { limit, range, cursor, from, to, bundleType, minEthSentToFeeRecipient, minGasUsed }) {
+  const transactions = await sql`
+      select
+          tx_hash as transaction_hash,
+          tx_index,
+          bundle_type,
+          bundle_index,
+          block_number,
+          from_address as eoa_address,
+          to_address,
+          gas_used,
+          gas_price::text,
+          eth_sent_to_fee_recipient::text as eth_sent_to_fee_recipient,
+          fee_recipient_eth_diff::text as fee_recipient_eth_diff,
+          false as is_megabundle
+      from
+          included_built_block_bundle_txs
+      where
+          (${range.lowest}::int is null or block_number >= ${range.lowest}::int) and
+          (${range.highest}::int is null or block_number <= ${range.highest}::int) and
+          (${cursor.blockNumber || null}::int is null or block_number < ${cursor.blockNumber}::int or
+            (block_number = ${cursor.blockNumber}::int and
+              (bundle_index, tx_index) > (${cursor.bundleIndex}::int, ${cursor.txIndex}::int))) and
+          (${from || null}::text is null or from_address = ${from}) and
+          (${to || null}::text is null or to_address = ${to}) and
+          (${bundleType || null}::text is null or bundle_type = ${bundleType}) and
+          (${minEthSentToFeeRecipient || null}::numeric is null or eth_sent_to_fee_recipient >= ${minEthSentToFeeRecipient}::numeric) and
+          (${minGasUsed || null}::bigint is null or gas_used >= ${minGasUsed}::bigint)
+      order by
+          block_number desc,
+          bundle_index,
+          tx_index
+      limit
+          ${limit}`
+
+  return transactions
+}
+
+/**
+ * Returns post-merge blocks within the inclusive block range in descending order, optionally only the blocks in blockNumbers
+ */
+export async function getPostmergeBlocks(sql, { limit, range, feeRecipient, from, blockNumbers }) {
+  const blockNumberArray = blockNumbers ? sql.array(blockNumbers) : null
+  const blocks = await sql`
+        select
+            b.block_number,
+            sum(t.fee_recipient_eth_diff)::text as fee_recipient_eth_diff,
+            min(b.fee_recipient) as fee_recipient,
+            sum(t.eth_sent_to_fee_recipient)::text as eth_sent_to_fee_recipient,
+            sum(t.gas_used) as gas_used,
+            floor(sum(t.fee_recipient_eth_diff)/sum(t.gas_used))::text as gas_price,
+            array_agg(json_build_object(
+              'transaction_hash', t.tx_hash,
+              'tx_index', t.tx_index,
+              'bundle_type', t.bundle_type,
+              'bundle_index', t.bundle_index,
+              'block_number', t.block_number,
+              'eoa_address', t.from_address,
+              'to_address', t.to_address,
+              'gas_used', t.gas_used,
+              'gas_price', t.gas_price::text,
+              'eth_sent_to_fee_recipient', t.eth_sent_to_fee_recipient::text,
+              'fee_recipient_eth_diff', t.fee_recipient_eth_diff::text,
+              'is_megabundle', false
+            ) ORDER BY t.bundle_index, t.tx_index) as transactions
+        from
+            included_built_block_bundles b
+              join included_built_block_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
+        where
+            (${range.lowest}::int is null or b.block_number >= ${range.lowest}::int) and
+            (${range.highest}::int is null or b.block_number <= ${range.highest}::int) and
+            (${feeRecipient || null}::text is null or b.fee_recipient = ${feeRecipient}) and
+            (${blockNumberArray}::bigint[] is null or b.block_number = any(${blockNumberArray}::bigint[])) and
+            (${
+              from || null
+            }::text is null or b.block_number IN (SELECT block_number from included_built_block_bundle_txs where from_address = ${from}))
+        group by
+            b.block_number
+        order by
+            b.block_number desc
+        limit
+          ${limit}`
+
+  return blocks
+}
+
+/**
+ * Returns the numbers of the post-merge blocks paid to each of feeRecipients within the inclusive block range, as rows of
+ * fee_recipient and block_number, in descending order and up to limit per fee recipient
+ */
+export async function getPostmergeFeeRecipientBlockNumbers(sql, { feeRecipients, limit, range, from }) {
+  const blockNumbers = await sql`
+        with fee_recipient_blocks as (
+            select distinct
+                b.fee_recipient,
+                b.block_number
+            from
+                included_built_block_bundles b
+            where
+                b.fee_recipient = any(${sql.array(feeRecipients)}::text[]) and
+                (${range.lowest}::int is null or b.block_number >= ${range.lowest}::int) and
+                (${range.highest}::int is null or b.block_number <= ${range.highest}::int) and
+                (${
+                  from || null
+                }::text is null or b.block_number IN (SELECT block_number from included_built_block_bundle_txs where from_address = ${from}))
+        )
+        select
+            fee_recipient,
+            block_number
+        from (
+            select
+                fee_recipient_blocks.*,
+                row_number() over (partition by fee_recipient order by block_number desc) as position
+            from
+                fee_recipient_blocks
+        ) ranked
+        where
+            position <= ${limit}
+        order by
+            fee_recipient, block_number desc`
+
+  return blockNumbers
+}
+
+/**
+ * Returns the post-merge bundle containing the transaction hash, including all of its transactions, or undefined if there is none
+ */
+export async function getPostmergeBundleByTransaction(sql, transactionHash) {
+  const [bundle] = await sql`
+        with matched as (
+            select block_number, bundle_index from included_built_block_bundle_txs where tx_hash = ${transactionHash} limit 1
+        )
+        select
+            b.block_number,
+            b.bundle_index,
+            min(t.bundle_type) as bundle_type,
+            min(b.fee_recipient) as fee_recipient,
+            sum(t.eth_sent_to_fee_recipient)::text as eth_sent_to_fee_recipient,
+            sum(t.fee_recipient_eth_diff)::text as fee_recipient_eth_diff,
+            sum(t.gas_used) as gas_used,
+            floor(sum(t.fee_recipient_eth_diff)/sum(t.gas_used))::text as gas_price,
+            false as is_megabundle,
+            array_agg(json_build_object(
+              'transaction_hash', t.tx_hash,
+              'tx_index', t.tx_index,
+              'bundle_type', t.bundle_type,
+              'bundle_index', t.bundle_index,
+              'block_number', t.block_number,
+              'eoa_address', t.from_address,
+              'to_address', t.to_address,
+              'gas_used', t.gas_used,
+              'gas_price', t.gas_price::text,
+              'eth_sent_to_fee_recipient', t.eth_sent_to_fee_recipient::text,
+              'fee_recipient_eth_diff', t.fee_recipient_eth_diff::text,
+              'is_megabundle', false
+            ) ORDER BY t.tx_index) as transactions
+        from
+            matched
+              join included_built_block_bundles b ON b.block_number = matched.block_number AND b.bundle_index = matched.bundle_index
+              join included_built_block_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
+        group by
+            b.block_number,
+            b.bundle_index`
+
+  return bundle
+}
+
+/**
+ * Returns post-merge bundles within the inclusive block range following the cursor, with the totals of their transactions.
+ * Bundles can be narrowed down to those with a transaction from an address or with a transaction hash, to the bundle
+ * with a bundle hash, or to the bundle at bundleIndex.
+ */
+export async function getPostmergeBundles(sql, { limit, range, cursor, from, transactionHash, bundleHash, bundleIndex }) {
+  const sbundleHash = bundleHash ? Buffer.from(bundleHash.slice(2), 'hex') : null
+  const bundles = await sql`
+      select
+          b.block_number,
+          b.bundle_index,
+          null::bigint as megabundle_id,
+          '0x' || encode(b.sbundle_hash, 'hex') as bundle_hash,
+          b.bundle_type,
+          b.fee_recipient,
+          count(*)::int as transaction_count,
+          sum(t.eth_sent_to_fee_recipient)::text as eth_sent_to_fee_recipient,
+          sum(t.fee_recipient_eth_diff)::text as fee_recipient_eth_diff,
+          sum(t.gas_used) as gas_used,
+          floor(sum(t.fee_recipient_eth_diff)/sum(t.gas_used))::text as gas_price,
+          false as is_megabundle
+      from
+          included_built_block_bundles b
+            join included_built_block_bundle_txs t ON t.block_id = b.block_id AND t.bundle_index = b.bundle_index
+      where
+          (${range.lowest}::int is null or b.block_number >= ${range.lowest}::int) and
+          (${range.highest}::int is null or b.block_number <= ${range.highest}::int) and
+          (${cursor.blockNumber || null}::int is null or b.block_number < ${cursor.blockNumber}::int or
+            (b.block_number = ${cursor.blockNumber}::int and
+              (0, b.bundle_index) > (${cursor.megabundleId}::bigint, ${cursor.bundleIndex}::int))) and
+          (${bundleIndex === undefined ? null : bundleIndex}::int is null or b.bundle_index = ${bundleIndex}::int) and
+          (${sbundleHash}::bytea is null or b.sbundle_hash = ${sbundleHash}::bytea) and
+          (${from || null}::text is null or exists (
+            select 1 from included_built_block_bundle_txs f
+            where f.block_id = b.block_id and f.bundle_index = b.bundle_index and f.from_address = ${from})) and
+          (${transactionHash || null}::text is null or exists (
+            select 1 from included_built_block_bundle_txs h
+            where h.block_id = b.block_id and h.bundle_index = b.bundle_index and h.tx_hash = ${transactionHash}))
+      group by
+          b.block_id,
+          b.block_number,
+          b.bundle_index,
+          b.sbundle_hash,
+          b.bundle_type,
+          b.fee_recipient
+      order by
+          b.block_number desc,
+          b.bundle_index
+      limit
+          ${limit}`
+
+  return bundles
+}
+
+/**
+ * Returns the transactions of the post-merge bundle at bundleIndex in blockNumber following the cursor, up to limit
+ */
+export async function getPostmergeBundleTransactions(sql, { blockNumber, bundleIndex, limit, cursor }) {
+  const transactions = await sql`
+      select
+          tx_hash as transaction_hash,
+          tx_index,
+          bundle_type,
+          bundle_index,
+          block_number,
+          from_address as eoa_address,
+          to_address,
+          gas_used,
+          gas_price::text,
+          eth_sent_to_fee_recipient::text as eth_sent_to_fee_recipient,
+          fee_recipient_eth_diff::text as fee_recipient_eth_diff,
+          false as is_megabundle
+      from
+          included_built_block_bundle_txs
+      where
+          block_number = ${blockNumber}::int and
+          bundle_index = ${bundleIndex}::int and
+          (${cursor.txIndex === undefined ? null : cursor.txIndex}::int is null or tx_index > ${cursor.txIndex}::int)
+      order by
+          tx_index
+      limit
+          ${limit}`
+
+  return transactions
+}
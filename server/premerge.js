@@ -1,5 +1,3 @@
-import Sentry from '@sentry/node'
-import utils from 'web3-utils'
 import _ from 'lodash'
 
 function isMegabundleBlock(mergedBlock, megabundleBlock) {
@@ -8,65 +6,45 @@ function isMegabundleBlock(mergedBlock, megabundleBlock) {
   return megabundleBlock.transactions.length > mergedBlock.transactions.length
 }
 
-export async function getPremergeTransactions(sql, req, res) {
-  try {
-    let before = req.query.before
-    if (before === 'latest') {
-      before = ''
-    }
-    let limit = parseInt(req.query.limit)
-    if (isNaN(limit)) {
-      limit = 100
-    }
-    if (limit < 0 || limit > 10000) {
-      res.status(400)
-      res.json({ error: `invalid limit param provided, must be less than 10000 and more than 0: ${req.query.limit}` })
-      return
-    }
-
-    let beforeInt
-    if (before) {
-      beforeInt = parseInt(before)
-      if (isNaN(beforeInt)) {
-        res.status(400)
-        res.json({ error: `invalid before param provided, expected a number but got: ${before}` })
-        return
-      }
-    }
-    const transactions = await sql`
+/**
+ * Returns the transactions of pre-merge bundles within the inclusive block range, following the cursor
+ */
+export async function getPremergeTransactions(sql, { limit, range, cursor, from, to, bundleType, minEthSentToFeeRecipient, minGasUsed }) {
+  const transactions = await sql`
       select
           tx_hash as transaction_hash,
           tx_index,
+          bundle_type,
           bundle_index,
           block_number,
-          from_address as eao_address,
+          from_address as eoa_address,
           to_address,
           gas_used,
           gas_price::text,
-          
-          eth_sent_to_coinbase::text as coinbase_transfer,
           eth_sent_to_coinbase::text as eth_sent_to_fee_recipient,
-          
-          coinbase_diff::text as total_miner_reward,
-          coinbase_diff::text as fee_recipient_eth_diff
+          coinbase_diff::text as fee_recipient_eth_diff,
+          false as is_megabundle
       from
           mined_bundle_txs
       where
-          (${beforeInt || null}::int is null or block_number < ${beforeInt}::int)
+          (${range.lowest}::int is null or block_number >= ${range.lowest}::int) and
+          (${range.highest}::int is null or block_number <= ${range.highest}::int) and
+          (${cursor.blockNumber || null}::int is null or block_number < ${cursor.blockNumber}::int or
+            (block_number = ${cursor.blockNumber}::int and
+              (bundle_index, tx_index) > (${cursor.bundleIndex}::int, ${cursor.txIndex}::int))) and
+          (${from || null}::text is null or from_address = ${from}) and
+          (${to || null}::text is null or to_address = ${to}) and
+          (${bundleType || null}::text is null or bundle_type = ${bundleType}) and
+          (${minEthSentToFeeRecipient || null}::numeric is null or eth_sent_to_coinbase >= ${minEthSentToFeeRecipient}::numeric) and
+          (${minGasUsed || null}::bigint is null or gas_used >= ${minGasUsed}::bigint)
       order by
-          block_number desc
+          block_number desc,
+          bundle_index,
+          tx_index
       limit
           ${limit}`
 
-    const latestBlockNumber = await sql`select max(block_number) as block_number from blocks`
-
-    res.json({ transactions, latest_block_number: latestBlockNumber[0].block_number })
-  } catch (error) {
-    console.error('unhandled error in /transactions', error)
-    Sentry.captureException(error)
-    res.status(500)
-    res.end('Internal Server Error')
-  }
+  return transactions
 }
 
 function inferMegabundleTransactionsByBlock(megaBundleBlock, mergedBlock) {
@@ -104,64 +82,20 @@ function inferMegabundleTransactionsByBlock(megaBundleBlock, mergedBlock) {
   }
 }
 
-export async function getPremergeBlocks(sql, req, res) {
-  /* eslint-disable camelcase */
-  try {
-    let before = req.query.before
-    if (before === 'latest') {
-      before = ''
-    }
-    let limit = parseInt(req.query.limit)
-    if (isNaN(limit)) {
-      limit = 100
-    }
-    if (limit < 0 || limit > 10000) {
-      res.status(400)
-      res.json({ error: `invalid limit param provided, must be less than 10000 and more than 0 but got: ${req.query.limit}` })
-      return
-    }
-
-    let beforeInt
-    if (before) {
-      beforeInt = parseInt(before)
-      if (isNaN(beforeInt)) {
-        res.status(400)
-        res.json({ error: `invalid before param provided, expected a number but got: ${before}` })
-        return
-      }
-    }
-
-    let blockNumInt
-    if (req.query.block_number) {
-      blockNumInt = parseInt(req.query.block_number)
-      if (isNaN(blockNumInt)) {
-        res.status(400)
-        res.json({ error: `invalid block_number param provided, expected a number but got: ${req.query.block_number}` })
-        return
-      }
-    }
-
-    let miner = req.query.miner
-    if (miner) {
-      miner = utils.toChecksumAddress(miner)
-    }
-
-    let from = req.query.from
-    if (from) {
-      from = utils.toChecksumAddress(from)
-    }
-
-    const mergedBundles = await sql`
+/**
+ * Returns pre-merge blocks within the inclusive block range in descending order, merging in megabundle transactions.
+ * With blockNumbers, only those blocks are returned.
+ */
+export async function getPremergeBlocks(sql, { limit, range, feeRecipient, from, blockNumbers }) {
+  const blockNumberArray = blockNumbers ? sql.array(blockNumbers) : null
+  const mergedBundles = await sql`
         select
             b.block_number,
-            sum(t.coinbase_diff)::text as miner_reward,
             sum(t.coinbase_diff)::text as fee_recipient_eth_diff,
-            min(b.miner) as miner,
-            sum(t.eth_sent_to_coinbase)::text as coinbase_transfers,
+            min(b.miner) as fee_recipient,
             sum(t.eth_sent_to_coinbase)::text as eth_sent_to_fee_recipient,
             sum(t.gas_used) as gas_used,
             floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as gas_price,
-            floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as effective_priority_fee_gas_price,
             array_agg(json_build_object(
               'transaction_hash', t.tx_hash,
               'tx_index', t.tx_index,
@@ -172,21 +106,18 @@ export async function getPremergeBlocks(sql, req, res) {
               'to_address', t.to_address,
               'gas_used', t.gas_used,
               'gas_price', t.gas_price::text,
-                
-              'coinbase_transfer', t.eth_sent_to_coinbase::text,
               'eth_sent_to_fee_recipient', t.eth_sent_to_coinbase::text,
-                
-              'total_miner_reward', t.coinbase_diff::text,
-              'fee_recipient_eth_diff', t.coinbase_diff::text
-                  
+              'fee_recipient_eth_diff', t.coinbase_diff::text,
+              'is_megabundle', false
             ) ORDER BY t.bundle_index, t.tx_index) as transactions
         from
             mined_bundles b
               join mined_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
         where
-            (${beforeInt || null}::int is null or b.block_number < ${beforeInt}::int) and
-            (${blockNumInt || null}::int is null or b.block_number = ${blockNumInt}::int) and
-            (${miner || null}::text is null or b.miner = ${miner}) and
+            (${range.lowest}::int is null or b.block_number >= ${range.lowest}::int) and
+            (${range.highest}::int is null or b.block_number <= ${range.highest}::int) and
+            (${feeRecipient || null}::text is null or b.miner = ${feeRecipient}) and
+            (${blockNumberArray}::bigint[] is null or b.block_number = any(${blockNumberArray}::bigint[])) and
             (${from || null}::text is null or b.block_number IN (SELECT block_number from mined_bundle_txs where from_address = ${from}))
         group by
             b.block_number
@@ -195,28 +126,27 @@ export async function getPremergeBlocks(sql, req, res) {
         limit
           ${limit}`
 
-    const megabundles = await sql`
+  const megabundles = await sql`
         select
             mmb.block_number,
-            sum(t.coinbase_diff)::text as miner_reward,
             sum(t.coinbase_diff)::text as fee_recipient_eth_diff,
-            min(blocks.miner) as miner,
-            sum(t.eth_sent_to_coinbase)::text as coinbase_transfers,
-            sum(t.eth_sent_to_coinbase)::text as fee_recipient_eth_diff,
+            min(blocks.miner) as fee_recipient,
+            sum(t.eth_sent_to_coinbase)::text as eth_sent_to_fee_recipient,
             sum(t.gas_used) as gas_used,
             floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as gas_price,
-            floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as effective_priority_fee_gas_price,
             array_agg(json_build_object(
               'transaction_hash', t.tx_hash,
               'tx_index', t.tx_index,
+              'bundle_type', 'flashbots',
               'bundle_index', t.bundle_index,
               'block_number', mmb.block_number,
               'eoa_address', t.from_address,
               'to_address', t.to_address,
               'gas_used', t.gas_used,
               'gas_price', t.gas_price::text,
-              'coinbase_transfer', t.eth_sent_to_coinbase::text,
-              'total_miner_reward', t.coinbase_diff::text
+              'eth_sent_to_fee_recipient', t.eth_sent_to_coinbase::text,
+              'fee_recipient_eth_diff', t.coinbase_diff::text,
+              'is_megabundle', false
             ) ORDER BY t.bundle_index, t.tx_index) as transactions
         from
             mined_megabundle_bundles b
@@ -224,9 +154,10 @@ export async function getPremergeBlocks(sql, req, res) {
               join mined_megabundle_bundle_txs t ON t.megabundle_id = mmb.megabundle_id
               join blocks ON blocks.block_number = mmb.block_number
         where
-            (${beforeInt || null}::bigint is null or mmb.block_number < ${beforeInt}::bigint) and
-            (${blockNumInt || null}::bigint is null or mmb.block_number = ${blockNumInt}::bigint) and
-            (${miner || null}::text is null or blocks.miner = ${miner}) and
+            (${range.lowest}::bigint is null or mmb.block_number >= ${range.lowest}::bigint) and
+            (${range.highest}::bigint is null or mmb.block_number <= ${range.highest}::bigint) and
+            (${feeRecipient || null}::text is null or blocks.miner = ${feeRecipient}) and
+            (${blockNumberArray}::bigint[] is null or mmb.block_number = any(${blockNumberArray}::bigint[])) and
             (${
               from || null
             }::text is null or mmb.block_number IN (SELECT mined_megabundles.block_number from mined_megabundle_bundle_txs JOIN mined_megabundles ON mined_megabundles.megabundle_id = mined_megabundle_bundle_txs.megabundle_id where from_address = ${from}))
@@ -237,29 +168,307 @@ export async function getPremergeBlocks(sql, req, res) {
         limit
           ${limit}`
 
-    // Each result set is sparse, find all unique block numbers in both bundle types, rebuild array sequentially
-    const blockNumbers = _.chain([...mergedBundles, ...megabundles])
-      .map('block_number')
-      .uniq()
-      .sort()
-      .takeRight(limit)
-      .value()
+  // Each result set is sparse, find all unique block numbers in both bundle types, rebuild array sequentially
+  const resultBlockNumbers = _.chain([...mergedBundles, ...megabundles])
+    .map('block_number')
+    .uniq()
+    .sortBy((blockNumber) => -blockNumber)
+    .take(limit)
+    .value()
+
+  const mergedByBlockNumber = _.keyBy(mergedBundles, 'block_number')
+  const megabundleByBlockNumber = _.keyBy(megabundles, 'block_number')
+  const inferredBundleBlocks = _.map(resultBlockNumbers, (blockNumber) => {
+    const megaBundleBlock = megabundleByBlockNumber[blockNumber]
+    const mergedBlock = mergedByBlockNumber[blockNumber]
+    return inferMegabundleTransactionsByBlock(megaBundleBlock, mergedBlock)
+  })
+  return inferredBundleBlocks
+}
+
+/**
+ * Returns the numbers of the pre-merge blocks paid to each of feeRecipients within the inclusive block range, from mined
+ * bundles and megabundles, as rows of fee_recipient and block_number, in descending order and up to limit per fee recipient
+ */
+export async function getPremergeFeeRecipientBlockNumbers(sql, { feeRecipients, limit, range, from }) {
+  const feeRecipientArray = sql.array(feeRecipients)
+  const blockNumbers = await sql`
+        with fee_recipient_blocks as (
+            select
+                b.miner as fee_recipient,
+                b.block_number
+            from
+                mined_bundles b
+            where
+                b.miner = any(${feeRecipientArray}::text[]) and
+                (${range.lowest}::int is null or b.block_number >= ${range.lowest}::int) and
+                (${range.highest}::int is null or b.block_number <= ${range.highest}::int) and
+                (${
+                  from || null
+                }::text is null or b.block_number IN (SELECT block_number from mined_bundle_txs where from_address = ${from}))
+            union
+            select
+                blocks.miner as fee_recipient,
+                mmb.block_number
+            from
+                mined_megabundles mmb
+                  join blocks ON blocks.block_number = mmb.block_number
+            where
+                blocks.miner = any(${feeRecipientArray}::text[]) and
+                (${range.lowest}::bigint is null or mmb.block_number >= ${range.lowest}::bigint) and
+                (${range.highest}::bigint is null or mmb.block_number <= ${range.highest}::bigint) and
+                (${
+                  from || null
+                }::text is null or mmb.block_number IN (SELECT mined_megabundles.block_number from mined_megabundle_bundle_txs JOIN mined_megabundles ON mined_megabundles.megabundle_id = mined_megabundle_bundle_txs.megabundle_id where from_address = ${from}))
+        )
+        select
+            fee_recipient,
+            block_number
+        from (
+            select
+                fee_recipient_blocks.*,
+                row_number() over (partition by fee_recipient order by block_number desc) as position
+            from
+                fee_recipient_blocks
+        ) ranked
+        where
+            position <= ${limit}
+        order by
+            fee_recipient, block_number desc`
+
+  return blockNumbers
+}
+
+/**
+ * Returns the pre-merge bundle containing the transaction hash, including all of its transactions, or undefined if there is none.
+ * Bundles are looked up in mined bundles first, then in megabundles.
+ */
+export async function getPremergeBundleByTransaction(sql, transactionHash) {
+  const [bundle] = await sql`
+        with matched as (
+            select block_number, bundle_index from mined_bundle_txs where tx_hash = ${transactionHash} limit 1
+        )
+        select
+            b.block_number,
+            b.bundle_index,
+            min(t.bundle_type) as bundle_type,
+            min(b.miner) as fee_recipient,
+            sum(t.eth_sent_to_coinbase)::text as eth_sent_to_fee_recipient,
+            sum(t.coinbase_diff)::text as fee_recipient_eth_diff,
+            sum(t.gas_used) as gas_used,
+            floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as gas_price,
+            false as is_megabundle,
+            array_agg(json_build_object(
+              'transaction_hash', t.tx_hash,
+              'tx_index', t.tx_index,
+              'bundle_type', t.bundle_type,
+              'bundle_index', t.bundle_index,
+              'block_number', t.block_number,
+              'eoa_address', t.from_address,
+              'to_address', t.to_address,
+              'gas_used', t.gas_used,
+              'gas_price', t.gas_price::text,
+              'eth_sent_to_fee_recipient', t.eth_sent_to_coinbase::text,
+              'fee_recipient_eth_diff', t.coinbase_diff::text,
+              'is_megabundle', false
+            ) ORDER BY t.tx_index) as transactions
+        from
+            matched
+              join mined_bundles b ON b.block_number = matched.block_number AND b.bundle_index = matched.bundle_index
+              join mined_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
+        group by
+            b.block_number,
+            b.bundle_index`
+  if (bundle) {
+    return bundle
+  }
+
+  const [megabundle] = await sql`
+        with matched as (
+            select megabundle_id, bundle_index from mined_megabundle_bundle_txs where tx_hash = ${transactionHash} limit 1
+        )
+        select
+            mmb.block_number,
+            t.bundle_index,
+            'flashbots' as bundle_type,
+            min(blocks.miner) as fee_recipient,
+            sum(t.eth_sent_to_coinbase)::text as eth_sent_to_fee_recipient,
+            sum(t.coinbase_diff)::text as fee_recipient_eth_diff,
+            sum(t.gas_used) as gas_used,
+            floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as gas_price,
+            true as is_megabundle,
+            array_agg(json_build_object(
+              'transaction_hash', t.tx_hash,
+              'tx_index', t.tx_index,
+              'bundle_type', 'flashbots',
+              'bundle_index', t.bundle_index,
+              'block_number', mmb.block_number,
+              'eoa_address', t.from_address,
+              'to_address', t.to_address,
+              'gas_used', t.gas_used,
+              'gas_price', t.gas_price::text,
+              'eth_sent_to_fee_recipient', t.eth_sent_to_coinbase::text,
+              'fee_recipient_eth_diff', t.coinbase_diff::text,
+              'is_megabundle', true
+            ) ORDER BY t.tx_index) as transactions
+        from
+            matched
+              join mined_megabundles mmb ON mmb.megabundle_id = matched.megabundle_id
+              join mined_megabundle_bundle_txs t ON t.megabundle_id = matched.megabundle_id AND t.bundle_index = matched.bundle_index
+              join blocks ON blocks.block_number = mmb.block_number
+        group by
+            mmb.block_number,
+            t.bundle_index`
 
-    const mergedByBlockNumber = _.keyBy(mergedBundles, 'block_number')
-    const megabundleByBlockNumber = _.keyBy(megabundles, 'block_number')
-    const inferredBundleBlocks = _.map(blockNumbers, (blockNumber) => {
-      const megaBundleBlock = megabundleByBlockNumber[blockNumber]
-      const mergedBlock = mergedByBlockNumber[blockNumber]
-      return inferMegabundleTransactionsByBlock(megaBundleBlock, mergedBlock)
-    })
-    const latestBlockNumber = await sql`select max(block_number) as block_number
-                                        from blocks`
+  return megabundle
+}
 
-    res.json({ paris: 0, blocks: inferredBundleBlocks, latest_block_number: latestBlockNumber[0].block_number })
-  } catch (error) {
-    console.error('unhandled error in /transactions', error)
-    Sentry.captureException(error)
-    res.status(500)
-    res.end('Internal Server Error')
+/**
+ * Returns pre-merge bundles within the inclusive block range following the cursor, with the totals of their transactions.
+ * The bundles of megabundles are listed after the mined bundles of their block, even where they share transactions.
+ * Bundles can be narrowed down to those with a transaction from an address or with a transaction hash, or to the bundle
+ * at bundleIndex of megabundleId, with a megabundleId of 0 for mined bundles.
+ */
+export async function getPremergeBundles(sql, { limit, range, cursor, from, transactionHash, megabundleId, bundleIndex }) {
+  const bundles = await sql`
+      select
+          *
+      from (
+          select
+              b.block_number,
+              b.bundle_index,
+              null::bigint as megabundle_id,
+              null as bundle_hash,
+              b.bundle_type,
+              b.miner as fee_recipient,
+              count(*)::int as transaction_count,
+              sum(t.eth_sent_to_coinbase)::text as eth_sent_to_fee_recipient,
+              sum(t.coinbase_diff)::text as fee_recipient_eth_diff,
+              sum(t.gas_used) as gas_used,
+              floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as gas_price,
+              false as is_megabundle
+          from
+              mined_bundles b
+                join mined_bundle_txs t ON t.block_number = b.block_number AND t.bundle_index = b.bundle_index
+          where
+              (${range.lowest}::bigint is null or b.block_number >= ${range.lowest}::bigint) and
+              (${range.highest}::bigint is null or b.block_number <= ${range.highest}::bigint) and
+              (${from || null}::text is null or exists (
+                select 1 from mined_bundle_txs f
+                where f.block_number = b.block_number and f.bundle_index = b.bundle_index and f.from_address = ${from})) and
+              (${transactionHash || null}::text is null or exists (
+                select 1 from mined_bundle_txs h
+                where h.block_number = b.block_number and h.bundle_index = b.bundle_index and h.tx_hash = ${transactionHash}))
+          group by
+              b.block_number,
+              b.bundle_index,
+              b.bundle_type,
+              b.miner
+          union all
+          select
+              mmb.block_number,
+              b.bundle_index,
+              mmb.megabundle_id,
+              null as bundle_hash,
+              'flashbots' as bundle_type,
+              min(blocks.miner) as fee_recipient,
+              count(*)::int as transaction_count,
+              sum(t.eth_sent_to_coinbase)::text as eth_sent_to_fee_recipient,
+              sum(t.coinbase_diff)::text as fee_recipient_eth_diff,
+              sum(t.gas_used) as gas_used,
+              floor(sum(t.coinbase_diff)/sum(t.gas_used))::text as gas_price,
+              true as is_megabundle
+          from
+              mined_megabundle_bundles b
+                join mined_megabundles mmb ON mmb.megabundle_id = b.megabundle_id
+                join mined_megabundle_bundle_txs t ON t.megabundle_id = b.megabundle_id AND t.bundle_index = b.bundle_index
+                join blocks ON blocks.block_number = mmb.block_number
+          where
+              (${range.lowest}::bigint is null or mmb.block_number >= ${range.lowest}::bigint) and
+              (${range.highest}::bigint is null or mmb.block_number <= ${range.highest}::bigint) and
+              (${from || null}::text is null or exists (
+                select 1 from mined_megabundle_bundle_txs f
+                where f.megabundle_id = b.megabundle_id and f.bundle_index = b.bundle_index and f.from_address = ${from})) and
+              (${transactionHash || null}::text is null or exists (
+                select 1 from mined_megabundle_bundle_txs h
+                where h.megabundle_id = b.megabundle_id and h.bundle_index = b.bundle_index and h.tx_hash = ${transactionHash}))
+          group by
+              mmb.block_number,
+              mmb.megabundle_id,
+              b.bundle_index
+      ) bundles
+      where
+          (${cursor.blockNumber || null}::bigint is null or block_number < ${cursor.blockNumber}::bigint or
+            (block_number = ${cursor.blockNumber}::bigint and
+              (coalesce(megabundle_id, 0), bundle_index) > (${cursor.megabundleId}::bigint, ${cursor.bundleIndex}::int))) and
+          (${bundleIndex === undefined ? null : bundleIndex}::int is null or
+            (coalesce(megabundle_id, 0), bundle_index) = (${megabundleId}::bigint, ${bundleIndex}::int))
+      order by
+          block_number desc,
+          coalesce(megabundle_id, 0),
+          bundle_index
+      limit
+          ${limit}`
+
+  return bundles
+}
+
+/**
+ * Returns the transactions of the pre-merge bundle at bundleIndex in blockNumber, or of megabundleId unless it is 0,
+ * following the cursor, up to limit
+ */
+export async function getPremergeBundleTransactions(sql, { blockNumber, megabundleId, bundleIndex, limit, cursor }) {
+  const afterTxIndex = cursor.txIndex === undefined ? null : cursor.txIndex
+  if (megabundleId) {
+    return sql`
+        select
+            t.tx_hash as transaction_hash,
+            t.tx_index,
+            'flashbots' as bundle_type,
+            t.bundle_index,
+            mmb.block_number,
+            t.from_address as eoa_address,
+            t.to_address,
+            t.gas_used,
+            t.gas_price::text,
+            t.eth_sent_to_coinbase::text as eth_sent_to_fee_recipient,
+            t.coinbase_diff::text as fee_recipient_eth_diff,
+            true as is_megabundle
+        from
+            mined_megabundle_bundle_txs t
+              join mined_megabundles mmb ON mmb.megabundle_id = t.megabundle_id
+        where
+            t.megabundle_id = ${megabundleId}::bigint and
+            t.bundle_index = ${bundleIndex}::int and
+            (${afterTxIndex}::int is null or t.tx_index > ${afterTxIndex}::int)
+        order by
+            t.tx_index
+        limit
+            ${limit}`
   }
+
+  return sql`
+      select
+          tx_hash as transaction_hash,
+          tx_index,
+          bundle_type,
+          bundle_index,
+          block_number,
+          from_address as eoa_address,
+          to_address,
+          gas_used,
+          gas_price::text,
+          eth_sent_to_coinbase::text as eth_sent_to_fee_recipient,
+          coinbase_diff::text as fee_recipient_eth_diff,
+          false as is_megabundle
+      from
+          mined_bundle_txs
+      where
+          block_number = ${blockNumber}::bigint and
+          bundle_index = ${bundleIndex}::int and
+          (${afterTxIndex}::int is null or tx_index > ${afterTxIndex}::int)
+      order by
+          tx_index
+      limit
+          ${limit}`
 }
@@ -0,0 +1,95 @@
+import _ from 'lodash'
+import { invalidParam, validateBlockNumber } from './params.js'
+
+// Timestamps are accepted either as unix seconds or as an ISO 8601 date
+function parseTimestamp(value) {
+  if (/^\d+$/.test(value)) {
+    return new Date(parseInt(value) * 1000)
+  }
+  return new Date(Date.parse(value))
+}
+
+/**
+ * Returns the intersection of inclusive block ranges, a null bound is unbounded.
+ */
+export function intersectRanges(...ranges) {
+  return {
+    lowest: _.max(_.map(ranges, 'lowest')) ?? null,
+    highest: _.min(_.map(ranges, 'highest')) ?? null
+  }
+}
+
+/**
+ * Splits a block range into the part at or above blockNumber and the part below it. A part is undefined when the range
+ * does not extend to that side.
+ */
+export function splitRange({ lowest, highest }, blockNumber) {
+  return {
+    above: highest === null || highest >= blockNumber ? { lowest: _.max([lowest, blockNumber]), highest } : undefined,
+    below: lowest === null || lowest < blockNumber ? { lowest, highest: _.min([highest, blockNumber - 1]) } : undefined
+  }
+}
+
+/**
+ * Parses the before, after, from_block, to_block, since and until query params into an inclusive block range.
+ * Timestamps are resolved to block numbers through the blocks table.
+ * Returns { error, param } if any param is invalid.
+ */
+export async function parseBlockRange(sql, query) {
+  const ranges = []
+
+  for (const [param, toRange] of [
+    ['before', (blockNumber) => ({ highest: blockNumber - 1 })],
+    ['after', (blockNumber) => ({ lowest: blockNumber + 1 })],
+    ['from_block', (blockNumber) => ({ lowest: blockNumber })],
+    ['to_block', (blockNumber) => ({ highest: blockNumber })]
+  ]) {
+    const value = query[param]
+    if (!value || value === 'latest') {
+      continue
+    }
+    const { value: blockNumber, expected } = validateBlockNumber(value)
+    if (expected) {
+      return invalidParam(param, expected, value)
+    }
+    ranges.push(toRange(blockNumber))
+  }
+
+  const timestamps = {}
+  for (const param of ['since', 'until']) {
+    const value = query[param]
+    if (!value) {
+      continue
+    }
+    timestamps[param] = parseTimestamp(value)
+    if (isNaN(timestamps[param])) {
+      return invalidParam(param, 'unix seconds or an ISO 8601 date', value)
+    }
+  }
+
+  const { since = null, until = null } = timestamps
+  if (since || until) {
+    // since is inclusive and until is exclusive. A bound that matches no block yields an empty range. Each bound is a
+    // single row read from blocks_block_timestamp_idx rather than an aggregate over every block.
+    const [blockRange] = await sql`
+      select
+          coalesce(
+              (select block_number from blocks where block_timestamp >= ${since}::timestamptz order by block_timestamp, block_number limit 1),
+              (select max(block_number) + 1 from blocks)
+          ) as lowest,
+          coalesce(
+              (select block_number from blocks where block_timestamp < ${until}::timestamptz order by block_timestamp desc, block_number desc limit 1),
+              (select min(block_number) - 1 from blocks)
+          ) as highest`
+    ranges.push({
+      lowest: since && blockRange.lowest !== null ? Number(blockRange.lowest) : null,
+      highest: until && blockRange.highest !== null ? Number(blockRange.highest) : null
+    })
+  }
+
+  return intersectRanges(...ranges)
+}
+
+export function isEmptyRange({ lowest, highest }) {
+  return lowest !== null && highest !== null && lowest > highest
+}
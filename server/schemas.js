@@ -0,0 +1,573 @@
+import _ from 'lodash'
+import {
+  BUNDLE_TYPES,
+  ENRICHMENTS,
+  LABEL_CATEGORIES,
+  MAX_COMPARED_ADDRESSES,
+  MAX_LABEL_NAME_LENGTH,
+  MAX_BLOCK_NUMBER,
+  MAX_LABEL_TAGS,
+  MAX_LIMIT
+} from './params.js'
+import { STATS_INTERVALS } from './stats.js'
+
+// JSON schemas of the api's params and responses. They are served in the OpenAPI document and validate requests and
+// responses at runtime (see openapi.js), so they must describe what the handlers actually send.
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] })
+
+function object(properties, description) {
+  return _.omitBy({ type: 'object', description, properties, required: _.keys(properties) }, _.isUndefined)
+}
+
+const integer = (description) => ({ type: 'integer', description })
+const string = (description) => ({ type: 'string', description })
+const wei = (description) => ({ type: 'string', pattern: '^-?\\d+$', description: `${description}, in wei` })
+const address = (description) => ({ type: 'string', pattern: '^0x[0-9a-fA-F]{40}$', description })
+const hash = (description) => ({ type: 'string', pattern: '^0x[0-9a-f]{64}$', description })
+
+const transactionFields = {
+  transaction_hash: hash('Transaction hash'),
+  tx_index: integer('Index of the transaction inside of its bundle'),
+  bundle_type: {
+    type: 'string',
+    enum: BUNDLE_TYPES,
+    description: 'mempool indicates non-relayed transactions included between flashbots bundles'
+  },
+  bundle_index: integer('Index of the bundle inside of the block'),
+  block_number: integer('Block number'),
+  eoa_address: address('Address of the externally owned account that sent the transaction'),
+  to_address: nullable(address('To address, null for contract creations')),
+  gas_used: integer('Gas used by the transaction'),
+  gas_price: wei('Gas price of the transaction'),
+  eth_sent_to_fee_recipient: wei('ETH directly transferred to the fee recipient, not counting gas'),
+  fee_recipient_eth_diff: wei('ETH paid to the fee recipient, including gas and direct transfers. The burned base fee is not included')
+}
+
+const isMegabundle = { type: 'boolean', description: 'Whether the transaction was part of a megabundle, only possible before the merge' }
+
+const blockFields = {
+  block_number: integer('Block number'),
+  fee_recipient_eth_diff: wei('ETH paid to the fee recipient by flashbots transactions, including gas and direct transfers'),
+  fee_recipient: address('Address the block paid its fees to, the miner before the merge'),
+  eth_sent_to_fee_recipient: wei('ETH directly transferred to the fee recipient by flashbots transactions, not counting gas'),
+  gas_used: integer('Gas used by flashbots transactions'),
+  gas_price: wei('fee_recipient_eth_diff / gas_used, what mev-geth sorts bundles by')
+}
+
+const bundleFields = {
+  block_number: integer('Block number'),
+  bundle_index: integer('Index of the bundle inside of the block'),
+  bundle_type: transactionFields.bundle_type,
+  fee_recipient: blockFields.fee_recipient,
+  eth_sent_to_fee_recipient: wei('ETH directly transferred to the fee recipient by the bundle, not counting gas'),
+  fee_recipient_eth_diff: wei('ETH paid to the fee recipient by the bundle, including gas and direct transfers'),
+  gas_used: integer('Gas used by the bundle'),
+  gas_price: wei('fee_recipient_eth_diff / gas_used'),
+  is_megabundle: { type: 'boolean', description: 'Whether the bundle was part of a megabundle, only possible before the merge' }
+}
+
+const paris = {
+  type: 'integer',
+  enum: [0, 1],
+  description: '1 if the block was mined after the merge (paris upgrade), 0 if it was mined before'
+}
+
+// /v1 aliases, see v1.js
+const v1Aliases = {
+  coinbase_transfer: wei('Alias of eth_sent_to_fee_recipient'),
+  total_miner_reward: wei('Alias of fee_recipient_eth_diff')
+}
+
+const statsFields = {
+  block_count: integer('Number of flashbots blocks'),
+  bundle_count: integer('Number of bundles'),
+  transaction_count: integer('Number of bundle transactions'),
+  gas_used: integer('Total gas used by bundle transactions'),
+  eth_sent_to_fee_recipient: wei('Total ETH directly transferred to fee recipients, not counting gas'),
+  fee_recipient_eth_diff: wei('Total ETH paid to fee recipients, including gas and direct transfers')
+}
+
+const latestBlockNumber = nullable(integer('The latest block number that has been processed, null before any block'))
+const nextCursor = nullable(string('Pass as `cursor` to fetch the next page, null when there are no more items'))
+
+const period = { type: 'string', format: 'date-time', description: 'Start of the period' }
+
+function statsResponse(key, groupField) {
+  return object({ [key]: { type: 'array', items: object({ ...groupField, ...statsFields }) }, latest_block_number: latestBlockNumber })
+}
+
+const statsResponses = (prefix) => ({
+  [`${prefix}TimeseriesResponse`]: statsResponse('timeseries', { period }),
+  [`${prefix}FeeRecipientStatsResponse`]: statsResponse('fee_recipients', { fee_recipient: blockFields.fee_recipient }),
+  [`${prefix}SearcherStatsResponse`]: statsResponse('searchers', { eoa_address: transactionFields.eoa_address })
+})
+
+const feeRecipientProfileFields = {
+  fee_recipient: object({
+    fee_recipient: blockFields.fee_recipient,
+    first_block_number: nullable(integer('First flashbots block that paid the fee recipient')),
+    last_block_number: nullable(integer('Last flashbots block that paid the fee recipient')),
+    ...statsFields,
+    average_bundles_per_block: nullable({ type: 'number', description: 'bundle_count / block_count, null without blocks' })
+  }),
+  timeseries: {
+    type: 'array',
+    items: object({
+      period,
+      flashbots_block_count: integer('Number of flashbots blocks in the period, paying any fee recipient'),
+      block_share: { type: 'number', description: 'Fraction of the flashbots blocks of the period that paid the fee recipient' },
+      ...statsFields
+    })
+  },
+  searchers: {
+    type: 'array',
+    items: object({ eoa_address: transactionFields.eoa_address, ...statsFields }),
+    description: 'Senders of the bundle transactions that paid the fee recipient the most'
+  }
+}
+
+const labelFields = {
+  name: { type: 'string', minLength: 1, maxLength: MAX_LABEL_NAME_LENGTH, description: 'Name of the address' },
+  category: { type: 'string', enum: LABEL_CATEGORIES, description: 'What the address is' },
+  tags: {
+    type: 'array',
+    maxItems: MAX_LABEL_TAGS,
+    items: { type: 'string', pattern: '^[a-z0-9][a-z0-9_.-]{0,49}$' },
+    description: 'Lowercase tags, e.g. mev-boost'
+  }
+}
+
+// Responses without /v1 aliases, the same in both versions apart from their names
+const unaliasedResponses = (prefix) => ({
+  [`${prefix}Label`]: object({
+    address: address('Checksummed address'),
+    ...labelFields,
+    updated_at: { type: 'string', format: 'date-time', description: 'When the label was last changed' }
+  }),
+  [`${prefix}SearcherResponse`]: object({
+    searcher: object({
+      eoa_address: transactionFields.eoa_address,
+      first_block_number: nullable(integer('First block with a bundle transaction sent by the searcher')),
+      last_block_number: nullable(integer('Last block with a bundle transaction sent by the searcher')),
+      first_seen_at: nullable({ type: 'string', format: 'date-time', description: 'Timestamp of first_block_number' }),
+      last_seen_at: nullable({ type: 'string', format: 'date-time', description: 'Timestamp of last_block_number' }),
+      ...statsFields
+    }),
+    timeseries: {
+      type: 'array',
+      items: object({ period, ...statsFields })
+    },
+    contracts: {
+      type: 'array',
+      items: object({
+        to_address: transactionFields.to_address,
+        first_block_number: integer('First block with a bundle transaction sent to the contract'),
+        last_block_number: integer('Last block with a bundle transaction sent to the contract'),
+        ..._.omit(statsFields, ['block_count', 'bundle_count'])
+      })
+    },
+    latest_block_number: latestBlockNumber
+  }),
+  [`${prefix}FeeRecipientsResponse`]: object({
+    fee_recipients: { type: 'array', items: object({ fee_recipient: blockFields.fee_recipient, ...statsFields }) },
+    next_cursor: nextCursor,
+    latest_block_number: latestBlockNumber
+  }),
+  [`${prefix}FeeRecipientProfile`]: object(feeRecipientProfileFields),
+  [`${prefix}FeeRecipientResponse`]: object({ ...feeRecipientProfileFields, latest_block_number: latestBlockNumber }),
+  [`${prefix}FeeRecipientComparisonResponse`]: object({
+    fee_recipients: { type: 'array', items: ref(`${prefix}FeeRecipientProfile`), description: 'Profiles in the order of addresses' },
+    latest_block_number: latestBlockNumber
+  }),
+  [`${prefix}LabelsResponse`]: object({ labels: { type: 'array', items: ref(`${prefix}Label`) } }),
+  [`${prefix}LabelResponse`]: object({ label: ref(`${prefix}Label`) }),
+  [`${prefix}UsageResponse`]: object({
+    name: string('Name of the api key'),
+    tier: string('Tier of the api key'),
+    limits: object({
+      per_minute: integer('Requests allowed per minute'),
+      per_day: nullable(integer('Requests allowed per day (UTC), null if unlimited')),
+      max_limit: integer('Largest limit param allowed'),
+      export: { type: 'boolean', description: 'Whether the export endpoints and historical dumps are available' }
+    }),
+    usage: object({
+      minute: integer('Requests made this minute'),
+      today: integer('Requests made today'),
+      days: {
+        type: 'array',
+        description: 'Requests made per day, most recent first',
+        items: object({ date: { type: 'string', format: 'date' }, requests: integer('Requests made on that day') })
+      }
+    })
+  })
+})
+
+const blockCompositionFields = {
+  ...blockFields,
+  bundle_count: integer('Number of bundles in the block, mempool ones included'),
+  flashbots_bundle_count: integer('Number of flashbots bundles'),
+  mempool_bundle_count: integer('Number of mempool bundles, the non-relayed transactions between flashbots bundles'),
+  transaction_count: integer('Number of bundle transactions'),
+  flashbots_fee_recipient_eth_diff: wei('ETH paid to the fee recipient by flashbots bundles, including gas and direct transfers'),
+  flashbots_share_of_block_value: nullable({
+    type: 'number',
+    description: 'Fraction of fee_recipient_eth_diff paid by flashbots bundles, null if the block paid nothing'
+  }),
+  mempool_gaps: {
+    type: 'array',
+    description: 'Runs of consecutive mempool bundles, in block order',
+    items: object({
+      first_bundle_index: integer('Index of the first bundle of the run'),
+      last_bundle_index: integer('Index of the last bundle of the run'),
+      position: {
+        type: 'string',
+        enum: ['leading', 'between', 'trailing'],
+        description: 'Whether the run comes before, between or after the flashbots bundles of the block'
+      },
+      bundle_count: integer('Number of bundles in the run'),
+      transaction_count: integer('Number of transactions in the run'),
+      gas_used: integer('Gas used by the run'),
+      fee_recipient_eth_diff: wei('ETH paid to the fee recipient by the run, including gas and direct transfers')
+    })
+  }
+}
+
+function blockBundle(transaction) {
+  return object({
+    ..._.omit(bundleFields, 'fee_recipient'),
+    transaction_count: integer('Number of transactions in the bundle'),
+    share_of_block_value: nullable({
+      type: 'number',
+      description: "Fraction of the block's fee_recipient_eth_diff paid by the bundle, null if the block paid nothing"
+    }),
+    transactions: { type: 'array', items: ref(transaction) }
+  })
+}
+
+const bundleSummaryFields = {
+  bundle_id: string(
+    'Id of the bundle for /v1/bundle/{id} and /v2/bundles/{id}, e.g. 15537394-0, or 12006597-m1-0 for a bundle of megabundle 1'
+  ),
+  ...bundleFields,
+  bundle_index: integer('Index of the bundle inside of the block, or inside of its megabundle'),
+  megabundle_id: nullable(integer('Id of the megabundle the bundle was part of, null if it was not')),
+  bundle_hash: nullable(hash('Hash of the bundle, null before the merge')),
+  transaction_count: integer('Number of transactions in the bundle')
+}
+
+// With enrich=labels, each of the address fields of a response is followed by its label, which these add as optional
+// properties so that responses without them still match
+function labelled(schema, fields) {
+  const labels = _.map(fields, (field) => [
+    `${field}_label`,
+    { anyOf: [ref('Label'), { type: 'null' }], description: `Label of ${field} with enrich=labels, null if it has none` }
+  ])
+  return { ...schema, properties: { ...schema.properties, ..._.fromPairs(labels) } }
+}
+
+export const SCHEMAS = {
+  Transaction: object({ ...transactionFields, is_megabundle: isMegabundle }),
+  Block: object({ ...blockFields, transactions: { type: 'array', items: ref('Transaction') } }),
+  Bundle: object({ ...bundleFields, transactions: { type: 'array', items: ref('Transaction') } }),
+  V1Transaction: labelled(
+    object({ ..._.omit(transactionFields, 'eoa_address'), eao_address: transactionFields.eoa_address, ...v1Aliases }),
+    ['eao_address', 'to_address']
+  ),
+  V1BlockTransaction: labelled(object({ ...transactionFields, ...v1Aliases, is_megabundle: isMegabundle }), ['eoa_address', 'to_address']),
+  V1Block: labelled(
+    object({
+      ...blockFields,
+      miner_reward: wei('Alias of fee_recipient_eth_diff'),
+      miner: address('Alias of fee_recipient'),
+      coinbase_transfers: wei('Alias of eth_sent_to_fee_recipient'),
+      effective_priority_fee: wei('Alias of gas_price'),
+      paris,
+      transactions: { type: 'array', items: ref('V1BlockTransaction') }
+    }),
+    ['fee_recipient']
+  ),
+  V1Bundle: object({ ...bundleFields, paris, transactions: { type: 'array', items: ref('Transaction') } }),
+  V1BlockComposition: object({ ...blockCompositionFields, paris }),
+  V1BlockBundle: blockBundle('V1BlockTransaction'),
+  V1BundleSummary: labelled(object({ ...bundleSummaryFields, paris }), ['fee_recipient']),
+  BlockComposition: object(blockCompositionFields),
+  BlockBundle: blockBundle('Transaction'),
+  BundleSummary: object(bundleSummaryFields),
+  Label: object(labelFields, 'Name, category and tags of an address'),
+  LabelBody: { ...object(labelFields), required: ['name', 'category'] },
+  Manifest: object({
+    partition_size: integer('Number of blocks in each partition'),
+    formats: { type: 'array', items: { type: 'string' }, description: 'Formats every partition is dumped in' },
+    latest_block_number: integer('The latest block number when the dump was generated'),
+    generated_at: { type: 'string', format: 'date-time' },
+    partitions: {
+      type: 'array',
+      items: object({
+        from_block: integer('First block number of the partition'),
+        to_block: integer('Last block number of the partition'),
+        complete: {
+          type: 'boolean',
+          description: 'Whether the partition has all of its blocks and will no longer change, only the latest partition is incomplete'
+        },
+        block_count: integer('Number of blocks in the partition'),
+        transaction_count: integer('Number of transactions in the partition'),
+        generated_at: { type: 'string', format: 'date-time' },
+        files: {
+          type: 'array',
+          items: object({
+            format: string('Format of the file'),
+            url: string('Where to download the file'),
+            size: integer('Size of the gzipped file in bytes'),
+            sha256: string('sha256 checksum of the gzipped file')
+          })
+        }
+      })
+    }
+  }),
+  Error: {
+    type: 'object',
+    properties: { error: string('Description of the error'), param: string('The param that was invalid, for 400 responses') },
+    required: ['error']
+  },
+  V2Error: object({
+    error: {
+      type: 'object',
+      properties: {
+        code: {
+          type: 'string',
+          enum: ['invalid_param', 'unauthorized', 'forbidden', 'not_found', 'rate_limited', 'internal_error', 'unavailable']
+        },
+        message: string('Description of the error'),
+        param: string('The param that was invalid, for invalid_param errors')
+      },
+      required: ['code', 'message']
+    }
+  }),
+  V1TransactionsResponse: object({
+    transactions: { type: 'array', items: ref('V1Transaction') },
+    latest_block_number: latestBlockNumber,
+    next_cursor: nextCursor
+  }),
+  V1BlocksResponse: object({
+    blocks: { type: 'array', items: ref('V1Block') },
+    latest_block_number: latestBlockNumber,
+    next_cursor: nextCursor
+  }),
+  V1TransactionResponse: object({ transaction: ref('Transaction'), bundle: ref('V1Bundle'), latest_block_number: latestBlockNumber }),
+  V1BlockBundlesResponse: object({
+    block: ref('V1BlockComposition'),
+    bundles: { type: 'array', items: ref('V1BlockBundle') },
+    latest_block_number: latestBlockNumber
+  }),
+  V1BundlesResponse: object({
+    bundles: { type: 'array', items: ref('V1BundleSummary') },
+    latest_block_number: latestBlockNumber,
+    next_cursor: nextCursor
+  }),
+  V1BundleResponse: object({
+    bundle: ref('V1BundleSummary'),
+    transactions: { type: 'array', items: ref('V1Transaction') },
+    truncated: { type: 'boolean', description: 'Whether the bundle has more transactions than were returned, they follow next_cursor' },
+    next_cursor: nextCursor,
+    latest_block_number: latestBlockNumber
+  }),
+  ...statsResponses('V1'),
+  ...unaliasedResponses('V1'),
+  V2TransactionsResponse: object({
+    transactions: { type: 'array', items: ref('Transaction') },
+    latest_block_number: latestBlockNumber,
+    next_cursor: nextCursor
+  }),
+  V2BlocksResponse: object({
+    blocks: { type: 'array', items: ref('Block') },
+    latest_block_number: latestBlockNumber,
+    next_cursor: nextCursor
+  }),
+  V2TransactionResponse: object({ transaction: ref('Transaction'), bundle: ref('Bundle'), latest_block_number: latestBlockNumber }),
+  V2BlockBundlesResponse: object({
+    block: ref('BlockComposition'),
+    bundles: { type: 'array', items: ref('BlockBundle') },
+    latest_block_number: latestBlockNumber
+  }),
+  V2BundlesResponse: object({
+    bundles: { type: 'array', items: ref('BundleSummary') },
+    latest_block_number: latestBlockNumber,
+    next_cursor: nextCursor
+  }),
+  V2BundleResponse: object({
+    bundle: ref('BundleSummary'),
+    transactions: { type: 'array', items: ref('Transaction') },
+    truncated: { type: 'boolean', description: 'Whether the bundle has more transactions than were returned, they follow next_cursor' },
+    next_cursor: nextCursor,
+    latest_block_number: latestBlockNumber
+  }),
+  ...statsResponses('V2'),
+  ...unaliasedResponses('V2')
+}
+
+// Query and path params. expected completes "invalid <name> param provided, expected ..." when a value does not match
+// the schema, it is not part of the OpenAPI document.
+
+function queryParam(name, schema, expected, description) {
+  return { name, in: 'query', description, schema, expected }
+}
+
+const blockNumber = () => ({ type: 'integer', minimum: 0, maximum: MAX_BLOCK_NUMBER })
+const blockNumberParam = (name, description) => queryParam(name, blockNumber(), 'a block number', description)
+const addressParam = (name, description) => queryParam(name, address(), 'an address', description)
+
+export const PARAMS = {
+  before: queryParam(
+    'before',
+    { anyOf: [blockNumber(), { const: 'latest' }] },
+    'a block number',
+    'Only blocks before this block number (exclusive)'
+  ),
+  after: blockNumberParam('after', 'Only blocks after this block number (exclusive)'),
+  fromBlock: blockNumberParam('from_block', 'Only blocks from this block number (inclusive)'),
+  toBlock: blockNumberParam('to_block', 'Only blocks up to this block number (inclusive)'),
+  since: queryParam(
+    'since',
+    { type: 'string' },
+    'unix seconds or an ISO 8601 date',
+    'Only blocks mined at or after this time, as unix seconds or an ISO 8601 date'
+  ),
+  until: queryParam(
+    'until',
+    { type: 'string' },
+    'unix seconds or an ISO 8601 date',
+    'Only blocks mined before this time, as unix seconds or an ISO 8601 date'
+  ),
+  blockNumber: blockNumberParam('block_number', 'Only this block'),
+  limit: queryParam(
+    'limit',
+    { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 100 },
+    `a number between 1 and ${MAX_LIMIT}`,
+    'Number of items that are returned'
+  ),
+  cursor: queryParam(
+    'cursor',
+    { type: 'string' },
+    'a cursor from next_cursor',
+    'Return items following this cursor, taken from `next_cursor` of a previous response'
+  ),
+  blockCursor: queryParam(
+    'cursor',
+    { type: 'string' },
+    'a cursor from next_cursor of a list of blocks',
+    'Return blocks following this cursor, taken from `next_cursor` of a previous list of blocks'
+  ),
+  transactionCursor: queryParam(
+    'cursor',
+    { type: 'string' },
+    'a cursor from next_cursor of a list of transactions',
+    'Return transactions following this cursor, taken from `next_cursor` of a previous list of transactions'
+  ),
+  from: addressParam('from', 'Only transactions sent by this address'),
+  to: addressParam('to', 'Only transactions sent to this address'),
+  feeRecipient: addressParam('fee_recipient', 'Only blocks paid to this fee recipient'),
+  miner: { ...addressParam('miner', 'Older name of fee_recipient'), deprecated: true },
+  bundleType: queryParam(
+    'bundle_type',
+    { type: 'string', enum: BUNDLE_TYPES },
+    `one of ${BUNDLE_TYPES.join(', ')}`,
+    'Only transactions of this bundle type'
+  ),
+  minEthSentToFeeRecipient: queryParam(
+    'min_eth_sent_to_fee_recipient',
+    { type: 'string', pattern: '^\\d+$' },
+    'an amount in wei',
+    'Only transactions that directly transferred at least this much ETH (in wei) to the fee recipient'
+  ),
+  minGasUsed: queryParam('min_gas_used', { type: 'integer', minimum: 0 }, 'a number', 'Only transactions that used at least this much gas'),
+  interval: queryParam(
+    'interval',
+    { type: 'string', enum: STATS_INTERVALS, default: 'day' },
+    `one of ${STATS_INTERVALS.join(', ')}`,
+    'Length of each period'
+  ),
+  lastBlockNumber: blockNumberParam('last_block_number', 'Start with the blocks after this block number'),
+  dumpFormat: queryParam(
+    'format',
+    { type: 'string' },
+    "one of the manifest's formats",
+    'Return the matching partitions in this format instead of the manifest'
+  ),
+  xz: {
+    ...queryParam(
+      'xz',
+      { type: 'string' },
+      'any value',
+      'Older way of downloading every block, now the ndjson partitions as one gzip file'
+    ),
+    deprecated: true
+  },
+  enrich: queryParam(
+    'enrich',
+    { type: 'string', enum: ENRICHMENTS },
+    `one of ${ENRICHMENTS.join(', ')}`,
+    'With labels, each address is followed by its label from /v1/labels, as <field>_label'
+  ),
+  category: queryParam(
+    'category',
+    { type: 'string', enum: LABEL_CATEGORIES },
+    `one of ${LABEL_CATEGORIES.join(', ')}`,
+    'Only labels of this category'
+  ),
+  tag: queryParam('tag', { type: 'string' }, 'a tag of lowercase letters, digits, _, . and -', 'Only labels with this tag'),
+  format: (formats, defaultFormat) =>
+    queryParam(
+      'format',
+      { type: 'string', enum: _.keys(formats), default: defaultFormat },
+      `one of ${_.keys(formats).join(', ')}`,
+      'Response format'
+    ),
+  address: (description) => ({
+    name: 'address',
+    in: 'path',
+    required: true,
+    description,
+    schema: address(),
+    expected: 'an address'
+  }),
+  number: {
+    name: 'number',
+    in: 'path',
+    required: true,
+    description: 'Block number',
+    schema: blockNumber(),
+    expected: 'a block number'
+  },
+  addresses: queryParam(
+    'addresses',
+    { type: 'string' },
+    `a comma separated list of 2 to ${MAX_COMPARED_ADDRESSES} addresses`,
+    `Comma separated list of 2 to ${MAX_COMPARED_ADDRESSES} addresses`
+  ),
+  transactionHash: queryParam(
+    'transaction_hash',
+    { type: 'string', pattern: '^(0x)?[0-9a-fA-F]{64}$' },
+    'a 32 byte hex hash',
+    'Only the bundle containing this transaction'
+  ),
+  bundleId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Bundle hash, or bundle_id from /v1/bundles',
+    schema: { type: 'string', pattern: '^((0x)?[0-9a-fA-F]{64}|\\d+-(m\\d+-)?\\d+)$' },
+    expected: 'a 32 byte hex bundle hash or a bundle id'
+  },
+  hash: (description) => ({
+    name: 'hash',
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'string', pattern: '^(0x)?[0-9a-fA-F]{64}$' },
+    expected: 'a 32 byte hex hash'
+  })
+}
+
+PARAMS.blockRange = [PARAMS.before, PARAMS.after, PARAMS.fromBlock, PARAMS.toBlock, PARAMS.since, PARAMS.until]
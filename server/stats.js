@@ -0,0 +1,362 @@
+import _ from 'lodash'
+import { splitRange } from './range.js'
+
+export const STATS_INTERVALS = ['hour', 'day', 'week']
+
+// An empty range, for a side of the merge that should not be read
+const NO_BLOCKS = { lowest: 1, highest: 0 }
+
+/**
+ * Aggregates bundle transactions from both sides of the merge, grouped by `period` (the block's timestamp truncated to
+ * interval in utc, whatever the time zone of the session), `fee_recipient` or `eoa_address`, and ordered by orderBy
+ * descending, then by groupBy.
+ *
+ * Fee recipients ordered by block_count are paged with cursor, the { blockCount, feeRecipient } of the last fee recipient
+ * of the previous page.
+ *
+ * Megabundle transactions that were also recorded as mined bundle transactions are skipped, so they are only counted once.
+ */
+export async function getStats(sql, mergeBlockNumber, { groupBy, orderBy, interval = 'day', range, bundleType, cursor = {}, limit }) {
+  const { above, below } = splitRange(range, mergeBlockNumber)
+  const postmerge = above || NO_BLOCKS
+  const premerge = (mergeBlockNumber > 1 && below) || NO_BLOCKS
+  const blockCount = cursor.blockCount === undefined ? null : cursor.blockCount
+
+  return sql`
+      with bundle_txs as (
+          select 'postmerge' as source, t.block_number, t.bundle_index, t.from_address, t.gas_used,
+              t.eth_sent_to_fee_recipient, t.fee_recipient_eth_diff, b.fee_recipient
+          from
+              included_built_block_bundles b
+                join included_built_block_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
+          where
+              (${postmerge.lowest}::int is null or b.block_number >= ${postmerge.lowest}::int) and
+              (${postmerge.highest}::int is null or b.block_number <= ${postmerge.highest}::int) and
+              (${bundleType || null}::text is null or t.bundle_type = ${bundleType})
+          union all
+          select 'premerge' as source, t.block_number, t.bundle_index, t.from_address, t.gas_used,
+              t.eth_sent_to_coinbase, t.coinbase_diff, b.miner
+          from
+              mined_bundles b
+                join mined_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
+          where
+              (${premerge.lowest}::int is null or b.block_number >= ${premerge.lowest}::int) and
+              (${premerge.highest}::int is null or b.block_number <= ${premerge.highest}::int) and
+              (${bundleType || null}::text is null or t.bundle_type = ${bundleType})
+          union all
+          select 'megabundle' as source, mmb.block_number, t.bundle_index, t.from_address, t.gas_used,
+              t.eth_sent_to_coinbase, t.coinbase_diff, blocks.miner
+          from
+              mined_megabundles mmb
+                join mined_megabundle_bundle_txs t ON t.megabundle_id = mmb.megabundle_id
+                join blocks ON blocks.block_number = mmb.block_number
+          where
+              (${premerge.lowest}::bigint is null or mmb.block_number >= ${premerge.lowest}::bigint) and
+              (${premerge.highest}::bigint is null or mmb.block_number <= ${premerge.highest}::bigint) and
+              (${bundleType || null}::text is null or ${bundleType} = 'flashbots') and
+              not exists (select 1 from mined_bundle_txs m where m.tx_hash = t.tx_hash)
+      )
+      select
+          totals.${sql(groupBy)},
+          totals.block_count,
+          totals.bundle_count,
+          totals.transaction_count,
+          totals.gas_used,
+          totals.eth_sent_to_fee_recipient::text as eth_sent_to_fee_recipient,
+          totals.fee_recipient_eth_diff::text as fee_recipient_eth_diff
+      from (
+          select
+              ${sql(groupBy)},
+              count(distinct t.block_number)::int as block_count,
+              count(distinct (t.source, t.block_number, t.bundle_index))::int as bundle_count,
+              count(*)::int as transaction_count,
+              sum(t.gas_used) as gas_used,
+              sum(t.eth_sent_to_fee_recipient) as eth_sent_to_fee_recipient,
+              sum(t.fee_recipient_eth_diff) as fee_recipient_eth_diff
+          from (
+              select
+                  bundle_txs.*,
+                  bundle_txs.from_address as eoa_address,
+                  date_trunc(${interval}, blocks.block_timestamp, 'UTC') as period
+              from
+                  bundle_txs
+                    join blocks ON blocks.block_number = bundle_txs.block_number
+          ) t
+          group by
+              ${sql(groupBy)}
+      ) totals
+      where
+          ${blockCount}::int is null or
+          totals.block_count < ${blockCount}::int or
+          (totals.block_count = ${blockCount}::int and totals.${sql(groupBy)}::text > ${cursor.feeRecipient || null}::text)
+      -- sums are ordered as numbers, before they are converted to text
+      order by
+          totals.${sql(orderBy)} desc,
+          totals.${sql(groupBy)}
+      limit
+          ${limit}`
+}
+
+// json_build_object turns timestamps into strings, they are returned as dates like the rows of getStats
+const toDate = (value) => (value === null ? null : new Date(value))
+
+/**
+ * Profiles the bundle transactions sent by address on both sides of the merge: the `searcher`'s totals, their `timeseries` grouped by
+ * period (the block's timestamp truncated to interval) and the `contracts` (to addresses) it sent them to, ordered by
+ * transaction count. Megabundle transactions are skipped the same way as in getStats.
+ */
+export async function getSearcherProfile(sql, mergeBlockNumber, { address, interval = 'day', range, bundleType, limit }) {
+  const { above, below } = splitRange(range, mergeBlockNumber)
+  const postmerge = above || NO_BLOCKS
+  const premerge = (mergeBlockNumber > 1 && below) || NO_BLOCKS
+
+  const [{ totals, timeseries, contracts }] = await sql`
+      with searcher_txs as (
+          select 'postmerge' as source, t.block_number, t.bundle_index, t.to_address, t.gas_used,
+              t.eth_sent_to_fee_recipient, t.fee_recipient_eth_diff
+          from
+              included_built_block_bundle_txs t
+          where
+              t.from_address = ${address} and
+              (${postmerge.lowest}::int is null or t.block_number >= ${postmerge.lowest}::int) and
+              (${postmerge.highest}::int is null or t.block_number <= ${postmerge.highest}::int) and
+              (${bundleType || null}::text is null or t.bundle_type = ${bundleType})
+          union all
+          select 'premerge' as source, t.block_number, t.bundle_index, t.to_address, t.gas_used,
+              t.eth_sent_to_coinbase, t.coinbase_diff
+          from
+              mined_bundle_txs t
+          where
+              t.from_address = ${address} and
+              (${premerge.lowest}::int is null or t.block_number >= ${premerge.lowest}::int) and
+              (${premerge.highest}::int is null or t.block_number <= ${premerge.highest}::int) and
+              (${bundleType || null}::text is null or t.bundle_type = ${bundleType})
+          union all
+          select 'megabundle' as source, mmb.block_number, t.bundle_index, t.to_address, t.gas_used,
+              t.eth_sent_to_coinbase, t.coinbase_diff
+          from
+              mined_megabundles mmb
+                join mined_megabundle_bundle_txs t ON t.megabundle_id = mmb.megabundle_id
+          where
+              t.from_address = ${address} and
+              (${premerge.lowest}::bigint is null or mmb.block_number >= ${premerge.lowest}::bigint) and
+              (${premerge.highest}::bigint is null or mmb.block_number <= ${premerge.highest}::bigint) and
+              (${bundleType || null}::text is null or ${bundleType} = 'flashbots') and
+              not exists (select 1 from mined_bundle_txs m where m.tx_hash = t.tx_hash)
+      ),
+      txs as (
+          select
+              searcher_txs.*,
+              blocks.block_timestamp,
+              date_trunc(${interval}, blocks.block_timestamp, 'UTC') as period
+          from
+              searcher_txs
+                join blocks ON blocks.block_number = searcher_txs.block_number
+      )
+      select
+          (select json_build_object(
+              'first_block_number', min(block_number),
+              'last_block_number', max(block_number),
+              'first_seen_at', min(block_timestamp),
+              'last_seen_at', max(block_timestamp),
+              'block_count', count(distinct block_number),
+              'bundle_count', count(distinct (source, block_number, bundle_index)),
+              'transaction_count', count(*),
+              'gas_used', coalesce(sum(gas_used), 0),
+              'eth_sent_to_fee_recipient', coalesce(sum(eth_sent_to_fee_recipient), 0)::text,
+              'fee_recipient_eth_diff', coalesce(sum(fee_recipient_eth_diff), 0)::text
+          ) from txs) as totals,
+          (select coalesce(json_agg(p order by p.period desc), '[]') from (
+              select
+                  period,
+                  count(distinct block_number)::int as block_count,
+                  count(distinct (source, block_number, bundle_index))::int as bundle_count,
+                  count(*)::int as transaction_count,
+                  sum(gas_used) as gas_used,
+                  sum(eth_sent_to_fee_recipient)::text as eth_sent_to_fee_recipient,
+                  sum(fee_recipient_eth_diff)::text as fee_recipient_eth_diff
+              from
+                  txs
+              group by
+                  period
+              order by
+                  period desc
+              limit
+                  ${limit}
+          ) p) as timeseries,
+          (select coalesce(json_agg(c order by c.transaction_count desc, c.to_address), '[]') from (
+              select
+                  to_address,
+                  min(block_number) as first_block_number,
+                  max(block_number) as last_block_number,
+                  count(*)::int as transaction_count,
+                  sum(gas_used) as gas_used,
+                  sum(eth_sent_to_fee_recipient)::text as eth_sent_to_fee_recipient,
+                  sum(fee_recipient_eth_diff)::text as fee_recipient_eth_diff
+              from
+                  txs
+              group by
+                  to_address
+              order by
+                  count(*) desc,
+                  to_address
+              limit
+                  ${limit}
+          ) c) as contracts`
+
+  return {
+    searcher: {
+      eoa_address: address,
+      ...totals,
+      first_seen_at: toDate(totals.first_seen_at),
+      last_seen_at: toDate(totals.last_seen_at)
+    },
+    timeseries: timeseries.map((row) => ({ ...row, period: toDate(row.period) })),
+    contracts
+  }
+}
+
+// a / b, null when b is 0
+function ratio(a, b) {
+  return b === 0 ? null : _.round(a / b, 6)
+}
+
+/**
+ * Profiles the flashbots blocks that paid each of addresses, on both sides of the merge: the `fee_recipient`'s totals, a
+ * `timeseries` of its share of all flashbots blocks per period and the `searchers` that paid it the most. Pre-merge
+ * blocks paid the miner of their mined bundles, or of the block for megabundles, as in getStats.
+ */
+export async function getFeeRecipientProfiles(sql, mergeBlockNumber, { addresses, interval = 'day', range, bundleType, limit }) {
+  const { above, below } = splitRange(range, mergeBlockNumber)
+  const postmerge = above || NO_BLOCKS
+  const premerge = (mergeBlockNumber > 1 && below) || NO_BLOCKS
+
+  const profiles = await sql`
+      with bundle_txs as (
+          select 'postmerge' as source, t.block_number, t.bundle_index, t.from_address, t.gas_used,
+              t.eth_sent_to_fee_recipient, t.fee_recipient_eth_diff, b.fee_recipient
+          from
+              included_built_block_bundles b
+                join included_built_block_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
+          where
+              (${postmerge.lowest}::int is null or b.block_number >= ${postmerge.lowest}::int) and
+              (${postmerge.highest}::int is null or b.block_number <= ${postmerge.highest}::int) and
+              (${bundleType || null}::text is null or t.bundle_type = ${bundleType})
+          union all
+          select 'premerge' as source, t.block_number, t.bundle_index, t.from_address, t.gas_used,
+              t.eth_sent_to_coinbase, t.coinbase_diff, b.miner
+          from
+              mined_bundles b
+                join mined_bundle_txs t ON b.block_number = t.block_number AND b.bundle_index = t.bundle_index
+          where
+              (${premerge.lowest}::int is null or b.block_number >= ${premerge.lowest}::int) and
+              (${premerge.highest}::int is null or b.block_number <= ${premerge.highest}::int) and
+              (${bundleType || null}::text is null or t.bundle_type = ${bundleType})
+          union all
+          select 'megabundle' as source, mmb.block_number, t.bundle_index, t.from_address, t.gas_used,
+              t.eth_sent_to_coinbase, t.coinbase_diff, blocks.miner
+          from
+              mined_megabundles mmb
+                join mined_megabundle_bundle_txs t ON t.megabundle_id = mmb.megabundle_id
+                join blocks ON blocks.block_number = mmb.block_number
+          where
+              (${premerge.lowest}::bigint is null or mmb.block_number >= ${premerge.lowest}::bigint) and
+              (${premerge.highest}::bigint is null or mmb.block_number <= ${premerge.highest}::bigint) and
+              (${bundleType || null}::text is null or ${bundleType} = 'flashbots') and
+              not exists (select 1 from mined_bundle_txs m where m.tx_hash = t.tx_hash)
+      ),
+      txs as (
+          select
+              bundle_txs.*,
+              date_trunc(${interval}, blocks.block_timestamp, 'UTC') as period
+          from
+              bundle_txs
+                join blocks ON blocks.block_number = bundle_txs.block_number
+      ),
+      periods as (
+          select period, count(distinct block_number)::int as flashbots_block_count from txs group by period
+      )
+      select
+          r.fee_recipient,
+          (select json_build_object(
+              'first_block_number', min(block_number),
+              'last_block_number', max(block_number),
+              'block_count', count(distinct block_number),
+              'bundle_count', count(distinct (source, block_number, bundle_index)),
+              'transaction_count', count(*),
+              'gas_used', coalesce(sum(gas_used), 0),
+              'eth_sent_to_fee_recipient', coalesce(sum(eth_sent_to_fee_recipient), 0)::text,
+              'fee_recipient_eth_diff', coalesce(sum(fee_recipient_eth_diff), 0)::text
+          ) from txs t where t.fee_recipient = r.fee_recipient) as totals,
+          (select coalesce(json_agg(p order by p.period desc), '[]') from (
+              select
+                  t.period,
+                  periods.flashbots_block_count,
+                  count(distinct t.block_number)::int as block_count,
+                  count(distinct (t.source, t.block_number, t.bundle_index))::int as bundle_count,
+                  count(*)::int as transaction_count,
+                  sum(t.gas_used) as gas_used,
+                  sum(t.eth_sent_to_fee_recipient)::text as eth_sent_to_fee_recipient,
+                  sum(t.fee_recipient_eth_diff)::text as fee_recipient_eth_diff
+              from
+                  txs t
+                    join periods ON periods.period = t.period
+              where
+                  t.fee_recipient = r.fee_recipient
+              group by
+                  t.period,
+                  periods.flashbots_block_count
+              order by
+                  t.period desc
+              limit
+                  ${limit}
+          ) p) as timeseries,
+          (select coalesce(json_agg(json_build_object(
+              'eoa_address', s.eoa_address,
+              'block_count', s.block_count,
+              'bundle_count', s.bundle_count,
+              'transaction_count', s.transaction_count,
+              'gas_used', s.gas_used,
+              'eth_sent_to_fee_recipient', s.eth_sent_to_fee_recipient::text,
+              'fee_recipient_eth_diff', s.fee_recipient_eth_diff::text
+          ) order by s.fee_recipient_eth_diff desc, s.eoa_address), '[]') from (
+              select
+                  t.from_address as eoa_address,
+                  count(distinct t.block_number)::int as block_count,
+                  count(distinct (t.source, t.block_number, t.bundle_index))::int as bundle_count,
+                  count(*)::int as transaction_count,
+                  sum(t.gas_used) as gas_used,
+                  sum(t.eth_sent_to_fee_recipient) as eth_sent_to_fee_recipient,
+                  sum(t.fee_recipient_eth_diff) as fee_recipient_eth_diff
+              from
+                  txs t
+              where
+                  t.fee_recipient = r.fee_recipient
+              group by
+                  t.from_address
+              -- sums are ordered as numbers, before they are converted to text
+              order by
+                  sum(t.fee_recipient_eth_diff) desc,
+                  t.from_address
+              limit
+                  ${limit}
+          ) s) as searchers
+      from
+          unnest(${sql.array(addresses)}::text[]) with ordinality as r(fee_recipient, position)
+      order by
+          r.position`
+
+  return profiles.map(({ fee_recipient: feeRecipient, totals, timeseries, searchers }) => ({
+    fee_recipient: {
+      fee_recipient: feeRecipient,
+      ...totals,
+      average_bundles_per_block: ratio(totals.bundle_count, totals.block_count)
+    },
+    timeseries: timeseries.map((row) => ({
+      ...row,
+      period: toDate(row.period),
+      block_share: ratio(row.block_count, row.flashbots_block_count)
+    })),
+    searchers
+  }))
+}
@@ -0,0 +1,109 @@
+import _ from 'lodash'
+import { getBlocks, getLatestBlockNumber } from './history.js'
+
+// Resuming further back than this should page through /v1/blocks instead
+export const STREAM_RESUME_LIMIT = 1000
+
+// The filters of /v1/blocks, applied to a block that was fetched without them
+function matchesFilters(block, { feeRecipient, from }) {
+  return (!feeRecipient || block.fee_recipient === feeRecipient) && (!from || _.some(block.transactions, { eoa_address: from }))
+}
+
+/**
+ * Polls the blocks table for new blocks while anyone is subscribed, and pushes each new flashbots block to the subscribers
+ * whose filters it matches. Blocks are fetched once per poll for all subscribers.
+ */
+export function createBlockFeed(sql, mergeBlockNumber, { interval, onError }) {
+  const subscribers = new Set()
+  let head
+  let timer
+
+  async function poll() {
+    if (subscribers.size === 0) {
+      // everyone unsubscribed since the last poll, e.g. on shutdown
+      timer = undefined
+      head = undefined
+      return
+    }
+    try {
+      const latestBlockNumber = await getLatestBlockNumber(sql)
+      if (head === null) {
+        // there were no blocks when polling started, streaming starts from the latest block once there are
+        head = latestBlockNumber
+      }
+      // blocks are read in pages of STREAM_RESUME_LIMIT blocks, however far the table got ahead since the last poll
+      while (latestBlockNumber > head && subscribers.size > 0) {
+        const range = { lowest: head + 1, highest: Math.min(latestBlockNumber, head + STREAM_RESUME_LIMIT) }
+        const blocks = await getBlocks(sql, mergeBlockNumber, { limit: STREAM_RESUME_LIMIT, range })
+        for (const block of _.reverse(blocks)) {
+          subscribers.forEach((subscriber) => subscriber.push(block))
+        }
+        head = range.highest
+      }
+    } catch (error) {
+      onError(error)
+    }
+    if (subscribers.size > 0) {
+      timer = setTimeout(poll, interval)
+    } else {
+      // the next subscriber starts from the latest block again, rather than from where polling stopped
+      timer = undefined
+      head = undefined
+    }
+  }
+
+  return {
+    /**
+     * Calls send with every new block matching filters, in ascending order. With lastBlockNumber, blocks after it that
+     * were already processed are sent first. Returns a function that unsubscribes, or { error, param } if lastBlockNumber is
+     * too far behind.
+     */
+    async subscribe({ lastBlockNumber, ...filters }, send) {
+      // blocks polled while catching up are held back, so they are sent after the older blocks
+      let pending = []
+      const subscriber = {
+        push(block) {
+          if (block.block_number <= lastBlockNumber || !matchesFilters(block, filters)) {
+            return
+          }
+          if (pending) {
+            pending.push(block)
+          } else {
+            send(block)
+          }
+        }
+      }
+      subscribers.add(subscriber)
+      const unsubscribe = () => subscribers.delete(subscriber)
+
+      try {
+        if (head === undefined) {
+          head = await getLatestBlockNumber(sql)
+        }
+        if (!timer) {
+          timer = setTimeout(poll, interval)
+        }
+
+        if (lastBlockNumber !== undefined && head !== null && lastBlockNumber < head) {
+          const range = { lowest: lastBlockNumber + 1, highest: head }
+          const blocks = await getBlocks(sql, mergeBlockNumber, { ...filters, limit: STREAM_RESUME_LIMIT + 1, range })
+          if (blocks.length > STREAM_RESUME_LIMIT) {
+            unsubscribe()
+            return {
+              error: `last_block_number is more than ${STREAM_RESUME_LIMIT} blocks behind, page through /v1/blocks instead`,
+              param: 'last_block_number'
+            }
+          }
+          _.forEachRight(blocks, send)
+        }
+      } catch (error) {
+        unsubscribe()
+        throw error
+      }
+
+      pending.forEach(send)
+      pending = undefined
+      return unsubscribe
+    }
+  }
+}
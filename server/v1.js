@@ -0,0 +1,73 @@
+/**
+ * Queries return rows in the canonical shape that /v2 responds with. /v1 responses add back the aliases older clients
+ * read: miner, miner_reward, coinbase_transfer(s), effective_priority_fee, the paris flag and the eao_address spelling.
+ */
+
+function toV1BlockTransaction(tx) {
+  return {
+    transaction_hash: tx.transaction_hash,
+    tx_index: tx.tx_index,
+    bundle_type: tx.bundle_type,
+    bundle_index: tx.bundle_index,
+    block_number: tx.block_number,
+    eoa_address: tx.eoa_address,
+    to_address: tx.to_address,
+    gas_used: tx.gas_used,
+    gas_price: tx.gas_price,
+    coinbase_transfer: tx.eth_sent_to_fee_recipient,
+    eth_sent_to_fee_recipient: tx.eth_sent_to_fee_recipient,
+    total_miner_reward: tx.fee_recipient_eth_diff,
+    fee_recipient_eth_diff: tx.fee_recipient_eth_diff,
+    is_megabundle: tx.is_megabundle
+  }
+}
+
+function paris(blockNumber, mergeBlockNumber) {
+  return blockNumber >= mergeBlockNumber ? 1 : 0
+}
+
+export function toV1Block(block, mergeBlockNumber) {
+  return {
+    block_number: block.block_number,
+    miner_reward: block.fee_recipient_eth_diff,
+    fee_recipient_eth_diff: block.fee_recipient_eth_diff,
+    miner: block.fee_recipient,
+    fee_recipient: block.fee_recipient,
+    coinbase_transfers: block.eth_sent_to_fee_recipient,
+    eth_sent_to_fee_recipient: block.eth_sent_to_fee_recipient,
+    gas_used: block.gas_used,
+    gas_price: block.gas_price,
+    effective_priority_fee: block.gas_price,
+    paris: paris(block.block_number, mergeBlockNumber),
+    transactions: block.transactions.map(toV1BlockTransaction)
+  }
+}
+
+export function toV1Transaction(tx) {
+  return {
+    transaction_hash: tx.transaction_hash,
+    tx_index: tx.tx_index,
+    bundle_type: tx.bundle_type,
+    bundle_index: tx.bundle_index,
+    block_number: tx.block_number,
+    eao_address: tx.eoa_address,
+    to_address: tx.to_address,
+    gas_used: tx.gas_used,
+    gas_price: tx.gas_price,
+    coinbase_transfer: tx.eth_sent_to_fee_recipient,
+    eth_sent_to_fee_recipient: tx.eth_sent_to_fee_recipient,
+    total_miner_reward: tx.fee_recipient_eth_diff,
+    fee_recipient_eth_diff: tx.fee_recipient_eth_diff
+  }
+}
+
+export function toV1Bundle(bundle, mergeBlockNumber) {
+  return { ...bundle, paris: paris(bundle.block_number, mergeBlockNumber) }
+}
+
+export function toV1BlockComposition({ block, bundles }, mergeBlockNumber) {
+  return {
+    block: { ...block, paris: paris(block.block_number, mergeBlockNumber) },
+    bundles: bundles.map((bundle) => ({ ...bundle, transactions: bundle.transactions.map(toV1BlockTransaction) }))
+  }
+}
@@ -0,0 +1,881 @@
+import express from 'express'
+import Sentry from '@sentry/node'
+import _ from 'lodash'
+import { getUsage, requireAdmin, requireExport } from './apikeys.js'
+import { blockComposition } from './composition.js'
+import { cursorRange, nextBundleCursor, nextCursor, nextFeeRecipientCursor, rowCursor } from './cursor.js'
+import { formatWriter } from './export.js'
+import { V2_BLOCK_FORMATS, V2_TRANSACTION_FORMATS } from './formats.js'
+import {
+  exportBlocks,
+  exportTransactions,
+  getBlocks,
+  getBlocksByNumber,
+  getBundle,
+  getBundleByTransaction,
+  getBundles,
+  getBundleTransactions,
+  getLatestBlockNumber,
+  getTransactions
+} from './history.js'
+import { deleteLabel, getLabel, listLabels, putLabel } from './labels.js'
+import { logError } from './log.js'
+import {
+  parseAddress,
+  parseBlockCursor,
+  parseBlockFilters,
+  parseBlockNumber,
+  parseBlockNumberParam,
+  parseBundleCursor,
+  parseBundleFilters,
+  parseBundleId,
+  parseBundleType,
+  parseComparedAddresses,
+  parseFeeRecipientCursor,
+  parseFormat,
+  parseHash,
+  parseInterval,
+  parseLabel,
+  parseLabelFilters,
+  parseLimit,
+  parseParams,
+  parseTransactionCursor,
+  parseTransactionFilters
+} from './params.js'
+import { intersectRanges, parseBlockRange } from './range.js'
+import { PARAMS, ref } from './schemas.js'
+import { getFeeRecipientProfiles, getSearcherProfile, getStats } from './stats.js'
+
+// /v2 responds with the rows of the queries as they are, /v1 is an adapter adding back the legacy aliases (see v1.js).
+// Errors are { error: { code, message, param } }, where code is one of ERROR_CODES and param names the invalid param.
+
+export const ERROR_CODES = {
+  invalid_param: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  rate_limited: 429,
+  internal_error: 500,
+  unavailable: 503
+}
+
+export function sendError(res, code, message, param) {
+  res.status(ERROR_CODES[code])
+  res.json({ error: _.omitBy({ code, message, param }, _.isUndefined) })
+}
+
+// Runs handler, responding with an internal_error if it throws. Once an export has started streaming its status can no
+// longer change, so the response is cut off to signal the error.
+function route(path, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res)
+    } catch (error) {
+      if (res.destroyed) {
+        // the client went away
+        return
+      }
+      logError(`unhandled error in /v2${path}`, error)
+      Sentry.captureException(error)
+      if (res.headersSent) {
+        res.destroy()
+        return
+      }
+      sendError(res, 'internal_error', 'Internal Server Error')
+    }
+  }
+}
+
+/**
+ * @apiDefine V2Errors
+ * @apiError {Object} error   Returned instead of the response with a 4xx or 5xx status
+ * @apiError {String="invalid_param","unauthorized","forbidden","not_found","rate_limited","internal_error","unavailable"} error.code   Machine-readable error code
+ * @apiError {String} error.message   Human-readable description of the error
+ * @apiError {String} [error.param]   The query or path param that was invalid, for invalid_param errors
+ * @apiErrorExample {json} Error-Response:
+ * HTTP/1.1 400 Bad Request
+{
+  "error": {
+    "code": "invalid_param",
+    "message": "invalid limit param provided, expected a number between 1 and 10000 but got: 0",
+    "param": "limit"
+  }
+}
+ */
+
+/**
+ * @apiDefine V2BlockRange
+ * @apiParam (Query string) {Number}   [before]  Only blocks before this block number (exclusive)
+ * @apiParam (Query string) {Number}   [after]  Only blocks after this block number (exclusive)
+ * @apiParam (Query string) {Number}   [from_block]  Only blocks from this block number (inclusive)
+ * @apiParam (Query string) {Number}   [to_block]  Only blocks up to this block number (inclusive)
+ * @apiParam (Query string) {String}   [since]  Only blocks mined at or after this time, as unix seconds or an ISO 8601 date
+ * @apiParam (Query string) {String}   [until]  Only blocks mined before this time, as unix seconds or an ISO 8601 date
+ */
+
+/**
+ * @apiDefine V2Transaction
+ * @apiSuccess {String}   transactions.transaction_hash transaction hash
+ * @apiSuccess {Number}   transactions.tx_index index of tx inside of bundle
+ * @apiSuccess {String}   transactions.bundle_type The bundle type, either "flashbots" or "mempool"
+ * @apiSuccess {Number}   transactions.bundle_index index of bundle inside of the block
+ * @apiSuccess {Number}   transactions.block_number   block number
+ * @apiSuccess {String}   transactions.eoa_address address of the externally owned account that created this transaction
+ * @apiSuccess {String}   transactions.to_address to address
+ * @apiSuccess {Number}   transactions.gas_used gas used in this transaction
+ * @apiSuccess {String}   transactions.gas_price gas price of this transaction
+ * @apiSuccess {String}   transactions.eth_sent_to_fee_recipient ETH (in wei) directly transferred to the fee recipient, not counting gas
+ * @apiSuccess {String}   transactions.fee_recipient_eth_diff ETH (in wei) transferred to the fee recipient, including gas and direct transfers
+ * @apiSuccess {Boolean}  transactions.is_megabundle whether the transaction was part of a megabundle, only possible before the merge
+ */
+
+/**
+ * Returns the /v2 router, mounted at /v2. Its routes are added to the OpenAPI document of api, and lists are read through
+ * cache. Bundles return at most bundleTxLimit transactions by default, usage is read from the request counters and
+ * exports are let through by exportLimit, which is shared with /v1.
+ */
+export function createV2Router(sql, mergeBlockNumber, api, cache, { bundleTxLimit, counters, exportLimit, metrics }) {
+  const router = express.Router()
+  const routes = api.routes(router, {
+    prefix: '/v2',
+    errorSchema: 'V2Error',
+    onInvalidParam: (res, message, param) => sendError(res, 'invalid_param', message, param)
+  })
+
+  // Parses the params shared by list endpoints, sending an invalid_param error and returning undefined if any is invalid
+  async function parseListParams(req, res, ...parsers) {
+    const params = parseParams(req.query, ...parsers)
+    if (params.error) {
+      sendError(res, 'invalid_param', params.error, params.param)
+      return undefined
+    }
+    const blockRange = await parseBlockRange(sql, req.query)
+    if (blockRange.error) {
+      sendError(res, 'invalid_param', blockRange.error, blockRange.param)
+      return undefined
+    }
+    return { ...params, blockRange }
+  }
+
+  /**
+   * @api {get} /v2/blocks Get blocks
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the 100 most recent flashbots blocks, from both before and after the merge. Takes the params of /v1/blocks, and responds with the same blocks without the legacy `miner`, `miner_reward`, `coinbase_transfers`, `effective_priority_fee` and `paris` fields.
+   *
+   * @apiUse V2BlockRange
+   * @apiParam (Query string) {Number}   [block_number]  Only this block
+   * @apiParam (Query string) {String}   [fee_recipient]  Only blocks paid to this fee recipient
+   * @apiParam (Query string) {String}   [from]  Only blocks including transactions sent by this address
+   * @apiParam (Query string) {String}   [cursor]  Return blocks following this cursor, taken from `next_cursor` of a previous response
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of blocks that are returned
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {String}   next_cursor   Cursor for the next page of blocks, null when there are no more blocks
+   * @apiSuccess {Object[]} blocks   List of blocks
+   * @apiSuccess {Number}   blocks.block_number   Block number
+   * @apiSuccess {String}   blocks.fee_recipient   The fee recipient's address, the miner before the merge
+   * @apiSuccess {String}   blocks.fee_recipient_eth_diff   ETH (in wei) paid to the fee recipient by flashbots transactions, including gas
+   * @apiSuccess {String}   blocks.eth_sent_to_fee_recipient   ETH (in wei) directly transferred to the fee recipient by flashbots transactions
+   * @apiSuccess {Number}   blocks.gas_used   Gas used by flashbots transactions
+   * @apiSuccess {String}   blocks.gas_price   fee_recipient_eth_diff / gas_used
+   * @apiSuccess {Object[]} blocks.transactions   The block's flashbots transactions, with the fields of /v2/transactions
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/blocks',
+    {
+      summary: 'Get blocks',
+      params: [PARAMS.blockNumber, PARAMS.feeRecipient, PARAMS.miner, PARAMS.from, ...PARAMS.blockRange, PARAMS.blockCursor, PARAMS.limit],
+      response: ref('V2BlocksResponse')
+    },
+    route('/blocks', async (req, res) => {
+      const params = await parseListParams(req, res, parseLimit, parseBlockCursor, parseBlockNumber, parseBlockFilters)
+      if (!params) {
+        return
+      }
+      const { limit, cursor, blockNumberRange, blockRange, ...filters } = params
+
+      const range = intersectRanges(blockRange, blockNumberRange || {}, cursorRange(cursor))
+      const latestBlock = await cache.latestBlock()
+      const query = { ...filters, limit, range }
+      const blocks = await cache.query('blocks', query, latestBlock, () => getBlocks(sql, mergeBlockNumber, query))
+      cache.setHeaders(res, latestBlock, query.range)
+      res.json({ blocks, latest_block_number: latestBlock && latestBlock.block_number, next_cursor: nextCursor(blocks, limit) })
+    })
+  )
+
+  /**
+   * @api {get} /v2/blocks/:number/bundles Get the bundles of a block
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the bundles of a flashbots block in block order, with the share of the block's value each of them paid. Responds like /v1/blocks/:number/bundles, without the legacy `paris` field and with the transactions of /v2/transactions. Responds with a not_found error if the block has no bundles.
+   * @apiParam (Path parameter) {Number}   number  Block number
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object}   block   The block, with the fields of /v2/blocks and the totals of /v1/blocks/:number/bundles
+   * @apiSuccess {Object[]} bundles   List of bundles in block order, with the fields of /v1/blocks/:number/bundles
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/blocks/:number/bundles',
+    {
+      summary: 'Get the bundles of a block',
+      params: [PARAMS.number],
+      response: ref('V2BlockBundlesResponse'),
+      errors: { 404: 'The block has no bundles' }
+    },
+    route('/blocks/:number/bundles', async (req, res) => {
+      const { blockNumber, error, param } = parseBlockNumberParam(req.params.number)
+      if (error) {
+        sendError(res, 'invalid_param', error, param)
+        return
+      }
+
+      const latestBlock = await cache.latestBlock()
+      const query = { range: { lowest: blockNumber, highest: blockNumber } }
+      const [block] = await cache.query('block', query, latestBlock, () => getBlocksByNumber(sql, mergeBlockNumber, [blockNumber]))
+      if (!block) {
+        sendError(res, 'not_found', `no bundles in block: ${blockNumber}`)
+        return
+      }
+      cache.setHeaders(res, latestBlock, query.range)
+      res.json({ ...blockComposition(block), latest_block_number: latestBlock && latestBlock.block_number })
+    })
+  )
+
+  /**
+   * @api {get} /v2/transactions Get transactions
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the 100 most recent flashbots transactions, from both before and after the merge. Takes the params of /v1/transactions, and responds with the same transactions without the legacy `coinbase_transfer` and `total_miner_reward` fields.
+   *
+   * @apiUse V2BlockRange
+   * @apiParam (Query string) {String}   [from]  Only transactions sent by this address
+   * @apiParam (Query string) {String}   [to]  Only transactions sent to this address
+   * @apiParam (Query string) {String="flashbots","mempool"}   [bundle_type]  Only transactions of this bundle type
+   * @apiParam (Query string) {String}   [min_eth_sent_to_fee_recipient]  Only transactions that directly transferred at least this much ETH (in wei) to the fee recipient
+   * @apiParam (Query string) {Number}   [min_gas_used]  Only transactions that used at least this much gas
+   * @apiParam (Query string) {String}   [cursor]  Return transactions following this cursor, taken from `next_cursor` of a previous response
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of transactions that are returned
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {String}   next_cursor   Cursor for the next page of transactions, null when there are no more transactions
+   * @apiSuccess {Object[]} transactions   List of transactions
+   * @apiUse V2Transaction
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/transactions',
+    {
+      summary: 'Get transactions',
+      params: [
+        ...PARAMS.blockRange,
+        PARAMS.transactionCursor,
+        PARAMS.from,
+        PARAMS.to,
+        PARAMS.bundleType,
+        PARAMS.minEthSentToFeeRecipient,
+        PARAMS.minGasUsed,
+        PARAMS.limit
+      ],
+      response: ref('V2TransactionsResponse')
+    },
+    route('/transactions', async (req, res) => {
+      const params = await parseListParams(req, res, parseLimit, parseTransactionCursor, parseTransactionFilters)
+      if (!params) {
+        return
+      }
+      const { limit, cursor, blockRange, ...filters } = params
+
+      const range = intersectRanges(blockRange, cursorRange(cursor))
+      const latestBlock = await cache.latestBlock()
+      const query = { ...filters, limit, range, cursor }
+      const transactions = await cache.query('transactions', query, latestBlock, () => getTransactions(sql, mergeBlockNumber, query))
+      cache.setHeaders(res, latestBlock, query.range)
+      res.json({
+        transactions,
+        latest_block_number: latestBlock && latestBlock.block_number,
+        next_cursor: nextCursor(transactions, limit)
+      })
+    })
+  )
+
+  /**
+   * @api {get} /v2/transactions/:hash Get transaction
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns a flashbots transaction along with the bundle that included it. Responds with a not_found error if the transaction was not part of a flashbots bundle.
+   * @apiParam (Path parameter) {String}   hash  Transaction hash
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object}   transaction   The transaction, with the fields of /v2/transactions
+   * @apiSuccess {Object}   bundle   The bundle including the transaction
+   * @apiSuccess {Number}   bundle.block_number   Block number
+   * @apiSuccess {Number}   bundle.bundle_index   Index of the bundle inside of the block
+   * @apiSuccess {String}   bundle.bundle_type   The bundle type, either "flashbots" or "mempool"
+   * @apiSuccess {String}   bundle.fee_recipient   The fee recipient's address, the miner before the merge
+   * @apiSuccess {String}   bundle.eth_sent_to_fee_recipient   ETH (in wei) directly transferred to the fee recipient, not counting gas
+   * @apiSuccess {String}   bundle.fee_recipient_eth_diff   ETH (in wei) transferred to the fee recipient, including gas and direct transfers
+   * @apiSuccess {Number}   bundle.gas_used   Gas used by the bundle
+   * @apiSuccess {String}   bundle.gas_price   fee_recipient_eth_diff / gas_used
+   * @apiSuccess {Boolean}  bundle.is_megabundle   Whether the bundle was part of a megabundle
+   * @apiSuccess {Object[]} bundle.transactions   The bundle's transactions, with the fields of /v2/transactions
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/transactions/:hash',
+    {
+      summary: 'Get transaction by hash',
+      params: [PARAMS.hash('Transaction hash')],
+      response: ref('V2TransactionResponse'),
+      errors: { 404: 'The transaction was not included in a flashbots bundle' }
+    },
+    route('/transactions/:hash', async (req, res) => {
+      const { hash, error, param } = parseHash(req.params.hash)
+      if (error) {
+        sendError(res, 'invalid_param', error, param)
+        return
+      }
+
+      const bundle = await getBundleByTransaction(sql, hash)
+      if (!bundle) {
+        sendError(res, 'not_found', `transaction not found: ${hash}`)
+        return
+      }
+      const transaction = _.find(bundle.transactions, { transaction_hash: hash })
+      res.json({ transaction, bundle, latest_block_number: await getLatestBlockNumber(sql) })
+    })
+  )
+
+  /**
+   * @api {get} /v2/bundles Get bundles
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the 100 most recent bundles, from both sides of the merge. Takes the params of /v1/bundles, and responds with the same bundles without the legacy `paris` field.
+   *
+   * @apiUse V2BlockRange
+   * @apiParam (Query string) {Number}   [block_number]  Only bundles in this block
+   * @apiParam (Query string) {String}   [from]  Only bundles with a transaction sent by this address
+   * @apiParam (Query string) {String}   [transaction_hash]  Only the bundle containing this transaction
+   * @apiParam (Query string) {String}   [cursor]  Return bundles following this cursor, taken from `next_cursor` of a previous response
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of bundles that are returned
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {String}   next_cursor   Cursor for the next page of bundles, null when there are no more bundles
+   * @apiSuccess {Object[]} bundles   List of bundles, with the fields of /v1/bundles apart from `paris`
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/bundles',
+    {
+      summary: 'Get bundles',
+      params: [
+        PARAMS.blockNumber,
+        { ...PARAMS.from, description: 'Only bundles with a transaction sent by this address' },
+        PARAMS.transactionHash,
+        ...PARAMS.blockRange,
+        PARAMS.cursor,
+        PARAMS.limit
+      ],
+      response: ref('V2BundlesResponse')
+    },
+    route('/bundles', async (req, res) => {
+      const params = await parseListParams(req, res, parseLimit, parseBundleCursor, parseBlockNumber, parseBundleFilters)
+      if (!params) {
+        return
+      }
+      const { limit, cursor, blockNumberRange, blockRange, ...filters } = params
+
+      const range = intersectRanges(blockRange, blockNumberRange || {}, cursorRange(cursor))
+      const latestBlock = await cache.latestBlock()
+      const query = { ...filters, limit, range, cursor }
+      const bundles = await cache.query('bundles', query, latestBlock, () => getBundles(sql, mergeBlockNumber, query))
+      cache.setHeaders(res, latestBlock, query.range)
+      res.json({ bundles, latest_block_number: latestBlock && latestBlock.block_number, next_cursor: nextBundleCursor(bundles, limit) })
+    })
+  )
+
+  /**
+   * @api {get} /v2/bundles/:id Get bundle
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns a bundle with its transactions, by its hash or by its bundle_id from /v2/bundles. Takes the params of /v1/bundle/:id apart from `enrich`, and responds with the bundle of /v2/bundles and the transactions of /v2/transactions. Responds with a not_found error if there is no such bundle.
+   * @apiParam (Path parameter) {String}   id  Bundle hash or bundle id, e.g. 15537394-0, or 12006597-m1-0 for the first bundle of megabundle 1
+   * @apiParam (Query string) {String}   [cursor]  Return transactions following this cursor, taken from `next_cursor` of a previous response
+   * @apiParam (Query string) {Number{1-10000}}   [limit=75]  Number of transactions that are returned, BUNDLE_TX_LIMIT by default
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object}   bundle   The bundle, with the fields of /v2/bundles
+   * @apiSuccess {Boolean}  truncated   Whether the bundle has more transactions than were returned
+   * @apiSuccess {String}   next_cursor   Cursor for the next transactions, null when there are no more
+   * @apiSuccess {Object[]} transactions   List of transactions
+   * @apiUse V2Transaction
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/bundles/:id',
+    {
+      summary: 'Get bundle',
+      params: [PARAMS.bundleId, PARAMS.transactionCursor, { ...PARAMS.limit, schema: { ...PARAMS.limit.schema, default: bundleTxLimit } }],
+      response: ref('V2BundleResponse'),
+      errors: { 404: 'There is no such bundle' }
+    },
+    route('/bundles/:id', async (req, res) => {
+      const { bundleId, error, param } = parseBundleId(req.params.id)
+      if (error) {
+        sendError(res, 'invalid_param', error, param)
+        return
+      }
+      const params = parseParams(req.query, (query) => parseLimit(query, bundleTxLimit), parseTransactionCursor)
+      if (params.error) {
+        sendError(res, 'invalid_param', params.error, params.param)
+        return
+      }
+      const { limit, cursor } = params
+
+      const bundle = await getBundle(sql, mergeBlockNumber, bundleId)
+      if (!bundle) {
+        sendError(res, 'not_found', `bundle not found: ${req.params.id}`)
+        return
+      }
+
+      // one more than the limit tells whether the bundle was truncated
+      const rows = await getBundleTransactions(sql, mergeBlockNumber, bundle, { limit: limit + 1, cursor })
+      const transactions = _.take(rows, limit)
+      const truncated = rows.length > limit
+      if (truncated) {
+        metrics.bundleTxLimitReached.inc()
+      }
+      res.json({
+        bundle,
+        transactions,
+        truncated,
+        next_cursor: truncated ? rowCursor(_.last(transactions)) : null,
+        latest_block_number: await getLatestBlockNumber(sql)
+      })
+    })
+  )
+
+  /**
+   * @api {get} /v2/stats/:group Get stats
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Serves /v1/stats/timeseries, /v1/stats/fee_recipients and /v1/stats/searchers as /v2/stats/timeseries, /v2/stats/fee_recipients and /v2/stats/searchers. Params and responses are the same as /v1, only errors differ.
+   * @apiParam (Path parameter) {String="timeseries","fee_recipients","searchers"}   group  The totals to return
+   * @apiUse StatsParams
+   * @apiUse StatsTotals
+   * @apiUse V2Errors
+   */
+  const statsParams = [PARAMS.bundleType, ...PARAMS.blockRange, PARAMS.limit]
+  const statsGroups = {
+    timeseries: { groupBy: 'period', orderBy: 'period', summary: 'Get totals over time', response: 'V2TimeseriesResponse' },
+    fee_recipients: {
+      groupBy: 'fee_recipient',
+      orderBy: 'fee_recipient_eth_diff',
+      summary: 'Get fee recipient leaderboard',
+      response: 'V2FeeRecipientStatsResponse'
+    },
+    searchers: {
+      groupBy: 'eoa_address',
+      orderBy: 'fee_recipient_eth_diff',
+      summary: 'Get searcher leaderboard',
+      response: 'V2SearcherStatsResponse'
+    }
+  }
+  _.forEach(statsGroups, ({ groupBy, orderBy, summary, response }, key) => {
+    routes.get(
+      `/stats/${key}`,
+      { summary, params: key === 'timeseries' ? [PARAMS.interval, ...statsParams] : statsParams, response: ref(response) },
+      route(`/stats/${key}`, async (req, res) => {
+        const params = await parseListParams(req, res, parseLimit, parseBundleType, parseInterval)
+        if (!params) {
+          return
+        }
+        const { blockRange, ...filters } = params
+
+        const latestBlock = await cache.latestBlock()
+        const query = { ...filters, groupBy, orderBy, range: blockRange }
+        const stats = await cache.query('stats', query, latestBlock, () => getStats(sql, mergeBlockNumber, query))
+        cache.setHeaders(res, latestBlock, query.range)
+        res.json({ [key]: stats, latest_block_number: latestBlock && latestBlock.block_number })
+      })
+    )
+  })
+
+  /**
+   * @api {get} /v2/fee_recipients Get fee recipients
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns every fee recipient paid by flashbots blocks, ordered by their number of flashbots blocks and then by address. Params and responses are the same as /v1/fee_recipients, only errors differ.
+   * @apiUse StatsParams
+   * @apiParam (Query string) {String}   [cursor]  Return fee recipients following this cursor, taken from `next_cursor` of a previous response
+   * @apiUse StatsTotals
+   * @apiSuccess {Object[]} fee_recipients   Totals per fee recipient, the fields above are repeated for each fee recipient
+   * @apiSuccess {String}   fee_recipients.fee_recipient   The fee recipient's address
+   * @apiSuccess {String}   next_cursor   Cursor for the next page of fee recipients, null when there are no more fee recipients
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/fee_recipients',
+    { summary: 'Get fee recipients', params: [...statsParams, PARAMS.cursor], response: ref('V2FeeRecipientsResponse') },
+    route('/fee_recipients', async (req, res) => {
+      const params = await parseListParams(req, res, parseLimit, parseBundleType, parseInterval, parseFeeRecipientCursor)
+      if (!params) {
+        return
+      }
+      const { blockRange, ...filters } = params
+
+      const latestBlock = await cache.latestBlock()
+      const query = { ...filters, groupBy: 'fee_recipient', orderBy: 'block_count', range: blockRange }
+      const feeRecipients = await cache.query('stats', query, latestBlock, () => getStats(sql, mergeBlockNumber, query))
+      cache.setHeaders(res, latestBlock, query.range)
+      res.json({
+        fee_recipients: feeRecipients,
+        next_cursor: nextFeeRecipientCursor(feeRecipients, filters.limit),
+        latest_block_number: latestBlock && latestBlock.block_number
+      })
+    })
+  )
+
+  // Reads the profiles of the addresses parseAddresses(req) returns, responding with send(res, profiles, latestBlockNumber)
+  function feeRecipientRoute(path, parseAddresses, send) {
+    return route(path, async (req, res) => {
+      const params = await parseListParams(req, res, () => parseAddresses(req), parseLimit, parseBundleType, parseInterval)
+      if (!params) {
+        return
+      }
+      const { blockRange, ...filters } = params
+
+      const latestBlock = await cache.latestBlock()
+      const query = { ...filters, range: blockRange }
+      const profiles = await cache.query('fee_recipients', query, latestBlock, () => getFeeRecipientProfiles(sql, mergeBlockNumber, query))
+      cache.setHeaders(res, latestBlock, query.range)
+      send(res, profiles, latestBlock && latestBlock.block_number)
+    })
+  }
+
+  /**
+   * @api {get} /v2/fee_recipients/compare Compare fee recipients
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the profiles of several fee recipients side by side. Params and responses are the same as /v1/fee_recipients/compare, only errors differ.
+   * @apiParam (Query string) {String}   addresses  Comma separated list of 2 to 10 addresses
+   *
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiSuccess {Object[]} fee_recipients   Profiles in the order of addresses, with the fields of /v2/fee_recipients/:address
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/fee_recipients/compare',
+    {
+      summary: 'Compare fee recipients',
+      params: [{ ...PARAMS.addresses, required: true }, PARAMS.interval, ...statsParams],
+      response: ref('V2FeeRecipientComparisonResponse')
+    },
+    feeRecipientRoute(
+      '/fee_recipients/compare',
+      (req) => parseComparedAddresses(req.query),
+      (res, profiles, latestBlockNumber) => res.json({ fee_recipients: profiles, latest_block_number: latestBlockNumber })
+    )
+  )
+
+  /**
+   * @api {get} /v2/fee_recipients/:address Get fee recipient profile
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the flashbots blocks that paid a fee recipient, from before and after the merge. Params and responses are the same as /v1/fee_recipients/:address, only errors differ. Responds with a not_found error if no flashbots block within the block range paid the address.
+   * @apiParam (Path parameter) {String}   address  Address of the fee recipient
+   *
+   * @apiUse FeeRecipientProfile
+   * @apiSuccess {Number}   latest_block_number   The latest block number that has been processed
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/fee_recipients/:address',
+    {
+      summary: 'Get fee recipient profile',
+      params: [PARAMS.address('Address of the fee recipient'), PARAMS.interval, ...statsParams],
+      response: ref('V2FeeRecipientResponse'),
+      errors: { 404: 'No flashbots block paid the address' }
+    },
+    feeRecipientRoute(
+      '/fee_recipients/:address',
+      (req) => {
+        const { address, error, param } = parseAddress(req.params.address)
+        return error ? { error, param } : { addresses: [address] }
+      },
+      (res, [profile], latestBlockNumber) => {
+        if (profile.fee_recipient.block_count === 0) {
+          sendError(res, 'not_found', `no flashbots blocks paid fee recipient: ${profile.fee_recipient.fee_recipient}`)
+          return
+        }
+        res.json({ ...profile, latest_block_number: latestBlockNumber })
+      }
+    )
+  )
+
+  /**
+   * @api {get} /v2/searchers/:address Get searcher profile
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the history of the bundle transactions sent by an address. Params and responses are the same as /v1/searchers/:address, only errors differ. Responds with a not_found error if the address never sent a bundle transaction within the block range.
+   * @apiParam (Path parameter) {String}   address  Address of the externally owned account
+   * @apiParam (Query string) {String="hour","day","week"}   [interval=day]  Length of each period of the timeseries
+   * @apiUse StatsParams
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/searchers/:address',
+    {
+      summary: 'Get searcher profile',
+      params: [PARAMS.address('Address of the searcher'), PARAMS.interval, ...statsParams],
+      response: ref('V2SearcherResponse'),
+      errors: { 404: 'The address did not send bundle transactions' }
+    },
+    route('/searchers/:address', async (req, res) => {
+      const { address, error, param } = parseAddress(req.params.address)
+      if (error) {
+        sendError(res, 'invalid_param', error, param)
+        return
+      }
+      const params = await parseListParams(req, res, parseLimit, parseBundleType, parseInterval)
+      if (!params) {
+        return
+      }
+      const { blockRange, ...filters } = params
+
+      const latestBlock = await cache.latestBlock()
+      const query = { ...filters, address, range: blockRange }
+      const profile = await cache.query('searcher', query, latestBlock, () => getSearcherProfile(sql, mergeBlockNumber, query))
+      if (profile.searcher.transaction_count === 0) {
+        sendError(res, 'not_found', `no bundle transactions from searcher: ${address}`)
+        return
+      }
+      cache.setHeaders(res, latestBlock, query.range)
+      res.json({ ...profile, latest_block_number: latestBlock && latestBlock.block_number })
+    })
+  )
+
+  /**
+   * @api {get} /v2/labels Get address labels
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns labels of known addresses in order of address. Params and responses are the same as /v1/labels, only errors differ.
+   * @apiParam (Query string) {String="builder","searcher","dex_router","relayer","miner","contract","other"}   [category]  Only labels of this category
+   * @apiParam (Query string) {String}   [tag]  Only labels with this tag
+   * @apiParam (Query string) {Number{1-10000}}   [limit=100]  Number of labels that are returned
+   * @apiSuccess {Object[]} labels   List of labels, with the fields of /v1/labels
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/labels',
+    { summary: 'Get address labels', params: [PARAMS.category, PARAMS.tag, PARAMS.limit], response: ref('V2LabelsResponse') },
+    route('/labels', async (req, res) => {
+      const params = parseParams(req.query, parseLimit, parseLabelFilters)
+      if (params.error) {
+        sendError(res, 'invalid_param', params.error, params.param)
+        return
+      }
+      res.json({ labels: await listLabels(sql, params) })
+    })
+  )
+
+  // Runs handler(req, res, address) with the address path param, or responds with an invalid_param error
+  function addressRoute(path, handler) {
+    return route(path, async (req, res) => {
+      const { address, error, param } = parseAddress(req.params.address)
+      if (error) {
+        sendError(res, 'invalid_param', error, param)
+        return
+      }
+      await handler(req, res, address)
+    })
+  }
+
+  /**
+   * @api {get} /v2/labels/:address Get the label of an address
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the label of an address, see /v2/labels. Responds with a not_found error if the address has no label.
+   * @apiParam (Path parameter) {String}   address  Address
+   * @apiSuccess {Object}   label   The label, with the fields of /v1/labels
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/labels/:address',
+    {
+      summary: 'Get the label of an address',
+      params: [PARAMS.address('Address')],
+      response: ref('V2LabelResponse'),
+      errors: { 404: 'The address has no label' }
+    },
+    addressRoute('/labels/:address', async (req, res, address) => {
+      const label = await getLabel(sql, address)
+      if (!label) {
+        sendError(res, 'not_found', `no label for address: ${address}`)
+        return
+      }
+      res.json({ label })
+    })
+  )
+
+  /**
+   * @api {put} /v2/labels/:address Set the label of an address
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Creates or replaces the label of an address. Takes the body of PUT /v1/labels/:address, and requires an api key of a tier with `admin` set.
+   * @apiParam (Path parameter) {String}   address  Address
+   * @apiSuccess {Object}   label   The label, with the fields of /v1/labels
+   * @apiUse V2Errors
+   */
+  routes.put(
+    '/labels/:address',
+    {
+      summary: 'Set the label of an address',
+      description: 'Requires an api key of an admin tier',
+      params: [PARAMS.address('Address')],
+      body: ref('LabelBody'),
+      response: ref('V2LabelResponse'),
+      errors: { 403: 'The api key is not of an admin tier' }
+    },
+    requireAdmin,
+    addressRoute('PUT /labels/:address', async (req, res, address) => {
+      const label = parseLabel(req.body)
+      if (label.error) {
+        sendError(res, 'invalid_param', label.error, label.param)
+        return
+      }
+      res.json({ label: await putLabel(sql, address, label) })
+    })
+  )
+
+  /**
+   * @api {delete} /v2/labels/:address Delete the label of an address
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Deletes the label of an address, returning it. Requires an api key of a tier with `admin` set. Responds with a not_found error if the address has no label.
+   * @apiParam (Path parameter) {String}   address  Address
+   * @apiSuccess {Object}   label   The deleted label, with the fields of /v1/labels
+   * @apiUse V2Errors
+   */
+  routes.delete(
+    '/labels/:address',
+    {
+      summary: 'Delete the label of an address',
+      description: 'Requires an api key of an admin tier',
+      params: [PARAMS.address('Address')],
+      response: ref('V2LabelResponse'),
+      errors: { 403: 'The api key is not of an admin tier', 404: 'The address has no label' }
+    },
+    requireAdmin,
+    addressRoute('DELETE /labels/:address', async (req, res, address) => {
+      const label = await deleteLabel(sql, address)
+      if (!label) {
+        sendError(res, 'not_found', `no label for address: ${address}`)
+        return
+      }
+      res.json({ label })
+    })
+  )
+
+  // Streams the rows that exportRows(range, filters, write) reads in the format param, with formats one of the V2 formats
+  // of formats.js. The block range and filters are parsed like those of lists.
+  function exportRoute(path, formats, parseFilters, exportRows) {
+    return route(path, async (req, res) => {
+      const params = await parseListParams(req, res, parseFilters, (query) => parseFormat(query, formats, 'ndjson'))
+      if (!params) {
+        return
+      }
+      const { format, blockRange, ...filters } = params
+
+      res.type(formats[format].contentType)
+      const writer = formatWriter(res, formats[format])
+      await writer.start()
+      await exportRows({ ...filters, range: blockRange }, (rows) => writer.write(rows))
+      await writer.end()
+    })
+  }
+
+  /**
+   * @api {get} /v2/export/transactions Export transactions
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Streams every flashbots transaction in the block range, in the order of /v2/transactions and with the same fields. Takes the params of /v1/export/transactions, whose csv has `eoa_address` and `is_megabundle` columns here. Responds with an unavailable error while too many exports are running.
+   * @apiParam (Query string) {String="json","ndjson","csv"}   [format=ndjson]  Response format, json is a single array of transactions
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/export/transactions',
+    {
+      summary: 'Export transactions',
+      errors: { 403: 'Exports are not available to the tier of the request', 503: 'Too many exports are running' },
+      params: [
+        ...PARAMS.blockRange,
+        PARAMS.from,
+        PARAMS.to,
+        PARAMS.bundleType,
+        PARAMS.minEthSentToFeeRecipient,
+        PARAMS.minGasUsed,
+        PARAMS.format(V2_TRANSACTION_FORMATS, 'ndjson')
+      ],
+      contentTypes: ['application/x-ndjson', 'application/json', 'text/csv']
+    },
+    requireExport,
+    exportLimit,
+    exportRoute('/export/transactions', V2_TRANSACTION_FORMATS, parseTransactionFilters, (query, write) =>
+      exportTransactions(sql, mergeBlockNumber, query, write)
+    )
+  )
+
+  /**
+   * @api {get} /v2/export/blocks Export blocks
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Streams every flashbots block in the block range in descending order, with the fields of /v2/blocks. Takes the params of /v1/export/blocks, whose csv has no `paris` column here. Responds with an unavailable error while too many exports are running.
+   * @apiParam (Query string) {String="json","ndjson","csv"}   [format=ndjson]  Response format, json is a single array of blocks and csv has one row per transaction
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/export/blocks',
+    {
+      summary: 'Export blocks',
+      errors: { 403: 'Exports are not available to the tier of the request', 503: 'Too many exports are running' },
+      params: [...PARAMS.blockRange, PARAMS.feeRecipient, PARAMS.miner, PARAMS.from, PARAMS.format(V2_BLOCK_FORMATS, 'ndjson')],
+      contentTypes: ['application/x-ndjson', 'application/json', 'text/csv']
+    },
+    requireExport,
+    exportLimit,
+    exportRoute('/export/blocks', V2_BLOCK_FORMATS, parseBlockFilters, (query, write) => exportBlocks(sql, mergeBlockNumber, query, write))
+  )
+
+  /**
+   * @api {get} /v2/usage Usage of an api key
+   * @apiVersion 2.0.0
+   * @apiGroup V2
+   * @apiDescription Returns the limits of the api key the request is made with and how many requests it made. Responses are the same as /v1/usage, only errors differ.
+   * @apiUse V2Errors
+   */
+  routes.get(
+    '/usage',
+    {
+      summary: 'Get api key usage',
+      response: ref('V2UsageResponse'),
+      errors: { 401: 'The request was made without an api key, or with an invalid one' }
+    },
+    route('/usage', async (req, res) => {
+      if (!req.apiKey) {
+        sendError(res, 'unauthorized', 'an api key is required, in the X-API-Key header or the api_key param')
+        return
+      }
+      const { name, tier } = req.apiKey
+      res.json({ name, tier, limits: req.tier, usage: await getUsage(counters, req.apiKey) })
+    })
+  )
+
+  router.use((req, res) => {
+    sendError(res, 'not_found', `no such endpoint: ${req.method} ${req.baseUrl}${req.path}`)
+  })
+
+  return router
+}
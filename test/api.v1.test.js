@@ -0,0 +1,924 @@
+import assert from 'assert'
+import zlib from 'zlib'
+import _ from 'lodash'
+import postgres from 'postgres'
+import { encodeCursor, encodeFeeRecipientCursor } from '../server/cursor.js'
+import {
+  BLOCKS,
+  BUNDLES,
+  CONTRACT,
+  FEE_RECIPIENT,
+  LATEST_BLOCK_NUMBER,
+  LISTED_TRANSACTIONS,
+  MERGE_BLOCK_NUMBER,
+  MINER,
+  SEARCHER_1,
+  SEARCHER_2,
+  STATS,
+  TRANSACTIONS,
+  hash
+} from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase, startDumpServer, startServer } from './support/server.js'
+
+const DUMP_PORT = 31091
+
+// The aliases /v1 adds to the canonical rows, spelled out here rather than taken from server/v1.js
+function v1BlockTransaction(tx) {
+  return { ...tx, coinbase_transfer: tx.eth_sent_to_fee_recipient, total_miner_reward: tx.fee_recipient_eth_diff }
+}
+
+function v1Block(block) {
+  return {
+    ...block,
+    miner_reward: block.fee_recipient_eth_diff,
+    miner: block.fee_recipient,
+    coinbase_transfers: block.eth_sent_to_fee_recipient,
+    effective_priority_fee: block.gas_price,
+    paris: block.block_number >= MERGE_BLOCK_NUMBER ? 1 : 0,
+    transactions: block.transactions.map(v1BlockTransaction)
+  }
+}
+
+function v1Transaction(tx) {
+  return {
+    ..._.omit(tx, ['eoa_address', 'is_megabundle']),
+    eao_address: tx.eoa_address,
+    coinbase_transfer: tx.eth_sent_to_fee_recipient,
+    total_miner_reward: tx.fee_recipient_eth_diff
+  }
+}
+
+function v1Bundle(bundleId) {
+  const bundle = BUNDLES[bundleId]
+  return { ...bundle, paris: bundle.block_number >= MERGE_BLOCK_NUMBER ? 1 : 0 }
+}
+
+const v1Blocks = (...blockNumbers) => blockNumbers.map((blockNumber) => v1Block(BLOCKS[blockNumber]))
+const v1Transactions = (...labels) => labels.map((label) => v1Transaction(_.find(LISTED_TRANSACTIONS, { transaction_hash: hash(label) })))
+const blocksCursor = (blockNumber) => encodeCursor({ blockNumber })
+const transactionsCursor = (label) => {
+  const { block_number: blockNumber, bundle_index: bundleIndex, tx_index: txIndex } = TRANSACTIONS[label]
+  return encodeCursor({ blockNumber, bundleIndex, txIndex })
+}
+
+// Dumps of two partitions, either side of the merge
+const DUMP_PARTITIONS = [
+  { from_block: 0, to_block: 99, blockNumbers: [99, 98, 97] },
+  { from_block: 100, to_block: 199, blockNumbers: [101, 100] }
+]
+const parseNdjson = (text) =>
+  text
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line))
+const dumpContents = (blockNumbers) =>
+  v1Blocks(...blockNumbers)
+    .map((block) => JSON.stringify(block) + '\n')
+    .join('')
+const DUMP_FILES = _.fromPairs(
+  DUMP_PARTITIONS.map(({ from_block: fromBlock, to_block: toBlock, blockNumbers }) => [
+    `blocks_${fromBlock}-${toBlock}.ndjson.gz`,
+    zlib.gzipSync(dumpContents(blockNumbers))
+  ])
+)
+const MANIFEST = {
+  partition_size: 100,
+  formats: ['ndjson'],
+  latest_block_number: LATEST_BLOCK_NUMBER,
+  generated_at: '2022-09-15T00:01:00.000Z',
+  partitions: DUMP_PARTITIONS.map(({ from_block: fromBlock, to_block: toBlock, blockNumbers }) => ({
+    from_block: fromBlock,
+    to_block: toBlock,
+    complete: toBlock < LATEST_BLOCK_NUMBER,
+    block_count: blockNumbers.length,
+    transaction_count: _.sumBy(blockNumbers, (blockNumber) => BLOCKS[blockNumber].transactions.length),
+    generated_at: '2022-09-15T00:01:00.000Z',
+    files: [{ format: 'ndjson', path: `blocks_${fromBlock}-${toBlock}.ndjson.gz`, size: 0, sha256: '' }]
+  }))
+}
+
+describeWithDatabase('/v1', function () {
+  this.timeout(10000)
+  let api
+  let dumpServer
+
+  before(async () => {
+    await resetDatabase()
+    dumpServer = await startDumpServer(DUMP_PORT, { ...DUMP_FILES, 'manifest.json': JSON.stringify(MANIFEST) })
+    api = await startServer({ dumpBaseUrl: `http://localhost:${DUMP_PORT}` })
+  })
+
+  after(async () => {
+    dumpServer.close()
+    await api.stop()
+  })
+
+  describe('/v1/blocks', () => {
+    it('returns blocks from both sides of the merge, newest first', async () => {
+      const { status, body } = await api.get('/v1/blocks')
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(body, { blocks: v1Blocks(101, 100, 99, 98, 97), latest_block_number: LATEST_BLOCK_NUMBER, next_cursor: null })
+    })
+
+    it('pages across the merge with next_cursor', async () => {
+      const first = await api.get('/v1/blocks?limit=2')
+      assert.deepStrictEqual(first.body, { blocks: v1Blocks(101, 100), latest_block_number: 102, next_cursor: blocksCursor(100) })
+
+      const second = await api.get(`/v1/blocks?limit=2&cursor=${first.body.next_cursor}`)
+      assert.deepStrictEqual(second.body, { blocks: v1Blocks(99, 98), latest_block_number: 102, next_cursor: blocksCursor(98) })
+
+      const third = await api.get(`/v1/blocks?limit=2&cursor=${second.body.next_cursor}`)
+      assert.deepStrictEqual(third.body, { blocks: v1Blocks(97), latest_block_number: 102, next_cursor: null })
+    })
+
+    it('marks every transaction of a block only mined as a megabundle as a megabundle transaction', async () => {
+      const { body } = await api.get('/v1/blocks?block_number=97')
+      assert.deepStrictEqual(body.blocks, v1Blocks(97))
+      assert.deepStrictEqual(_.map(body.blocks[0].transactions, 'is_megabundle'), [true])
+    })
+
+    it('marks the transactions of a block that were also mined in its megabundle', async () => {
+      const { body } = await api.get('/v1/blocks?block_number=98')
+      assert.deepStrictEqual(body.blocks, v1Blocks(98))
+      assert.deepStrictEqual(_.map(body.blocks[0].transactions, 'is_megabundle'), [true, false])
+    })
+
+    it('does not mark transactions of blocks without a megabundle', async () => {
+      const { body } = await api.get('/v1/blocks?block_number=99')
+      assert.deepStrictEqual(_.map(body.blocks[0].transactions, 'is_megabundle'), [false, false])
+    })
+
+    it('reads each side of a range spanning the merge from its own tables', async () => {
+      const { body } = await api.get('/v1/blocks?after=98&before=101')
+      assert.deepStrictEqual(body.blocks, v1Blocks(100, 99))
+    })
+
+    it('filters to blocks mined within since and until', async () => {
+      const { body } = await api.get('/v1/blocks?since=2022-09-14T23:59:36Z&until=2022-09-15T00:00:12Z')
+      assert.deepStrictEqual(body.blocks, v1Blocks(100, 99, 98))
+    })
+
+    it('returns no blocks when since or until matches no block', async () => {
+      assert.deepStrictEqual((await api.get('/v1/blocks?since=2022-09-16T00:00:00Z')).body.blocks, [])
+      assert.deepStrictEqual((await api.get('/v1/blocks?until=2022-09-14T00:00:00Z')).body.blocks, [])
+      assert.deepStrictEqual((await api.get('/v1/blocks?since=2022-09-14T00:00:00Z')).body.blocks, v1Blocks(101, 100, 99, 98, 97))
+    })
+
+    it('filters by fee_recipient, or miner as it was called before the merge', async () => {
+      assert.deepStrictEqual((await api.get(`/v1/blocks?fee_recipient=${MINER}`)).body.blocks, v1Blocks(99, 98, 97))
+      assert.deepStrictEqual((await api.get(`/v1/blocks?miner=${FEE_RECIPIENT}`)).body.blocks, v1Blocks(101, 100))
+    })
+
+    it('filters to blocks with transactions from an address', async () => {
+      const { body } = await api.get(`/v1/blocks?from=${SEARCHER_2}&after=99`)
+      assert.deepStrictEqual(body.blocks, v1Blocks(101))
+    })
+
+    it('returns a row per transaction as csv', async () => {
+      const { status, headers, text } = await api.get('/v1/blocks?format=csv&from_block=98&to_block=99')
+      assert.strictEqual(status, 200)
+      assert.strictEqual(headers['content-type'], 'text/csv; charset=utf-8')
+      assert.strictEqual(headers['x-latest-block-number'], '102')
+      assert.strictEqual(
+        text,
+        [
+          'block_number,fee_recipient,paris,bundle_index,bundle_type,tx_index,transaction_hash,eoa_address,to_address,gas_used,gas_price,eth_sent_to_fee_recipient,fee_recipient_eth_diff,is_megabundle',
+          `99,${MINER},0,0,flashbots,0,${hash('9900')},${SEARCHER_2},${CONTRACT},30000,10,0,300000,false`,
+          `99,${MINER},0,1,mempool,0,${hash('9910')},${SEARCHER_1},,100000,5,0,500000,false`,
+          `98,${MINER},0,0,flashbots,0,${hash('9800')},${SEARCHER_1},${CONTRACT},21000,20,0,420000,true`,
+          `98,${MINER},0,0,flashbots,1,${hash('9801')},${SEARCHER_2},${CONTRACT},50000,20,30000,1030000,false`,
+          ''
+        ].join('\n')
+      )
+    })
+
+    it('rejects invalid params', async () => {
+      const { status, body } = await api.get('/v1/blocks?limit=0')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, {
+        error: 'invalid limit param provided, expected a number between 1 and 10000 but got: 0',
+        param: 'limit'
+      })
+      assert.deepStrictEqual((await api.get('/v1/blocks?fee_recipient=0x12')).body, {
+        error: 'invalid fee_recipient param provided, expected an address but got: 0x12',
+        param: 'fee_recipient'
+      })
+    })
+
+    it('rejects block numbers out of the range of postgres ints', async () => {
+      for (const param of ['before', 'block_number', 'from_block']) {
+        const { status, body } = await api.get(`/v1/blocks?${param}=3000000000`)
+        assert.strictEqual(status, 400, param)
+        assert.deepStrictEqual(body, { error: `invalid ${param} param provided, expected a block number but got: 3000000000`, param })
+      }
+      const cursor = encodeCursor({ blockNumber: 3000000000 })
+      assert.strictEqual((await api.get(`/v1/blocks?cursor=${cursor}`)).status, 400)
+      assert.strictEqual((await api.get('/v1/bundle/3000000000-0')).status, 400)
+    })
+  })
+
+  describe('/v1/blocks/:number/bundles', () => {
+    it('breaks a block down into its bundles and the mempool bundles between them', async () => {
+      const { status, body } = await api.get('/v1/blocks/101/bundles')
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(body, {
+        block: {
+          ..._.omit(BLOCKS[101], 'transactions'),
+          paris: 1,
+          bundle_count: 2,
+          flashbots_bundle_count: 1,
+          mempool_bundle_count: 1,
+          transaction_count: 3,
+          flashbots_fee_recipient_eth_diff: '800000',
+          flashbots_share_of_block_value: 0.883978,
+          mempool_gaps: [
+            {
+              first_bundle_index: 1,
+              last_bundle_index: 1,
+              position: 'trailing',
+              bundle_count: 1,
+              transaction_count: 1,
+              gas_used: 21000,
+              fee_recipient_eth_diff: '105000'
+            }
+          ]
+        },
+        bundles: [
+          {
+            ..._.omit(BUNDLES['101-0'], ['bundle_id', 'megabundle_id', 'bundle_hash', 'fee_recipient']),
+            share_of_block_value: 0.883978,
+            transactions: ['10100', '10101'].map((label) => v1BlockTransaction(TRANSACTIONS[label]))
+          },
+          {
+            ..._.omit(BUNDLES['101-1'], ['bundle_id', 'megabundle_id', 'bundle_hash', 'fee_recipient']),
+            share_of_block_value: 0.116022,
+            transactions: [v1BlockTransaction(TRANSACTIONS['10110'])]
+          }
+        ],
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('returns the bundles of a block only mined as a megabundle', async () => {
+      const { body } = await api.get('/v1/blocks/97/bundles')
+      assert.strictEqual(body.block.paris, 0)
+      assert.deepStrictEqual(body.block.mempool_gaps, [])
+      assert.deepStrictEqual(
+        _.map(body.bundles, (bundle) => _.pick(bundle, 'bundle_index', 'is_megabundle', 'share_of_block_value')),
+        [{ bundle_index: 0, is_megabundle: true, share_of_block_value: 1 }]
+      )
+    })
+
+    it('returns 404 for blocks without bundles', async () => {
+      const { status, body } = await api.get('/v1/blocks/102/bundles')
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: 'no bundles in block: 102' })
+    })
+
+    it('rejects invalid block numbers', async () => {
+      const { status, body } = await api.get('/v1/blocks/0x10/bundles')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, { error: 'invalid number param provided, expected a block number but got: 0x10', param: 'number' })
+    })
+  })
+
+  describe('/v1/transactions', () => {
+    it('returns transactions from both sides of the merge, newest first', async () => {
+      const { status, body } = await api.get('/v1/transactions')
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(body, {
+        transactions: LISTED_TRANSACTIONS.map(v1Transaction),
+        latest_block_number: LATEST_BLOCK_NUMBER,
+        next_cursor: null
+      })
+    })
+
+    it('pages through the middle of blocks and across the merge with next_cursor', async () => {
+      const first = await api.get('/v1/transactions?limit=3')
+      assert.deepStrictEqual(first.body, {
+        transactions: v1Transactions('10100', '10101', '10110'),
+        latest_block_number: 102,
+        next_cursor: transactionsCursor('10110')
+      })
+
+      const second = await api.get(`/v1/transactions?limit=3&cursor=${first.body.next_cursor}`)
+      assert.deepStrictEqual(second.body, {
+        transactions: v1Transactions('10000', '9900', '9910'),
+        latest_block_number: 102,
+        next_cursor: transactionsCursor('9910')
+      })
+
+      const third = await api.get(`/v1/transactions?limit=3&cursor=${second.body.next_cursor}`)
+      assert.deepStrictEqual(third.body, { transactions: v1Transactions('9800', '9801'), latest_block_number: 102, next_cursor: null })
+    })
+
+    it('filters transactions', async () => {
+      const labels = async (query) => _.map((await api.get(`/v1/transactions?${query}`)).body.transactions, 'transaction_hash')
+      assert.deepStrictEqual(await labels(`from=${SEARCHER_2}`), ['10100', '10110', '9900', '9801'].map(hash))
+      assert.deepStrictEqual(await labels(`to=${CONTRACT}&to_block=99`), ['9900', '9800', '9801'].map(hash))
+      assert.deepStrictEqual(await labels('bundle_type=mempool'), ['10110', '9910'].map(hash))
+      assert.deepStrictEqual(await labels('min_gas_used=50000'), ['9910', '9801'].map(hash))
+      assert.deepStrictEqual(await labels('min_eth_sent_to_fee_recipient=200000'), ['10101', '10000'].map(hash))
+    })
+
+    it('returns csv', async () => {
+      const { headers, text } = await api.get('/v1/transactions?format=csv&from_block=101&limit=2')
+      assert.strictEqual(headers['x-next-cursor'], transactionsCursor('10101'))
+      assert.strictEqual(
+        text,
+        [
+          'block_number,bundle_index,bundle_type,tx_index,transaction_hash,eao_address,to_address,gas_used,gas_price,eth_sent_to_fee_recipient,fee_recipient_eth_diff',
+          `101,0,flashbots,0,${hash('10100')},${SEARCHER_2},${CONTRACT},40000,10,0,400000`,
+          `101,0,flashbots,1,${hash('10101')},${SEARCHER_1},${CONTRACT},20000,10,200000,400000`,
+          ''
+        ].join('\n')
+      )
+    })
+
+    it('rejects malformed cursors', async () => {
+      const { status, body } = await api.get('/v1/transactions?cursor=nope')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, {
+        error: 'invalid cursor param provided, expected a cursor from next_cursor of a list of transactions but got: nope',
+        param: 'cursor'
+      })
+    })
+
+    it('rejects cursors of the other kind of list', async () => {
+      const blockCursor = encodeCursor({ blockNumber: 100 })
+      const transactionCursor = encodeCursor({ blockNumber: 100, bundleIndex: 0, txIndex: 0 })
+      assert.deepStrictEqual((await api.get(`/v1/transactions?cursor=${blockCursor}`)).body, {
+        error: `invalid cursor param provided, expected a cursor from next_cursor of a list of transactions but got: ${blockCursor}`,
+        param: 'cursor'
+      })
+      assert.deepStrictEqual((await api.get(`/v1/blocks?cursor=${transactionCursor}`)).body, {
+        error: `invalid cursor param provided, expected a cursor from next_cursor of a list of blocks but got: ${transactionCursor}`,
+        param: 'cursor'
+      })
+    })
+  })
+
+  describe('/v1/export', () => {
+    it('exports all transactions as ndjson', async () => {
+      const { headers, text } = await api.get('/v1/export/transactions')
+      assert.strictEqual(headers['content-type'], 'application/x-ndjson')
+      assert.deepStrictEqual(parseNdjson(text), LISTED_TRANSACTIONS.map(v1Transaction))
+    })
+
+    it('exports filtered transactions as json', async () => {
+      const { body } = await api.get(`/v1/export/transactions?format=json&from=${SEARCHER_1}&from_block=99`)
+      assert.deepStrictEqual(body, v1Transactions('10101', '10000', '9910'))
+    })
+
+    it('exports blocks', async () => {
+      const { text } = await api.get('/v1/export/blocks')
+      assert.deepStrictEqual(parseNdjson(text), v1Blocks(101, 100, 99, 98, 97))
+      assert.deepStrictEqual((await api.get('/v1/export/blocks?format=json&to_block=98')).body, v1Blocks(98, 97))
+    })
+  })
+
+  describe('/v1/transaction/:hash', () => {
+    it('returns a post-merge transaction with its bundle', async () => {
+      const { status, body } = await api.get(`/v1/transaction/${hash('10101')}`)
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(body, {
+        transaction: TRANSACTIONS['10101'],
+        bundle: {
+          block_number: 101,
+          bundle_index: 0,
+          bundle_type: 'flashbots',
+          fee_recipient: FEE_RECIPIENT,
+          eth_sent_to_fee_recipient: '200000',
+          fee_recipient_eth_diff: '800000',
+          gas_used: 60000,
+          gas_price: '13',
+          is_megabundle: false,
+          paris: 1,
+          transactions: [TRANSACTIONS['10100'], TRANSACTIONS['10101']]
+        },
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('prefers the mined bundle of a pre-merge transaction that was also in a megabundle', async () => {
+      const { body } = await api.get(`/v1/transaction/${hash('9801')}`)
+      const transactions = [
+        { ...TRANSACTIONS['9800'], is_megabundle: false },
+        { ...TRANSACTIONS['9801'], is_megabundle: false }
+      ]
+      assert.deepStrictEqual(body, {
+        transaction: transactions[1],
+        bundle: {
+          block_number: 98,
+          bundle_index: 0,
+          bundle_type: 'flashbots',
+          fee_recipient: MINER,
+          eth_sent_to_fee_recipient: '30000',
+          fee_recipient_eth_diff: '1450000',
+          gas_used: 71000,
+          gas_price: '20',
+          is_megabundle: false,
+          paris: 0,
+          transactions
+        },
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('returns a transaction only mined in a megabundle', async () => {
+      const { body } = await api.get(`/v1/transaction/${hash('9700').slice(2)}`)
+      assert.deepStrictEqual(body, {
+        transaction: TRANSACTIONS['9700'],
+        bundle: {
+          block_number: 97,
+          bundle_index: 0,
+          bundle_type: 'flashbots',
+          fee_recipient: MINER,
+          eth_sent_to_fee_recipient: '5000',
+          fee_recipient_eth_diff: '215000',
+          gas_used: 21000,
+          gas_price: '10',
+          is_megabundle: true,
+          paris: 0,
+          transactions: [TRANSACTIONS['9700']]
+        },
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('returns 404 for transactions that were not in a bundle', async () => {
+      const { status, body } = await api.get(`/v1/transaction/${hash('1')}`)
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: `transaction not found: ${hash('1')}` })
+    })
+
+    it('rejects invalid hashes', async () => {
+      const { status, body } = await api.get('/v1/transaction/0x1234')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, { error: 'invalid hash param provided, expected a 32 byte hex hash but got: 0x1234', param: 'hash' })
+    })
+  })
+
+  describe('/v1/bundles', () => {
+    const bundleIds = async (query) => _.map((await api.get(`/v1/bundles?${query}`)).body.bundles, 'bundle_id')
+
+    it('returns the bundles of both sides of the merge with their totals', async () => {
+      const { body } = await api.get('/v1/bundles')
+      assert.deepStrictEqual(body, {
+        bundles: _.keys(BUNDLES).map(v1Bundle),
+        latest_block_number: LATEST_BLOCK_NUMBER,
+        next_cursor: null
+      })
+    })
+
+    it('pages through bundles across the merge and megabundles with next_cursor', async () => {
+      const pages = []
+      let cursor = ''
+      do {
+        const { body } = await api.get(`/v1/bundles?limit=3${cursor && `&cursor=${cursor}`}`)
+        pages.push(_.map(body.bundles, 'bundle_id'))
+        cursor = body.next_cursor
+      } while (cursor)
+      assert.deepStrictEqual(pages, [
+        ['101-0', '101-1', '100-0'],
+        ['99-0', '99-1', '98-0'],
+        ['98-m2-0', '97-m1-0']
+      ])
+    })
+
+    it('filters by block number, sender and transaction hash', async () => {
+      assert.deepStrictEqual(await bundleIds('block_number=98'), ['98-0', '98-m2-0'])
+      assert.deepStrictEqual(await bundleIds(`from=${SEARCHER_2}`), ['101-0', '101-1', '99-0', '98-0'])
+      assert.deepStrictEqual(await bundleIds(`transaction_hash=${hash('9800')}`), ['98-0', '98-m2-0'])
+      assert.deepStrictEqual(await bundleIds(`transaction_hash=${hash('10110')}&to_block=100`), [])
+    })
+
+    it('rejects invalid transaction hashes', async () => {
+      const { status, body } = await api.get('/v1/bundles?transaction_hash=0x1234')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, {
+        error: 'invalid transaction_hash param provided, expected a 32 byte hex hash but got: 0x1234',
+        param: 'transaction_hash'
+      })
+    })
+  })
+
+  describe('/v1/bundle/:id', () => {
+    it('returns a post-merge bundle with its transactions by its hash', async () => {
+      const { body } = await api.get(`/v1/bundle/${hash('1010')}`)
+      assert.deepStrictEqual(body, {
+        bundle: v1Bundle('101-0'),
+        transactions: ['10100', '10101'].map((label) => v1Transaction(TRANSACTIONS[label])),
+        truncated: false,
+        next_cursor: null,
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('returns pre-merge and megabundle bundles by their id', async () => {
+      const { body } = await api.get('/v1/bundle/98-0')
+      assert.deepStrictEqual(body.bundle, v1Bundle('98-0'))
+      assert.deepStrictEqual(
+        body.transactions,
+        ['9800', '9801'].map((label) => v1Transaction(TRANSACTIONS[label]))
+      )
+
+      const { body: megabundle } = await api.get('/v1/bundle/98-m2-0')
+      assert.deepStrictEqual(megabundle.bundle, v1Bundle('98-m2-0'))
+      assert.deepStrictEqual(megabundle.transactions, [v1Transaction(TRANSACTIONS['9800'])])
+    })
+
+    it('flags truncated bundles and pages through their transactions', async () => {
+      const { body } = await api.get('/v1/bundle/101-0?limit=1')
+      assert.deepStrictEqual(body.transactions, [v1Transaction(TRANSACTIONS['10100'])])
+      assert.strictEqual(body.truncated, true)
+      assert.strictEqual(body.next_cursor, transactionsCursor('10100'))
+
+      const { body: next } = await api.get(`/v1/bundle/101-0?limit=1&cursor=${body.next_cursor}`)
+      assert.deepStrictEqual(next.transactions, [v1Transaction(TRANSACTIONS['10101'])])
+      assert.strictEqual(next.truncated, false)
+      assert.strictEqual(next.next_cursor, null)
+    })
+
+    it('returns 404 for unknown bundles', async () => {
+      for (const id of [hash('1'), '101-2', '101-m1-0', '98-m1-0', '96-0']) {
+        const { status, body } = await api.get(`/v1/bundle/${id}`)
+        assert.strictEqual(status, 404)
+        assert.deepStrictEqual(body, { error: `bundle not found: ${id}` })
+      }
+    })
+
+    it('rejects invalid ids', async () => {
+      const { status, body } = await api.get('/v1/bundle/101')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, {
+        error: 'invalid id param provided, expected a 32 byte hex bundle hash or a bundle id but got: 101',
+        param: 'id'
+      })
+    })
+  })
+
+  describe('/v1/stats', () => {
+    for (const key of ['timeseries', 'fee_recipients', 'searchers']) {
+      it(`returns ${key} over both sides of the merge`, async () => {
+        const { status, body } = await api.get(`/v1/stats/${key}`)
+        assert.strictEqual(status, 200)
+        assert.deepStrictEqual(body, { [key]: STATS[key], latest_block_number: LATEST_BLOCK_NUMBER })
+      })
+    }
+
+    it('only reads the side of the merge within the block range', async () => {
+      const { body } = await api.get('/v1/stats/timeseries?before=100')
+      assert.deepStrictEqual(body.timeseries, [STATS.timeseries[1]])
+    })
+
+    it('counts megabundles as flashbots bundles', async () => {
+      const { body } = await api.get('/v1/stats/searchers?bundle_type=flashbots&to_block=98')
+      assert.deepStrictEqual(body.searchers, [
+        {
+          eoa_address: SEARCHER_2,
+          block_count: 1,
+          bundle_count: 1,
+          transaction_count: 1,
+          gas_used: 50000,
+          eth_sent_to_fee_recipient: '30000',
+          fee_recipient_eth_diff: '1030000'
+        },
+        {
+          eoa_address: SEARCHER_1,
+          block_count: 2,
+          bundle_count: 2,
+          transaction_count: 2,
+          gas_used: 42000,
+          eth_sent_to_fee_recipient: '5000',
+          fee_recipient_eth_diff: '635000'
+        }
+      ])
+    })
+
+    it('groups by hour', async () => {
+      const { body } = await api.get('/v1/stats/timeseries?interval=hour&limit=1')
+      assert.deepStrictEqual(body.timeseries, [STATS.timeseries[0]])
+    })
+
+    it('starts periods at utc midnight whatever the time zone of the database', async () => {
+      const paths = ['/v1/stats/timeseries', `/v1/searchers/${SEARCHER_2}`, `/v1/fee_recipients/${FEE_RECIPIENT}`]
+      const expected = await Promise.all(paths.map(async (path) => (await api.get(path)).body))
+      const sql = postgres(process.env.TEST_POSTGRES_DSN)
+      const [{ database }] = await sql`select current_database() as database`
+      await sql.unsafe(`alter database "${database}" set timezone to 'America/New_York'`)
+      const elsewhere = await startServer()
+      try {
+        for (const [index, path] of paths.entries()) {
+          assert.deepStrictEqual((await elsewhere.get(path)).body, expected[index], path)
+        }
+      } finally {
+        await elsewhere.stop()
+        await sql.unsafe(`alter database "${database}" reset timezone`)
+        await sql.end()
+      }
+    })
+  })
+
+  describe('/v1/searchers/:address', () => {
+    it('profiles a searcher across the merge', async () => {
+      const { status, body } = await api.get(`/v1/searchers/${SEARCHER_2}`)
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(body, {
+        searcher: {
+          eoa_address: SEARCHER_2,
+          first_block_number: 98,
+          last_block_number: 101,
+          first_seen_at: '2022-09-14T23:59:36.000Z',
+          last_seen_at: '2022-09-15T00:00:12.000Z',
+          ..._.omit(_.find(STATS.searchers, { eoa_address: SEARCHER_2 }), 'eoa_address')
+        },
+        timeseries: [
+          {
+            period: '2022-09-15T00:00:00.000Z',
+            block_count: 1,
+            bundle_count: 2,
+            transaction_count: 2,
+            gas_used: 61000,
+            eth_sent_to_fee_recipient: '0',
+            fee_recipient_eth_diff: '505000'
+          },
+          {
+            period: '2022-09-14T00:00:00.000Z',
+            block_count: 2,
+            bundle_count: 2,
+            transaction_count: 2,
+            gas_used: 80000,
+            eth_sent_to_fee_recipient: '30000',
+            fee_recipient_eth_diff: '1330000'
+          }
+        ],
+        contracts: [
+          {
+            to_address: CONTRACT,
+            first_block_number: 98,
+            last_block_number: 101,
+            transaction_count: 4,
+            gas_used: 141000,
+            eth_sent_to_fee_recipient: '30000',
+            fee_recipient_eth_diff: '1835000'
+          }
+        ],
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('counts transactions only mined in a megabundle, and contract creations', async () => {
+      const { body } = await api.get(`/v1/searchers/${SEARCHER_1}?to_block=99`)
+      assert.strictEqual(body.searcher.first_block_number, 97)
+      assert.strictEqual(body.searcher.transaction_count, 3)
+      assert.deepStrictEqual(_.map(body.contracts, _.partialRight(_.pick, ['to_address', 'transaction_count'])), [
+        { to_address: CONTRACT, transaction_count: 2 },
+        { to_address: null, transaction_count: 1 }
+      ])
+    })
+
+    it('returns 404 for addresses without bundle transactions', async () => {
+      const { status, body } = await api.get(`/v1/searchers/${CONTRACT}`)
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: `no bundle transactions from searcher: ${CONTRACT}` })
+    })
+
+    it('rejects invalid addresses', async () => {
+      const { status, body } = await api.get('/v1/searchers/0x1234')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, { error: 'invalid address param provided, expected an address but got: 0x1234', param: 'address' })
+    })
+  })
+
+  describe('/v1/fee_recipients', () => {
+    it('lists the fee recipients of both sides of the merge by their number of blocks', async () => {
+      const { body } = await api.get('/v1/fee_recipients')
+      assert.deepStrictEqual(body, {
+        fee_recipients: _.sortBy(STATS.fee_recipients, (row) => -row.block_count),
+        next_cursor: null,
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('pages through the fee recipients with next_cursor', async () => {
+      const fees = _.sortBy(STATS.fee_recipients, (row) => -row.block_count)
+      const first = await api.get('/v1/fee_recipients?limit=1')
+      assert.deepStrictEqual(first.body.fee_recipients, fees.slice(0, 1))
+      assert.strictEqual(
+        first.body.next_cursor,
+        encodeFeeRecipientCursor({ blockCount: fees[0].block_count, feeRecipient: fees[0].fee_recipient })
+      )
+      const second = await api.get(`/v1/fee_recipients?limit=1&cursor=${first.body.next_cursor}`)
+      assert.deepStrictEqual(second.body.fee_recipients, fees.slice(1, 2))
+      const last = await api.get(`/v1/fee_recipients?limit=1&cursor=${second.body.next_cursor}`)
+      assert.deepStrictEqual(last.body, { fee_recipients: [], next_cursor: null, latest_block_number: LATEST_BLOCK_NUMBER })
+      assert.strictEqual((await api.get(`/v1/fee_recipients?cursor=${encodeCursor({ blockNumber: 100 })}`)).body.param, 'cursor')
+    })
+
+    it('profiles a fee recipient', async () => {
+      const { status, body } = await api.get(`/v1/fee_recipients/${FEE_RECIPIENT}`)
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(body, {
+        fee_recipient: {
+          ..._.find(STATS.fee_recipients, { fee_recipient: FEE_RECIPIENT }),
+          first_block_number: 100,
+          last_block_number: 101,
+          average_bundles_per_block: 1.5
+        },
+        timeseries: [{ ...STATS.timeseries[0], flashbots_block_count: 2, block_share: 1 }],
+        searchers: [
+          {
+            eoa_address: SEARCHER_1,
+            block_count: 2,
+            bundle_count: 2,
+            transaction_count: 2,
+            gas_used: 41000,
+            eth_sent_to_fee_recipient: '1200000',
+            fee_recipient_eth_diff: '2030000'
+          },
+          {
+            eoa_address: SEARCHER_2,
+            block_count: 1,
+            bundle_count: 2,
+            transaction_count: 2,
+            gas_used: 61000,
+            eth_sent_to_fee_recipient: '0',
+            fee_recipient_eth_diff: '505000'
+          }
+        ],
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('shares the flashbots blocks of each period between fee recipients', async () => {
+      const { body } = await api.get(`/v1/fee_recipients/${FEE_RECIPIENT}?interval=week`)
+      assert.deepStrictEqual(_.map(body.timeseries, _.partialRight(_.pick, ['flashbots_block_count', 'block_count', 'block_share'])), [
+        { flashbots_block_count: 5, block_count: 2, block_share: 0.4 }
+      ])
+    })
+
+    it('returns 404 for addresses no flashbots block paid', async () => {
+      const { status, body } = await api.get(`/v1/fee_recipients/${SEARCHER_1}`)
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: `no flashbots blocks paid fee recipient: ${SEARCHER_1}` })
+    })
+
+    it('compares fee recipients side by side', async () => {
+      const { body } = await api.get(`/v1/fee_recipients/compare?addresses=${MINER},${FEE_RECIPIENT},${CONTRACT}`)
+      assert.deepStrictEqual(_.map(body.fee_recipients, 'fee_recipient'), [
+        { ...STATS.fee_recipients[1], first_block_number: 97, last_block_number: 99, average_bundles_per_block: 1.333333 },
+        { ...STATS.fee_recipients[0], first_block_number: 100, last_block_number: 101, average_bundles_per_block: 1.5 },
+        {
+          fee_recipient: CONTRACT,
+          first_block_number: null,
+          last_block_number: null,
+          block_count: 0,
+          bundle_count: 0,
+          transaction_count: 0,
+          gas_used: 0,
+          eth_sent_to_fee_recipient: '0',
+          fee_recipient_eth_diff: '0',
+          average_bundles_per_block: null
+        }
+      ])
+      assert.deepStrictEqual(
+        _.map(body.fee_recipients, (profile) => profile.timeseries.length),
+        [1, 1, 0]
+      )
+    })
+
+    it('rejects comparisons of fewer than two addresses', async () => {
+      const { status, body } = await api.get(`/v1/fee_recipients/compare?addresses=${MINER}`)
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, {
+        error: `invalid addresses param provided, expected a comma separated list of 2 to 10 addresses but got: ${MINER}`,
+        param: 'addresses'
+      })
+    })
+  })
+
+  describe('/v1/stream', () => {
+    it('sends the blocks after last_block_number as server-sent events', async () => {
+      const { status, headers, events } = await api.events('/v1/stream?last_block_number=99', 2)
+      assert.strictEqual(status, 200)
+      assert.strictEqual(headers['content-type'], 'text/event-stream; charset=utf-8')
+      assert.deepStrictEqual(events, [
+        { id: '100', event: 'block', data: v1Block(BLOCKS[100]) },
+        { id: '101', event: 'block', data: v1Block(BLOCKS[101]) }
+      ])
+    })
+
+    it('resumes from the Last-Event-ID header', async () => {
+      const { events } = await api.events('/v1/stream', 1, { 'Last-Event-ID': '100' })
+      assert.deepStrictEqual(events, [{ id: '101', event: 'block', data: v1Block(BLOCKS[101]) }])
+    })
+
+    it('sends blocks over a websocket', async () => {
+      assert.deepStrictEqual(await api.messages(`/v1/stream?last_block_number=96&fee_recipient=${MINER}`, 3), v1Blocks(97, 98, 99))
+    })
+
+    it('rejects invalid params', async () => {
+      const { status, body } = await api.get('/v1/stream?last_block_number=-1')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, {
+        error: 'invalid last_block_number param provided, expected a block number but got: -1',
+        param: 'last_block_number'
+      })
+    })
+  })
+
+  describe('/v1/all_blocks', () => {
+    const dumpUrl = (path) => `http://localhost:${DUMP_PORT}/${path}`
+    const manifest = {
+      ...MANIFEST,
+      partitions: MANIFEST.partitions.map((partition) => ({
+        ...partition,
+        files: partition.files.map((file) => ({ ...file, url: dumpUrl(file.path) }))
+      }))
+    }
+
+    it('returns the manifest of the dumps, with the url of each file', async () => {
+      assert.deepStrictEqual((await api.get('/v1/all_blocks')).body, manifest)
+    })
+
+    it('returns the partitions within the block range', async () => {
+      assert.deepStrictEqual((await api.get('/v1/all_blocks?from_block=100')).body, { ...manifest, partitions: [manifest.partitions[1]] })
+    })
+
+    it('redirects to a single partition', async () => {
+      const { status, headers } = await api.get('/v1/all_blocks?format=ndjson&to_block=50')
+      assert.strictEqual(status, 302)
+      assert.strictEqual(headers.location, dumpUrl('blocks_0-99.ndjson.gz'))
+    })
+
+    it('streams several ndjson partitions as one gzip file', async () => {
+      const { status, headers, text } = await api.get('/v1/all_blocks?format=ndjson')
+      assert.strictEqual(status, 200)
+      assert.strictEqual(headers['content-disposition'], 'attachment; filename="blocks_0-199.ndjson.gz"')
+      assert.strictEqual(zlib.gunzipSync(Buffer.from(text, 'binary')).toString(), dumpContents([99, 98, 97]) + dumpContents([101, 100]))
+    })
+
+    it('rejects formats that were not dumped', async () => {
+      const { status, body } = await api.get('/v1/all_blocks?format=csv')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, { error: 'invalid format param provided, expected one of ndjson but got: csv', param: 'format' })
+    })
+
+    it('serves every block as ndjson to clients of the xz dump until its removal', async () => {
+      const { status, headers, text } = await api.get('/v1/all_blocks?xz=1')
+      assert.strictEqual(status, 200)
+      assert.strictEqual(headers.deprecation, 'true')
+      assert.strictEqual(headers.sunset, 'Thu, 01 Apr 2027 00:00:00 GMT')
+      assert.strictEqual(headers.link, '</v1/all_blocks>; rel="successor-version"')
+      assert.strictEqual(zlib.gunzipSync(Buffer.from(text, 'binary')).toString(), dumpContents([99, 98, 97]) + dumpContents([101, 100]))
+    })
+  })
+
+  describe('/openapi.json', () => {
+    it('documents every route', async () => {
+      const { body } = await api.get('/openapi.json')
+      assert.strictEqual(body.openapi, '3.1.0')
+      assert.deepStrictEqual(_.keys(body.paths).sort(), [
+        '/v1/all_blocks',
+        '/v1/blocks',
+        '/v1/blocks/{number}/bundles',
+        '/v1/bundle/{id}',
+        '/v1/bundles',
+        '/v1/export/blocks',
+        '/v1/export/transactions',
+        '/v1/fee_recipients',
+        '/v1/fee_recipients/compare',
+        '/v1/fee_recipients/{address}',
+        '/v1/labels',
+        '/v1/labels/{address}',
+        '/v1/searchers/{address}',
+        '/v1/stats/fee_recipients',
+        '/v1/stats/searchers',
+        '/v1/stats/timeseries',
+        '/v1/stream',
+        '/v1/transaction/{hash}',
+        '/v1/transactions',
+        '/v1/usage',
+        '/v2/blocks',
+        '/v2/blocks/{number}/bundles',
+        '/v2/bundles',
+        '/v2/bundles/{id}',
+        '/v2/export/blocks',
+        '/v2/export/transactions',
+        '/v2/fee_recipients',
+        '/v2/fee_recipients/compare',
+        '/v2/fee_recipients/{address}',
+        '/v2/labels',
+        '/v2/labels/{address}',
+        '/v2/searchers/{address}',
+        '/v2/stats/fee_recipients',
+        '/v2/stats/searchers',
+        '/v2/stats/timeseries',
+        '/v2/transactions',
+        '/v2/transactions/{hash}',
+        '/v2/usage'
+      ])
+    })
+  })
+})
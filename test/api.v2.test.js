@@ -0,0 +1,244 @@
+import assert from 'assert'
+import _ from 'lodash'
+import { encodeCursor } from '../server/cursor.js'
+import {
+  BLOCKS,
+  BUNDLES,
+  CONTRACT,
+  FEE_RECIPIENT,
+  LATEST_BLOCK_NUMBER,
+  LISTED_TRANSACTIONS,
+  MINER,
+  SEARCHER_1,
+  SEARCHER_2,
+  STATS,
+  TRANSACTIONS,
+  hash
+} from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase, startServer } from './support/server.js'
+
+const blocks = (...blockNumbers) => blockNumbers.map((blockNumber) => BLOCKS[blockNumber])
+const transactions = (...labels) => labels.map((label) => _.find(LISTED_TRANSACTIONS, { transaction_hash: hash(label) }))
+const parseNdjson = (text) =>
+  text
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line))
+
+describeWithDatabase('/v2', function () {
+  this.timeout(10000)
+  let api
+
+  before(async () => {
+    await resetDatabase()
+    api = await startServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  describe('/v2/blocks', () => {
+    it('returns blocks without the legacy aliases', async () => {
+      const { status, body } = await api.get('/v2/blocks')
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(body, { blocks: blocks(101, 100, 99, 98, 97), latest_block_number: LATEST_BLOCK_NUMBER, next_cursor: null })
+    })
+
+    it('pages across the merge with next_cursor', async () => {
+      const first = await api.get('/v2/blocks?limit=3')
+      assert.deepStrictEqual(first.body, {
+        blocks: blocks(101, 100, 99),
+        latest_block_number: LATEST_BLOCK_NUMBER,
+        next_cursor: encodeCursor({ blockNumber: 99 })
+      })
+      const second = await api.get(`/v2/blocks?limit=3&cursor=${first.body.next_cursor}`)
+      assert.deepStrictEqual(second.body.blocks, blocks(98, 97))
+    })
+
+    it('infers megabundle transactions', async () => {
+      const { body } = await api.get(`/v2/blocks?fee_recipient=${MINER}&to_block=98`)
+      assert.deepStrictEqual(body.blocks, blocks(98, 97))
+    })
+  })
+
+  describe('/v2/transactions', () => {
+    it('returns transactions without the legacy aliases', async () => {
+      const { body } = await api.get('/v2/transactions')
+      assert.deepStrictEqual(body, { transactions: LISTED_TRANSACTIONS, latest_block_number: LATEST_BLOCK_NUMBER, next_cursor: null })
+    })
+
+    it('filters transactions', async () => {
+      const { body } = await api.get(`/v2/transactions?from=${SEARCHER_1}&bundle_type=flashbots&before=101`)
+      assert.deepStrictEqual(body.transactions, transactions('10000', '9800'))
+    })
+  })
+
+  describe('/v2/transactions/:hash', () => {
+    it('returns a transaction with its bundle', async () => {
+      const { body } = await api.get(`/v2/transactions/${hash('10110')}`)
+      assert.deepStrictEqual(body, {
+        transaction: TRANSACTIONS['10110'],
+        bundle: {
+          block_number: 101,
+          bundle_index: 1,
+          bundle_type: 'mempool',
+          fee_recipient: FEE_RECIPIENT,
+          eth_sent_to_fee_recipient: '0',
+          fee_recipient_eth_diff: '105000',
+          gas_used: 21000,
+          gas_price: '5',
+          is_megabundle: false,
+          transactions: [TRANSACTIONS['10110']]
+        },
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+    })
+
+    it('responds with not_found for transactions that were not in a bundle', async () => {
+      const { status, body } = await api.get(`/v2/transactions/${hash('1')}`)
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: { code: 'not_found', message: `transaction not found: ${hash('1')}` } })
+    })
+  })
+
+  describe('/v2/blocks/:number/bundles', () => {
+    it('breaks a block down into its bundles without the legacy aliases', async () => {
+      const { status, body } = await api.get('/v2/blocks/101/bundles')
+      assert.strictEqual(status, 200)
+      const v1 = (await api.get('/v1/blocks/101/bundles')).body
+      assert.deepStrictEqual(body.block, _.omit(v1.block, 'paris'))
+      assert.deepStrictEqual(
+        body.bundles,
+        v1.bundles.map((bundle, index) => ({
+          ...bundle,
+          transactions: [['10100', '10101'], ['10110']][index].map((label) => TRANSACTIONS[label])
+        }))
+      )
+    })
+
+    it('responds with not_found for blocks without bundles', async () => {
+      const { status, body } = await api.get('/v2/blocks/102/bundles')
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: { code: 'not_found', message: 'no bundles in block: 102' } })
+    })
+  })
+
+  describe('/v2/bundles', () => {
+    it('returns bundles without the legacy aliases', async () => {
+      const { body } = await api.get('/v2/bundles')
+      assert.deepStrictEqual(body, { bundles: _.values(BUNDLES), latest_block_number: LATEST_BLOCK_NUMBER, next_cursor: null })
+      const page = await api.get('/v2/bundles?limit=3')
+      assert.deepStrictEqual((await api.get(`/v2/bundles?cursor=${page.body.next_cursor}&limit=1`)).body.bundles, [BUNDLES['99-0']])
+    })
+
+    it('returns a bundle with its transactions', async () => {
+      const { body } = await api.get(`/v2/bundles/${hash('1010')}?limit=1`)
+      assert.deepStrictEqual(body, {
+        bundle: BUNDLES['101-0'],
+        transactions: [TRANSACTIONS['10100']],
+        truncated: true,
+        next_cursor: body.next_cursor,
+        latest_block_number: LATEST_BLOCK_NUMBER
+      })
+      const next = await api.get(`/v2/bundles/101-0?limit=1&cursor=${body.next_cursor}`)
+      assert.deepStrictEqual(next.body.transactions, [TRANSACTIONS['10101']])
+      assert.deepStrictEqual((await api.get('/v2/bundles/98-m2-0')).body.transactions, [TRANSACTIONS['9800']])
+    })
+
+    it('responds with not_found for unknown bundles', async () => {
+      const { status, body } = await api.get('/v2/bundles/101-2')
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: { code: 'not_found', message: 'bundle not found: 101-2' } })
+    })
+  })
+
+  describe('profiles', () => {
+    it('serves the searcher and fee recipient profiles of /v1', async () => {
+      for (const path of [
+        `/searchers/${SEARCHER_2}?interval=week`,
+        '/fee_recipients?limit=1',
+        `/fee_recipients/${FEE_RECIPIENT}`,
+        `/fee_recipients/compare?addresses=${FEE_RECIPIENT},${MINER}&to_block=100`
+      ]) {
+        const { status, body } = await api.get(`/v2${path}`)
+        assert.strictEqual(status, 200, path)
+        assert.deepStrictEqual(body, (await api.get(`/v1${path}`)).body, path)
+      }
+    })
+
+    it('responds with not_found for addresses without a profile', async () => {
+      assert.deepStrictEqual((await api.get(`/v2/searchers/${CONTRACT}`)).body, {
+        error: { code: 'not_found', message: `no bundle transactions from searcher: ${CONTRACT}` }
+      })
+      assert.deepStrictEqual((await api.get(`/v2/fee_recipients/${CONTRACT}`)).body, {
+        error: { code: 'not_found', message: `no flashbots blocks paid fee recipient: ${CONTRACT}` }
+      })
+    })
+  })
+
+  describe('/v2/export', () => {
+    it('exports transactions and blocks without the legacy aliases', async () => {
+      assert.deepStrictEqual(parseNdjson((await api.get('/v2/export/transactions')).text), LISTED_TRANSACTIONS)
+      assert.deepStrictEqual((await api.get('/v2/export/blocks?format=json&to_block=98')).body, blocks(98, 97))
+    })
+
+    it('names the csv columns after the fields of /v2', async () => {
+      const [transactionColumns] = (await api.get('/v2/export/transactions?format=csv')).text.split('\n')
+      assert.deepStrictEqual(transactionColumns.split(','), [
+        'block_number',
+        'bundle_index',
+        'bundle_type',
+        'tx_index',
+        'transaction_hash',
+        'eoa_address',
+        'to_address',
+        'gas_used',
+        'gas_price',
+        'eth_sent_to_fee_recipient',
+        'fee_recipient_eth_diff',
+        'is_megabundle'
+      ])
+      const [blockColumns] = (await api.get('/v2/export/blocks?format=csv')).text.split('\n')
+      assert(!blockColumns.split(',').includes('paris'))
+    })
+  })
+
+  describe('/v2/usage', () => {
+    it('requires an api key', async () => {
+      const { status, body } = await api.get('/v2/usage')
+      assert.strictEqual(status, 401)
+      assert.deepStrictEqual(body, {
+        error: { code: 'unauthorized', message: 'an api key is required, in the X-API-Key header or the api_key param' }
+      })
+    })
+  })
+
+  describe('/v2/stats', () => {
+    for (const key of ['timeseries', 'fee_recipients', 'searchers']) {
+      it(`returns ${key}`, async () => {
+        assert.deepStrictEqual((await api.get(`/v2/stats/${key}`)).body, { [key]: STATS[key], latest_block_number: LATEST_BLOCK_NUMBER })
+      })
+    }
+  })
+
+  describe('errors', () => {
+    it('responds with invalid_param naming the param', async () => {
+      const { status, body } = await api.get('/v2/transactions?min_gas_used=lots')
+      assert.strictEqual(status, 400)
+      assert.deepStrictEqual(body, {
+        error: {
+          code: 'invalid_param',
+          message: 'invalid min_gas_used param provided, expected a number but got: lots',
+          param: 'min_gas_used'
+        }
+      })
+    })
+
+    it('responds with not_found for unknown endpoints', async () => {
+      const { status, body } = await api.get('/v2/stream')
+      assert.strictEqual(status, 404)
+      assert.deepStrictEqual(body, { error: { code: 'not_found', message: 'no such endpoint: GET /v2/stream' } })
+    })
+  })
+})
@@ -0,0 +1,219 @@
+import assert from 'assert'
+import _ from 'lodash'
+import postgres from 'postgres'
+import { createApiKey, hashApiKey, revokeApiKey, USAGE_DAYS } from '../server/apikeys.js'
+import { createRedisStore } from '../server/cache.js'
+import { createFakeRedis } from './support/redis.js'
+import { describeWithDatabase, resetDatabase, startServer } from './support/server.js'
+
+const TIERS = {
+  anonymous: { per_minute: 1000, per_day: null, max_limit: 100, export: false },
+  small: { per_minute: 3, per_day: 5, max_limit: 10, export: false },
+  partner: { per_minute: 1000, per_day: null, max_limit: 10000, export: true }
+}
+
+// Counters are per minute, a test counting requests should not straddle two minutes
+async function waitForFreshMinute() {
+  const left = 60 * 1000 - (Date.now() % (60 * 1000))
+  if (left < 3000) {
+    await new Promise((resolve) => setTimeout(resolve, left))
+  }
+}
+
+describeWithDatabase('api keys', function () {
+  this.timeout(10000)
+  let sql, redis, api, replica, keys
+
+  before(async () => {
+    await resetDatabase()
+    sql = postgres(process.env.TEST_POSTGRES_DSN)
+    keys = {
+      small: await createApiKey(sql, 'small-client', 'small'),
+      partner: await createApiKey(sql, 'partner-client', 'partner'),
+      revoked: await createApiKey(sql, 'revoked-client', 'partner'),
+      unknownTier: await createApiKey(sql, 'unknown-tier-client', 'retired')
+    }
+    await revokeApiKey(sql, 'revoked-client')
+
+    // two replicas sharing a store
+    redis = createFakeRedis()
+    api = await startServer({ tiers: TIERS }, { store: createRedisStore(redis) })
+    replica = await startServer({ tiers: TIERS }, { store: createRedisStore(redis) })
+  })
+
+  after(async () => {
+    await api.stop()
+    await replica.stop()
+    await sql.end()
+  })
+
+  it('allows reusing the name of a revoked key', async () => {
+    await assert.rejects(createApiKey(sql, 'partner-client', 'partner'), /api_keys_name_not_revoked/)
+    const replacement = await createApiKey(sql, 'revoked-client', 'small')
+    const { status, body } = await api.get('/v1/usage', { 'X-API-Key': replacement })
+    assert.strictEqual(status, 200)
+    assert.strictEqual(body.name, 'revoked-client')
+    assert.strictEqual((await api.get('/v1/blocks', { 'X-API-Key': keys.revoked })).status, 401)
+  })
+
+  it('does not count the requests of a revoked key against the key replacing it', async () => {
+    await waitForFreshMinute()
+    const rotated = await createApiKey(sql, 'rotated-client', 'small')
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await replica.get('/v1/blocks?limit=1', { 'X-API-Key': rotated })).status, 200)
+    }
+    await revokeApiKey(sql, 'rotated-client')
+    const replacement = await createApiKey(sql, 'rotated-client', 'small')
+    const { status, body } = await api.get('/v1/usage', { 'X-API-Key': replacement })
+    assert.strictEqual(status, 200)
+    assert.strictEqual(body.usage.minute, 1)
+    assert.strictEqual(body.usage.today, 1)
+  })
+
+  it('keeps anonymous access working at the anonymous tier', async () => {
+    const { status, headers } = await api.get('/v1/blocks?limit=1')
+    assert.strictEqual(status, 200)
+    assert.strictEqual(headers['x-ratelimit-limit'], '1000')
+  })
+
+  it('accepts keys in the X-API-Key header or the api_key param', async () => {
+    const header = await api.get('/v1/usage', { 'X-API-Key': keys.partner })
+    assert.strictEqual(header.status, 200)
+    assert.strictEqual(header.body.name, 'partner-client')
+    const param = await api.get(`/v1/usage?api_key=${keys.partner}`)
+    assert.strictEqual(param.body.name, 'partner-client')
+  })
+
+  it('rejects invalid and revoked keys', async () => {
+    for (const key of ['nope', keys.revoked]) {
+      assert.deepStrictEqual(await api.get('/v1/blocks', { 'X-API-Key': key }).then(({ status, body }) => ({ status, body })), {
+        status: 401,
+        body: { error: 'invalid api key' }
+      })
+    }
+    const { status, body } = await api.get('/v2/blocks', { 'X-API-Key': 'nope' })
+    assert.strictEqual(status, 401)
+    assert.deepStrictEqual(body, { error: { code: 'unauthorized', message: 'invalid api key' } })
+    assert.strictEqual((await api.get('/v1/blocks', { 'X-API-Key': keys.unknownTier })).status, 403)
+  })
+
+  it('limits requests per minute across replicas, apart from other clients', async () => {
+    await waitForFreshMinute()
+    const headers = { 'X-API-Key': keys.small }
+    assert.strictEqual((await api.get('/v1/blocks?limit=1', headers)).status, 200)
+    assert.strictEqual((await replica.get('/v1/blocks?limit=1', headers)).status, 200)
+    const last = await api.get('/v1/blocks?limit=1', headers)
+    assert.strictEqual(last.status, 200)
+    assert.strictEqual(last.headers['x-ratelimit-remaining'], '0')
+
+    const limited = await replica.get('/v1/blocks?limit=1', headers)
+    assert.strictEqual(limited.status, 429)
+    assert.strictEqual(limited.text, 'Too many requests, please try again later.')
+    assert(Number(limited.headers['retry-after']) <= 60)
+    const v2 = await api.get('/v2/blocks?limit=1', headers)
+    assert.deepStrictEqual(v2.body, { error: { code: 'rate_limited', message: 'Too many requests, please try again later.' } })
+
+    assert.strictEqual((await api.get('/v1/blocks?limit=1')).status, 200)
+    assert.strictEqual((await api.get('/v1/blocks?limit=1', { 'X-API-Key': keys.partner })).status, 200)
+  })
+
+  it('limits requests per day', async () => {
+    // the minute limit is already used up, this minute's counter is dropped to get to the daily limit
+    for (const key of redis.values.keys()) {
+      if (key.includes(`${hashApiKey(keys.small)}:minute`)) {
+        redis.values.delete(key)
+      }
+    }
+    const { status, text } = await api.get('/v1/blocks?limit=1', { 'X-API-Key': keys.small })
+    assert.strictEqual(status, 429)
+    assert.strictEqual(text, 'Too many requests today, please try again tomorrow.')
+  })
+
+  it('limits guessing keys like anonymous access', async () => {
+    const guarded = await startServer({ tiers: { anonymous: { ...TIERS.anonymous, per_minute: 2 }, partner: TIERS.partner } })
+    try {
+      await waitForFreshMinute()
+      const first = await guarded.get('/v1/blocks', { 'X-API-Key': 'guess-1' })
+      assert.strictEqual(first.status, 401)
+      assert.strictEqual(first.headers['x-ratelimit-remaining'], '1')
+      assert.strictEqual((await guarded.get('/v1/blocks', { 'X-API-Key': 'guess-2' })).status, 401)
+      const limited = await guarded.get('/v1/blocks', { 'X-API-Key': 'guess-3' })
+      assert.strictEqual(limited.status, 429)
+      assert.strictEqual(limited.text, 'Too many requests, please try again later.')
+      // keys are no longer looked up for this ip, and anonymous requests share its limit
+      assert.strictEqual((await guarded.get('/v1/blocks', { 'X-API-Key': keys.partner })).status, 429)
+      assert.strictEqual((await guarded.get('/v1/blocks')).status, 429)
+    } finally {
+      await guarded.stop()
+    }
+  })
+
+  it('checks the api key, limits and origin of websockets', async () => {
+    assert.deepStrictEqual(await api.upgrade('/v1/stream', { 'X-API-Key': 'nope' }).then(({ status, body }) => ({ status, body })), {
+      status: 401,
+      body: { error: 'invalid api key' }
+    })
+    // the daily limit of small-client is used up
+    const limited = await api.upgrade(`/v1/stream?api_key=${keys.small}`)
+    assert.strictEqual(limited.status, 429)
+    assert(Number(limited.headers['retry-after']) > 0)
+    assert.strictEqual((await api.upgrade('/v1/stream', { 'X-API-Key': keys.partner })).status, 101)
+    assert.strictEqual((await api.upgrade('/v1/stream', { Origin: 'https://elsewhere.example' })).status, 403)
+    assert.strictEqual((await api.upgrade('/v1/stream', { Origin: 'http://localhost:3000' })).status, 101)
+  })
+
+  it('limits the limit param', async () => {
+    const { status, body } = await api.get('/v1/transactions?limit=101')
+    assert.strictEqual(status, 400)
+    assert.deepStrictEqual(body, {
+      error: 'invalid limit param provided, expected at most 100 for anonymous access but got: 101',
+      param: 'limit'
+    })
+    assert.strictEqual((await api.get('/v1/transactions?limit=101', { 'X-API-Key': keys.partner })).status, 200)
+  })
+
+  it('limits the first argument of graphql queries', async () => {
+    const query = '{ transactions(first: 101) { edges { cursor } } }'
+    const anonymous = await api.post('/graphql', { query })
+    assert.deepStrictEqual(_.map(anonymous.body.errors, 'message'), [
+      'invalid first argument provided, expected at most 100 for anonymous access but got: 101'
+    ])
+    const partner = await api.post(`/graphql?api_key=${keys.partner}`, { query })
+    assert.strictEqual(partner.body.errors, undefined)
+    assert(partner.body.data.transactions.edges.length > 0)
+  })
+
+  it('limits access to exports', async () => {
+    const { status, body } = await api.get('/v1/export/blocks')
+    assert.strictEqual(status, 403)
+    assert.deepStrictEqual(body, { error: 'exports are not available to anonymous access' })
+    assert.strictEqual((await api.get('/v1/export/blocks', { 'X-API-Key': keys.partner })).status, 200)
+  })
+
+  it('limits access to exports whatever the case of the path', async () => {
+    for (const path of ['/V1/EXPORT/blocks', '/v1/Export/transactions', '/v1/ALL_BLOCKS']) {
+      const { status, body } = await api.get(path)
+      assert.strictEqual(status, 403, path)
+      assert.deepStrictEqual(body, { error: 'exports are not available to anonymous access' })
+    }
+  })
+
+  it('reports the usage of a key', async () => {
+    await waitForFreshMinute()
+    const headers = { 'X-API-Key': keys.partner }
+    const before = (await api.get('/v1/usage', headers)).body
+    await replica.get('/v1/blocks?limit=1', headers)
+    const { status, body } = await api.get('/v1/usage', headers)
+    assert.strictEqual(status, 200)
+    assert.deepStrictEqual(body.limits, TIERS.partner)
+    assert.strictEqual(body.tier, 'partner')
+    assert.strictEqual(body.usage.minute, before.usage.minute + 2)
+    assert.strictEqual(body.usage.today, before.usage.today + 2)
+    assert.strictEqual(body.usage.days.length, USAGE_DAYS)
+    assert.deepStrictEqual(body.usage.days[0], { date: new Date().toISOString().slice(0, 10), requests: body.usage.today })
+  })
+
+  it('requires a key for the usage report', async () => {
+    assert.strictEqual((await api.get('/v1/usage')).status, 401)
+  })
+})
@@ -0,0 +1,80 @@
+import assert from 'assert'
+import http from 'http'
+import postgres from 'postgres'
+import { createApp, serve } from '../server/app.js'
+import { MERGE_BLOCK_NUMBER } from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase } from './support/server.js'
+
+// Resolves to the response once it ended, or rejects if it was cut off
+function get(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, options, (res) => {
+      let text = ''
+      res.setEncoding('utf8')
+      res.on('data', (chunk) => {
+        text += chunk
+      })
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }))
+      res.on('aborted', () => reject(new Error('response aborted')))
+    })
+    req.on('error', reject)
+  })
+}
+
+describeWithDatabase('serve', function () {
+  this.timeout(10000)
+  let sql, app, server, drain, baseUrl
+
+  before(async () => {
+    await resetDatabase()
+  })
+
+  beforeEach(async () => {
+    sql = postgres(process.env.TEST_POSTGRES_DSN)
+    app = createApp({ sql, config: { mergeBlockNumber: MERGE_BLOCK_NUMBER, accessLog: false, streamPollInterval: 1 } })
+    // registered after the api, its static files fall through to these
+    app.get('/test/slow', (req, res) => setTimeout(() => res.send('done'), 200))
+    app.get('/test/hang', () => {})
+    ;({ server, drain } = await serve(app, { port: 0 }))
+    baseUrl = `http://localhost:${server.address().port}`
+  })
+
+  afterEach(async () => {
+    await sql.end({ timeout: 1 })
+  })
+
+  it('finishes requests in progress before shutting down', async () => {
+    const response = get(`${baseUrl}/test/slow`)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    await drain(5000)
+    const { status, headers, text } = await response
+    assert.strictEqual(status, 200)
+    assert.strictEqual(headers.connection, 'close')
+    assert.strictEqual(text, 'done')
+  })
+
+  it('ends open streams and idle connections right away', async () => {
+    const agent = new http.Agent({ keepAlive: true })
+    assert.strictEqual((await get(`${baseUrl}/v1/blocks?limit=1`, { agent })).status, 200)
+    const stream = await new Promise((resolve, reject) => http.get(`${baseUrl}/v1/stream`, resolve).on('error', reject))
+    const ended = new Promise((resolve) => stream.on('end', resolve).resume())
+
+    const start = Date.now()
+    await drain(5000)
+    await ended
+    assert(Date.now() - start < 1000)
+    agent.destroy()
+  })
+
+  it('destroys connections still open after the timeout', async () => {
+    const response = get(`${baseUrl}/test/hang`)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    await drain(100)
+    await assert.rejects(response)
+  })
+
+  it('stops accepting connections', async () => {
+    await drain(100)
+    await assert.rejects(get(`${baseUrl}/v1/blocks`), { code: 'ECONNREFUSED' })
+  })
+})
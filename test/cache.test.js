@@ -0,0 +1,160 @@
+import assert from 'assert'
+import _ from 'lodash'
+import { createCache, createMemoryStore, createRedisStore } from '../server/cache.js'
+import { BLOCKS, FEE_RECIPIENT, LATEST_BLOCK_NUMBER, SEARCHER_2 } from './fixtures/blocks.js'
+import { createFakeRedis } from './support/redis.js'
+import { describeWithDatabase, resetDatabase, startServer } from './support/server.js'
+
+describe('createMemoryStore', () => {
+  it('evicts the least recently used values', async () => {
+    const store = createMemoryStore({ maxEntries: 2 })
+    await store.set('a', '1', 1000)
+    await store.set('b', '2', 1000)
+    assert.strictEqual(await store.get('a'), '1')
+    await store.set('c', '3', 1000)
+    assert.strictEqual(await store.get('a'), '1')
+    assert.strictEqual(await store.get('b'), undefined)
+    assert.strictEqual(await store.get('c'), '3')
+  })
+
+  it('expires values after their ttl', async () => {
+    const store = createMemoryStore({ maxEntries: 2 })
+    await store.set('a', '1', 10)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    assert.strictEqual(await store.get('a'), undefined)
+  })
+
+  it('counts until the ttl after the first increment', async () => {
+    const store = createMemoryStore({ maxEntries: 2 })
+    assert.strictEqual(await store.increment('a', 30), 1)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    assert.strictEqual(await store.increment('a', 30), 2)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    assert.strictEqual(await store.increment('a', 30), 1)
+  })
+})
+
+describe('createCache', () => {
+  const latestBlock = { block_number: 200, block_timestamp: '2022-09-15T00:00:00.000Z' }
+  let redis, cache, fetches
+
+  beforeEach(() => {
+    redis = createFakeRedis()
+    cache = createCache(undefined, createRedisStore(redis), { ttl: 2, finalizedTtl: 60, finalityDepth: 10 })
+    fetches = 0
+  })
+
+  const fetch = async () => {
+    fetches++
+    return [{ block_number: 180 }]
+  }
+
+  it('keys on normalized params', async () => {
+    await cache.query('blocks', { limit: 10, range: { lowest: null, highest: 180 }, from: undefined }, latestBlock, fetch)
+    const rows = await cache.query('blocks', { range: { highest: 180, lowest: null }, limit: 10 }, latestBlock, fetch)
+    assert.deepStrictEqual(rows, [{ block_number: 180 }])
+    assert.strictEqual(fetches, 1)
+    assert.deepStrictEqual([...redis.values.keys()], ['mev-blocks:blocks:{"limit":10,"range":{"highest":180,"lowest":null}}'])
+  })
+
+  it('keeps results of ranges below the finality depth for longer', async () => {
+    await cache.query('blocks', { range: { lowest: null, highest: 190 } }, latestBlock, fetch)
+    await cache.query('blocks', { range: { lowest: null, highest: 191 } }, latestBlock, fetch)
+    await cache.query('blocks', { range: { lowest: null, highest: null } }, latestBlock, fetch)
+    assert.deepStrictEqual(
+      [...redis.values].map(([key, { ttl }]) => [key, ttl]),
+      [
+        ['mev-blocks:blocks:{"range":{"highest":190,"lowest":null}}', 60000],
+        ['mev-blocks:blocks:{"range":{"highest":191,"lowest":null}}@200', 2000],
+        ['mev-blocks:blocks:{"range":{"highest":null,"lowest":null}}@200', 2000]
+      ]
+    )
+  })
+
+  it('refetches results that can still change once there is a new block', async () => {
+    await cache.query('blocks', { range: { lowest: null, highest: null } }, latestBlock, fetch)
+    await cache.query('blocks', { range: { lowest: null, highest: null } }, { ...latestBlock, block_number: 201 }, fetch)
+    assert.strictEqual(fetches, 2)
+  })
+
+  it('answers from the database when the store fails', async () => {
+    const failing = { get: () => Promise.reject(new Error('down')), set: () => Promise.reject(new Error('down')) }
+    cache = createCache(undefined, failing, { ttl: 2, finalizedTtl: 60, finalityDepth: 10 })
+    const consoleError = console.error
+    console.error = () => {}
+    try {
+      assert.deepStrictEqual(await cache.query('blocks', { range: { lowest: null, highest: null } }, latestBlock, fetch), [
+        { block_number: 180 }
+      ])
+    } finally {
+      console.error = consoleError
+    }
+  })
+})
+
+describeWithDatabase('caching', function () {
+  this.timeout(10000)
+  let api, redis
+
+  before(async () => {
+    await resetDatabase()
+    redis = createFakeRedis()
+    api = await startServer({ finalityDepth: 2 }, { store: createRedisStore(redis) })
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  it('sends ETag, Last-Modified and Cache-Control headers', async () => {
+    const { status, headers } = await api.get('/v1/blocks')
+    assert.strictEqual(status, 200)
+    assert(headers.etag)
+    assert.strictEqual(headers['last-modified'], 'Thu, 15 Sep 2022 00:00:24 GMT')
+    assert.strictEqual(headers['cache-control'], 'public, max-age=2')
+  })
+
+  it('responds to conditional requests with 304', async () => {
+    for (const path of ['/v1/blocks', '/v2/transactions']) {
+      const { headers } = await api.get(path)
+      assert.strictEqual((await api.get(path, { 'If-None-Match': headers.etag })).status, 304)
+      assert.strictEqual((await api.get(path, { 'If-Modified-Since': headers['last-modified'] })).status, 304)
+      assert.strictEqual((await api.get(path, { 'If-Modified-Since': 'Wed, 14 Sep 2022 00:00:00 GMT' })).status, 200)
+    }
+  })
+
+  it('serves finalized ranges from the store', async () => {
+    const { body } = await api.get('/v2/blocks?before=100')
+    assert.deepStrictEqual(body.blocks, [BLOCKS[99], BLOCKS[98], BLOCKS[97]])
+
+    const key = 'mev-blocks:blocks:{"limit":100,"range":{"highest":99,"lowest":null}}'
+    assert.strictEqual(redis.values.get(key).ttl, 24 * 60 * 60 * 1000)
+    // the same range, asked for differently
+    redis.values.get(key).value = JSON.stringify([BLOCKS[99]])
+    const cached = await api.get('/v2/blocks?to_block=99')
+    assert.deepStrictEqual(cached.body, { blocks: [BLOCKS[99]], latest_block_number: LATEST_BLOCK_NUMBER, next_cursor: null })
+  })
+
+  it('caches stats and profiles until the next block', async () => {
+    for (const path of ['/v1/stats/timeseries', `/v1/searchers/${SEARCHER_2}`, `/v1/fee_recipients/${FEE_RECIPIENT}`]) {
+      assert.strictEqual((await api.get(path)).headers['cache-control'], 'public, max-age=2', path)
+    }
+    const keys = [...redis.values.keys()]
+    for (const name of ['stats', 'searcher', 'fee_recipients']) {
+      const key = _.find(keys, (key) => key.startsWith(`mev-blocks:${name}:`))
+      assert(key && key.endsWith(`@${LATEST_BLOCK_NUMBER}`), name)
+    }
+
+    // v2 shares the entries of v1
+    const key = _.find(keys, (key) => key.startsWith('mev-blocks:stats:') && key.includes('"groupBy":"period"'))
+    redis.values.get(key).value = JSON.stringify([])
+    assert.deepStrictEqual((await api.get('/v2/stats/timeseries')).body, { timeseries: [], latest_block_number: LATEST_BLOCK_NUMBER })
+  })
+
+  it('lets clients cache responses for finalized ranges for as long as the results', async () => {
+    for (const path of ['/v1/blocks?before=100', '/v2/transactions?to_block=99', '/v1/stats/timeseries?to_block=100']) {
+      assert.strictEqual((await api.get(path)).headers['cache-control'], `public, max-age=${24 * 60 * 60}`, path)
+    }
+    assert.strictEqual((await api.get('/v1/blocks?before=102')).headers['cache-control'], 'public, max-age=2')
+  })
+})
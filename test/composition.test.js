@@ -0,0 +1,72 @@
+import assert from 'assert'
+import _ from 'lodash'
+import { blockComposition } from '../server/composition.js'
+
+function transaction(bundleIndex, bundleType, feeRecipientEthDiff) {
+  return {
+    bundle_index: bundleIndex,
+    bundle_type: bundleType,
+    gas_used: 10,
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: feeRecipientEthDiff,
+    is_megabundle: false
+  }
+}
+
+function block(transactions) {
+  const feeRecipientEthDiff = _.sumBy(transactions, (tx) => Number(tx.fee_recipient_eth_diff))
+  return {
+    block_number: 1,
+    fee_recipient: '0x5555555555555555555555555555555555555555',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: String(feeRecipientEthDiff),
+    gas_used: transactions.length * 10,
+    gas_price: String(Math.floor(feeRecipientEthDiff / (transactions.length * 10))),
+    transactions
+  }
+}
+
+describe('blockComposition', () => {
+  it('places runs of mempool bundles before, between and after the flashbots bundles', () => {
+    const { block: composition } = blockComposition(
+      block([
+        transaction(0, 'mempool', '100'),
+        transaction(1, 'flashbots', '400'),
+        transaction(2, 'mempool', '100'),
+        transaction(2, 'mempool', '100'),
+        transaction(3, 'mempool', '100'),
+        transaction(4, 'flashbots', '100'),
+        transaction(5, 'mempool', '100')
+      ])
+    )
+    assert.deepStrictEqual(
+      _.map(composition.mempool_gaps, (gap) => _.pick(gap, 'first_bundle_index', 'last_bundle_index', 'position')),
+      [
+        { first_bundle_index: 0, last_bundle_index: 0, position: 'leading' },
+        { first_bundle_index: 2, last_bundle_index: 3, position: 'between' },
+        { first_bundle_index: 5, last_bundle_index: 5, position: 'trailing' }
+      ]
+    )
+    assert.deepStrictEqual(_.pick(composition.mempool_gaps[1], 'bundle_count', 'transaction_count', 'gas_used', 'fee_recipient_eth_diff'), {
+      bundle_count: 2,
+      transaction_count: 3,
+      gas_used: 30,
+      fee_recipient_eth_diff: '300'
+    })
+  })
+
+  it('shares the block value between its bundles', () => {
+    const { block: composition, bundles } = blockComposition(
+      block([transaction(0, 'flashbots', '300'), transaction(1, 'flashbots', '600'), transaction(2, 'mempool', '100')])
+    )
+    assert.strictEqual(composition.flashbots_fee_recipient_eth_diff, '900')
+    assert.strictEqual(composition.flashbots_share_of_block_value, 0.9)
+    assert.deepStrictEqual(_.map(bundles, 'share_of_block_value'), [0.3, 0.6, 0.1])
+  })
+
+  it('has no shares for blocks that paid nothing', () => {
+    const { block: composition, bundles } = blockComposition(block([transaction(0, 'flashbots', '0')]))
+    assert.strictEqual(composition.flashbots_share_of_block_value, null)
+    assert.deepStrictEqual(_.map(bundles, 'share_of_block_value'), [null])
+  })
+})
@@ -0,0 +1,87 @@
+import assert from 'assert'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { DEFAULT_CONFIG, loadConfig } from '../server/config.js'
+
+const DSN = 'postgres://localhost/mev_blocks'
+
+describe('loadConfig', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mev-blocks-config-'))
+  })
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true })
+  })
+
+  const writeFile = async (name, json) => {
+    const file = path.join(dir, name)
+    await fs.writeFile(file, typeof json === 'string' ? json : JSON.stringify(json))
+    return file
+  }
+
+  it('fills in defaults', () => {
+    assert.deepStrictEqual(loadConfig({ POSTGRES_DSN: DSN }), { ...DEFAULT_CONFIG, postgresDsn: DSN })
+    assert.strictEqual(DEFAULT_CONFIG.port, 31080)
+    assert.strictEqual(DEFAULT_CONFIG.mergeBlockNumber, 1)
+  })
+
+  it('parses numbers, booleans and lists from the environment', () => {
+    const config = loadConfig({
+      POSTGRES_DSN: DSN,
+      PORT: '8080',
+      MERGE_BLOCK_NUMBER: '15537394',
+      VALIDATE_RESPONSES: 'true',
+      ACCESS_LOG: 'false',
+      CORS_ORIGINS: 'https://a.example, https://b.example,'
+    })
+    assert.strictEqual(config.port, 8080)
+    assert.strictEqual(config.mergeBlockNumber, 15537394)
+    assert.strictEqual(config.validateResponses, true)
+    assert.strictEqual(config.accessLog, false)
+    assert.deepStrictEqual(config.corsOrigins, ['https://a.example', 'https://b.example'])
+  })
+
+  it('parses tiers as json, filling in their limits', () => {
+    const config = loadConfig({ POSTGRES_DSN: DSN, TIERS: '{ "anonymous": { "per_minute": 10 }, "partner": { "export": false } }' })
+    assert.deepStrictEqual(config.tiers, {
+      anonymous: { per_minute: 10, per_day: null, max_limit: 10000, export: true, admin: false },
+      partner: { per_minute: 60, per_day: null, max_limit: 10000, export: false, admin: false }
+    })
+    assert.throws(() => loadConfig({ POSTGRES_DSN: DSN, TIERS: '{ "partner": { "per_hour": 10 } }' }), {
+      message: 'invalid config: invalid TIERS, expected a json object of tiers by name but got: {"partner":{"per_hour":10}}'
+    })
+  })
+
+  it('reads CONFIG_FILE, with the environment taking precedence', async () => {
+    const file = await writeFile('config.json', { postgres_dsn: DSN, port: 8080, merge_block_number: 15537394, cors_origins: [] })
+    const config = loadConfig({ CONFIG_FILE: file, PORT: '9090' })
+    assert.strictEqual(config.postgresDsn, DSN)
+    assert.strictEqual(config.port, 9090)
+    assert.strictEqual(config.mergeBlockNumber, 15537394)
+    assert.deepStrictEqual(config.corsOrigins, [])
+  })
+
+  it('fails without POSTGRES_DSN', () => {
+    assert.throws(() => loadConfig({}), { message: 'invalid config: missing POSTGRES_DSN' })
+    assert.throws(() => loadConfig({ POSTGRES_DSN: '' }), { message: 'invalid config: missing POSTGRES_DSN' })
+  })
+
+  it('lists every invalid option', () => {
+    assert.throws(() => loadConfig({ POSTGRES_DSN: DSN, PORT: 'http', VALIDATE_RESPONSES: 'yes' }), {
+      message:
+        'invalid config: invalid PORT, expected a port number but got: http; invalid VALIDATE_RESPONSES, expected true or false but got: yes'
+    })
+  })
+
+  it('fails on unreadable config files and unknown options', async () => {
+    assert.throws(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') }), /could not read config file/)
+    const invalid = await writeFile('invalid.json', '{')
+    assert.throws(() => loadConfig({ CONFIG_FILE: invalid }), /could not read config file/)
+    const unknown = await writeFile('unknown.json', { postgres_dsn: DSN, merge_block: 1 })
+    assert.throws(() => loadConfig({ CONFIG_FILE: unknown }), { message: `unknown options in config file ${unknown}: merge_block` })
+  })
+})
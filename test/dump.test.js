@@ -0,0 +1,118 @@
+import assert from 'assert'
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import zlib from 'zlib'
+import _ from 'lodash'
+import postgres from 'postgres'
+import { dumpBlocks } from '../scripts/dump/dump.js'
+import { localTarget } from '../scripts/dump/targets.js'
+import { MERGE_BLOCK_NUMBER } from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase, startDumpServer, startServer } from './support/server.js'
+
+const DUMP_PORT = 31092
+const OPTIONS = { mergeBlockNumber: MERGE_BLOCK_NUMBER, partitionSize: 2, formats: ['json', 'ndjson'] }
+
+describeWithDatabase('dumpBlocks', function () {
+  this.timeout(10000)
+  let sql, dir
+
+  before(async () => {
+    await resetDatabase()
+    sql = postgres(process.env.TEST_POSTGRES_DSN)
+  })
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mev-blocks-dump-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true })
+  })
+
+  after(async () => {
+    await sql.end()
+  })
+
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'))
+  const readDump = async (name) => zlib.gunzipSync(await fs.readFile(path.join(dir, name))).toString()
+
+  it('dumps blocks in partitions, with a manifest of their files', async () => {
+    const manifest = await dumpBlocks(sql, localTarget(dir), OPTIONS)
+    assert.deepStrictEqual(_.omit(await readManifest(), 'generated_at'), _.omit(manifest, 'generated_at'))
+    assert.strictEqual(manifest.latest_block_number, 102)
+    assert.deepStrictEqual(
+      manifest.partitions.map((partition) => _.pick(partition, ['from_block', 'to_block', 'complete', 'block_count'])),
+      [
+        { from_block: 96, to_block: 97, complete: true, block_count: 1 },
+        { from_block: 98, to_block: 99, complete: true, block_count: 2 },
+        { from_block: 100, to_block: 101, complete: true, block_count: 2 },
+        { from_block: 102, to_block: 103, complete: false, block_count: 0 }
+      ]
+    )
+
+    for (const file of _.flatMap(manifest.partitions, 'files')) {
+      const contents = await fs.readFile(path.join(dir, file.path))
+      assert.strictEqual(file.size, contents.length)
+      assert.strictEqual(file.sha256, crypto.createHash('sha256').update(contents).digest('hex'))
+    }
+    const ndjson = await readDump('blocks_98-99.ndjson.gz')
+    assert.deepStrictEqual(
+      ndjson
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line).block_number),
+      [99, 98]
+    )
+    assert.deepStrictEqual(JSON.parse(await readDump('blocks_98-99.json.gz')), ndjson.trim().split('\n').map(JSON.parse))
+  })
+
+  it('keeps finished partitions and resumes an interrupted dump', async () => {
+    // the dump fails uploading the third partition
+    const target = localTarget(dir)
+    const failing = {
+      ...target,
+      put: (name, filePath) => (name.startsWith('blocks_100-') ? Promise.reject(new Error('upload failed')) : target.put(name, filePath))
+    }
+    await assert.rejects(dumpBlocks(sql, failing, OPTIONS), /upload failed/)
+    const interrupted = await readManifest()
+    assert.deepStrictEqual(_.map(interrupted.partitions, 'from_block'), [96, 98])
+
+    const manifest = await dumpBlocks(sql, target, OPTIONS)
+    assert.deepStrictEqual(_.map(manifest.partitions, 'from_block'), [96, 98, 100, 102])
+    assert.deepStrictEqual(manifest.partitions.slice(0, 2), interrupted.partitions)
+
+    // the last partition is dumped again, as it can still get blocks
+    const rerun = await dumpBlocks(sql, target, OPTIONS)
+    assert.deepStrictEqual(rerun.partitions.slice(0, 3), manifest.partitions.slice(0, 3))
+    assert.notStrictEqual(rerun.partitions[3].generated_at, manifest.partitions[3].generated_at)
+
+    // with another partition size every partition is dumped again
+    const resized = await dumpBlocks(sql, target, { ...OPTIONS, partitionSize: 100 })
+    assert.deepStrictEqual(_.map(resized.partitions, 'block_count'), [3, 2])
+  })
+
+  it('writes a manifest the api serves', async () => {
+    await dumpBlocks(sql, localTarget(dir), OPTIONS)
+    const files = {}
+    for (const name of await fs.readdir(dir)) {
+      files[name] = await fs.readFile(path.join(dir, name))
+    }
+    const dumpServer = await startDumpServer(DUMP_PORT, files)
+    const api = await startServer({ dumpBaseUrl: `http://localhost:${DUMP_PORT}` })
+    try {
+      const { status, body } = await api.get('/v1/all_blocks?from_block=98&to_block=99')
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(_.map(body.partitions[0].files, 'url'), [
+        `http://localhost:${DUMP_PORT}/blocks_98-99.json.gz`,
+        `http://localhost:${DUMP_PORT}/blocks_98-99.ndjson.gz`
+      ])
+      const redirect = await api.get('/v1/all_blocks?format=ndjson&from_block=98&to_block=99')
+      assert.strictEqual(redirect.status, 302)
+    } finally {
+      await api.stop()
+      dumpServer.close()
+    }
+  })
+})
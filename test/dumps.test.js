@@ -0,0 +1,51 @@
+import assert from 'assert'
+import http from 'http'
+import { once } from 'events'
+import { streamFiles } from '../server/dumps.js'
+
+function listen(handler) {
+  const server = http.createServer(handler)
+  return new Promise((resolve) => server.listen(0, () => resolve(server)))
+}
+
+const url = (server, path) => `http://localhost:${server.address().port}${path}`
+
+describe('streamFiles', () => {
+  let upstream, downstream
+
+  afterEach(() => {
+    upstream.close()
+    downstream.close()
+  })
+
+  it('streams the files one after another', async () => {
+    upstream = await listen((req, res) => res.end(req.url.slice(1)))
+    downstream = await listen((req, res) => streamFiles([url(upstream, '/a'), url(upstream, '/b')], res))
+    const res = await new Promise((resolve) => http.get(url(downstream, '/'), resolve))
+    let text = ''
+    res.setEncoding('utf8')
+    for await (const chunk of res) {
+      text += chunk
+    }
+    assert.strictEqual(text, 'ab')
+  })
+
+  it('closes the upstream response and stops once the client goes away', async () => {
+    let upstreamClosed
+    upstream = await listen((req, res) => {
+      // a file that never ends
+      res.write('partial')
+      upstreamClosed = once(res, 'close')
+    })
+    let streamed
+    downstream = await listen((req, res) => {
+      streamed = streamFiles([url(upstream, '/a'), url(upstream, '/b')], res)
+    })
+    const req = http.get(url(downstream, '/'))
+    const [res] = await once(req, 'response')
+    await once(res, 'data')
+    req.destroy()
+    await streamed
+    await upstreamClosed
+  })
+})
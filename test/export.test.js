@@ -0,0 +1,74 @@
+import assert from 'assert'
+import { EventEmitter } from 'events'
+import { formatWriter, limitExports } from '../server/export.js'
+import { BLOCK_FORMATS } from '../server/formats.js'
+
+// A response whose buffer is always full, draining on the next tick
+function fullResponse() {
+  const res = new EventEmitter()
+  res.destroyed = false
+  res.written = []
+  res.write = (text) => {
+    res.written.push(text)
+    setImmediate(() => res.emit('drain'))
+    return false
+  }
+  res.end = () => {}
+  return res
+}
+
+describe('formatWriter', () => {
+  it('does not leave listeners behind while waiting for the response to drain', async () => {
+    const res = fullResponse()
+    const writer = formatWriter(res, BLOCK_FORMATS.json)
+    await writer.start()
+    for (let i = 0; i < 20; i++) {
+      await writer.write([{ block_number: i }])
+    }
+    await writer.end()
+    assert.strictEqual(res.written.length, 22)
+    assert.strictEqual(res.listenerCount('drain'), 0)
+    assert.strictEqual(res.listenerCount('close'), 0)
+  })
+})
+
+// A response that records its status and body
+function recordingResponse() {
+  const res = new EventEmitter()
+  res.status = (status) => {
+    res.statusCode = status
+  }
+  res.json = (body) => {
+    res.body = body
+  }
+  return res
+}
+
+describe('limitExports', () => {
+  it('lets at most maxExports requests through until their responses close', () => {
+    const limit = limitExports(2)
+    const next = () => {
+      next.calls++
+    }
+    next.calls = 0
+    const responses = [recordingResponse(), recordingResponse(), recordingResponse()]
+    for (const res of responses) {
+      limit({ originalUrl: '/v1/export/blocks' }, res, next)
+    }
+    assert.strictEqual(next.calls, 2)
+    assert.strictEqual(responses[2].statusCode, 503)
+    assert.deepStrictEqual(responses[2].body, { error: 'too many exports are running, please try again later' })
+
+    // a response that finishes and then closes only frees its slot once
+    responses[0].emit('finish')
+    responses[0].emit('close')
+    limit({ originalUrl: '/v1/export/blocks' }, recordingResponse(), next)
+    assert.strictEqual(next.calls, 3)
+    const rejected = recordingResponse()
+    limit({ originalUrl: '/v2/export/blocks' }, rejected, next)
+    assert.strictEqual(rejected.statusCode, 503)
+    assert.deepStrictEqual(rejected.body, {
+      error: { code: 'unavailable', message: 'too many exports are running, please try again later' }
+    })
+  })
+})
@@ -0,0 +1,266 @@
+// The rows of blocks.sql as the queries return them, which is the shape of /v2 responses
+
+export const SEARCHER_1 = '0x1111111111111111111111111111111111111111'
+export const SEARCHER_2 = '0x2222222222222222222222222222222222222222'
+export const CONTRACT = '0x3333333333333333333333333333333333333333'
+export const MINER = '0x4444444444444444444444444444444444444444'
+export const FEE_RECIPIENT = '0x5555555555555555555555555555555555555555'
+export const MERGE_BLOCK_NUMBER = 100
+export const LATEST_BLOCK_NUMBER = 102
+
+// Hashes end in a label of the block number, bundle index and tx index
+export function hash(label) {
+  return `0x${label.padStart(64, '0')}`
+}
+
+function transaction(label, fields) {
+  return {
+    transaction_hash: hash(label),
+    tx_index: Number(label.slice(-1)),
+    bundle_type: 'flashbots',
+    bundle_index: Number(label.slice(-2, -1)),
+    block_number: Number(label.slice(0, -2)),
+    eoa_address: SEARCHER_1,
+    to_address: CONTRACT,
+    is_megabundle: false,
+    ...fields
+  }
+}
+
+/**
+ * Transactions by label, as they are returned in blocks
+ */
+export const TRANSACTIONS = {
+  9700: transaction('9700', {
+    gas_used: 21000,
+    gas_price: '10',
+    eth_sent_to_fee_recipient: '5000',
+    fee_recipient_eth_diff: '215000',
+    is_megabundle: true
+  }),
+  9800: transaction('9800', {
+    gas_used: 21000,
+    gas_price: '20',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: '420000',
+    is_megabundle: true
+  }),
+  9801: transaction('9801', {
+    eoa_address: SEARCHER_2,
+    gas_used: 50000,
+    gas_price: '20',
+    eth_sent_to_fee_recipient: '30000',
+    fee_recipient_eth_diff: '1030000'
+  }),
+  9900: transaction('9900', {
+    eoa_address: SEARCHER_2,
+    gas_used: 30000,
+    gas_price: '10',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: '300000'
+  }),
+  9910: transaction('9910', {
+    bundle_type: 'mempool',
+    to_address: null,
+    gas_used: 100000,
+    gas_price: '5',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: '500000'
+  }),
+  10000: transaction('10000', {
+    gas_used: 21000,
+    gas_price: '30',
+    eth_sent_to_fee_recipient: '1000000',
+    fee_recipient_eth_diff: '1630000'
+  }),
+  10100: transaction('10100', {
+    eoa_address: SEARCHER_2,
+    gas_used: 40000,
+    gas_price: '10',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: '400000'
+  }),
+  10101: transaction('10101', {
+    gas_used: 20000,
+    gas_price: '10',
+    eth_sent_to_fee_recipient: '200000',
+    fee_recipient_eth_diff: '400000'
+  }),
+  10110: transaction('10110', {
+    bundle_type: 'mempool',
+    eoa_address: SEARCHER_2,
+    gas_used: 21000,
+    gas_price: '5',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: '105000'
+  })
+}
+
+/**
+ * Transactions as /transactions lists them, newest first. They only come from bundles, so the transaction that was only
+ * mined in a megabundle is missing, and none are flagged as megabundle transactions.
+ */
+export const LISTED_TRANSACTIONS = ['10100', '10101', '10110', '10000', '9900', '9910', '9800', '9801'].map((label) => ({
+  ...TRANSACTIONS[label],
+  is_megabundle: false
+}))
+
+function block(blockNumber, fields, labels) {
+  return { block_number: blockNumber, ...fields, transactions: labels.map((label) => TRANSACTIONS[label]) }
+}
+
+/**
+ * Blocks by block number, gas_price is fee_recipient_eth_diff / gas_used rounded down
+ */
+export const BLOCKS = {
+  97: block(
+    97,
+    { fee_recipient_eth_diff: '215000', fee_recipient: MINER, eth_sent_to_fee_recipient: '5000', gas_used: 21000, gas_price: '10' },
+    ['9700']
+  ),
+  98: block(
+    98,
+    { fee_recipient_eth_diff: '1450000', fee_recipient: MINER, eth_sent_to_fee_recipient: '30000', gas_used: 71000, gas_price: '20' },
+    ['9800', '9801']
+  ),
+  99: block(
+    99,
+    { fee_recipient_eth_diff: '800000', fee_recipient: MINER, eth_sent_to_fee_recipient: '0', gas_used: 130000, gas_price: '6' },
+    ['9900', '9910']
+  ),
+  100: block(
+    100,
+    {
+      fee_recipient_eth_diff: '1630000',
+      fee_recipient: FEE_RECIPIENT,
+      eth_sent_to_fee_recipient: '1000000',
+      gas_used: 21000,
+      gas_price: '77'
+    },
+    ['10000']
+  ),
+  101: block(
+    101,
+    {
+      fee_recipient_eth_diff: '905000',
+      fee_recipient: FEE_RECIPIENT,
+      eth_sent_to_fee_recipient: '200000',
+      gas_used: 81000,
+      gas_price: '11'
+    },
+    ['10100', '10101', '10110']
+  )
+}
+
+function bundle(bundleId, fields) {
+  const [blockNumber, megabundleId, bundleIndex] = bundleId.match(/^(\d+)-(?:m(\d+)-)?(\d+)$/).slice(1)
+  return {
+    bundle_id: bundleId,
+    block_number: Number(blockNumber),
+    bundle_index: Number(bundleIndex),
+    megabundle_id: megabundleId ? Number(megabundleId) : null,
+    bundle_hash: null,
+    bundle_type: 'flashbots',
+    fee_recipient: Number(blockNumber) >= MERGE_BLOCK_NUMBER ? FEE_RECIPIENT : MINER,
+    transaction_count: 1,
+    is_megabundle: Boolean(megabundleId),
+    ...fields
+  }
+}
+
+/**
+ * Bundles by bundle id, in the order /bundles lists them. Only post-merge bundles can have a hash.
+ */
+export const BUNDLES = {
+  '101-0': bundle('101-0', {
+    bundle_hash: hash('1010'),
+    transaction_count: 2,
+    eth_sent_to_fee_recipient: '200000',
+    fee_recipient_eth_diff: '800000',
+    gas_used: 60000,
+    gas_price: '13'
+  }),
+  '101-1': bundle('101-1', {
+    bundle_type: 'mempool',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: '105000',
+    gas_used: 21000,
+    gas_price: '5'
+  }),
+  '100-0': bundle('100-0', {
+    bundle_hash: hash('1000'),
+    eth_sent_to_fee_recipient: '1000000',
+    fee_recipient_eth_diff: '1630000',
+    gas_used: 21000,
+    gas_price: '77'
+  }),
+  '99-0': bundle('99-0', { eth_sent_to_fee_recipient: '0', fee_recipient_eth_diff: '300000', gas_used: 30000, gas_price: '10' }),
+  '99-1': bundle('99-1', {
+    bundle_type: 'mempool',
+    eth_sent_to_fee_recipient: '0',
+    fee_recipient_eth_diff: '500000',
+    gas_used: 100000,
+    gas_price: '5'
+  }),
+  '98-0': bundle('98-0', {
+    transaction_count: 2,
+    eth_sent_to_fee_recipient: '30000',
+    fee_recipient_eth_diff: '1450000',
+    gas_used: 71000,
+    gas_price: '20'
+  }),
+  '98-m2-0': bundle('98-m2-0', { eth_sent_to_fee_recipient: '0', fee_recipient_eth_diff: '420000', gas_used: 21000, gas_price: '20' }),
+  '97-m1-0': bundle('97-m1-0', { eth_sent_to_fee_recipient: '5000', fee_recipient_eth_diff: '215000', gas_used: 21000, gas_price: '10' })
+}
+
+// Totals of each side of the merge, the megabundle copy of 9800 is only counted once
+const PREMERGE_TOTALS = {
+  block_count: 3,
+  bundle_count: 4,
+  transaction_count: 5,
+  gas_used: 222000,
+  eth_sent_to_fee_recipient: '35000',
+  fee_recipient_eth_diff: '2465000'
+}
+const POSTMERGE_TOTALS = {
+  block_count: 2,
+  bundle_count: 3,
+  transaction_count: 4,
+  gas_used: 102000,
+  eth_sent_to_fee_recipient: '1200000',
+  fee_recipient_eth_diff: '2535000'
+}
+
+/**
+ * The rows of each stats endpoint without filters
+ */
+export const STATS = {
+  timeseries: [
+    { period: '2022-09-15T00:00:00.000Z', ...POSTMERGE_TOTALS },
+    { period: '2022-09-14T00:00:00.000Z', ...PREMERGE_TOTALS }
+  ],
+  fee_recipients: [
+    { fee_recipient: FEE_RECIPIENT, ...POSTMERGE_TOTALS },
+    { fee_recipient: MINER, ...PREMERGE_TOTALS }
+  ],
+  searchers: [
+    {
+      eoa_address: SEARCHER_1,
+      block_count: 5,
+      bundle_count: 5,
+      transaction_count: 5,
+      gas_used: 183000,
+      eth_sent_to_fee_recipient: '1205000',
+      fee_recipient_eth_diff: '3165000'
+    },
+    {
+      eoa_address: SEARCHER_2,
+      block_count: 3,
+      bundle_count: 4,
+      transaction_count: 4,
+      gas_used: 141000,
+      eth_sent_to_fee_recipient: '30000',
+      fee_recipient_eth_diff: '1835000'
+    }
+  ]
+}
@@ -0,0 +1,61 @@
+-- Blocks 97 to 99 are before the merge (MERGE_BLOCK_NUMBER=100), blocks 100 and 101 after it. Block 102 has no bundles.
+--
+-- Pre-merge:
+--  97: only a megabundle, so all of its transactions are megabundle transactions
+--  98: a flashbots bundle of two transactions, the first of which was also mined in a megabundle
+--  99: a flashbots bundle and a mempool bundle, no megabundle
+-- Post-merge:
+--  100: a flashbots bundle
+--  101: a flashbots bundle of two transactions and a mempool bundle
+--
+-- Transaction hashes end in their block number, bundle index and tx index, addresses repeat a single digit:
+-- 0x1111… and 0x2222… are searchers, 0x3333… the contract they call, 0x4444… the pre-merge miner and 0x5555… the
+-- post-merge fee recipient.
+
+insert into blocks (block_number, miner, block_timestamp) values
+    (97, '0x4444444444444444444444444444444444444444', '2022-09-14 23:59:24+00'),
+    (98, '0x4444444444444444444444444444444444444444', '2022-09-14 23:59:36+00'),
+    (99, '0x4444444444444444444444444444444444444444', '2022-09-14 23:59:48+00'),
+    (100, '0x5555555555555555555555555555555555555555', '2022-09-15 00:00:00+00'),
+    (101, '0x5555555555555555555555555555555555555555', '2022-09-15 00:00:12+00'),
+    (102, '0x5555555555555555555555555555555555555555', '2022-09-15 00:00:24+00');
+
+insert into mined_bundles (block_number, bundle_index, miner, bundle_type) values
+    (98, 0, '0x4444444444444444444444444444444444444444', 'flashbots'),
+    (99, 0, '0x4444444444444444444444444444444444444444', 'flashbots'),
+    (99, 1, '0x4444444444444444444444444444444444444444', 'mempool');
+
+insert into mined_bundle_txs
+    (block_number, bundle_index, tx_index, tx_hash, bundle_type, from_address, to_address, gas_used, gas_price, eth_sent_to_coinbase, coinbase_diff)
+values
+    (98, 0, 0, '0x0000000000000000000000000000000000000000000000000000000000009800', 'flashbots', '0x1111111111111111111111111111111111111111', '0x3333333333333333333333333333333333333333', 21000, 20, 0, 420000),
+    (98, 0, 1, '0x0000000000000000000000000000000000000000000000000000000000009801', 'flashbots', '0x2222222222222222222222222222222222222222', '0x3333333333333333333333333333333333333333', 50000, 20, 30000, 1030000),
+    (99, 0, 0, '0x0000000000000000000000000000000000000000000000000000000000009900', 'flashbots', '0x2222222222222222222222222222222222222222', '0x3333333333333333333333333333333333333333', 30000, 10, 0, 300000),
+    (99, 1, 0, '0x0000000000000000000000000000000000000000000000000000000000009910', 'mempool', '0x1111111111111111111111111111111111111111', null, 100000, 5, 0, 500000);
+
+insert into mined_megabundles (megabundle_id, block_number) values
+    (1, 97),
+    (2, 98);
+
+insert into mined_megabundle_bundles (megabundle_id, bundle_index) values
+    (1, 0),
+    (2, 0);
+
+insert into mined_megabundle_bundle_txs
+    (megabundle_id, bundle_index, tx_index, tx_hash, from_address, to_address, gas_used, gas_price, eth_sent_to_coinbase, coinbase_diff)
+values
+    (1, 0, 0, '0x0000000000000000000000000000000000000000000000000000000000009700', '0x1111111111111111111111111111111111111111', '0x3333333333333333333333333333333333333333', 21000, 10, 5000, 215000),
+    (2, 0, 0, '0x0000000000000000000000000000000000000000000000000000000000009800', '0x1111111111111111111111111111111111111111', '0x3333333333333333333333333333333333333333', 21000, 20, 0, 420000);
+
+insert into included_built_block_bundles (block_id, block_number, bundle_index, fee_recipient, sbundle_hash, bundle_type) values
+    (1, 100, 0, '0x5555555555555555555555555555555555555555', '\x0000000000000000000000000000000000000000000000000000000000001000', 'flashbots'),
+    (2, 101, 0, '0x5555555555555555555555555555555555555555', '\x0000000000000000000000000000000000000000000000000000000000001010', 'flashbots'),
+    (2, 101, 1, '0x5555555555555555555555555555555555555555', null, 'mempool');
+
+insert into included_built_block_bundle_txs
+    (block_id, block_number, bundle_index, tx_index, tx_hash, bundle_type, from_address, to_address, gas_used, gas_price, eth_sent_to_fee_recipient, fee_recipient_eth_diff)
+values
+    (1, 100, 0, 0, '0x0000000000000000000000000000000000000000000000000000000000010000', 'flashbots', '0x1111111111111111111111111111111111111111', '0x3333333333333333333333333333333333333333', 21000, 30, 1000000, 1630000),
+    (2, 101, 0, 0, '0x0000000000000000000000000000000000000000000000000000000000010100', 'flashbots', '0x2222222222222222222222222222222222222222', '0x3333333333333333333333333333333333333333', 40000, 10, 0, 400000),
+    (2, 101, 0, 1, '0x0000000000000000000000000000000000000000000000000000000000010101', 'flashbots', '0x1111111111111111111111111111111111111111', '0x3333333333333333333333333333333333333333', 20000, 10, 200000, 400000),
+    (2, 101, 1, 0, '0x0000000000000000000000000000000000000000000000000000000000010110', 'mempool', '0x2222222222222222222222222222222222222222', '0x3333333333333333333333333333333333333333', 21000, 5, 0, 105000);
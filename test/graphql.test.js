@@ -0,0 +1,179 @@
+import assert from 'assert'
+import { graphql } from 'graphql'
+import _ from 'lodash'
+import postgres from 'postgres'
+import { createContext, schema } from '../server/graphql.js'
+import { FEE_RECIPIENT, MERGE_BLOCK_NUMBER, MINER, SEARCHER_1, SEARCHER_2, hash } from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase, startServer } from './support/server.js'
+
+describeWithDatabase('/graphql', function () {
+  this.timeout(10000)
+  let api
+
+  before(async () => {
+    await resetDatabase()
+    api = await startServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  const query = async (source) => {
+    const { status, body } = await api.post('/graphql', { query: source })
+    assert.strictEqual(status, 200)
+    return body
+  }
+
+  it('returns blocks with their bundles from both sides of the merge', async () => {
+    const body = await query(`{
+      blocks(first: 2, before: 101) {
+        edges { node { number paris feeRecipient { address } bundles { index isMegabundle transactions { hash isMegabundle } } } }
+        pageInfo { hasNextPage }
+      }
+    }`)
+    assert.deepStrictEqual(body, {
+      data: {
+        blocks: {
+          edges: [
+            {
+              node: {
+                number: 100,
+                paris: true,
+                feeRecipient: { address: FEE_RECIPIENT },
+                bundles: [{ index: 0, isMegabundle: false, transactions: [{ hash: hash('10000'), isMegabundle: false }] }]
+              }
+            },
+            {
+              node: {
+                number: 99,
+                paris: false,
+                feeRecipient: { address: MINER },
+                bundles: [
+                  { index: 0, isMegabundle: false, transactions: [{ hash: hash('9900'), isMegabundle: false }] },
+                  { index: 1, isMegabundle: false, transactions: [{ hash: hash('9910'), isMegabundle: false }] }
+                ]
+              }
+            }
+          ],
+          pageInfo: { hasNextPage: true }
+        }
+      }
+    })
+  })
+
+  it('returns the megabundle transactions of a block', async () => {
+    const body = await query('{ block(number: 98) { transactions { hash from isMegabundle } } }')
+    assert.deepStrictEqual(body, {
+      data: {
+        block: {
+          transactions: [
+            { hash: hash('9800'), from: SEARCHER_1, isMegabundle: true },
+            { hash: hash('9801'), from: SEARCHER_2, isMegabundle: false }
+          ]
+        }
+      }
+    })
+  })
+
+  it('returns a transaction with its block', async () => {
+    const body = await query(`{ transaction(hash: "${hash('9700')}") { hash gasUsed block { number paris } } }`)
+    assert.deepStrictEqual(body, { data: { transaction: { hash: hash('9700'), gasUsed: 21000, block: { number: 97, paris: false } } } })
+  })
+
+  it('returns null for blocks and transactions that are not flashbots', async () => {
+    const body = await query(`{ block(number: 102) { number } transaction(hash: "${hash('1')}") { hash } }`)
+    assert.deepStrictEqual(body, { data: { block: null, transaction: null } })
+  })
+
+  it('rejects queries that are too deep or read too many rows', async () => {
+    const nested = await query('{ blocks(first: 100) { edges { node { feeRecipient { blocks(first: 100) { edges { cursor } } } } } } }')
+    assert.deepStrictEqual(nested.errors, [
+      { message: 'query too large, expected at most 10000 rows over all connections and their first arguments but got: 10100' }
+    ])
+    assert.strictEqual(nested.data, undefined)
+
+    const { status, body } = await api.post('/graphql', {
+      query:
+        'query ($first: Int) { blocks(first: 2) { edges { node { feeRecipient { ...Blocks } } } } } fragment Blocks on FeeRecipient { blocks(first: $first) { edges { cursor } } }',
+      variables: { first: 5000 }
+    })
+    assert.strictEqual(status, 200)
+    assert.strictEqual(
+      body.errors[0].message,
+      'query too large, expected at most 10000 rows over all connections and their first arguments but got: 10002'
+    )
+
+    const deep = await query(`{ block(number: 101) { ${'transactions { block { '.repeat(6)}number${' } }'.repeat(6)} } }`)
+    assert.deepStrictEqual(deep.errors, [{ message: 'query too deep, expected at most 12 levels of fields but got: 14' }])
+
+    const allowed = await query('{ blocks(first: 10) { edges { node { feeRecipient { blocks(first: 10) { edges { cursor } } } } } } }')
+    assert.strictEqual(allowed.errors, undefined)
+    assert(allowed.data.blocks.edges.length > 0)
+  })
+
+  it('loads the blocks of fee recipients nested in a list together', async () => {
+    const queries = []
+    const sql = postgres(process.env.TEST_POSTGRES_DSN, { debug: (connection, text) => queries.push(text) })
+    try {
+      const { errors, data } = await graphql({
+        schema,
+        source:
+          '{ blocks(first: 5) { edges { node { number feeRecipient { address blocks(first: 2) { edges { node { number } } } } } } } }',
+        contextValue: createContext(sql, MERGE_BLOCK_NUMBER)
+      })
+      assert.strictEqual(errors, undefined)
+      const nestedBlocks = { [FEE_RECIPIENT]: [101, 100], [MINER]: [99, 98] }
+      assert.deepStrictEqual(
+        _.map(data.blocks.edges, ({ node }) => [node.number, _.map(node.feeRecipient.blocks.edges, 'node.number')]),
+        _.map([101, 100, 99, 98, 97], (number, index) => [number, nestedBlocks[index < 2 ? FEE_RECIPIENT : MINER]])
+      )
+      // one query a side of the merge for the five fee recipients, rather than queries for each of them
+      assert.strictEqual(_.filter(queries, (text) => text.includes('fee_recipient_blocks')).length, 2)
+    } finally {
+      await sql.end()
+    }
+  })
+
+  it('returns the same blocks of a fee recipient as blocks filtered by feeRecipient', async () => {
+    for (const args of [
+      'first: 10',
+      'first: 1',
+      `first: 10, from: "${SEARCHER_2}"`,
+      `first: 10, from: "${SEARCHER_1}"`,
+      'first: 10, before: 99'
+    ]) {
+      const numbers = (connection) => connection.edges.map(({ node }) => node.number)
+      const body = await query(`{
+        feeRecipient(address: "${MINER}") { blocks(${args}) { edges { node { number } } pageInfo { hasNextPage } } }
+        blocks(${args}, feeRecipient: "${MINER}") { edges { node { number } } pageInfo { hasNextPage } }
+      }`)
+      assert.strictEqual(body.errors, undefined, args)
+      assert.deepStrictEqual(numbers(body.data.feeRecipient.blocks), numbers(body.data.blocks), args)
+      assert.strictEqual(body.data.feeRecipient.blocks.pageInfo.hasNextPage, body.data.blocks.pageInfo.hasNextPage, args)
+    }
+  })
+
+  it('validates arguments like the params of the REST endpoints', async () => {
+    const messages = async (source) => (await query(source)).errors.map((error) => error.message)
+    assert.deepStrictEqual(await messages('{ transactions(bundleType: "rogue") { edges { cursor } } }'), [
+      'invalid bundleType argument provided, expected one of flashbots, mempool but got: rogue'
+    ])
+    assert.deepStrictEqual(await messages('{ blocks(before: -1) { edges { cursor } } }'), [
+      'invalid before argument provided, expected a block number but got: -1'
+    ])
+    assert.deepStrictEqual(await messages('{ blocks(blockNumber: -5) { edges { cursor } } }'), [
+      'invalid blockNumber argument provided, expected a block number but got: -5'
+    ])
+    const { data: blocks } = await query('{ blocks(first: 1) { pageInfo { endCursor } } }')
+    const { endCursor } = blocks.blocks.pageInfo
+    assert.deepStrictEqual(await messages(`{ transactions(after: "${endCursor}") { edges { cursor } } }`), [
+      `invalid after argument provided, expected a cursor from next_cursor of a list of transactions but got: ${endCursor}`
+    ])
+    const { data } = await query('{ transactions(bundleType: "mempool", before: 101) { edges { node { bundleType blockNumber } } } }')
+    assert(
+      data.transactions.edges.length > 0 &&
+        data.transactions.edges.every(({ node }) => node.bundleType === 'mempool' && node.blockNumber < 101)
+    )
+  })
+})
@@ -0,0 +1,62 @@
+import assert from 'assert'
+import postgres from 'postgres'
+import { createReadinessCheck } from '../server/health.js'
+import { LATEST_BLOCK_NUMBER, MERGE_BLOCK_NUMBER } from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase, startServer } from './support/server.js'
+
+describeWithDatabase('health', function () {
+  this.timeout(10000)
+  let sql, api
+
+  before(async () => {
+    await resetDatabase()
+    sql = postgres(process.env.TEST_POSTGRES_DSN)
+    api = await startServer({ freshnessWindow: 1 })
+  })
+
+  after(async () => {
+    await api.stop()
+    await sql.end()
+  })
+
+  it('is live', async () => {
+    const { status, body } = await api.get('/healthz')
+    assert.strictEqual(status, 200)
+    assert.deepStrictEqual(body, { status: 'ok' })
+  })
+
+  it('is ready while the data advances', async () => {
+    const { status, headers, body } = await api.get('/readyz')
+    assert.strictEqual(status, 200)
+    assert.strictEqual(headers['cache-control'], 'no-store')
+    assert.strictEqual(body.status, 'ready')
+    assert.deepStrictEqual(body.checks.postgres, { ok: true })
+    assert.strictEqual(body.checks.blocks.ok, true)
+    assert.strictEqual(body.checks.blocks.max_block_number, LATEST_BLOCK_NUMBER)
+    assert(body.checks.included_built_block_bundles.max_block_number >= MERGE_BLOCK_NUMBER)
+  })
+
+  it('is not ready once the data has not advanced for the freshness window', async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1100))
+    await sql`insert into blocks (block_number, miner, block_timestamp) values (${LATEST_BLOCK_NUMBER + 1}, '0x', now())`
+    const { status, body } = await api.get('/readyz')
+    assert.strictEqual(status, 503)
+    assert.strictEqual(body.status, 'not_ready')
+    assert.strictEqual(body.checks.blocks.ok, true)
+    assert.strictEqual(body.checks.blocks.max_block_number, LATEST_BLOCK_NUMBER + 1)
+    assert.strictEqual(body.checks.blocks.seconds_since_advanced, 0)
+    assert.strictEqual(body.checks.included_built_block_bundles.ok, false)
+    assert(body.checks.included_built_block_bundles.seconds_since_advanced >= 1)
+  })
+})
+
+describe('createReadinessCheck', () => {
+  it('is not ready when postgres does not answer', async () => {
+    const sql = postgres('postgres://localhost:1/unused')
+    await sql.end()
+    const { ready, checks } = await createReadinessCheck(sql, { freshnessWindow: 60 })()
+    assert.strictEqual(ready, false)
+    assert.strictEqual(checks.postgres.ok, false)
+    assert(checks.postgres.error)
+  })
+})
@@ -0,0 +1,234 @@
+import assert from 'assert'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import _ from 'lodash'
+import postgres from 'postgres'
+import { createApiKey } from '../server/apikeys.js'
+import { importLabels, readLabelFile } from '../server/labels.js'
+import { describeWithDatabase, resetDatabase, startServer } from './support/server.js'
+
+const TIERS = {
+  standard: { per_minute: 1000, per_day: null, max_limit: 10000, export: true, admin: false },
+  admin: { per_minute: 1000, per_day: null, max_limit: 10000, export: true, admin: true }
+}
+
+const SEARCHER = '0x1111111111111111111111111111111111111111'
+const CONTRACT = '0x3333333333333333333333333333333333333333'
+const MINER = '0x4444444444444444444444444444444444444444'
+const FEE_RECIPIENT = '0x5555555555555555555555555555555555555555'
+const UNISWAP_ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
+
+describe('readLabelFile', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mev-blocks-labels-'))
+  })
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true })
+  })
+
+  const writeFile = async (name, text) => {
+    const file = path.join(dir, name)
+    await fs.writeFile(file, typeof text === 'string' ? text : JSON.stringify(text))
+    return file
+  }
+
+  it('reads csv, with quoted values and tags separated by semicolons', async () => {
+    const file = await writeFile(
+      'labels.csv',
+      [
+        'address,name,category,tags',
+        `${UNISWAP_ROUTER.toLowerCase()},"Uniswap V2: Router 2, ""the router""",dex_router,uniswap; AMM`,
+        `${FEE_RECIPIENT},Builder,builder,`,
+        ''
+      ].join('\n')
+    )
+    assert.deepStrictEqual(await readLabelFile(file), [
+      { address: UNISWAP_ROUTER, name: 'Uniswap V2: Router 2, "the router"', category: 'dex_router', tags: ['uniswap', 'amm'] },
+      { address: FEE_RECIPIENT, name: 'Builder', category: 'builder', tags: [] }
+    ])
+  })
+
+  it('reads json', async () => {
+    const file = await writeFile('labels.json', [{ address: SEARCHER, name: 'Searcher', category: 'searcher', tags: ['arbitrage'] }])
+    assert.deepStrictEqual(await readLabelFile(file), [{ address: SEARCHER, name: 'Searcher', category: 'searcher', tags: ['arbitrage'] }])
+  })
+
+  it('names the first invalid entry', async () => {
+    const invalid = await writeFile('invalid.json', [
+      { address: SEARCHER, name: 'Searcher', category: 'searcher' },
+      { address: CONTRACT, name: 'Contract', category: 'exchange' }
+    ])
+    await assert.rejects(readLabelFile(invalid), {
+      message: `${invalid} entry 1: invalid category param provided, expected one of builder, searcher, dex_router, relayer, miner, contract, other but got: exchange`
+    })
+    const duplicate = await writeFile('duplicate.csv', `address,name,category\n${SEARCHER},A,searcher\n${SEARCHER},B,searcher\n`)
+    await assert.rejects(readLabelFile(duplicate), { message: `${duplicate}: addresses labelled more than once: ${SEARCHER}` })
+    const header = await writeFile('header.csv', `${SEARCHER},A,searcher\n`)
+    await assert.rejects(readLabelFile(header), /missing columns: address, name, category/)
+  })
+})
+
+describeWithDatabase('labels', function () {
+  this.timeout(10000)
+  let sql, api, keys
+
+  before(async () => {
+    await resetDatabase()
+    sql = postgres(process.env.TEST_POSTGRES_DSN)
+    keys = { standard: await createApiKey(sql, 'dashboard', 'standard'), admin: await createApiKey(sql, 'label-admin', 'admin') }
+    await importLabels(sql, [
+      { address: SEARCHER, name: 'Searcher One', category: 'searcher', tags: ['arbitrage'] },
+      { address: CONTRACT, name: 'Router', category: 'dex_router', tags: ['amm', 'arbitrage'] },
+      { address: FEE_RECIPIENT, name: 'Builder Five', category: 'builder', tags: [] }
+    ])
+    api = await startServer({ tiers: TIERS })
+  })
+
+  after(async () => {
+    await api.stop()
+    await sql.end()
+  })
+
+  it('lists labels, by category and tag', async () => {
+    const { status, body } = await api.get('/v1/labels')
+    assert.strictEqual(status, 200)
+    assert.deepStrictEqual(_.map(body.labels, 'address'), [SEARCHER, CONTRACT, FEE_RECIPIENT])
+    assert.deepStrictEqual(_.omit(body.labels[1], 'updated_at'), {
+      address: CONTRACT,
+      name: 'Router',
+      category: 'dex_router',
+      tags: ['amm', 'arbitrage']
+    })
+    assert.deepStrictEqual(_.map((await api.get('/v1/labels?category=builder')).body.labels, 'address'), [FEE_RECIPIENT])
+    assert.deepStrictEqual(_.map((await api.get('/v1/labels?tag=arbitrage&limit=1')).body.labels, 'address'), [SEARCHER])
+    assert.strictEqual((await api.get('/v1/labels?category=exchange')).status, 400)
+  })
+
+  it('returns the label of an address', async () => {
+    const { status, body } = await api.get(`/v1/labels/${CONTRACT}`)
+    assert.strictEqual(status, 200)
+    assert.strictEqual(body.label.name, 'Router')
+    const missing = await api.get(`/v1/labels/${UNISWAP_ROUTER}`)
+    assert.strictEqual(missing.status, 404)
+    assert.deepStrictEqual(missing.body, { error: `no label for address: ${UNISWAP_ROUTER}` })
+  })
+
+  it('attaches labels to blocks with enrich=labels', async () => {
+    const { status, body } = await api.get('/v1/blocks?block_number=101&enrich=labels')
+    assert.strictEqual(status, 200)
+    const [block] = body.blocks
+    assert.deepStrictEqual(block.fee_recipient_label, { name: 'Builder Five', category: 'builder', tags: [] })
+    assert.deepStrictEqual(
+      _.map(block.transactions, (tx) => [tx.eoa_address_label && tx.eoa_address_label.name, tx.to_address_label.name]),
+      [
+        [null, 'Router'],
+        ['Searcher One', 'Router'],
+        [null, 'Router']
+      ]
+    )
+
+    const plain = await api.get('/v1/blocks?block_number=101')
+    assert(!_.some(_.keys(plain.body.blocks[0]), (key) => key.endsWith('_label')))
+  })
+
+  it('attaches labels to transactions and bundles with enrich=labels', async () => {
+    const { body } = await api.get(`/v1/transactions?from=${SEARCHER}&limit=1&enrich=labels`)
+    assert.strictEqual(body.transactions[0].eao_address_label.name, 'Searcher One')
+    assert.strictEqual(body.transactions[0].to_address_label.name, 'Router')
+
+    const bundle = await api.get('/v1/bundle/101-0?enrich=labels')
+    assert.strictEqual(bundle.status, 200)
+    assert.strictEqual(bundle.body.bundle.fee_recipient_label.name, 'Builder Five')
+    assert.deepStrictEqual(
+      _.map(bundle.body.transactions, (tx) => tx.eao_address_label && tx.eao_address_label.name),
+      [null, 'Searcher One']
+    )
+
+    assert.deepStrictEqual((await api.get('/v1/blocks?enrich=names')).body, {
+      error: 'invalid enrich param provided, expected one of labels but got: names',
+      param: 'enrich'
+    })
+  })
+
+  it('lets only admin keys change labels', async () => {
+    const label = { name: 'Uniswap V2: Router 2', category: 'dex_router', tags: ['Uniswap'] }
+    const url = `/v1/labels/${UNISWAP_ROUTER.toLowerCase()}`
+    assert.strictEqual((await api.put(url, label)).status, 401)
+    const forbidden = await api.put(url, label, { 'X-API-Key': keys.standard })
+    assert.strictEqual(forbidden.status, 403)
+    assert.deepStrictEqual(forbidden.body, { error: 'changing labels requires an api key of an admin tier, not standard' })
+    assert.strictEqual((await api.delete(`/v1/labels/${SEARCHER}`, { 'X-API-Key': keys.standard })).status, 403)
+
+    const { status, body } = await api.put(url, label, { 'X-API-Key': keys.admin })
+    assert.strictEqual(status, 200)
+    assert.deepStrictEqual(_.omit(body.label, 'updated_at'), { ...label, address: UNISWAP_ROUTER, tags: ['uniswap'] })
+    assert.strictEqual((await api.get(`/v1/labels/${UNISWAP_ROUTER}`)).body.label.name, 'Uniswap V2: Router 2')
+  })
+
+  it('serves and changes labels under /v2 with its errors', async () => {
+    assert.deepStrictEqual((await api.get('/v2/labels?tag=arbitrage')).body, (await api.get('/v1/labels?tag=arbitrage')).body)
+    const label = { name: 'Miner', category: 'miner' }
+    const url = `/v2/labels/${MINER}`
+    assert.deepStrictEqual((await api.put(url, label)).body, {
+      error: { code: 'unauthorized', message: 'an api key is required, in the X-API-Key header or the api_key param' }
+    })
+    assert.deepStrictEqual((await api.delete(`/v2/labels/${SEARCHER}`, { 'X-API-Key': keys.standard })).body, {
+      error: { code: 'forbidden', message: 'changing labels requires an api key of an admin tier, not standard' }
+    })
+
+    const headers = { 'X-API-Key': keys.admin }
+    assert.strictEqual((await api.put(url, label, headers)).body.label.name, 'Miner')
+    assert.strictEqual((await api.get(url)).body.label.category, 'miner')
+    assert.strictEqual((await api.delete(url, headers)).status, 200)
+    assert.deepStrictEqual((await api.get(url)).body, { error: { code: 'not_found', message: `no label for address: ${MINER}` } })
+  })
+
+  it('validates labels', async () => {
+    const headers = { 'X-API-Key': keys.admin }
+    const url = `/v1/labels/${SEARCHER}`
+    assert.deepStrictEqual((await api.put(url, { name: 'Searcher', category: 'whale' }, headers)).body, {
+      error:
+        'invalid category param provided, expected one of builder, searcher, dex_router, relayer, miner, contract, other but got: whale',
+      param: 'category'
+    })
+    assert.strictEqual((await api.put(url, { name: ' ', category: 'searcher' }, headers)).body.param, 'name')
+    assert.strictEqual((await api.put(url, { name: 'Searcher', category: 'searcher', tags: ['no spaces'] }, headers)).body.param, 'tags')
+    const malformed = await api.put(url, '{"name":', headers)
+    assert.strictEqual(malformed.status, 400)
+    assert.strictEqual(malformed.body.param, 'body')
+    assert.strictEqual((await api.put('/v1/labels/0x123', { name: 'Searcher', category: 'searcher' }, headers)).body.param, 'address')
+  })
+
+  it('deletes labels, which enriched responses no longer show', async () => {
+    const headers = { 'X-API-Key': keys.admin }
+    const { status, body } = await api.delete(`/v1/labels/${SEARCHER}`, headers)
+    assert.strictEqual(status, 200)
+    assert.strictEqual(body.label.name, 'Searcher One')
+    assert.strictEqual((await api.delete(`/v1/labels/${SEARCHER}`, headers)).status, 404)
+
+    const { body: blocks } = await api.get('/v1/blocks?block_number=101&enrich=labels')
+    assert.strictEqual(blocks.blocks[0].transactions[1].eoa_address_label, null)
+  })
+
+  it('replaces every label on import with replace', async () => {
+    const result = await importLabels(sql, [{ address: FEE_RECIPIENT, name: 'Builder', category: 'builder', tags: ['mev-boost'] }], {
+      replace: true
+    })
+    assert.deepStrictEqual(result, { imported: 1, deleted: 2 })
+    const { body } = await api.get('/v1/labels')
+    assert.deepStrictEqual(
+      _.map(body.labels, (label) => _.omit(label, 'updated_at')),
+      [{ address: FEE_RECIPIENT, name: 'Builder', category: 'builder', tags: ['mev-boost'] }]
+    )
+  })
+
+  it('documents the admin routes', async () => {
+    const { body } = await api.get('/openapi.json')
+    assert.deepStrictEqual(_.keys(body.paths['/v1/labels/{address}']).sort(), ['delete', 'get', 'put'])
+    assert(body.paths['/v1/labels/{address}'].put.requestBody)
+  })
+})
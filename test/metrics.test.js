@@ -0,0 +1,133 @@
+import assert from 'assert'
+import http from 'http'
+import postgres from 'postgres'
+import { createApp, serve } from '../server/app.js'
+import { LATEST_BLOCK_NUMBER } from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase, startServer } from './support/server.js'
+
+// Returns the value of the sample of metric with exactly labels in the prometheus text format, or undefined
+function sample(text, metric, labels = '') {
+  const line = text.split('\n').find((line) => line.startsWith(`${metric}${labels ? `{${labels}}` : ''} `))
+  return line && Number(line.slice(line.lastIndexOf(' ') + 1))
+}
+
+describeWithDatabase('metrics', function () {
+  this.timeout(10000)
+  let api
+
+  before(async () => {
+    await resetDatabase()
+    api = await startServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  it('serves metrics in the prometheus format', async () => {
+    const { status, headers, text } = await api.get('/metrics')
+    assert.strictEqual(status, 200)
+    assert.match(headers['content-type'], /^text\/plain;.*version=0.0.4/)
+    assert.match(text, /^# HELP process_cpu_user_seconds_total/m)
+  })
+
+  it('times and counts responses by route', async () => {
+    await api.get('/v1/blocks?limit=1')
+    await api.get('/v2/blocks?limit=1')
+    await api.get('/v2/blocks?limit=nope')
+    await api.get('/nope')
+    const { text } = await api.get('/metrics')
+    assert.strictEqual(sample(text, 'mev_blocks_http_responses_total', 'method="GET",route="/v1/blocks",status="200"'), 1)
+    assert.strictEqual(sample(text, 'mev_blocks_http_responses_total', 'method="GET",route="/v2/blocks",status="200"'), 1)
+    assert.strictEqual(sample(text, 'mev_blocks_http_responses_total', 'method="GET",route="/v2/blocks",status="400"'), 1)
+    assert.strictEqual(sample(text, 'mev_blocks_http_responses_total', 'method="GET",route="unmatched",status="404"'), 1)
+    assert.strictEqual(sample(text, 'mev_blocks_http_request_duration_seconds_count', 'method="GET",route="/v2/blocks"'), 2)
+  })
+
+  it('times sql queries by the function making them', async () => {
+    const { text } = await api.get('/metrics')
+    assert(sample(text, 'mev_blocks_sql_query_duration_seconds_count', 'query="getLatestBlock"') > 0)
+    assert(sample(text, 'mev_blocks_sql_query_duration_seconds_count', 'query="getPostmergeBlocks"') > 0)
+    assert.strictEqual(sample(text, 'mev_blocks_sql_queries_in_flight'), 0)
+    assert(sample(text, 'mev_blocks_sql_pool_max_connections') > 0)
+  })
+
+  it('counts cache hits and misses', async () => {
+    const count = async (result) =>
+      sample((await api.get('/metrics')).text, 'mev_blocks_cache_requests_total', `cache="blocks",result="${result}"`) || 0
+    const [hits, misses] = [await count('hit'), await count('miss')]
+    await api.get('/v2/blocks?limit=2')
+    await api.get('/v2/blocks?limit=2')
+    assert.strictEqual(await count('hit'), hits + 1)
+    assert.strictEqual(await count('miss'), misses + 1)
+  })
+
+  it('reports the latest block and the indexer lag', async () => {
+    const { text } = await api.get('/metrics')
+    assert.strictEqual(sample(text, 'mev_blocks_latest_block_number'), LATEST_BLOCK_NUMBER)
+    assert(sample(text, 'mev_blocks_indexer_lag_seconds') > 0)
+  })
+})
+
+describe('request logs', () => {
+  let sql, server, drain, baseUrl, lines, consoleLog, consoleError
+
+  before(async () => {
+    // every query fails, so that requests have errors to log
+    sql = postgres('postgres://localhost:1/unused')
+    await sql.end()
+    ;({ server, drain } = await serve(createApp({ sql, config: { mergeBlockNumber: 0, accessLog: true } }), { port: 0 }))
+    baseUrl = `http://localhost:${server.address().port}`
+  })
+
+  beforeEach(() => {
+    lines = []
+    consoleLog = console.log
+    consoleError = console.error
+    console.log = console.error = (line) => lines.push(JSON.parse(line))
+  })
+
+  afterEach(() => {
+    console.log = consoleLog
+    console.error = consoleError
+  })
+
+  after(async () => {
+    await drain(1000)
+  })
+
+  const get = (path, headers) =>
+    new Promise((resolve, reject) => {
+      http
+        .get(`${baseUrl}${path}`, { headers }, (res) => {
+          res.resume()
+          res.on('end', () => resolve(res))
+        })
+        .on('error', reject)
+    })
+
+  it('gives each request an id, unless it came with one', async () => {
+    const given = await get('/nope', { 'X-Request-Id': 'from-the-proxy' })
+    assert.strictEqual(given.headers['x-request-id'], 'from-the-proxy')
+    const generated = await get('/nope', { 'X-Request-Id': 'not an id' })
+    assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/)
+  })
+
+  it('logs requests as json, with api keys left out', async () => {
+    const res = await get('/nope?limit=1&api_key=secret')
+    const [line] = lines.filter((line) => line.message === 'request')
+    assert.strictEqual(line.level, 'info')
+    assert.strictEqual(line.request_id, res.headers['x-request-id'])
+    assert.strictEqual(line.url, '/nope?limit=1&api_key=[redacted]')
+    assert.strictEqual(line.status, res.statusCode)
+  })
+
+  it('logs errors with the id of the request', async () => {
+    const res = await get('/v1/blocks')
+    assert.strictEqual(res.statusCode, 500)
+    const [error] = lines.filter((line) => line.level === 'error')
+    assert.strictEqual(error.message, 'unhandled error in /blocks')
+    assert.strictEqual(error.request_id, res.headers['x-request-id'])
+    assert.strictEqual(error.error.name, 'Error')
+  })
+})
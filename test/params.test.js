@@ -0,0 +1,223 @@
+import assert from 'assert'
+import { encodeCursor } from '../server/cursor.js'
+import {
+  parseBlockCursor,
+  parseBlockFilters,
+  parseBlockNumber,
+  parseHash,
+  parseLimit,
+  parseParams,
+  parseStreamParams,
+  parseTransactionCursor,
+  parseTransactionFilters,
+  validateAddress,
+  validateBlockNumber,
+  validateLimit
+} from '../server/params.js'
+import { parseBlockRange } from '../server/range.js'
+
+const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'
+
+describe('validateBlockNumber', () => {
+  it('parses decimal block numbers', () => {
+    assert.deepStrictEqual(validateBlockNumber('0'), { value: 0 })
+    assert.deepStrictEqual(validateBlockNumber('15537394'), { value: 15537394 })
+  })
+
+  it('rejects negative, hex, fractional and partially numeric block numbers', () => {
+    for (const value of ['-1', '0x10', '1e3', '1.5', '12abc', ' 12', '']) {
+      assert.deepStrictEqual(validateBlockNumber(value), { expected: 'a block number' }, value)
+    }
+  })
+
+  it('rejects block numbers beyond the range of postgres ints', () => {
+    assert.deepStrictEqual(validateBlockNumber('2147483647'), { value: 2147483647 })
+    assert.deepStrictEqual(validateBlockNumber('2147483648'), { expected: 'a block number' })
+    assert.deepStrictEqual(validateBlockNumber('9007199254740993'), { expected: 'a block number' })
+  })
+
+  it('rejects repeated params', () => {
+    assert.deepStrictEqual(validateBlockNumber(['1', '2']), { expected: 'a block number' })
+    assert.deepStrictEqual(validateBlockNumber(['1']), { expected: 'a block number' })
+  })
+})
+
+describe('validateLimit', () => {
+  it('accepts limits from 1 to 10000', () => {
+    assert.deepStrictEqual(validateLimit('1'), { value: 1 })
+    assert.deepStrictEqual(validateLimit('10000'), { value: 10000 })
+  })
+
+  it('rejects limit=0, negative and too large limits', () => {
+    for (const value of ['0', '-1', '10001', 'abc']) {
+      assert.deepStrictEqual(validateLimit(value), { expected: 'a number between 1 and 10000' }, value)
+    }
+  })
+})
+
+describe('validateAddress', () => {
+  it('checksums lowercase and uppercase addresses', () => {
+    assert.deepStrictEqual(validateAddress(CHECKSUMMED.toLowerCase()), { value: CHECKSUMMED })
+    assert.deepStrictEqual(validateAddress(`0x${CHECKSUMMED.slice(2).toUpperCase()}`), { value: CHECKSUMMED })
+  })
+
+  it('accepts mixed-case addresses with a valid checksum', () => {
+    assert.deepStrictEqual(validateAddress(CHECKSUMMED), { value: CHECKSUMMED })
+  })
+
+  it('rejects mixed-case addresses with an invalid checksum', () => {
+    assert.deepStrictEqual(validateAddress('0x5AAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'), { expected: 'an address' })
+  })
+
+  it('rejects garbage instead of throwing', () => {
+    for (const value of ['0x12', 'hello', `${CHECKSUMMED}00`, ['0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed']]) {
+      assert.deepStrictEqual(validateAddress(value), { expected: 'an address' }, value)
+    }
+  })
+})
+
+describe('parseHash', () => {
+  const hash = `0x${'ab'.repeat(32)}`
+
+  it('lowercases hashes and adds the 0x prefix', () => {
+    assert.deepStrictEqual(parseHash(hash.toUpperCase().replace('0X', '0x')), { hash })
+    assert.deepStrictEqual(parseHash(hash.slice(2)), { hash })
+  })
+
+  it('rejects non-hex and wrong length hashes', () => {
+    for (const value of ['zz', `0x${'g'.repeat(64)}`, hash.slice(0, -2), `${hash}ab`]) {
+      assert.deepStrictEqual(parseHash(value), {
+        error: `invalid hash param provided, expected a 32 byte hex hash but got: ${value}`,
+        param: 'hash'
+      })
+    }
+  })
+})
+
+describe('parseLimit', () => {
+  it('defaults when limit is absent or empty', () => {
+    assert.deepStrictEqual(parseLimit({}), { limit: 100 })
+    assert.deepStrictEqual(parseLimit({ limit: '' }), { limit: 100 })
+    assert.deepStrictEqual(parseLimit({}, 10), { limit: 10 })
+  })
+
+  it('returns a structured error for limit=0', () => {
+    assert.deepStrictEqual(parseLimit({ limit: '0' }), {
+      error: 'invalid limit param provided, expected a number between 1 and 10000 but got: 0',
+      param: 'limit'
+    })
+  })
+})
+
+describe('parseTransactionCursor', () => {
+  it('decodes cursors', () => {
+    const cursor = encodeCursor({ blockNumber: 100, bundleIndex: 1, txIndex: 2 })
+    assert.deepStrictEqual(parseTransactionCursor({ cursor }), { cursor: { blockNumber: 100, bundleIndex: 1, txIndex: 2 } })
+    assert.deepStrictEqual(parseTransactionCursor({}), { cursor: {} })
+  })
+
+  it('rejects malformed cursors', () => {
+    for (const cursor of ['nope', Buffer.from('[1, 2]').toString('base64'), Buffer.from('[1.5]').toString('base64')]) {
+      assert.strictEqual(parseTransactionCursor({ cursor }).param, 'cursor', cursor)
+      assert.strictEqual(parseBlockCursor({ cursor }).param, 'cursor', cursor)
+    }
+  })
+
+  it('rejects the cursors of lists of blocks, and the other way around', () => {
+    const blockCursor = encodeCursor({ blockNumber: 100 })
+    const transactionCursor = encodeCursor({ blockNumber: 100, bundleIndex: 1, txIndex: 2 })
+    assert.deepStrictEqual(parseBlockCursor({ cursor: blockCursor }), {
+      cursor: { blockNumber: 100, bundleIndex: undefined, txIndex: undefined }
+    })
+    assert.deepStrictEqual(parseTransactionCursor({ cursor: blockCursor }), {
+      error: `invalid cursor param provided, expected a cursor from next_cursor of a list of transactions but got: ${blockCursor}`,
+      param: 'cursor'
+    })
+    assert.deepStrictEqual(parseBlockCursor({ cursor: transactionCursor }), {
+      error: `invalid cursor param provided, expected a cursor from next_cursor of a list of blocks but got: ${transactionCursor}`,
+      param: 'cursor'
+    })
+  })
+})
+
+describe('parseBlockNumber', () => {
+  it('returns a single block range', () => {
+    assert.deepStrictEqual(parseBlockNumber({ block_number: '12' }), { blockNumberRange: { lowest: 12, highest: 12 } })
+    assert.deepStrictEqual(parseBlockNumber({}), {})
+  })
+
+  it('rejects hex block numbers instead of reading them as 0', () => {
+    assert.strictEqual(parseBlockNumber({ block_number: '0x10' }).param, 'block_number')
+  })
+})
+
+describe('parseTransactionFilters', () => {
+  it('checksums addresses', () => {
+    const filters = parseTransactionFilters({ from: CHECKSUMMED.toLowerCase(), bundle_type: 'mempool', min_gas_used: '21000' })
+    assert.strictEqual(filters.from, CHECKSUMMED)
+    assert.strictEqual(filters.bundleType, 'mempool')
+    assert.strictEqual(filters.minGasUsed, 21000)
+  })
+
+  it('returns the first invalid param', () => {
+    assert.strictEqual(parseTransactionFilters({ to: 'garbage' }).param, 'to')
+    assert.strictEqual(parseTransactionFilters({ bundle_type: 'private' }).param, 'bundle_type')
+    assert.strictEqual(parseTransactionFilters({ min_eth_sent_to_fee_recipient: '-1' }).param, 'min_eth_sent_to_fee_recipient')
+    assert.strictEqual(parseTransactionFilters({ min_gas_used: '1e6' }).param, 'min_gas_used')
+  })
+})
+
+describe('parseBlockFilters', () => {
+  it('accepts miner as the older name of fee_recipient', () => {
+    assert.deepStrictEqual(parseBlockFilters({ miner: CHECKSUMMED.toLowerCase() }), { feeRecipient: CHECKSUMMED, from: undefined })
+    assert.strictEqual(parseBlockFilters({ miner: 'garbage' }).param, 'miner')
+    assert.strictEqual(parseBlockFilters({ fee_recipient: 'garbage' }).param, 'fee_recipient')
+  })
+})
+
+describe('parseStreamParams', () => {
+  it('resumes from the Last-Event-ID header when last_block_number is absent', () => {
+    assert.strictEqual(parseStreamParams({}, '100').lastBlockNumber, 100)
+    assert.strictEqual(parseStreamParams({ last_block_number: '90' }, '100').lastBlockNumber, 90)
+    assert.strictEqual(parseStreamParams({}, undefined).lastBlockNumber, undefined)
+  })
+
+  it('rejects invalid block numbers', () => {
+    assert.strictEqual(parseStreamParams({}, '-5').param, 'last_block_number')
+  })
+})
+
+describe('parseParams', () => {
+  it('merges the params of each parser', () => {
+    assert.deepStrictEqual(parseParams({ limit: '5', block_number: '7' }, parseLimit, parseBlockNumber), {
+      limit: 5,
+      blockNumberRange: { lowest: 7, highest: 7 }
+    })
+  })
+
+  it('returns the first error', () => {
+    assert.strictEqual(parseParams({ limit: '0', block_number: 'x' }, parseBlockNumber, parseLimit).param, 'block_number')
+  })
+})
+
+describe('parseBlockRange', () => {
+  // block numbers are parsed without querying, only since and until need the database
+  const sql = () => assert.fail('unexpected query')
+
+  it('intersects the block number params', async () => {
+    assert.deepStrictEqual(await parseBlockRange(sql, { after: '10', before: '20', to_block: '15' }), { lowest: 11, highest: 15 })
+    assert.deepStrictEqual(await parseBlockRange(sql, { before: 'latest' }), { lowest: null, highest: null })
+  })
+
+  it('rejects negative and hex block numbers', async () => {
+    assert.deepStrictEqual(await parseBlockRange(sql, { from_block: '-1' }), {
+      error: 'invalid from_block param provided, expected a block number but got: -1',
+      param: 'from_block'
+    })
+    assert.strictEqual((await parseBlockRange(sql, { before: '0x10' })).param, 'before')
+  })
+
+  it('rejects invalid timestamps before querying', async () => {
+    assert.strictEqual((await parseBlockRange(sql, { since: 'yesterday' })).param, 'since')
+  })
+})
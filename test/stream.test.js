@@ -0,0 +1,77 @@
+import assert from 'assert'
+import _ from 'lodash'
+import postgres from 'postgres'
+import { createBlockFeed, STREAM_RESUME_LIMIT } from '../server/stream.js'
+import { LATEST_BLOCK_NUMBER, MERGE_BLOCK_NUMBER } from './fixtures/blocks.js'
+import { describeWithDatabase, resetDatabase } from './support/server.js'
+
+// Adds count post-merge blocks from lowest, each with a flashbots bundle of one transaction, in one transaction so the
+// feed never sees the blocks without their bundles
+function addBlocks(sql, lowest, count) {
+  return sql.begin(async (sql) => {
+    await sql`
+      insert into blocks (block_number, miner, block_timestamp)
+      select n, '0x5555555555555555555555555555555555555555', '2022-09-15'::timestamptz + n * interval '12 seconds'
+      from generate_series(${lowest}::int, ${lowest + count - 1}::int) n`
+    await sql`
+      insert into included_built_block_bundles (block_id, block_number, bundle_index, fee_recipient, bundle_type)
+      select n, n, 0, '0x5555555555555555555555555555555555555555', 'flashbots'
+      from generate_series(${lowest}::int, ${lowest + count - 1}::int) n`
+    await sql`
+      insert into included_built_block_bundle_txs
+          (block_id, block_number, bundle_index, tx_index, tx_hash, bundle_type, from_address, to_address, gas_used, gas_price,
+           eth_sent_to_fee_recipient, fee_recipient_eth_diff)
+      select n, n, 0, 0, '0x' || lpad(to_hex(n), 64, '0'), 'flashbots', '0x1111111111111111111111111111111111111111',
+          '0x3333333333333333333333333333333333333333', 21000, 10, 0, 210000
+      from generate_series(${lowest}::int, ${lowest + count - 1}::int) n`
+  })
+}
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 500 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+}
+
+describeWithDatabase('createBlockFeed', function () {
+  this.timeout(20000)
+  let sql, feed, errors
+
+  beforeEach(async () => {
+    await resetDatabase()
+    sql = postgres(process.env.TEST_POSTGRES_DSN)
+    // a poll after the test ends fails on the closed connection, which is not an error of the next test
+    const feedErrors = []
+    errors = feedErrors
+    feed = createBlockFeed(sql, MERGE_BLOCK_NUMBER, { interval: 1, onError: (error) => feedErrors.push(error) })
+  })
+
+  afterEach(async () => {
+    await sql.end()
+  })
+
+  it('reads blocks far behind the latest block in pages', async () => {
+    const sent = []
+    const unsubscribe = await feed.subscribe({}, (block) => sent.push(block.block_number))
+    const count = STREAM_RESUME_LIMIT + 500
+    await addBlocks(sql, LATEST_BLOCK_NUMBER + 1, count)
+    await waitFor(() => sent.length === count)
+    unsubscribe()
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(sent, _.range(LATEST_BLOCK_NUMBER + 1, LATEST_BLOCK_NUMBER + 1 + count))
+  })
+
+  it('starts from the latest block when there were no blocks yet', async () => {
+    await sql`delete from blocks`
+    const sent = []
+    const unsubscribe = await feed.subscribe({ lastBlockNumber: 99 }, (block) => sent.push(block.block_number))
+    // blocks 97 to 102 come back, they are older than the first block the feed sees
+    await sql`insert into blocks (block_number, miner, block_timestamp) select n, '0x5555555555555555555555555555555555555555', now() from generate_series(97, 102) n`
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    await addBlocks(sql, LATEST_BLOCK_NUMBER + 1, 2)
+    await waitFor(() => sent.length === 2)
+    unsubscribe()
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(sent, [LATEST_BLOCK_NUMBER + 1, LATEST_BLOCK_NUMBER + 2])
+  })
+})
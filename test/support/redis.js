@@ -0,0 +1,35 @@
+import assert from 'assert'
+
+/**
+ * Stands in for a redis client, with the commands the redis store uses. values holds { value, ttl, expiresAt } by key.
+ */
+export function createFakeRedis() {
+  const values = new Map()
+  const live = (key) => {
+    const entry = values.get(key)
+    return entry && entry.expiresAt > Date.now() ? entry : undefined
+  }
+
+  return {
+    values,
+    async get(key) {
+      const entry = live(key)
+      return entry ? entry.value : null
+    },
+    async set(key, value, mode, ttl) {
+      assert.strictEqual(mode, 'PX')
+      values.set(key, { value, ttl, expiresAt: Date.now() + ttl })
+      return 'OK'
+    },
+    async incr(key) {
+      const entry = live(key) || { value: '0', ttl: undefined, expiresAt: Infinity }
+      const count = Number(entry.value) + 1
+      values.set(key, { ...entry, value: String(count) })
+      return count
+    },
+    async pexpire(key, ttl) {
+      values.set(key, { ...values.get(key), ttl, expiresAt: Date.now() + ttl })
+      return 1
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import assert from 'assert'
+import fs from 'fs/promises'
+import http from 'http'
+import { fileURLToPath } from 'url'
+import postgres from 'postgres'
+import WebSocket from 'ws'
+import { migrate } from '../../scripts/migrate.js'
+import { createApp, serve } from '../../server/app.js'
+import { MERGE_BLOCK_NUMBER } from '../fixtures/blocks.js'
+
+// The integration tests run against the database in TEST_POSTGRES_DSN, whose public schema is dropped and recreated from
+// the migrations and fixtures. They are skipped when it is not set.
+const TEST_POSTGRES_DSN = process.env.TEST_POSTGRES_DSN
+const FIXTURES = fileURLToPath(new URL('../fixtures/blocks.sql', import.meta.url))
+const SHUTDOWN_TIMEOUT = 1000
+
+/**
+ * Like describe, but skipped when TEST_POSTGRES_DSN is not set
+ */
+export function describeWithDatabase(title, fn) {
+  return (TEST_POSTGRES_DSN ? describe : describe.skip)(title, fn)
+}
+
+/**
+ * Recreates the schema of the test database from the migrations and loads the fixtures
+ */
+export async function resetDatabase() {
+  const sql = postgres(TEST_POSTGRES_DSN, { onnotice: () => {} })
+  try {
+    const [{ database }] = await sql`select current_database() as database`
+    assert(/test/.test(database), `TEST_POSTGRES_DSN must name a test database, its tables are dropped, but it names ${database}`)
+    await sql.unsafe('drop schema public cascade; create schema public')
+    await migrate(sql)
+    await sql.unsafe(await fs.readFile(FIXTURES, 'utf8'))
+  } finally {
+    await sql.end()
+  }
+}
+
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let text = ''
+      res.setEncoding(res.headers['content-type'] === 'application/gzip' ? 'binary' : 'utf8')
+      res.on('data', (chunk) => {
+        text += chunk
+      })
+      res.on('end', () => {
+        const json = /^application\/(json|graphql-response\+json)/.test(res.headers['content-type'])
+        resolve({ status: res.statusCode, headers: res.headers, text, body: json ? JSON.parse(text) : undefined })
+      })
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+/**
+ * Serves files, keyed by path, as a stand-in for the bucket the historical dumps are read from. Resolves to the server
+ * once it is listening on port.
+ */
+export async function startDumpServer(port, files) {
+  const server = http.createServer((req, res) => {
+    const file = files[req.url.slice(1)]
+    res.statusCode = file === undefined ? 404 : 200
+    res.end(file)
+  })
+  await new Promise((resolve) => server.listen(port, resolve))
+  return server
+}
+
+/**
+ * Starts the api on a free port against the test database, with responses validated against their schemas. config is
+ * added to the app's config, and query results are cached in store if given. Resolves once it is listening to an object
+ * for making requests to it.
+ */
+export async function startServer(config = {}, { store } = {}) {
+  const sql = postgres(TEST_POSTGRES_DSN)
+  const app = createApp({
+    sql,
+    store,
+    config: {
+      mergeBlockNumber: MERGE_BLOCK_NUMBER,
+      validateResponses: true,
+      rateLimitPerMinute: 100000,
+      streamPollInterval: 1,
+      accessLog: false,
+      ...config
+    }
+  })
+  const { server, drain } = await serve(app, { port: 0 })
+  const { port } = server.address()
+
+  // responses that do not match their schema are logged rather than failing the request
+  const errors = []
+  const consoleError = console.error
+  console.error = (...args) => {
+    errors.push(args.join(' '))
+    consoleError(...args)
+  }
+
+  const baseUrl = `http://localhost:${port}`
+  return {
+    get: (path, headers) => request(`${baseUrl}${path}`, { headers }),
+    post: (path, json) =>
+      request(`${baseUrl}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(json) }),
+    put: (path, json, headers = {}) =>
+      request(`${baseUrl}${path}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof json === 'string' ? json : JSON.stringify(json)
+      }),
+    delete: (path, headers) => request(`${baseUrl}${path}`, { method: 'DELETE', headers }),
+
+    /**
+     * Reads count server-sent events from path, then disconnects
+     */
+    events(path, count, headers = {}) {
+      return new Promise((resolve, reject) => {
+        const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+          const events = []
+          let buffer = ''
+          res.setEncoding('utf8')
+          res.on('data', (chunk) => {
+            buffer += chunk
+            let end
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              const lines = buffer.slice(0, end).split('\n')
+              buffer = buffer.slice(end + 2)
+              const fields = Object.fromEntries(lines.map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]))
+              // comments, such as keepalives, have no data
+              if (fields.data !== undefined) {
+                events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) })
+              }
+            }
+            if (events.length >= count) {
+              req.destroy()
+              resolve({ status: res.statusCode, headers: res.headers, events })
+            }
+          })
+        })
+        req.on('error', (error) => {
+          if (!req.destroyed) {
+            reject(error)
+          }
+        })
+      })
+    },
+
+    /**
+     * Reads count messages from the websocket at path, then disconnects
+     */
+    messages(path, count) {
+      return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}${path}`)
+        const messages = []
+        ws.on('message', (data) => {
+          messages.push(JSON.parse(data))
+          if (messages.length >= count) {
+            ws.close()
+            resolve(messages)
+          }
+        })
+        ws.on('error', reject)
+      })
+    },
+
+    /**
+     * Opens a websocket at path and closes it once it is open. Resolves to the status of the upgrade response, with the
+     * json body of a rejected upgrade.
+     */
+    upgrade(path, headers = {}) {
+      return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}${path}`, { headers })
+        ws.on('open', () => {
+          ws.close()
+          resolve({ status: 101 })
+        })
+        ws.on('unexpected-response', (req, res) => {
+          let text = ''
+          res.setEncoding('utf8')
+          res.on('data', (chunk) => {
+            text += chunk
+          })
+          res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : undefined }))
+        })
+        ws.on('error', reject)
+      })
+    },
+
+    /**
+     * Stops the server, failing if any response did not match its schema
+     */
+    async stop() {
+      console.error = consoleError
+      await drain(SHUTDOWN_TIMEOUT)
+      await sql.end({ timeout: 1 })
+      const mismatches = errors.filter((error) => error.includes('does not match its schema'))
+      assert.deepStrictEqual(mismatches, [])
+    }
+  }
+}